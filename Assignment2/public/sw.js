@@ -0,0 +1,184 @@
+/**
+ * BookNest Service Worker
+ *
+ * PURPOSE:
+ * 1. Offline use: keeps the app shell and book covers in the Cache API so
+ *    BookNest opens and the catalog can be browsed without a connection
+ *    (books, cart and history already live in the storage layer).
+ * 2. Lets reminders reach patrons while the BookNest tab is in the
+ *    background. The app shows notifications through this worker
+ *    (registration.showNotification), which is what makes action buttons
+ *    like "Snooze" possible; the worker handles the clicks on them.
+ *
+ * CACHING STRATEGIES:
+ * - App shell: every file of the build, listed in precache-manifest.json
+ *   (written by vite.config.js), cached on install and whenever a page load
+ *   finds a new build version. Older versions are deleted.
+ * - Page navigations: network first, the cached index.html when offline
+ *   (React Router then shows the right page).
+ * - Built assets (/assets/...): cache first - their names change with
+ *   their content, so a cached copy is never stale.
+ * - Covers (covers.openlibrary.org): stale-while-revalidate - show the
+ *   cached cover at once and refresh it in the background.
+ *
+ * CLICKS:
+ * - Notification body / "Open": focus a BookNest tab (or open one) on the
+ *   notification's link and tell the app to mark it read
+ * - "Snooze": ask an open BookNest tab to show it again later
+ *   (the app keeps the snoozed list, see NotificationContext)
+ *
+ * Registered from src/services/push when the app starts (served from the
+ * site root so its scope covers every page).
+ */
+
+const SHELL_PREFIX = 'booknest-shell-';
+const RUNTIME_CACHE = 'booknest-runtime';
+const COVER_CACHE = 'booknest-covers';
+const COVER_HOST = 'covers.openlibrary.org';
+
+// Oldest entries are dropped beyond these
+const MAX_COVERS = 200;
+const MAX_RUNTIME_FILES = 100;
+
+// Served from public/, so not part of the build's file list
+const STATIC_FILES = ['/', '/manifest.webmanifest', '/icon.svg'];
+
+/**
+ * Caches the current build if it isn't cached yet, then deletes older builds.
+ * Does nothing when there is no manifest (dev server) or no connection.
+ */
+async function refreshShell() {
+  let manifest;
+  try {
+    const response = await fetch('/precache-manifest.json', { cache: 'no-store' });
+    if (!response.ok) return;
+    manifest = await response.json();
+  } catch {
+    return;
+  }
+
+  const name = `${SHELL_PREFIX}${manifest.version}`;
+  if (await caches.has(name)) return;
+
+  const cache = await caches.open(name);
+  await cache.addAll([...STATIC_FILES, ...manifest.files.map((file) => `/${file}`)]);
+
+  const names = await caches.keys();
+  await Promise.all(names
+    .filter((key) => key.startsWith(SHELL_PREFIX) && key !== name)
+    .map((key) => caches.delete(key)));
+}
+
+/**
+ * Deletes the oldest entries of a cache beyond `max`.
+ */
+async function trimCache(name, max) {
+  const cache = await caches.open(name);
+  const keys = await cache.keys();
+  await Promise.all(keys.slice(0, Math.max(0, keys.length - max)).map((key) => cache.delete(key)));
+}
+
+self.addEventListener('install', (event) => {
+  // Activate an updated worker straight away instead of waiting for every tab to close
+  self.skipWaiting();
+  event.waitUntil(refreshShell());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  // Page loads: network first, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith((async () => {
+      try {
+        const response = await fetch(request);
+        event.waitUntil(refreshShell());
+        return response;
+      } catch {
+        return (await caches.match('/')) ?? Response.error();
+      }
+    })());
+    return;
+  }
+
+  // Covers: cached copy at once, refreshed in the background
+  if (url.hostname === COVER_HOST) {
+    event.respondWith((async () => {
+      const cache = await caches.open(COVER_CACHE);
+      const cached = await cache.match(request);
+      const network = fetch(request)
+        .then(async (response) => {
+          // Cross-origin images are opaque (status 0) - still worth keeping
+          if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            await trimCache(COVER_CACHE, MAX_COVERS);
+          }
+          return response;
+        })
+        .catch(() => cached ?? Response.error());
+      if (cached) {
+        event.waitUntil(network);
+        return cached;
+      }
+      return network;
+    })());
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  // Built files: cache first
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith((async () => {
+      const cached = await caches.match(request);
+      if (cached) return cached;
+      const response = await fetch(request);
+      if (response.ok) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+        await trimCache(RUNTIME_CACHE, MAX_RUNTIME_FILES);
+      }
+      return response;
+    })());
+    return;
+  }
+
+  // Other files from public/: network first, cache as a fallback
+  if (STATIC_FILES.includes(url.pathname)) {
+    event.respondWith(fetch(request).catch(async () => (await caches.match(request)) ?? Response.error()));
+  }
+});
+
+// Every BookNest tab, including ones opened before this worker took control
+const getWindows = () => self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+self.addEventListener('notificationclick', (event) => {
+  const { notification } = event;
+  const data = notification.data || {};
+  notification.close();
+
+  event.waitUntil((async () => {
+    const windows = await getWindows();
+
+    if (event.action === 'snooze') {
+      // Any one tab can save the snooze; they share the same storage
+      windows[0]?.postMessage({ type: 'booknest:snooze', notification: data });
+      return;
+    }
+
+    // Bring a tab forward and let the app navigate (keeps its state);
+    // with no tab open, start the app on the link
+    if (windows.length > 0) {
+      windows[0].postMessage({ type: 'booknest:open', notification: data });
+      await windows[0].focus();
+      return;
+    }
+    await self.clients.openWindow(new URL(data.link || '/', self.location.origin).href);
+  })());
+});
@@ -41,7 +41,7 @@
 import { lazy, Suspense } from 'react';
 
 // Import React Router components for navigation
-import { BrowserRouter, Routes, Route } from 'react-router-dom';
+import { BrowserRouter, Routes, Route, Navigate } from 'react-router-dom';
 
 // Import global styles (includes Tailwind CSS)
 import './styles/global.css';
@@ -50,6 +50,10 @@ import './styles/global.css';
 // Layout is NOT lazy-loaded because it's needed on every page
 import Layout from './components/Layout';
 
+// Route guard for pages that need a logged-in user (and optionally a role)
+// Not lazy-loaded: it decides whether a page may load at all
+import ProtectedRoute from './components/ProtectedRoute';
+
 /**
  * LAZY LOADING - Code Splitting Implementation
  * 
@@ -77,11 +81,24 @@ const Wishlist = lazy(() => import('./pages/Wishlist'));
 const Reservations = lazy(() => import('./pages/Reservations'));
 const Checkout = lazy(() => import('./pages/Checkout'));
 const ReservationConfirmation = lazy(() => import('./pages/ReservationConfirmation'));
+const Receipts = lazy(() => import('./pages/Receipts'));
 const History = lazy(() => import('./pages/History'));
+const NotificationSettings = lazy(() => import('./pages/NotificationSettings'));
 const Contact = lazy(() => import('./pages/Contact'));
 const Login = lazy(() => import('./pages/Login'));
 const NotFound = lazy(() => import('./pages/NotFound'));
 
+// Librarian/admin console (role checks happen in ProtectedRoute)
+const AdminLayout = lazy(() => import('./pages/admin/AdminLayout'));
+const AdminLoans = lazy(() => import('./pages/admin/AdminLoans'));
+const AdminFines = lazy(() => import('./pages/admin/AdminFines'));
+const AdminUsers = lazy(() => import('./pages/admin/AdminUsers'));
+const AdminCatalog = lazy(() => import('./pages/admin/AdminCatalog'));
+const AdminBookEditor = lazy(() => import('./pages/admin/AdminBookEditor'));
+const AdminTransfer = lazy(() => import('./pages/admin/AdminTransfer'));
+const AdminReviews = lazy(() => import('./pages/admin/AdminReviews'));
+const AdminScanner = lazy(() => import('./pages/admin/AdminScanner'));
+
 /**
  * Loading Fallback Component
  * 
@@ -147,9 +164,6 @@ function App() {
             {/* Browse Page - Shows all books with search/filter */}
             <Route path="browse" element={<Browse />} />
             
-            {/* Dashboard Page - User profile and borrowing overview */}
-            <Route path="dashboard" element={<Dashboard />} />
-            
             {/* 
               Book Details Page - Dynamic route with book ID
               :id is a URL parameter that can be accessed in the component
@@ -161,20 +175,39 @@ function App() {
             */}
             <Route path="book/:id" element={<BookDetails />} />
             
-            {/* Wishlist Page - Shows user's saved books to read later */}
-            <Route path="wishlist" element={<Wishlist />} />
-            
-            {/* Reservations Page - Shows user's cart/reserved books */}
-            <Route path="reservations" element={<Reservations />} />
-            
-            {/* Checkout Page - Review and confirm reservation */}
-            <Route path="checkout" element={<Checkout />} />
-            
-            {/* Confirmation Page - Shows reservation confirmation with QR code */}
-            <Route path="confirmation" element={<ReservationConfirmation />} />
-            
-            {/* History Page - Shows user's borrowing history */}
-            <Route path="history" element={<History />} />
+            {/*
+              Protected Routes - Require a logged-in user
+              ProtectedRoute redirects guests to /login and remembers the
+              requested page, so Login can send them back after signing in.
+            */}
+            <Route element={<ProtectedRoute />}>
+              {/* Dashboard Page - User profile and borrowing overview */}
+              <Route path="dashboard" element={<Dashboard />} />
+              
+              {/* Wishlist Page - Shows user's saved books to read later */}
+              <Route path="wishlist" element={<Wishlist />} />
+              
+              {/* Reservations Page - Shows user's cart/reserved books */}
+              <Route path="reservations" element={<Reservations />} />
+              
+              {/* Checkout Page - Review and confirm reservation */}
+              <Route path="checkout" element={<Checkout />} />
+              
+              {/* Confirmation Page - A saved receipt with its pickup QR code */}
+              <Route path="confirmation/:reservationId" element={<ReservationConfirmation />} />
+
+              {/* Old links without an ID go to the receipt list */}
+              <Route path="confirmation" element={<Navigate to="/receipts" replace />} />
+
+              {/* My Receipts - Every past confirmation (open, print, download QR) */}
+              <Route path="receipts" element={<Receipts />} />
+              
+              {/* History Page - Shows user's borrowing history */}
+              <Route path="history" element={<History />} />
+
+              {/* Notification Settings - Types per channel, browser permission, snooze */}
+              <Route path="settings/notifications" element={<NotificationSettings />} />
+            </Route>
             
             {/* Contact Page - Contact form and library information */}
             <Route path="contact" element={<Contact />} />
@@ -182,6 +215,35 @@ function App() {
             {/* Login Page - User authentication form */}
             <Route path="login" element={<Login />} />
             
+            {/* 
+              Admin Console - Nested routes with per-route role requirements
+              /admin               -> AdminLoans (librarian or admin)
+              /admin/scan          -> AdminScanner (QR pickup / check-in / renew)
+              /admin/fines         -> AdminFines (balances, payments, waivers)
+              /admin/catalog       -> AdminCatalog (book list)
+              /admin/catalog/new   -> AdminBookEditor (add a book)
+              /admin/catalog/:bookId -> AdminBookEditor (edit book + copies)
+              /admin/transfer      -> AdminTransfer (bulk import/export)
+              /admin/reviews       -> AdminReviews (review moderation queue)
+              /admin/users         -> AdminUsers (admin only)
+            */}
+            <Route element={<ProtectedRoute roles={['librarian', 'admin']} />}>
+              <Route path="admin" element={<AdminLayout />}>
+                <Route index element={<AdminLoans />} />
+                <Route path="scan" element={<AdminScanner />} />
+                <Route path="fines" element={<AdminFines />} />
+                <Route path="catalog" element={<AdminCatalog />} />
+                <Route path="catalog/new" element={<AdminBookEditor />} />
+                <Route path="catalog/:bookId" element={<AdminBookEditor />} />
+                <Route path="transfer" element={<AdminTransfer />} />
+                <Route path="reviews" element={<AdminReviews />} />
+                <Route
+                  path="users"
+                  element={<ProtectedRoute roles={['admin']}><AdminUsers /></ProtectedRoute>}
+                />
+              </Route>
+            </Route>
+            
             {/* 
               404 Not Found Page - Catch-all route
               The * matches any route not defined above
@@ -232,6 +294,11 @@ export default App;
  *    It provides common structure (Navbar, Footer) using <Outlet />.
  *    Child routes render inside the Outlet.
  * 
+ * Q: How are pages protected?
+ * A: Protected routes are nested inside <Route element={<ProtectedRoute />}>.
+ *    It is a layout route without a path: it checks the session (and the
+ *    roles prop, if given) and then renders the child route in its Outlet.
+ * 
  * Q: How does Outlet work?
  * A: Outlet is a placeholder where child routes render.
  *    Layout renders: <Navbar /> <Outlet /> <Footer />
@@ -0,0 +1,43 @@
+/**
+ * AddToCalendar Component
+ *
+ * PURPOSE:
+ * "Add to Calendar" button: downloads an .ics file (services/ical) with
+ * pickup and due events, which calendar apps (Google, Outlook, Apple)
+ * import with their alarms.
+ *
+ * PROPS:
+ * - getEvents: () => Array - the events, built when the button is pressed
+ * - filename: Download name, e.g. 'booknest-RES-AB12C.ics'
+ * - label: Button text (default "Add to Calendar")
+ * - className: Button classes (defaults to an outlined button)
+ */
+
+import { CalendarPlus } from 'lucide-react';
+import { useToast } from '../context/ToastContext';
+import { buildCalendar, downloadCalendar } from '../services/ical';
+
+const DEFAULT_BUTTON_CLASS =
+  'flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] border-2 border-gray-200 text-gray-700 rounded-xl hover:bg-gray-50 transition-colors text-sm';
+
+function AddToCalendar({ getEvents, filename, label = 'Add to Calendar', className = DEFAULT_BUTTON_CLASS }) {
+  const { showToast } = useToast();
+
+  const handleClick = () => {
+    const events = getEvents();
+    if (events.length === 0) {
+      showToast('Nothing left to add - these books are returned or cancelled', 'info');
+      return;
+    }
+    downloadCalendar(buildCalendar(events, { now: Date.now() }), filename);
+  };
+
+  return (
+    <button onClick={handleClick} className={className}>
+      <CalendarPlus size={16} />
+      <span>{label}</span>
+    </button>
+  );
+}
+
+export default AddToCalendar;
@@ -14,6 +14,8 @@
  * 
  * PROPS:
  * - book: Object containing book data (title, author, cover, rating, etc.)
+ * - terms: (optional) Matched search terms - highlights title, author and
+ *   shows a description snippet (Browse search results)
  * 
  * RESPONSIVE:
  * - Mobile: Full width card with vertical layout
@@ -31,6 +33,8 @@ import { Star, ShoppingCart, Eye, CheckCircle, XCircle, Heart } from 'lucide-rea
 import { useBooks } from '../context/BookContext';
 import { useWishlist } from '../context/WishlistContext';
 import { useToast } from '../context/ToastContext';
+import { highlight, snippet } from '../services/search';
+import Highlight from './Highlight';
 
 /**
  * BookCard Component
@@ -39,8 +43,9 @@ import { useToast } from '../context/ToastContext';
  * 
  * @param {Object} props - Component props
  * @param {Object} props.book - Book object with all book data
+ * @param {Set} [props.terms] - Matched search terms to highlight
  */
-function BookCard({ book }) {
+function BookCard({ book, terms }) {
   /**
    * React Router Navigation Hook
    * 
@@ -91,6 +96,19 @@ function BookCard({ book }) {
    */
   const inWishlist = isInWishlist(book.id);
 
+  /**
+   * Search highlighting (only when the card is a search result)
+   * Title and author are marked in place; matches in the description,
+   * publisher or ISBN are shown underneath so users see why a book matched
+   */
+  const hasTerms = terms && terms.size > 0;
+  const descriptionSnippet = hasTerms ? snippet(book.description, terms) : null;
+  const otherMatches = hasTerms
+    ? [['Publisher', book.publisher], ['ISBN', book.isbn]]
+        .map(([label, value]) => ({ label, parts: highlight(value, terms) }))
+        .filter(({ parts }) => parts.some((part) => part.match))
+    : [];
+
   /**
    * handleViewDetails Function
    * 
@@ -275,14 +293,26 @@ function BookCard({ book }) {
           - Shows max 2 lines with ellipsis
         */}
         <h3 className="text-lg font-bold text-black mb-1 line-clamp-2 group-hover:text-gray-700 transition-colors">
-          {book.title}
+          <Highlight parts={hasTerms && highlight(book.title, terms)} text={book.title} />
         </h3>
 
         {/* Author Name */}
         <p className="text-sm text-gray-600 mb-3">
-          by {book.author}
+          by <Highlight parts={hasTerms && highlight(book.author, terms)} text={book.author} />
         </p>
 
+        {/* Search snippet: where the description matched */}
+        {descriptionSnippet && (
+          <p className="text-xs text-gray-600 mb-3 line-clamp-3">
+            <Highlight parts={descriptionSnippet} />
+          </p>
+        )}
+        {otherMatches.map(({ label, parts }) => (
+          <p key={label} className="text-xs text-gray-600 mb-3">
+            {label}: <Highlight parts={parts} />
+          </p>
+        ))}
+
         {/* 
           Rating Display
           - Shows star icons
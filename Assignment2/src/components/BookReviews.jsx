@@ -0,0 +1,246 @@
+/**
+ * BookReviews Component
+ *
+ * PURPOSE:
+ * The reviews section on BookDetails: published reviews with sorting,
+ * helpful votes and reporting, plus the user's own review form.
+ *
+ * FEATURES:
+ * 1. Sort by most helpful, newest, highest or lowest rating
+ * 2. "Helpful" votes (one per user, not on your own review)
+ * 3. Report a review to the librarians (with a reason)
+ * 4. Write / edit / delete your own review (after returning the book)
+ *
+ * PROPS:
+ * - book: The book (reviews, rating and reviewCount come from BookContext)
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Rules (who may review/vote/report) live in BookContext; this component
+ *   only shows the result message from each action
+ * - Inline confirmation for delete and an inline report box instead of
+ *   browser popups
+ */
+
+import { useState } from 'react';
+import { Star, User, ThumbsUp, Flag, Pencil, Trash2 } from 'lucide-react';
+import { useBooks } from '../context/BookContext';
+import { useAuth } from '../context/AuthContext';
+import { useToast } from '../context/ToastContext';
+import { getBookReviews, REVIEW_SORTS } from '../services/reviews';
+import ReviewForm from './ReviewForm';
+
+function BookReviews({ book }) {
+  const { reviews, getReviewEligibility, deleteReview, toggleReviewHelpful, reportReview } = useBooks();
+  const { user } = useAuth();
+  const { showToast } = useToast();
+
+  const [sort, setSort] = useState('helpful');
+  const [editing, setEditing] = useState(false);
+  const [confirmDelete, setConfirmDelete] = useState(false);
+  const [reporting, setReporting] = useState(null); // review ID with the report box open
+  const [reportReason, setReportReason] = useState('');
+
+  const bookReviews = getBookReviews(reviews, book.id, sort);
+  const eligibility = getReviewEligibility(book.id);
+  const ownReview = eligibility.review;
+
+  const showResult = (result) => showToast(result.message, result.success ? 'success' : 'error');
+
+  const handleDelete = () => {
+    showResult(deleteReview(ownReview.id));
+    setConfirmDelete(false);
+    setEditing(false);
+  };
+
+  const handleReport = (e) => {
+    e.preventDefault();
+    const result = reportReview(reporting, reportReason);
+    showResult(result);
+    if (result.success) {
+      setReporting(null);
+      setReportReason('');
+    }
+  };
+
+  return (
+    <div className="mb-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <h2 className="text-xl font-bold text-black">
+          User Reviews ({bookReviews.length})
+        </h2>
+        {bookReviews.length > 1 && (
+          <select
+            value={sort}
+            onChange={(e) => setSort(e.target.value)}
+            aria-label="Sort reviews"
+            className="px-3 py-2 border-2 border-gray-200 rounded-xl bg-white text-sm font-medium focus:outline-none focus:border-black"
+          >
+            {Object.entries(REVIEW_SORTS).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {/*
+        ===== YOUR REVIEW =====
+        Form when writing/editing; otherwise a button or the reason you can't review yet
+      */}
+      <div className="mb-4">
+        {ownReview?.status === 'hidden' && (
+          <p className="mb-3 p-3 text-sm bg-gray-100 border border-gray-300 rounded-xl text-gray-700">
+            Your review was hidden by a librarian
+            {ownReview.moderation?.note ? `: ${ownReview.moderation.note}` : '.'} You can edit it, but it
+            stays hidden until a librarian restores it.
+          </p>
+        )}
+        {editing ? (
+          <ReviewForm bookId={book.id} existing={ownReview} onDone={() => setEditing(false)} />
+        ) : eligibility.allowed ? (
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => setEditing(true)}
+              className="flex items-center space-x-2 px-4 py-2 bg-black text-white rounded-xl font-semibold hover:bg-gray-800 transition-colors"
+            >
+              <Pencil size={16} />
+              <span>{ownReview ? 'Edit Your Review' : 'Write a Review'}</span>
+            </button>
+            {ownReview && (confirmDelete ? (
+              <>
+                <button
+                  onClick={handleDelete}
+                  className="px-4 py-2 bg-red-600 text-white rounded-xl font-semibold hover:bg-red-700 transition-colors"
+                >
+                  Yes, delete it
+                </button>
+                <button
+                  onClick={() => setConfirmDelete(false)}
+                  className="px-4 py-2 bg-gray-200 text-gray-700 rounded-xl font-semibold hover:bg-gray-300 transition-colors"
+                >
+                  Keep it
+                </button>
+              </>
+            ) : (
+              <button
+                onClick={() => setConfirmDelete(true)}
+                className="flex items-center space-x-2 px-4 py-2 bg-gray-200 text-gray-700 rounded-xl font-semibold hover:bg-gray-300 transition-colors"
+              >
+                <Trash2 size={16} />
+                <span>Delete</span>
+              </button>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-gray-500">{eligibility.reason}</p>
+        )}
+      </div>
+
+      {/*
+        ===== REVIEW LIST =====
+      */}
+      {bookReviews.length === 0 ? (
+        <p className="text-gray-600">No reviews yet.</p>
+      ) : (
+        <div className="space-y-4">
+          {bookReviews.map(review => {
+            const isOwn = review.username === user?.username;
+            const voted = user && review.helpful.includes(user.username);
+
+            return (
+              <div
+                key={review.id}
+                className={`p-4 bg-white border rounded-xl ${isOwn ? 'border-black' : 'border-gray-200'}`}
+              >
+                {/* Review Header: Username and Date */}
+                <div className="flex items-center justify-between mb-2">
+                  <div className="flex items-center space-x-2">
+                    <User size={18} className="text-gray-400" />
+                    <span className="font-semibold text-black">
+                      {review.username}{isOwn && ' (you)'}
+                    </span>
+                  </div>
+                  <span className="text-sm text-gray-500">
+                    {new Date(review.date).toLocaleDateString('en-US', {
+                      year: 'numeric',
+                      month: 'short',
+                      day: 'numeric'
+                    })}
+                    {review.editedDate && ' (edited)'}
+                  </span>
+                </div>
+
+                {/* Review Rating Stars */}
+                <div className="flex items-center space-x-1 mb-2">
+                  {[...Array(5)].map((_, i) => (
+                    <Star
+                      key={i}
+                      size={16}
+                      className={i < review.rating ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}
+                    />
+                  ))}
+                  <span className="text-sm font-semibold text-gray-700 ml-2">
+                    {review.rating}/5
+                  </span>
+                </div>
+
+                {/* Review Comment */}
+                <p className="text-gray-600 leading-relaxed whitespace-pre-line">
+                  {review.comment}
+                </p>
+
+                {/* Helpful / Report */}
+                <div className="mt-3 flex flex-wrap items-center gap-3 text-sm">
+                  <button
+                    onClick={() => showResult(toggleReviewHelpful(review.id))}
+                    disabled={isOwn}
+                    aria-pressed={Boolean(voted)}
+                    className={`flex items-center space-x-1.5 px-3 py-1 rounded-lg border transition-colors disabled:opacity-50 ${
+                      voted ? 'bg-black text-white border-black' : 'border-gray-300 text-gray-700 hover:border-black'
+                    }`}
+                  >
+                    <ThumbsUp size={14} />
+                    <span>Helpful ({review.helpful.length})</span>
+                  </button>
+                  {user && !isOwn && reporting !== review.id && (
+                    <button
+                      onClick={() => setReporting(review.id)}
+                      className="flex items-center space-x-1 text-gray-500 hover:text-black"
+                    >
+                      <Flag size={14} />
+                      <span>Report</span>
+                    </button>
+                  )}
+                </div>
+
+                {reporting === review.id && (
+                  <form onSubmit={handleReport} className="mt-3 flex flex-col sm:flex-row gap-2">
+                    <input
+                      type="text"
+                      value={reportReason}
+                      onChange={(e) => setReportReason(e.target.value)}
+                      placeholder="Why should a librarian look at this review?"
+                      aria-label="Report reason"
+                      className="flex-1 px-3 py-2 border-2 border-gray-200 rounded-xl text-sm focus:outline-none focus:border-black"
+                    />
+                    <button type="submit" className="px-4 py-2 bg-black text-white rounded-xl text-sm font-semibold">
+                      Send Report
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => setReporting(null)}
+                      className="px-4 py-2 bg-gray-200 text-gray-700 rounded-xl text-sm font-semibold"
+                    >
+                      Cancel
+                    </button>
+                  </form>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default BookReviews;
@@ -26,6 +26,7 @@
 import { Link } from 'react-router-dom';
 // Import Lucide icons for social media and branding
 import { BookOpen, Github, Twitter, Linkedin, Mail } from 'lucide-react';
+import { getWeeklySchedule } from '../services/calendar';
 
 /**
  * Footer Component
@@ -129,7 +130,9 @@ function Footer() {
               <li>📍 123 Book Street</li>
               <li>📞 (123) 456-7890</li>
               <li>📧 info@booknest.com</li>
-              <li>🕒 Mon-Fri: 9AM - 6PM</li>
+              {getWeeklySchedule({ short: true }).map((row) => (
+                <li key={row.label}>🕒 {row.label}: {row.hours}</li>
+              ))}
             </ul>
           </div>
 
@@ -0,0 +1,31 @@
+/**
+ * Highlight Component
+ *
+ * PURPOSE:
+ * Renders text with the words that matched a search marked, using the
+ * parts from services/search (highlight() or snippet()).
+ *
+ * PROPS:
+ * - parts: [{ text, match }] - when missing, `text` is shown as is
+ * - text: Fallback plain text
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - <mark> is the HTML element for highlighted text (screen readers know it)
+ * - Index keys are fine here: the parts list is rebuilt, never reordered
+ */
+
+function Highlight({ parts, text = '' }) {
+  if (!parts) return text;
+
+  return parts.map((part, i) =>
+    part.match ? (
+      <mark key={i} className="bg-gray-200 text-black rounded-sm px-0.5">
+        {part.text}
+      </mark>
+    ) : (
+      <span key={i}>{part.text}</span>
+    )
+  );
+}
+
+export default Highlight;
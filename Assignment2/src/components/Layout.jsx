@@ -38,6 +38,7 @@ import { Outlet } from 'react-router-dom';
 // Import the Navbar and Footer components
 import Navbar from './Navbar';
 import Footer from './Footer';
+import OfflineStatus from './OfflineStatus';
 
 /**
  * Layout Component
@@ -74,6 +75,13 @@ function Layout() {
       */}
       <Navbar />
 
+      {/*
+        ===== OFFLINE STATUS =====
+        Only shown while offline, or when actions saved offline are still
+        waiting or could not be completed
+      */}
+      <OfflineStatus />
+
       {/* 
         ===== MAIN CONTENT AREA =====
         This is where page content renders
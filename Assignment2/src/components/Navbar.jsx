@@ -11,6 +11,7 @@
  * 3. Theme toggle button (light/dark mode)
  * 4. Login/Logout based on authentication state
  * 5. Active route highlighting
+ * 6. Notification bell for signed-in users
  * 
  * RESPONSIVE BEHAVIOR:
  * - Mobile (<768px): Hamburger menu, collapsible navigation
@@ -33,6 +34,7 @@ import { useTheme } from '../context/ThemeContext';
 import { useAuth } from '../context/AuthContext';
 import { useBooks } from '../context/BookContext';
 import { useWishlist } from '../context/WishlistContext';
+import NotificationBell from './NotificationBell';
 
 /**
  * Navbar Component
@@ -57,12 +59,12 @@ function Navbar() {
    * 
    * Access global state from Context API:
    * - theme, toggleTheme: For dark mode toggle
-   * - user, logout, isAuthenticated: For auth display
+   * - user, logout, isAuthenticated, isStaff: For auth display
    * - cart: For cart item count
    * - wishlist: For wishlist item count
    */
   const { theme, toggleTheme } = useTheme();
-  const { user, logout, isAuthenticated } = useAuth();
+  const { user, logout, isAuthenticated, isStaff } = useAuth();
   const { cart } = useBooks();
   const { getWishlistCount } = useWishlist();
 
@@ -118,6 +120,8 @@ function Navbar() {
     { to: '/reservations', label: 'My Books' },
     { to: '/history', label: 'History' },
     { to: '/contact', label: 'Contact' },
+    // Library console link only for librarians and admins
+    ...(isStaff() ? [{ to: '/admin', label: 'Admin' }] : []),
   ];
 
   return (
@@ -191,6 +195,9 @@ function Navbar() {
               )}
             </Link>
 
+            {/* Notifications (signed-in users) */}
+            {isAuthenticated() && <NotificationBell />}
+
             {/* History Button */}
             <Link
               to="/history"
@@ -0,0 +1,196 @@
+/**
+ * NotificationBell Component
+ *
+ * PURPOSE:
+ * Bell icon in the Navbar with an unread count. Clicking it opens the
+ * notification center: due-date reminders, hold updates, cancelled
+ * reservations and review decisions, kept until the user deletes them.
+ *
+ * FEATURES:
+ * 1. Unread badge
+ * 2. All / Unread filter
+ * 3. Clicking a notification marks it read and follows its link
+ * 4. Mark all as read / clear read / remove single notifications
+ * 5. Settings link (Notification Settings page)
+ * 6. Closes on outside click or Escape
+ * 7. Opens the link of a browser notification the patron clicked
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - useRef + document listener: detects clicks outside the panel
+ * - The service worker posts 'booknest:open' to this tab when a browser
+ *   notification is clicked; the bell is inside the router, so it navigates
+ * - Notifications and preferences come from NotificationContext (stored per user)
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Bell, X, Settings } from 'lucide-react';
+import { useNotifications } from '../context/NotificationContext';
+import { NOTIFICATION_TYPES } from '../services/notifications';
+
+function NotificationBell() {
+  const {
+    notifications,
+    unreadCount,
+    markAsRead,
+    markAllAsRead,
+    removeNotification,
+    clearRead,
+  } = useNotifications();
+  const navigate = useNavigate();
+  const [isOpen, setIsOpen] = useState(false);
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const panelRef = useRef(null);
+
+  const shown = unreadOnly ? notifications.filter((item) => !item.read) : notifications;
+  const hasRead = notifications.some((item) => item.read);
+
+  /**
+   * Effect: Close on outside click or Escape
+   */
+  useEffect(() => {
+    if (!isOpen) return;
+
+    const handleClick = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) setIsOpen(false);
+    };
+    const handleKey = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleClick);
+    document.addEventListener('keydown', handleKey);
+    return () => {
+      document.removeEventListener('mousedown', handleClick);
+      document.removeEventListener('keydown', handleKey);
+    };
+  }, [isOpen]);
+
+  /**
+   * Effect: Follow clicked browser notifications (message from public/sw.js)
+   */
+  useEffect(() => {
+    if (!('serviceWorker' in navigator)) return;
+
+    const handleMessage = (event) => {
+      if (event.data?.type !== 'booknest:open') return;
+      const { id, link } = event.data.notification;
+      markAsRead(id);
+      if (link) navigate(link);
+    };
+
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [markAsRead, navigate]);
+
+  const handleOpen = (notification) => {
+    markAsRead(notification.id);
+    if (notification.link) {
+      setIsOpen(false);
+      navigate(notification.link);
+    }
+  };
+
+  return (
+    <div className="relative" ref={panelRef}>
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 text-gray-700 hover:bg-gray-100 rounded-xl transition-all"
+        aria-label={`Notifications${unreadCount > 0 ? ` (${unreadCount} unread)` : ''}`}
+        aria-expanded={isOpen}
+      >
+        <Bell size={20} />
+        {unreadCount > 0 && (
+          <span className="absolute -top-1 -right-1 bg-black text-white text-xs font-bold rounded-full h-4 min-w-4 px-1 flex items-center justify-center">
+            {unreadCount > 9 ? '9+' : unreadCount}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white border border-gray-200 rounded-xl shadow-lg z-50">
+          <div className="flex items-center justify-between px-4 py-3 border-b border-gray-200">
+            <p className="font-semibold text-black">Notifications</p>
+            <div className="flex items-center space-x-3">
+              {unreadCount > 0 && (
+                <button
+                  onClick={markAllAsRead}
+                  className="text-xs font-semibold text-gray-600 hover:text-black"
+                >
+                  Mark all as read
+                </button>
+              )}
+              <button
+                onClick={() => {
+                  setIsOpen(false);
+                  navigate('/settings/notifications');
+                }}
+                className="p-1 text-gray-600 hover:text-black"
+                aria-label="Notification settings"
+              >
+                <Settings size={16} />
+              </button>
+            </div>
+          </div>
+
+          {/* Filter */}
+          <div className="flex items-center justify-between px-4 py-2 border-b border-gray-100 text-xs">
+            <div className="flex space-x-1">
+              {[['All', false], ['Unread', true]].map(([label, value]) => (
+                <button
+                  key={label}
+                  onClick={() => setUnreadOnly(value)}
+                  aria-pressed={unreadOnly === value}
+                  className={`px-2.5 py-1 rounded-lg font-semibold ${
+                    unreadOnly === value ? 'bg-black text-white' : 'text-gray-600 hover:bg-gray-100'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+            {hasRead && (
+              <button onClick={clearRead} className="font-semibold text-gray-600 hover:text-black">
+                Clear read
+              </button>
+            )}
+          </div>
+
+          {shown.length === 0 ? (
+            <p className="px-4 py-8 text-center text-sm text-gray-500">
+              {unreadOnly ? 'No unread notifications' : 'No notifications yet'}
+            </p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-100">
+              {shown.map((notification) => (
+                <li key={notification.id} className={`flex ${notification.read ? '' : 'bg-gray-50'}`}>
+                  <button
+                    onClick={() => handleOpen(notification)}
+                    className="flex-1 text-left px-4 py-3 hover:bg-gray-100 transition-colors"
+                  >
+                    <p className={`text-sm ${notification.read ? 'text-gray-700' : 'font-semibold text-black'}`}>
+                      {notification.title}
+                    </p>
+                    <p className="text-xs text-gray-600 mt-0.5">{notification.message}</p>
+                    <p className="text-xs text-gray-400 mt-1">
+                      {NOTIFICATION_TYPES[notification.type]?.label ?? 'Notice'} · {new Date(notification.date).toLocaleString()}
+                    </p>
+                  </button>
+                  <button
+                    onClick={() => removeNotification(notification.id)}
+                    className="p-3 text-gray-400 hover:text-black"
+                    aria-label="Remove notification"
+                  >
+                    <X size={14} />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default NotificationBell;
@@ -0,0 +1,103 @@
+/**
+ * OfflineStatus Component
+ *
+ * PURPOSE:
+ * Banner under the Navbar that explains what works while offline and what
+ * happened to actions saved offline.
+ *
+ * SHOWS:
+ * 1. Offline: what still works, and how many actions are waiting
+ * 2. Online with actions still waiting (e.g. sending from another tab)
+ * 3. Conflicts: actions that failed on replay, each with its reason
+ * Renders nothing when online with an empty queue.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Reads everything from OfflineContext; no state of its own except
+ *   whether the details list is open
+ */
+
+import { useState } from 'react';
+import { WifiOff, AlertTriangle, ChevronDown, ChevronUp, X } from 'lucide-react';
+import { useOffline } from '../context/OfflineContext';
+
+function OfflineStatus() {
+  const { isOnline, pending, conflicts, discardAction, dismissConflicts } = useOffline();
+  const [showDetails, setShowDetails] = useState(false);
+
+  const items = [...conflicts, ...pending];
+  if (isOnline && items.length === 0) return null;
+
+  const waiting = `${pending.length} saved ${pending.length === 1 ? 'action' : 'actions'}`;
+  let message;
+  if (!isOnline) {
+    message = `You're offline. You can browse saved books and build your cart; reservations, cancellations and renewals are saved and sent when you reconnect${pending.length > 0 ? ` (${waiting} waiting)` : ''}.`;
+  } else if (conflicts.length > 0) {
+    message = `${conflicts.length} ${conflicts.length === 1 ? 'action' : 'actions'} you made offline could not be completed.`;
+  } else {
+    message = `Sending ${waiting}...`;
+  }
+
+  return (
+    <div
+      role="status"
+      className={`w-full px-4 py-3 text-sm ${!isOnline ? 'bg-black text-white' : 'bg-yellow-50 text-yellow-900 border-b border-yellow-200'}`}
+    >
+      <div className="max-w-7xl mx-auto">
+        <div className="flex items-start justify-between gap-3">
+          <p className="flex items-start space-x-2">
+            {!isOnline
+              ? <WifiOff size={18} className="flex-shrink-0 mt-0.5" />
+              : <AlertTriangle size={18} className="flex-shrink-0 mt-0.5" />}
+            <span>{message}</span>
+          </p>
+          {items.length > 0 && (
+            <button
+              onClick={() => setShowDetails(!showDetails)}
+              className="flex items-center space-x-1 font-semibold whitespace-nowrap"
+              aria-expanded={showDetails}
+            >
+              <span>{showDetails ? 'Hide' : 'Details'}</span>
+              {showDetails ? <ChevronUp size={16} /> : <ChevronDown size={16} />}
+            </button>
+          )}
+        </div>
+
+        {showDetails && items.length > 0 && (
+          <ul className="mt-3 space-y-2">
+            {items.map((action) => (
+              <li
+                key={action.id}
+                className={`flex items-start justify-between gap-3 p-3 rounded-xl ${!isOnline ? 'bg-gray-800' : 'bg-white border border-yellow-200'}`}
+              >
+                <div>
+                  <p className="font-semibold">{action.summary}</p>
+                  <p className="text-xs opacity-80">
+                    {action.status === 'conflict'
+                      ? action.conflict
+                      : `Saved ${new Date(action.queuedAt).toLocaleString()} - waiting to be sent`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => discardAction(action.id)}
+                  className="p-1 opacity-70 hover:opacity-100"
+                  aria-label={action.status === 'conflict' ? 'Dismiss' : 'Discard saved action'}
+                >
+                  <X size={16} />
+                </button>
+              </li>
+            ))}
+            {conflicts.length > 1 && (
+              <li>
+                <button onClick={dismissConflicts} className="text-xs font-semibold underline">
+                  Dismiss all problems
+                </button>
+              </li>
+            )}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OfflineStatus;
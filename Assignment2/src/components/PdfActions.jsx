@@ -0,0 +1,66 @@
+/**
+ * PdfActions Component
+ *
+ * PURPOSE:
+ * The "Download" and "Print" buttons for a printable document (receipt,
+ * loan slip, date due slip). Used wherever BookNest prints something, so
+ * every page offers the same two actions with the same behaviour.
+ *
+ * PROPS:
+ * - createPdf: () => Blob | Promise<Blob> - builds the PDF (services/pdf)
+ * - filename: Download name, e.g. 'receipt-RES-AB12C.pdf'
+ * - label: What is being printed, e.g. 'Receipt' ("Download Receipt")
+ * - className: Classes for both buttons (defaults to outlined buttons)
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - The PDF is only built when a button is pressed
+ * - busy state disables both buttons while the PDF is being made
+ */
+
+import { useState } from 'react';
+import { Download, Printer } from 'lucide-react';
+import { useToast } from '../context/ToastContext';
+import { downloadPdf, printPdf } from '../services/pdf';
+
+const DEFAULT_BUTTON_CLASS =
+  'flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] border-2 border-gray-200 text-gray-700 rounded-xl hover:bg-gray-50 transition-colors text-sm disabled:opacity-50';
+
+function PdfActions({ createPdf, filename, label, className = DEFAULT_BUTTON_CLASS }) {
+  const { showToast } = useToast();
+  const [busy, setBusy] = useState(false);
+
+  /**
+   * Builds the PDF, then downloads or prints it
+   */
+  const run = async (action) => {
+    setBusy(true);
+    try {
+      const blob = await createPdf();
+      if (action === 'print') {
+        printPdf(blob);
+      } else {
+        downloadPdf(blob, filename);
+      }
+    } catch (error) {
+      console.error('Error creating PDF:', error);
+      showToast(`Could not create the ${label.toLowerCase()} PDF`, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <>
+      <button onClick={() => run('download')} disabled={busy} className={className}>
+        <Download size={16} />
+        <span>Download {label}</span>
+      </button>
+      <button onClick={() => run('print')} disabled={busy} className={className}>
+        <Printer size={16} />
+        <span>Print {label}</span>
+      </button>
+    </>
+  );
+}
+
+export default PdfActions;
@@ -0,0 +1,58 @@
+/**
+ * PickupQrCode Component
+ *
+ * PURPOSE:
+ * The signed pickup QR code for a receipt, shown on the confirmation page
+ * and in My Receipts. The librarian scanner (/admin/scan) reads it.
+ *
+ * PROPS:
+ * - value: Signed code text from useSignedQrCode (null while signing)
+ * - id: id for the <svg>, used to download it as an image
+ * - size: Width/height in pixels (default 220)
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Signing is async (useSignedQrCode), so a placeholder is shown first
+ * - Without a signing key (production, services/qr) no code is shown
+ * - Level M error correction: the signed code is long, and fewer
+ *   error-correction modules keep it easy to scan at this size
+ */
+
+import { QRCodeSVG } from 'qrcode.react';
+import { isQrSigningAvailable } from '../services/qr';
+
+function PickupQrCode({ value, id, size = 220 }) {
+  // Production build without a signing key: the desk looks up the ID instead
+  if (!isQrSigningAvailable()) {
+    return (
+      <div
+        style={{ width: size, height: size }}
+        className="flex items-center justify-center text-center text-sm text-gray-500 p-4"
+      >
+        QR codes are unavailable - give your reservation ID at the desk.
+      </div>
+    );
+  }
+
+  if (!value) {
+    return (
+      <div
+        style={{ width: size, height: size }}
+        className="flex items-center justify-center text-sm text-gray-500"
+      >
+        Preparing code...
+      </div>
+    );
+  }
+
+  return (
+    <QRCodeSVG
+      id={id}
+      value={value}
+      size={size}
+      level="M"
+      includeMargin={true}
+    />
+  );
+}
+
+export default PickupQrCode;
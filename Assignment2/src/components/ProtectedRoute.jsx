@@ -0,0 +1,105 @@
+/**
+ * ProtectedRoute Component - Route Guard
+ *
+ * PURPOSE:
+ * Wraps routes that need a logged-in user (and optionally a role).
+ * Pages no longer have to check `user` themselves.
+ *
+ * BEHAVIOUR:
+ * 1. While the saved session is loading: render nothing (no flash, no redirect)
+ * 2. Not logged in: redirect to /login, remembering the requested location
+ *    in router state ({ from }) so Login can send the user back afterwards
+ * 3. Logged in without a required role: show an "access restricted" message
+ * 4. Otherwise: render the protected page
+ *
+ * USAGE:
+ * As a layout route (protects every child route):
+ *   <Route element={<ProtectedRoute />}>
+ *     <Route path="dashboard" element={<Dashboard />} />
+ *   </Route>
+ *
+ * With a role requirement:
+ *   <Route element={<ProtectedRoute roles={['librarian', 'admin']} />}>...</Route>
+ *
+ * Around a single element:
+ *   <Route path="users" element={<ProtectedRoute roles={['admin']}><AdminUsers /></ProtectedRoute>} />
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - <Navigate />: Declarative redirect from React Router
+ * - useLocation: The location the user was trying to reach
+ * - Outlet: Renders child routes when used as a layout route
+ */
+
+import { Link, Navigate, Outlet, useLocation } from 'react-router-dom';
+import { ShieldAlert } from 'lucide-react';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * ProtectedRoute
+ *
+ * @param {Object} props
+ * @param {string[]} [props.roles] - Roles allowed on this route (any logged-in user if omitted)
+ * @param {React.ReactNode} [props.children] - Element to protect (defaults to <Outlet />)
+ */
+function ProtectedRoute({ roles, children }) {
+  const { loading, isAuthenticated, hasRole } = useAuth();
+  const location = useLocation();
+
+  // Wait for the saved session before deciding anything
+  if (loading) return null;
+
+  // Not logged in: go to login and remember where we were heading
+  if (!isAuthenticated()) {
+    return <Navigate to="/login" replace state={{ from: location }} />;
+  }
+
+  // Logged in, but without the role this route needs
+  if (roles && !hasRole(...roles)) {
+    return (
+      <div className="min-h-[70vh] flex items-center justify-center px-4 py-8 bg-gray-50">
+        <div className="w-full max-w-md bg-white rounded-xl shadow-lg p-6 md:p-8 border border-gray-200 text-center">
+          <div className="inline-flex items-center justify-center w-14 h-14 bg-black rounded-full mb-4">
+            <ShieldAlert className="text-white" size={28} />
+          </div>
+          <h1 className="text-2xl font-bold text-black mb-2">Access Restricted</h1>
+          <p className="text-gray-600 mb-6">
+            This page is only available to: {roles.join(', ')}.
+          </p>
+          <Link
+            to="/"
+            className="inline-block px-6 py-3 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors font-semibold"
+          >
+            Back to Home
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  return children ?? <Outlet />;
+}
+
+export default ProtectedRoute;
+
+/**
+ * VIVA EXPLANATION SUMMARY:
+ *
+ * Q: How does redirect-after-login work?
+ * A: When a guest opens /history, ProtectedRoute renders
+ *    <Navigate to="/login" state={{ from: location }} />.
+ *    Login reads location.state.from after a successful sign in and
+ *    navigates there instead of the home page.
+ *
+ * Q: Why `replace` on the redirect?
+ * A: It replaces the protected URL in browser history, so pressing Back
+ *    on the login page doesn't bounce the user straight back to /login.
+ *
+ * Q: Why return null while loading?
+ * A: The session is read from storage asynchronously. Redirecting before
+ *    it has loaded would send logged-in users to /login on every refresh.
+ *
+ * Q: How are role requirements declared?
+ * A: Per route, with the roles prop: <ProtectedRoute roles={['admin']} />.
+ *    Nested guards combine, so /admin/users can require admin while the
+ *    rest of /admin only requires librarian or admin.
+ */
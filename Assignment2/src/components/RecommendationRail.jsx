@@ -0,0 +1,53 @@
+/**
+ * RecommendationRail Component
+ *
+ * PURPOSE:
+ * A titled row of suggested books (Home and BookDetails). Under each card
+ * it says why the book was suggested, so recommendations never feel random.
+ *
+ * PROPS:
+ * - title: Rail heading, e.g. "Because you borrowed Dune"
+ * - subtitle: (optional) Smaller text under the heading
+ * - items: [{ book, reasons }] from services/recommendations
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Component composition: reuses BookCard for each suggestion
+ * - Renders nothing when there are no items (caller needn't check)
+ */
+
+import { Sparkles } from 'lucide-react';
+import BookCard from './BookCard';
+
+function RecommendationRail({ title, subtitle, items }) {
+  if (!items || items.length === 0) return null;
+
+  return (
+    <div className="mb-14 last:mb-0">
+      <div className="mb-6">
+        <h3 className="text-2xl md:text-3xl font-bold text-black tracking-tight">
+          {title}
+        </h3>
+        {subtitle && <p className="text-gray-600 mt-1">{subtitle}</p>}
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-6 lg:gap-8">
+        {items.map(({ book, reasons }) => (
+          <div key={book.id} className="flex flex-col">
+            <BookCard book={book} />
+            {reasons.length > 0 && (
+              <p
+                className="mt-2 flex items-start space-x-1.5 text-xs text-gray-600"
+                title={reasons.join('\n')}
+              >
+                <Sparkles size={14} className="flex-shrink-0 mt-0.5" />
+                <span>{reasons[0]}</span>
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default RecommendationRail;
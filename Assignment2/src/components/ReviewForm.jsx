@@ -0,0 +1,113 @@
+/**
+ * ReviewForm Component
+ *
+ * PURPOSE:
+ * Star rating + comment form for posting or editing the user's review of a
+ * book. Used on BookDetails and in History (returned books).
+ *
+ * PROPS:
+ * - bookId: Book being reviewed
+ * - existing: (optional) The user's current review - the form edits it
+ * - onDone: (optional) Called after saving or cancelling
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Controlled inputs for rating and comment
+ * - Validation lives in services/reviews; errors come back from
+ *   submitReview() and are shown under the fields
+ */
+
+import { useState } from 'react';
+import { Star } from 'lucide-react';
+import { useBooks } from '../context/BookContext';
+import { useToast } from '../context/ToastContext';
+import { COMMENT_LIMITS } from '../services/reviews';
+
+function ReviewForm({ bookId, existing, onDone }) {
+  const { submitReview } = useBooks();
+  const { showToast } = useToast();
+
+  const [rating, setRating] = useState(existing?.rating ?? 0);
+  const [hoverRating, setHoverRating] = useState(0);
+  const [comment, setComment] = useState(existing?.comment ?? '');
+  const [errors, setErrors] = useState({});
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const result = submitReview(bookId, { rating, comment });
+    setErrors(result.errors ?? {});
+    if (!result.errors) showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) onDone?.();
+  };
+
+  const shownRating = hoverRating || rating;
+
+  return (
+    <form onSubmit={handleSubmit} className="p-4 bg-white border border-gray-200 rounded-xl space-y-3">
+      {/* Star picker */}
+      <div>
+        <p className="text-sm font-semibold text-black mb-1">Your rating</p>
+        <div className="flex items-center space-x-1" onMouseLeave={() => setHoverRating(0)}>
+          {[1, 2, 3, 4, 5].map(value => (
+            <button
+              key={value}
+              type="button"
+              onClick={() => setRating(value)}
+              onMouseEnter={() => setHoverRating(value)}
+              aria-label={`${value} star${value === 1 ? '' : 's'}`}
+              aria-pressed={rating === value}
+              className="p-0.5"
+            >
+              <Star
+                size={24}
+                className={value <= shownRating ? 'fill-yellow-400 text-yellow-400' : 'text-gray-300'}
+              />
+            </button>
+          ))}
+        </div>
+        {errors.rating && <p className="text-sm text-red-600 mt-1">{errors.rating}</p>}
+      </div>
+
+      {/* Comment */}
+      <div>
+        <label htmlFor={`review-${bookId}`} className="text-sm font-semibold text-black">
+          Your review
+        </label>
+        <textarea
+          id={`review-${bookId}`}
+          value={comment}
+          onChange={(e) => setComment(e.target.value)}
+          rows={4}
+          maxLength={COMMENT_LIMITS.max}
+          placeholder="What did you think of this book?"
+          className={`mt-1 w-full px-3 py-2 border-2 rounded-xl focus:outline-none focus:border-black ${
+            errors.comment ? 'border-red-500' : 'border-gray-200'
+          }`}
+        />
+        <div className="flex justify-between text-xs mt-1">
+          <span className="text-red-600">{errors.comment}</span>
+          <span className="text-gray-500">{comment.trim().length}/{COMMENT_LIMITS.max}</span>
+        </div>
+      </div>
+
+      <div className="flex gap-2">
+        <button
+          type="submit"
+          className="px-4 py-2 bg-black text-white rounded-xl font-semibold hover:bg-gray-800 transition-colors"
+        >
+          {existing ? 'Save Changes' : 'Post Review'}
+        </button>
+        {onDone && (
+          <button
+            type="button"
+            onClick={onDone}
+            className="px-4 py-2 bg-gray-200 text-gray-700 rounded-xl font-semibold hover:bg-gray-300 transition-colors"
+          >
+            Cancel
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default ReviewForm;
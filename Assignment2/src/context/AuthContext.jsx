@@ -3,27 +3,71 @@
  * 
  * PURPOSE:
  * We use AuthContext to simulate user session storage since no backend exists.
- * This manages user login state and persists sessions using localStorage.
+ * This manages user login state and persists sessions through the storage layer.
  * 
  * WHY THIS IS NEEDED:
  * - Many components need to know if a user is logged in (Navbar, protected pages, etc.)
  * - Login state needs to persist across page refreshes
  * - Context prevents passing user data through every component
  * 
+ * ACCOUNTS:
+ * - Users register with a username and password
+ * - Passwords are stored as salted PBKDF2 hashes (see services/auth)
+ * - Login checks the password hash before starting a session
+ * 
+ * ROLES:
+ * - patron: regular borrower (default)
+ * - librarian: can open the /admin console and manage every user's loans
+ * - admin: everything a librarian can do, plus assigning roles
+ * 
+ * SESSIONS:
+ * - Each session expires a fixed time after login (session lifetime)
+ * - It also ends after a period without activity (idle timeout), with a
+ *   warning toast shortly before
+ * - Login and logout sync across open tabs through storage subscriptions
+ * - Timings are configurable (see services/auth/session.js)
+ * 
  * IN A REAL APP:
- * - We would have a backend API for authentication
+ * - Accounts would live on a backend server, not in the browser
  * - We would use JWT tokens or session cookies
- * - Passwords would be encrypted
- * - This is a simplified version for learning purposes
+ * - Hashing would happen server-side as well
  * 
  * KEY CONCEPTS FOR VIVA:
  * 1. useState: Stores current user information
- * 2. useEffect: Loads saved session on app start
- * 3. localStorage: Persists login session across browser sessions
+ * 2. usePersistentState: Loads saved session on app start and saves changes
+ * 3. Storage layer: Persists login session (localStorage by default)
  * 4. Context API: Makes auth state globally accessible
  */
 
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useEffect, useCallback } from 'react';
+import usePersistentState from '../hooks/usePersistentState';
+import storage from '../services/storage';
+import { useToast } from './ToastContext';
+import { clearSavedCalendars } from '../services/ical';
+import {
+  authenticate,
+  createAccount,
+  findAccount,
+  listAccounts,
+  setAccountRole,
+  changePassword as updatePassword,
+  DEFAULT_ROLE,
+} from '../services/auth/accounts';
+import {
+  ACTIVITY_KEY,
+  ACTIVITY_SAVE_INTERVAL_MS,
+  IDLE_TIMEOUT_MS,
+  IDLE_WARNING_MS,
+  SESSION_LIFETIME_MS,
+  getSessionExpiry,
+  formatDuration,
+} from '../services/auth/session';
+
+// DOM events that count as user activity for the idle timeout
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+
+// How often the session is checked for expiry
+const SESSION_CHECK_INTERVAL_MS = 5 * 1000;
 
 // Step 1: Create the Context
 // This is the "container" that will store authentication data
@@ -46,89 +90,271 @@ export function AuthProvider({ children }) {
    * - null: No user logged in
    * - object: User is logged in, contains user data
    * 
-   * Initial value loads from localStorage to restore previous session
+   * usePersistentState loads the saved session from the storage layer
+   * and saves every change back (null removes the saved session).
+   * The third value tells us when the saved session has finished loading.
    */
-  const [user, setUser] = useState(() => {
-    // Try to load saved user session from localStorage
-    const savedUser = localStorage.getItem('booknest-user');
-    
-    // localStorage stores strings, so we parse JSON back to object
-    // If no saved user exists, return null (not logged in)
-    return savedUser ? JSON.parse(savedUser) : null;
-  });
+  const [user, setUser, userReady] = usePersistentState('booknest-user', null);
+  const { showToast, removeToast } = useToast();
 
   /**
    * Loading State
    * 
    * Tracks if we're in the process of checking authentication.
-   * Useful for showing loading spinners or preventing premature redirects.
-   * Set to false initially since we load from localStorage synchronously.
+   * Storage adapters are async, so this stays true until the saved session
+   * has been read. Use it to avoid premature redirects or flashing the guest UI.
+   */
+  const loading = !userReady;
+
+  /**
+   * useEffect: Verify Restored Session
    * 
-   * Note: Currently not used but available for future async authentication
+   * Sessions saved before accounts existed (or for a deleted account) are
+   * not tied to a registered user. Once the saved session has loaded,
+   * check it against the accounts store and end it if it doesn't match.
+   * The role is also refreshed, so a promotion or demotion by an admin
+   * applies the next time the session is restored. If the accounts store
+   * can't be read, the session is kept and the user is told.
    */
-  const [loading] = useState(false);
+  // The account fields the check needs (the session's times don't matter here)
+  const sessionUsername = user?.username;
+  const sessionAccountId = user?.id;
+  const sessionRole = user?.role;
+
+  useEffect(() => {
+    if (!userReady || !sessionUsername) return;
+
+    let cancelled = false;
+    findAccount(sessionUsername).then((account) => {
+      if (cancelled) return;
+      if (!account || account.id !== sessionAccountId) {
+        setUser(null);
+      } else if (account.role !== sessionRole) {
+        setUser((prev) => prev && { ...prev, role: account.role });
+      }
+    }).catch((error) => {
+      if (cancelled) return;
+      console.error('Error checking the saved session:', error);
+      showToast('Could not check your account - you are still signed in, but some details may be out of date', 'warning', 6000);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userReady, sessionUsername, sessionAccountId, sessionRole, setUser, showToast]);
 
   /**
-   * useEffect: Persist User Session
+   * useEffect: Session Expiry & Idle Timeout
    * 
-   * Whenever the user state changes, save it to localStorage.
-   * This ensures the session persists across:
-   * - Page refreshes
-   * - Closing and reopening the browser
-   * - Navigating between pages
+   * While someone is logged in:
+   * 1. Listen for activity (mouse, keyboard, touch, scroll) and share the
+   *    latest activity time with other tabs through the storage layer
+   * 2. Every few seconds, end the session if it has passed its lifetime
+   *    or nobody has been active for IDLE_TIMEOUT_MS
+   * 3. Shortly before the idle logout, show a warning toast that stays
+   *    until the user does something (or is logged out)
    * 
-   * Runs every time 'user' value changes
+   * Logging out sets user to null, which the storage layer passes on to
+   * every other open tab.
    */
+  const sessionExpiry = user ? getSessionExpiry(user) : null;
+
   useEffect(() => {
-    if (user) {
-      // User is logged in: Save to localStorage
-      // JSON.stringify converts the user object to a string for storage
-      localStorage.setItem('booknest-user', JSON.stringify(user));
-    } else {
-      // User is logged out: Remove from localStorage
-      localStorage.removeItem('booknest-user');
+    if (sessionExpiry === null) return;
+
+    let lastActivity = Date.now();
+    let lastSaved = 0;
+    let warningId = null;
+    let ended = false;
+
+    const dismissWarning = () => {
+      if (warningId !== null) {
+        removeToast(warningId);
+        warningId = null;
+      }
+    };
+
+    const endSession = (message) => {
+      if (ended) return;
+      ended = true;
+      dismissWarning();
+      storage.remove(ACTIVITY_KEY).catch(() => {});
+      setUser(null);
+      showToast(message, 'warning', 6000);
+    };
+
+    const checkSession = () => {
+      if (ended) return;
+      const now = Date.now();
+
+      if (now >= sessionExpiry) {
+        endSession('Your session has expired. Please sign in again.');
+        return;
+      }
+
+      const idleFor = now - lastActivity;
+      if (idleFor >= IDLE_TIMEOUT_MS) {
+        endSession(`You were signed out after ${formatDuration(IDLE_TIMEOUT_MS)} of inactivity.`);
+      } else if (idleFor >= IDLE_TIMEOUT_MS - IDLE_WARNING_MS && warningId === null) {
+        warningId = showToast(
+          `You will be signed out in ${formatDuration(IDLE_TIMEOUT_MS - idleFor)} due to inactivity. Move the mouse or press a key to stay signed in.`,
+          'warning',
+          0
+        );
+      }
+    };
+
+    const recordActivity = () => {
+      const now = Date.now();
+      lastActivity = now;
+      dismissWarning();
+
+      // Share with other tabs, but not on every mouse move
+      if (now - lastSaved >= ACTIVITY_SAVE_INTERVAL_MS) {
+        lastSaved = now;
+        storage.set(ACTIVITY_KEY, now).catch((error) => {
+          console.error('Error saving activity time:', error);
+        });
+      }
+    };
+
+    // Activity in other tabs keeps this tab signed in too
+    const unsubscribe = storage.subscribe(ACTIVITY_KEY, (value) => {
+      if (typeof value === 'number' && value > lastActivity) {
+        lastActivity = value;
+        dismissWarning();
+      }
+    });
+
+    // A restored session continues from the last activity in any tab
+    storage.get(ACTIVITY_KEY).then((saved) => {
+      if (typeof saved === 'number') {
+        lastActivity = saved;
+        checkSession();
+      } else {
+        recordActivity();
+      }
+    });
+
+    ACTIVITY_EVENTS.forEach((type) => {
+      window.addEventListener(type, recordActivity, { passive: true });
+    });
+    const interval = setInterval(checkSession, SESSION_CHECK_INTERVAL_MS);
+
+    return () => {
+      ended = true;
+      ACTIVITY_EVENTS.forEach((type) => {
+        window.removeEventListener(type, recordActivity);
+      });
+      clearInterval(interval);
+      unsubscribe();
+      dismissWarning();
+    };
+    // setUser is stable and showToast/removeToast are memoized in ToastContext,
+    // so in practice this only reruns when the session expiry changes
+  }, [sessionExpiry, setUser, showToast, removeToast]);
+
+  /**
+   * startSession Helper
+   * 
+   * Stores the logged-in account as the current session.
+   * Only public account fields are kept - never the password hash.
+   * 
+   * @param {Object} account - { username, id, role } from the accounts store
+   */
+  const startSession = (account) => {
+    const now = Date.now();
+
+    // Fresh activity time, so an old idle timestamp can't end the new session
+    storage.set(ACTIVITY_KEY, now).catch(() => {});
+
+    setUser({
+      username: account.username,        // Canonical spelling from registration
+      loginTime: new Date(now).toISOString(), // ISO timestamp of login
+      expiresAt: new Date(now + SESSION_LIFETIME_MS).toISOString(), // Hard session limit
+      id: account.id,                      // Stable account ID
+      role: account.role,                  // 'patron' | 'librarian' | 'admin'
+    });
+  };
+
+  /**
+   * register Function
+   * 
+   * Creates a new account and logs the user in.
+   * The password is hashed with PBKDF2 (Web Crypto) before it is stored.
+   * Usernames are unique regardless of letter case.
+   * 
+   * @param {string} username - Desired username
+   * @param {string} password - Chosen password (min 8 characters)
+   * @returns {Promise<Object>} { success, message }
+   */
+  const register = async (username, password) => {
+    try {
+      const account = await createAccount(username, password);
+      startSession(account);
+      return { success: true, message: `Welcome to BookNest, ${account.username}!` };
+    } catch (error) {
+      return { success: false, message: error.message };
     }
-  }, [user]); // Dependency: runs when 'user' changes
+  };
 
   /**
    * login Function
    * 
-   * Simulates user login by storing username and timestamp.
-   * In a real app, this would:
-   * 1. Send credentials to backend API
-   * 2. Receive authentication token
-   * 3. Store token securely
-   * 4. Fetch user profile data
+   * Checks the username and password against the registered accounts.
+   * On success the session is saved through the storage layer.
    * 
    * @param {string} username - The username entered by user
-   * @returns {boolean} true if login successful, false otherwise
+   * @param {string} password - The password entered by user
+   * @returns {Promise<Object>} { success, message }
    * 
-   * For Viva: Explain this is simplified - real auth needs password validation,
-   * encryption, and backend verification.
+   * For Viva: The same error is returned for an unknown username and a wrong
+   * password, so the form cannot be used to find out which usernames exist.
    */
-  const login = (username) => {
-    // Validation: Username must not be empty
-    if (!username || username.trim() === '') {
-      return false;
+  const login = async (username, password) => {
+    // Validation: Both fields are required
+    if (!username || username.trim() === '' || !password) {
+      return { success: false, message: 'Please enter your username and password' };
     }
 
-    // Create user object with basic information
-    const userData = {
-      username: username.trim(),        // Remove extra spaces
-      loginTime: new Date().toISOString(), // ISO timestamp of login
-      id: Date.now(),                    // Simple unique ID (timestamp)
-    };
+    try {
+      const account = await authenticate(username.trim(), password);
+      if (!account) {
+        return { success: false, message: 'Incorrect username or password' };
+      }
+
+      startSession(account);
+      return { success: true, message: `Welcome back, ${account.username}!` };
+    } catch (error) {
+      console.error('Error logging in:', error);
+      return { success: false, message: 'Login failed. Please try again.' };
+    }
+  };
 
-    // Update user state - triggers useEffect to save to localStorage
-    setUser(userData);
-    
-    return true; // Login successful
+  /**
+   * changePassword Function
+   * 
+   * Replaces a password after verifying the current one.
+   * Works for the logged-in user or from the Login page (username required).
+   * 
+   * @param {string} username - Account to update
+   * @param {string} currentPassword - Existing password
+   * @param {string} newPassword - New password (min 8 characters)
+   * @returns {Promise<Object>} { success, message }
+   */
+  const changePassword = async (username, currentPassword, newPassword) => {
+    try {
+      await updatePassword(username.trim(), currentPassword, newPassword);
+      return { success: true, message: 'Password updated successfully' };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
   };
 
   /**
    * logout Function
    * 
-   * Clears user session and removes data from localStorage.
+   * Clears user session and removes it from storage.
    * Also clears any user-specific data (cart will be handled by BookContext).
    * 
    * In a real app, this would:
@@ -138,11 +364,11 @@ export function AuthProvider({ children }) {
    */
   const logout = () => {
     // Set user to null (logged out state)
-    // This triggers useEffect which removes from localStorage
+    // usePersistentState removes the saved session from storage,
+    // and the storage layer tells every other open tab
     setUser(null);
-    
-    // Optional: Could also clear cart here if needed
-    // localStorage.removeItem('booknest-cart');
+    storage.remove(ACTIVITY_KEY).catch(() => {});
+    clearSavedCalendars().catch(() => {});
   };
 
   /**
@@ -159,6 +385,78 @@ export function AuthProvider({ children }) {
     return user !== null;
   };
 
+  /**
+   * hasRole Function
+   * 
+   * Checks whether the logged-in user has one of the given roles.
+   * Sessions without a role (older sessions) count as patrons.
+   * 
+   * Usage: hasRole('librarian', 'admin')
+   * 
+   * @param {...string} roles - Allowed roles
+   * @returns {boolean} true if logged in with one of the roles
+   */
+  const hasRole = (...roles) => {
+    return user !== null && roles.includes(user.role ?? DEFAULT_ROLE);
+  };
+
+  /**
+   * isStaff Function
+   * 
+   * Shortcut for hasRole('librarian', 'admin').
+   * Staff can open the /admin console and manage everyone's loans.
+   * 
+   * @returns {boolean} true if the user is a librarian or admin
+   */
+  const isStaff = () => {
+    return hasRole('librarian', 'admin');
+  };
+
+  /**
+   * getAccounts Function
+   * 
+   * Lists all registered accounts (admin only).
+   * Memoized, so pages can load accounts in an effect that depends on it.
+   * 
+   * @returns {Promise<Array>} Accounts, or an empty array for non-admins
+   */
+  const isAdmin = user?.role === 'admin';
+  const getAccounts = useCallback(async () => {
+    if (!isAdmin) return [];
+    try {
+      return await listAccounts();
+    } catch (error) {
+      console.error('Error listing accounts:', error);
+      return [];
+    }
+  }, [isAdmin]);
+
+  /**
+   * updateRole Function
+   * 
+   * Changes another account's role (admin only).
+   * Admins cannot change their own role, so they can't lock themselves out.
+   * 
+   * @param {string} username - Account to update
+   * @param {string} role - 'patron' | 'librarian' | 'admin'
+   * @returns {Promise<Object>} { success, message }
+   */
+  const updateRole = async (username, role) => {
+    if (!hasRole('admin')) {
+      return { success: false, message: 'Only admins can change roles' };
+    }
+    if (username.toLowerCase() === user.username.toLowerCase()) {
+      return { success: false, message: 'You cannot change your own role' };
+    }
+
+    try {
+      const account = await setAccountRole(username, role);
+      return { success: true, message: `${account.username} is now a ${account.role}` };
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+  };
+
   /**
    * Context Value Object
    * 
@@ -168,9 +466,15 @@ export function AuthProvider({ children }) {
   const value = {
     user,              // Current user object or null
     loading,           // Boolean: is authentication being checked?
-    login,             // Function: log user in
+    login,             // Function: log user in (username, password)
+    register,          // Function: create account and log in
+    changePassword,    // Function: change an account's password
     logout,            // Function: log user out
     isAuthenticated,   // Function: check if logged in
+    hasRole,           // Function: check for one of the given roles
+    isStaff,           // Function: check for librarian or admin
+    getAccounts,       // Function: list accounts (admin only)
+    updateRole,        // Function: change an account's role (admin only)
   };
 
   // Provider: Makes auth data available to all child components
@@ -215,17 +519,41 @@ export function useAuth() {
  * A: Since we don't have a backend, localStorage simulates session persistence.
  *    In a real app, we'd use JWT tokens or session cookies validated by a server.
  * 
+ * Q: How are passwords protected?
+ * A: Each password is hashed with PBKDF2-SHA-256 and a random salt using the
+ *    browser's Web Crypto API. Only { salt, hash, iterations } is stored.
+ *    At login we hash the entered password with the same salt and compare.
+ * 
+ * Q: How do roles work?
+ * A: Every account has a role saved with it. The role is copied into the
+ *    session at login, and hasRole()/isStaff() let components decide what
+ *    to show. The first registered account becomes admin and can promote
+ *    other users to librarian from the admin console.
+ * 
  * Q: Is this authentication secure?
- * A: No, this is for learning purposes only. Real authentication requires:
+ * A: It stops casual impersonation, but everything still lives in the browser.
+ *    Real authentication also requires:
  *    - Backend API validation
- *    - Encrypted passwords
  *    - Secure tokens (JWT)
  *    - HTTPS protocol
  *    - Protection against XSS and CSRF attacks
  * 
  * Q: What happens when user refreshes the page?
- * A: The useState initializer checks localStorage and restores the session,
- *    so the user stays logged in across page refreshes.
+ * A: usePersistentState reads the saved session from the storage layer and
+ *    restores it, so the user stays logged in across page refreshes.
+ *    'loading' is true until that read finishes.
+ * 
+ * Q: How do session expiry and the idle timeout work?
+ * A: Each session stores expiresAt (login time + lifetime). An interval
+ *    checks it every few seconds, along with the time since the last
+ *    mouse/keyboard activity. A warning toast appears one minute before the
+ *    idle logout; any activity dismisses it.
+ * 
+ * Q: How does logout reach other tabs?
+ * A: The session lives in storage under 'booknest-user'. When one tab
+ *    removes it, the browser fires a 'storage' event in the other tabs.
+ *    The storage adapter forwards it to usePersistentState, which sets
+ *    user to null there too. Login, cart and history sync the same way.
  * 
  * Q: Why use Context instead of just localStorage?
  * A: Context provides:
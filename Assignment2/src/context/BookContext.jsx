@@ -8,8 +8,21 @@
  * RESPONSIBILITIES:
  * 1. Load and provide book data to all components
  * 2. Manage cart/reservation state (add, remove, persist)
- * 3. Provide search and filter functionality
- * 4. Handle cart limit (max 5 books) and duplicate prevention
+ * 3. Provide search (ranked, typo tolerant - see services/search) and filters
+ * 4. Handle cart limit (from the borrowing policy) and duplicate prevention
+ * 5. Staff loan operations (confirm pickup, check in returns, override due dates)
+ * 6. Catalog management (add/edit/retire books, copies with barcodes, bulk import)
+ * 7. Copy inventory: each loan holds a specific copy (see services/catalog/copies)
+ * 8. Hold queue: first-come-first-served holds with a pickup window
+ *    (see services/catalog/holds) and notifications for every step
+ * 9. Overdue fines: balances worked out from loans, payments and waivers
+ *    recorded by staff (see services/fines)
+ * 10. Borrowing rules (cart limit, renewals) come from services/policy
+ * 11. Reviews: patrons who returned a book rate/review it, vote reviews
+ *     helpful and report abuse; staff hide or restore (see services/reviews).
+ *     Book ratings are the average of the published reviews.
+ * 12. Receipts: each checkout is saved as a confirmation the patron can
+ *     open again (see services/receipts)
  * 
  * WHY CONTEXT?
  * We use Context so that all components can access book data and cart
@@ -18,21 +31,75 @@
  * 
  * KEY CONCEPTS FOR VIVA:
  * 1. useState: Manages books array and cart array
- * 2. useEffect: Loads books on mount, syncs cart to localStorage
- * 3. localStorage: Persists cart across browser sessions
+ * 2. useEffect: Loads books once history is ready and recalculates stock
+ * 3. usePersistentState: Persists cart/history through the storage layer
  * 4. Array methods: filter, find, map for data operations
  * 5. Context API: Makes book data globally accessible
  */
 
-import { createContext, useContext, useState, useEffect } from 'react';
-// Import the mock book data
-import booksData from '../assets/books.json';
+import { createContext, useContext, useState, useEffect, useMemo, useCallback } from 'react';
 // Import useAuth to get current user
 import { useAuth } from './AuthContext';
+// Storage layer and the hook that keeps state in sync with it
+import storage from '../services/storage';
+import usePersistentState from '../hooks/usePersistentState';
+import { decodeCollection, encodeCollection } from '../services/schema';
+import { useToast } from './ToastContext';
+import {
+  CATALOG_KEY,
+  seedCatalog,
+  countActiveCopies,
+  countAvailableCopies,
+  countCopiesOut,
+  createCopies,
+  nextBookId,
+  validateBookFields,
+  cleanBookFields,
+  setCopyStatus,
+  reserveCopy,
+  COPY_STATUSES,
+  moveLoanCopy,
+  findLoanCopy,
+  reconcileLoanCopies,
+  transferLoanCopy,
+  isActiveHold,
+  countUnservedHolds,
+  getWaitingQueue,
+  getQueuePosition,
+  syncHolds,
+  MAX_COPIES_PER_ADD,
+} from '../services/catalog';
+import { notifyUser } from '../services/notifications';
+import {
+  FINES_LEDGER_KEY,
+  FINE_BLOCK_THRESHOLD,
+  getFineSummary,
+  createLedgerEntry,
+  allocateToFines,
+  formatMoney,
+} from '../services/fines';
+import { checkPolicy, getPolicy, createRenewal } from '../services/policy';
+import { addLoanDays, getDaySchedule, nextOpenDay } from '../services/calendar';
+import { findAccount } from '../services/auth/accounts';
+import { buildSearchIndex, searchIndex } from '../services/search';
+import {
+  REVIEWS_KEY,
+  seedReviews,
+  validateReview,
+  canReview,
+  upsertReview,
+  toggleHelpfulVote,
+  getRatingSummary,
+  getBookReviews,
+} from '../services/reviews';
+import { confirmationsKey, createConfirmation, MAX_CONFIRMATIONS } from '../services/receipts';
 
 // Step 1: Create the Context
 const BookContext = createContext();
 
+// Storage key prefix for per-user borrowing history (booknest-history-{username})
+const HISTORY_PREFIX = 'booknest-history-';
+
 /**
  * BookProvider Component
  * 
@@ -45,34 +112,51 @@ const BookContext = createContext();
  */
 export function BookProvider({ children }) {
   // Get current user to scope data per user
-  const { user } = useAuth();
+  const { user, isStaff } = useAuth();
   const userId = user?.username || 'guest';
+  const { showToast } = useToast();
 
   /**
    * Books State
    * 
-   * Stores the complete catalog of all books.
-   * Loaded from books.json on initial render.
+   * Stores the books patrons can see, with live availability.
+   * Built from the catalog (below) and every user's active loans.
    * In a real app, this would come from an API: fetch('/api/books')
    */
   const [books, setBooks] = useState([]);
 
+  /**
+   * reportQuarantine Function
+   * 
+   * Called when saved records could not be migrated or were corrupted.
+   * Those records are kept in quarantine (see services/schema) and the rest
+   * of the data still loads, so we just let the user know.
+   * 
+   * @param {Array} items - [{ record, reason }] that were set aside
+   */
+  const reportQuarantine = (items) => {
+    showToast(
+      `${items.length} saved ${items.length === 1 ? 'record was' : 'records were'} unreadable and set aside.`,
+      'warning',
+      6000
+    );
+  };
+
   /**
    * Cart State (Reservation Cart)
    * 
    * Stores books that user has reserved/added to cart.
    * Array of book objects that user intends to borrow.
    * 
-   * Initial value loads from localStorage to restore previous cart.
+   * Loaded from the storage layer by usePersistentState and saved back on change.
+   * Saved as a versioned collection so old shapes are migrated on load.
    * Now user-specific: Each user has their own cart.
    * Format: [{ id, title, author, coverUrl, ... }, ...]
    */
-  const getInitialCart = () => {
-    const savedCart = localStorage.getItem(`booknest-cart-${userId}`);
-    return savedCart ? JSON.parse(savedCart) : [];
-  };
-
-  const [cart, setCart] = useState(getInitialCart);
+  const [cart, setCart] = usePersistentState(`booknest-cart-${userId}`, [], {
+    schema: 'cart',
+    onQuarantine: reportQuarantine,
+  });
 
   /**
    * History State (Borrowing History)
@@ -90,43 +174,120 @@ export function BookProvider({ children }) {
    * - status: 'borrowed' or 'returned'
    * - returnDate: When book was returned (if returned)
    * 
-   * Initial value loads from localStorage to persist history.
+   * historyReady becomes true once the saved history has loaded, so stock
+   * is never calculated from an empty placeholder.
    */
-  const [history, setHistory] = useState(() => {
-    try {
-      const savedHistory = localStorage.getItem(`booknest-history-${userId}`);
-      return savedHistory ? JSON.parse(savedHistory) : [];
-    } catch (error) {
-      console.error('Error loading history from localStorage:', error);
-      return [];
-    }
+  const [history, setHistory, historyReady] = usePersistentState(`${HISTORY_PREFIX}${userId}`, [], {
+    schema: 'history',
+    onQuarantine: reportQuarantine,
   });
 
   /**
-   * Future Bookings State
+   * Future Bookings State (Hold Queue)
    * 
-   * Stores bookings for books that are currently borrowed.
-   * Allows users to reserve a book for after the current borrower's return date.
+   * Stores holds for books that have no copy on the shelf.
+   * Allows users to queue for a book; the queue is served in bookingDate order.
    * This is a GLOBAL state (not user-specific) because bookings affect all users.
    * 
    * Each booking includes:
+   * - bookingId: Unique hold ID
    * - bookId: The book ID being booked
    * - userId: Username of the person booking
-   * - bookingDate: When the booking was made
+   * - bookingDate: When the booking was made (queue order)
+   * - status: 'waiting' | 'ready' | 'fulfilled' | 'expired' | 'cancelled'
+   * - pickupBy: Deadline to reserve the set-aside copy (when ready)
    * - expectedReturnDate: When current borrower is expected to return
-   * - reservationId: The reservation ID of the current borrower
+   */
+  const [futureBookings, setFutureBookings, bookingsReady] = usePersistentState('booknest-future-bookings', [], {
+    schema: 'futureBookings',
+    onQuarantine: reportQuarantine,
+  });
+
+  /**
+   * All Users' History State
    * 
-   * Initial value loads from localStorage to persist bookings.
+   * Every user's borrowing records combined (current user included).
+   * Used for shared stock and to find who currently holds a book.
+   * Refreshed whenever the current user's history changes.
    */
-  const [futureBookings, setFutureBookings] = useState(() => {
-    try {
-      const savedBookings = localStorage.getItem('booknest-future-bookings');
-      return savedBookings ? JSON.parse(savedBookings) : [];
-    } catch (error) {
-      console.error('Error loading future bookings from localStorage:', error);
-      return [];
-    }
+  const [allUsersHistory, setAllUsersHistory] = useState([]);
+
+  /**
+   * Catalog State (shared by all users)
+   * 
+   * The editable list of books and their copies, managed by librarians.
+   * Nothing is saved until the first edit - until then the catalog is the
+   * seed built from books.json, so existing installs see the same books.
+   */
+  const seed = useMemo(() => seedCatalog(), []);
+  const [storedCatalog, setStoredCatalog, catalogReady] = usePersistentState(CATALOG_KEY, null, {
+    schema: 'catalog',
+    onQuarantine: reportQuarantine,
+  });
+  const catalog = storedCatalog ?? seed;
+
+  /**
+   * updateCatalog Helper
+   * 
+   * Applies a change to the catalog, starting from the seed the first time.
+   * If the change is no longer possible (e.g. another tab took the last copy
+   * on the shelf), the catalog is left as it was.
+   * 
+   * @param {Function} updater - (catalog) => new catalog
+   */
+  const updateCatalog = useCallback((updater) => {
+    setStoredCatalog(prevCatalog => {
+      try {
+        return updater(prevCatalog ?? seed);
+      } catch (error) {
+        console.error('Catalog change skipped:', error.message);
+        return prevCatalog;
+      }
+    });
+  }, [seed, setStoredCatalog]);
+
+  /**
+   * Fines Ledger State (shared by all users)
+   * 
+   * Payments and waivers recorded by librarians. Fines themselves are not
+   * saved - they are worked out from each loan's dates (services/fines).
+   */
+  const [fineLedger, setFineLedger] = usePersistentState(FINES_LEDGER_KEY, [], {
+    schema: 'fineLedger',
+    onQuarantine: reportQuarantine,
+  });
+
+  /**
+   * Confirmations State (Reservation Receipts)
+   * 
+   * One record per checkout, newest first, so the confirmation page can be
+   * reopened at /confirmation/:reservationId. User-specific like history.
+   */
+  const [confirmations, setConfirmations, confirmationsReady] = usePersistentState(confirmationsKey(userId), [], {
+    schema: 'confirmations',
+    onQuarantine: reportQuarantine,
+  });
+
+  /**
+   * Reviews State (shared by all users)
+   * 
+   * Like the catalog, nothing is saved until the first change - until then
+   * the reviews are the ones from books.json.
+   */
+  const reviewSeed = useMemo(() => seedReviews(seed), [seed]);
+  const [storedReviews, setStoredReviews] = usePersistentState(REVIEWS_KEY, null, {
+    schema: 'reviews',
+    onQuarantine: reportQuarantine,
   });
+  const reviews = storedReviews ?? reviewSeed;
+
+  /**
+   * Shared History Revision
+   * 
+   * Bumped whenever any user's history is saved (e.g. a librarian checking
+   * in a return), so stock and allUsersHistory are recalculated.
+   */
+  const [historyRevision, setHistoryRevision] = useState(0);
 
   /**
    * Loading State
@@ -139,122 +300,184 @@ export function BookProvider({ children }) {
   /**
    * Helper function to get all borrowing histories from all users
    * This ensures book stock is shared across all accounts
+   * 
+   * Other users' histories are read from storage. The current user's history
+   * comes from state, which may be newer than what has been saved so far.
+   * Each record is tagged with the `username` it belongs to.
    */
-  const getAllUsersHistory = () => {
-    const allHistories = [];
+  const getAllUsersHistory = useCallback(async () => {
+    const allHistories = history.map(item => ({ ...item, username: userId }));
+    const ownKey = `booknest-history-${userId}`;
     
-    // Iterate through all localStorage keys to find all user histories
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      
-      // Check if this is a history key (format: booknest-history-{username})
-      if (key && key.startsWith('booknest-history-')) {
-        try {
-          const userHistory = JSON.parse(localStorage.getItem(key));
-          if (Array.isArray(userHistory)) {
-            allHistories.push(...userHistory);
-          }
-        } catch (error) {
-          console.error(`Error parsing history from ${key}:`, error);
+    // Find all history keys (format: booknest-history-{username})
+    const keys = await storage.list(HISTORY_PREFIX);
+    
+    for (const key of keys) {
+      if (key === ownKey) continue;
+      try {
+        // Other users' records go through the same migrations as ours
+        const { data } = decodeCollection('history', await storage.get(key));
+        if (data) {
+          const username = key.slice(HISTORY_PREFIX.length);
+          allHistories.push(...data.map(item => ({ ...item, username })));
         }
+      } catch (error) {
+        console.error(`Error reading history from ${key}:`, error);
       }
     }
     
     return allHistories;
-  };
+  }, [history, userId]);
+
+  /**
+   * useEffect: Watch Every User's History
+   * 
+   * The current user's history is already state, but other users' histories
+   * only change in storage (for example when staff check in a return).
+   * Subscribing to the key prefix keeps stock counts up to date.
+   */
+  useEffect(() => {
+    return storage.subscribe(`${HISTORY_PREFIX}*`, () => {
+      setHistoryRevision(revision => revision + 1);
+    });
+  }, []);
 
   /**
    * useEffect: Load Books on Mount and Update Stock
    * 
-   * Runs when component mounts or when any user's history changes.
-   * Loads book data and adjusts availability based on ALL users' borrowed books.
-   * This ensures stock is shared globally across all accounts.
+ * Runs once the current user's history and the catalog have loaded,
+   * and again whenever either changes.
+   * Availability comes from copy states: a book is available while at least
+   * one copy is on the shelf. Loans saved before copies were tracked are
+   * given a copy here (reconcileLoanCopies).
    * 
    * In a real app, this would be an API call to get current stock from server.
    */
   useEffect(() => {
-    const loadBooks = () => {
+    if (!historyReady || !catalogReady) return;
+
+    let cancelled = false;
+
+    const loadBooks = async () => {
       try {
-        // Get ALL borrowed books from ALL users
-        const allHistories = getAllUsersHistory();
+        // Get ALL loan records from ALL users
+        const allHistories = await getAllUsersHistory();
+        if (cancelled) return;
+
+        // Give untracked loans a copy; only saved when something changed
+        if (reconcileLoanCopies(catalog, allHistories) !== catalog) {
+          updateCatalog(prevCatalog => reconcileLoanCopies(prevCatalog, allHistories));
+        }
         
-        // Load books and adjust availability based on ALL borrowed books
-        const adjustedBooks = booksData.map(book => {
-          // Count how many times this book is currently borrowed by ANY user
-          const borrowedCount = allHistories.filter(
-            item => item.book.id === book.id && item.status === 'borrowed'
-          ).length;
-          
-          // Calculate available copies (shared globally)
-          const availableCopies = Math.max(0, book.copiesAvailable - borrowedCount);
+        // Ratings come from the published reviews (catalog rating if none yet)
+        const ratings = getRatingSummary(reviews);
+
+        // Retired books are hidden; only copies on the shelf can be reserved
+        const adjustedBooks = catalog.filter(book => !book.retired).map(book => {
+          const totalCopies = countActiveCopies(book);
+          const availableCopies = countAvailableCopies(book);
           
-          // Update status if all copies are borrowed
+          // Update status if no copy is on the shelf
           const status = availableCopies === 0 ? 'Borrowed' : 'Available';
           
+          // Copy records stay in the catalog (keeps cart/history snapshots small)
+          const { copies: _copies, ...details } = book;
           return {
-            ...book,
+            ...details,
+            rating: ratings.get(book.id)?.rating ?? book.rating,
+            reviewCount: ratings.get(book.id)?.count ?? 0,
+            reviews: getBookReviews(reviews, book.id, 'newest'),
+            totalCopies,
             copiesAvailable: availableCopies,
             status: status
           };
         });
         
+        setAllUsersHistory(allHistories);
         setBooks(adjustedBooks);
         setLoading(false);
       } catch (error) {
         console.error('Error loading books:', error);
-        setLoading(false);
+        if (!cancelled) setLoading(false);
       }
     };
 
-    // Small delay to simulate network request (optional)
-    setTimeout(loadBooks, 300);
-  }, [history]); // Rerun when current user's history changes to update book availability
+    loadBooks();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [getAllUsersHistory, historyReady, historyRevision, catalog, catalogReady, reviews, updateCatalog]); // Rerun when any history, the catalog or the reviews change
 
   /**
-   * useEffect: Persist Cart to localStorage
+   * notifyHoldEvent Helper
    * 
-   * Whenever cart changes, save it to user-specific localStorage.
-   * This ensures reservations persist across:
-   * - Page refreshes
-   * - Browser restarts
-   * - Navigation between pages
-   * Each user has their own cart.
+   * Sends the patron an in-app notification for a hold queue step.
+   * The key stops other open tabs from sending the same notification twice.
    * 
-   * Runs every time 'cart' or 'userId' changes.
+   * @param {string} type - 'placed' | 'ready' | 'expired' | 'cancelled' | 'fulfilled'
+   * @param {Object} hold - Hold record
+   * @param {Object} [extra] - { position } for 'placed'
    */
-  useEffect(() => {
-    // Save cart to user-specific localStorage key
-    localStorage.setItem(`booknest-cart-${userId}`, JSON.stringify(cart));
-  }, [cart, userId]); // Dependency: runs when cart or userId changes
+  const notifyHoldEvent = useCallback((type, hold, { position } = {}) => {
+    const title = catalog.find(book => book.id === hold.bookId)?.title ?? 'a book';
+    const pickupBy = hold.pickupBy && new Date(hold.pickupBy).toLocaleDateString();
+
+    const messages = {
+      placed: ['Added to the hold queue', `You are number ${position} in line for "${title}".`],
+      ready: ['Your hold is ready', `A copy of "${title}" is set aside for you. Reserve it by ${pickupBy} or it goes to the next person in line.`],
+      expired: ['Hold expired', `"${title}" was not reserved by ${pickupBy}, so it has gone to the next person in line.`],
+      cancelled: ['Hold cancelled', `You left the queue for "${title}".`],
+      fulfilled: ['Hold reserved', `"${title}" is now reserved for you. Collect it at the library desk.`],
+    };
+    const [heading, message] = messages[type];
+
+    notifyUser(hold.userId, {
+      type: `hold_${type}`,
+      title: heading,
+      message,
+      link: `/book/${hold.bookId}`,
+      key: `hold-${type}-${hold.bookingId}`,
+    });
+  }, [catalog]);
 
   /**
-   * useEffect: Persist History to localStorage
+   * useEffect: Run the Hold Queue
    * 
-   * Whenever history changes, save it to user-specific localStorage.
-   * This ensures borrowing history persists across sessions.
-   * Each user has their own history.
+   * Whenever the catalog or the holds change (e.g. a librarian checks a copy
+   * in) and once a minute for pickup windows running out:
+   * 1. Holds not reserved by their pickupBy date expire
+   * 2. Copies on the shelf are set aside for the first patron in each queue
+   * Every step is sent to the patron as a notification.
    */
   useEffect(() => {
-    try {
-      localStorage.setItem(`booknest-history-${userId}`, JSON.stringify(history));
-    } catch (error) {
-      console.error('Error saving history to localStorage:', error);
-    }
-  }, [history, userId]); // Dependency: runs when history or userId changes
+    if (!catalogReady || !bookingsReady) return;
+
+    const runQueue = () => {
+      const now = Date.now();
+      const result = syncHolds(catalog, futureBookings, now);
+      if (result.events.length === 0) return;
+
+      updateCatalog(prevCatalog => syncHolds(prevCatalog, futureBookings, now).catalog);
+      setFutureBookings(result.holds);
+      result.events.forEach(event => notifyHoldEvent(event.type, event.hold));
+    };
+
+    runQueue();
+    const timer = setInterval(runQueue, 60 * 1000);
+    return () => clearInterval(timer);
+  }, [catalog, futureBookings, catalogReady, bookingsReady, notifyHoldEvent, setFutureBookings, updateCatalog]);
 
   /**
-   * useEffect: Persist Future Bookings to localStorage
+   * getReadyHold Helper
    * 
-   * Whenever futureBookings changes, save it to localStorage.
-   * This ensures bookings persist across sessions.
+   * The current user's hold on a book when a copy is set aside for them.
    */
-  useEffect(() => {
-    try {
-      localStorage.setItem('booknest-future-bookings', JSON.stringify(futureBookings));
-    } catch (error) {
-      console.error('Error saving future bookings to localStorage:', error);
-    }
-  }, [futureBookings]); // Dependency: runs when futureBookings changes
+  const getReadyHold = (bookId) => {
+    return futureBookings.find(
+      hold => hold.bookId === bookId && hold.userId === userId && hold.status === 'ready'
+    ) || null;
+  };
 
   /**
    * addToCart Function
@@ -262,9 +485,11 @@ export function BookProvider({ children }) {
    * Adds a book to the reservation cart with validation.
    * 
    * BUSINESS RULES:
-   * 1. Maximum 5 books in cart (library policy)
+   * 1. Cart limit from the borrowing policy (depends on the patron type)
    * 2. No duplicate books (can't reserve same book twice)
-   * 3. Only available books can be added (copiesAvailable > 0)
+   * 3. Only available books can be added (copiesAvailable > 0),
+   *    unless a copy is set aside for this user's hold
+   * 4. Patrons owing more than FINE_BLOCK_THRESHOLD in fines are blocked
    * 
    * @param {Object} book - The book object to add to cart
    * @returns {Object} Result object with success status and message
@@ -272,11 +497,12 @@ export function BookProvider({ children }) {
    * For Viva: Explain each validation check and why it's important.
    */
   const addToCart = (book) => {
-    // Validation 1: Check cart limit (max 5 books)
-    if (cart.length >= 5) {
+    // Validation 1: Check cart limit (borrowing policy)
+    const cartCheck = checkPolicy('reserve', { role: user?.role, book, cart });
+    if (!cartCheck.allowed) {
       return {
         success: false,
-        message: 'Cart limit reached! You can only reserve up to 5 books at a time.',
+        message: cartCheck.reason,
       };
     }
 
@@ -290,14 +516,23 @@ export function BookProvider({ children }) {
       };
     }
 
-    // Validation 3: Check if book is available
-    if (book.status !== 'Available' || book.copiesAvailable <= 0) {
+    // Validation 3: Check if book is available (or held for this user)
+    if ((book.status !== 'Available' || book.copiesAvailable <= 0) && !getReadyHold(book.id)) {
       return {
         success: false,
         message: 'Sorry, this book is currently not available.',
       };
     }
 
+    // Validation 4: Check unpaid fines
+    const { balance } = getPatronFines();
+    if (balance > FINE_BLOCK_THRESHOLD) {
+      return {
+        success: false,
+        message: `You owe ${formatMoney(balance)} in fines. Please pay at the desk before reserving more books.`,
+      };
+    }
+
     // All validations passed: Add book to cart
     // Use spread operator to create new array (React best practice - immutability)
     setCart((prevCart) => [...prevCart, book]);
@@ -353,34 +588,41 @@ export function BookProvider({ children }) {
     return books.find((book) => book.id === bookId);
   };
 
+  /**
+   * getCurrentBorrowing Function
+   * 
+   * Finds the active borrowing record for a book across ALL users.
+   * Used by BookDetails to show when a borrowed book is expected back,
+   * regardless of which user borrowed it.
+   * 
+   * @param {number} bookId - The book ID to look up
+   * @returns {Object|undefined} The history item with status 'borrowed', if any
+   */
+  const getCurrentBorrowing = (bookId) => {
+    return allUsersHistory.find(
+      item => item.book.id === bookId && item.status === 'borrowed'
+    );
+  };
+
+  /**
+   * Search index over title, author, description, publisher and ISBN
+   * Rebuilt only when the books change (useMemo)
+   */
+  const bookIndex = useMemo(() => buildSearchIndex(books), [books]);
+
   /**
    * searchBooks Function
    * 
-   * Searches books by title, author, or category.
-   * Case-insensitive search using toLowerCase().
+   * Searches the catalog through the inverted index (services/search):
+   * prefix and typo-tolerant matching, ranked by relevance.
    * 
    * @param {string} query - The search term entered by user
-   * @returns {Array} Filtered array of matching books
+   * @returns {Array} [{ book, score, terms }] best match first
+   *   (every book when the query is empty); terms are for highlighting
    * 
-   * For Viva: Explain how the search works across multiple fields.
+   * For Viva: Explain the inverted index and how results are ranked.
    */
-  const searchBooks = (query) => {
-    // If query is empty, return all books
-    if (!query || query.trim() === '') {
-      return books;
-    }
-
-    // Convert query to lowercase for case-insensitive search
-    const searchTerm = query.toLowerCase().trim();
-
-    // Filter books where title, author, or category includes search term
-    return books.filter(
-      (book) =>
-        book.title.toLowerCase().includes(searchTerm) ||
-        book.author.toLowerCase().includes(searchTerm) ||
-        book.category.toLowerCase().includes(searchTerm)
-    );
-  };
+  const searchBooks = (query) => searchIndex(bookIndex, query);
 
   /**
    * filterByCategory Function
@@ -455,6 +697,10 @@ export function BookProvider({ children }) {
    * 
    * Adds a completed reservation to borrowing history.
    * Called when user confirms their reservation.
+   * A copy on the shelf is held for the reservation; if none is left
+   * (someone else reserved the last one), nothing is saved.
+   * If a copy was set aside for the user's hold, that copy is used and the
+   * hold is marked fulfilled.
    * 
    * @param {Object} historyItem - Object containing:
    *   - book: The book object
@@ -465,6 +711,15 @@ export function BookProvider({ children }) {
    * @returns {Object} Result with success status
    */
   const addToHistory = (historyItem) => {
+    const book = catalog.find(item => item.id === historyItem.book.id);
+    const readyHold = book ? getReadyHold(book.id) : null;
+    if (!book || (!readyHold && countAvailableCopies(book) === 0)) {
+      return {
+        success: false,
+        message: `"${historyItem.book.title}" is no longer available`
+      };
+    }
+
     try {
       const newHistoryItem = {
         ...historyItem,
@@ -474,6 +729,38 @@ export function BookProvider({ children }) {
         pickedUp: false, // Track if reservation has been picked up
       };
 
+      const loan = { reservationId: historyItem.reservationId, username: userId };
+      const takeCopy = readyHold
+        ? (prevCatalog) => transferLoanCopy(prevCatalog, readyHold.bookingId, loan, {
+          by: userId,
+          note: 'Reserved from hold'
+        })
+        : (prevCatalog) => reserveCopy(prevCatalog, book.id, loan, {
+          by: userId,
+          note: 'Reserved online'
+        });
+
+      // Try the copy change first - no history row without a copy behind it
+      try {
+        takeCopy(catalog);
+      } catch (error) {
+        return {
+          success: false,
+          message: `"${historyItem.book.title}" could not be reserved: ${error.message}`
+        };
+      }
+
+      updateCatalog(takeCopy);
+      if (readyHold) {
+        const fulfilled = {
+          ...readyHold,
+          status: 'fulfilled',
+          closedDate: new Date().toISOString(),
+          reservationId: historyItem.reservationId
+        };
+        setFutureBookings(prev => prev.map(hold => hold.bookingId === readyHold.bookingId ? fulfilled : hold));
+        notifyHoldEvent('fulfilled', fulfilled);
+      }
       setHistory(prevHistory => [...prevHistory, newHistoryItem]);
 
       return {
@@ -489,37 +776,6 @@ export function BookProvider({ children }) {
     }
   };
 
-  /**
-   * markAsReturned Function
-   * 
-   * Marks a borrowed book as returned in the history.
-   * 
-   * @param {string} reservationId - The reservation ID to mark as returned
-   * @returns {Object} Result with success status
-   */
-  const markAsReturned = (reservationId) => {
-    try {
-      setHistory(prevHistory => 
-        prevHistory.map(item => 
-          item.reservationId === reservationId
-            ? { ...item, status: 'returned', returnDate: new Date().toISOString() }
-            : item
-        )
-      );
-
-      return {
-        success: true,
-        message: 'Book marked as returned'
-      };
-    } catch (error) {
-      console.error('Error marking as returned:', error);
-      return {
-        success: false,
-        message: 'Failed to update return status'
-      };
-    }
-  };
-
   /**
    * getHistory Function
    * 
@@ -536,16 +792,59 @@ export function BookProvider({ children }) {
     return history.filter(item => item.status === status);
   };
 
+  /**
+   * getRenewalCheck Function
+   * 
+   * Asks the borrowing policy whether a loan can be renewed right now.
+   * Used by extendBorrowingPeriod and by the Dashboard to show the button
+   * (or the reason there isn't one).
+   * 
+   * @param {Object} loan - History record
+   * @param {string} [role] - Borrower's role (defaults to the current user's;
+   *   staff renewing at the desk pass the patron's)
+   * @returns {Object} { allowed, reason?, policy } from checkPolicy
+   */
+  const getRenewalCheck = (loan, role = user?.role) => {
+    // Only holds that no free copy can serve need this one back - a ready
+    // hold already has its copy, and a copy on the shelf can go to the next
+    // in line
+    const book = catalog.find(item => item.id === loan.book.id);
+    const holdsWaiting = book ? countUnservedHolds(futureBookings, book) : 0;
+
+    return checkPolicy('renew', {
+      role,
+      loan,
+      holdsWaiting,
+      finesOwed: getPatronFines(loan.username ?? userId).balance,
+      now: Date.now()
+    });
+  };
+
+  /**
+   * getBorrowingPolicy Function
+   * 
+   * The current user's borrowing rules for a book (or their general rules
+   * when no book is given).
+   * 
+   * @param {Object} [book] - Book object (its category may change the rules)
+   * @returns {Object} Rule set from services/policy
+   */
+  const getBorrowingPolicy = (book) => {
+    return getPolicy(user?.role, book?.category);
+  };
+
   /**
    * extendBorrowingPeriod Function
    * 
-   * Extends the due date by 7 days (one-time only).
-   * Can only extend if not already extended and book is still borrowed.
-   * Cannot extend if there's a future booking waiting for this book.
+   * Renews a loan: the due date moves on by the policy's renewalDays
+   * (to the next open day if the library is closed then).
+   * The borrowing policy decides whether it is allowed (renewals left,
+   * picked up, not overdue, fines under the limit, nobody waiting in the
+   * hold queue). The renewal is added to the loan's renewal log.
    * Checks bookings by both reservationId AND bookId to ensure cross-user blocking.
    * 
    * @param {string} reservationId - The reservation ID to extend
-   * @returns {Object} Result with success status and message
+   * @returns {Object} Result with success status and message (the reason on refusal)
    */
   const extendBorrowingPeriod = (reservationId) => {
     try {
@@ -559,58 +858,27 @@ export function BookProvider({ children }) {
         };
       }
 
-      // Check if there's a future booking for this reservation OR this book
-      // This ensures bookings from other users (who might not know the reservationId) also block extension
-      const hasBooking = futureBookings.some(booking => 
-        booking.reservationId === reservationId || booking.bookId === borrowingItem.book.id
-      );
-      
-      if (hasBooking) {
+      const check = getRenewalCheck(borrowingItem);
+      if (!check.allowed) {
         return {
           success: false,
-          message: 'Cannot extend: Someone has already booked this book for after your return date.'
+          message: check.reason
         };
       }
 
-      let extended = false;
-      let message = '';
+      const { renewalDays } = check.policy;
+      const newDueDate = addLoanDays(borrowingItem.dueDate, renewalDays);
 
       setHistory(prevHistory => 
-        prevHistory.map(item => {
-          if (item.reservationId === reservationId) {
-            // Check if already extended
-            if (item.extended) {
-              message = 'This borrowing period has already been extended once.';
-              return item;
-            }
-            
-            // Check if already returned
-            if (item.status === 'returned') {
-              message = 'Cannot extend a returned book.';
-              return item;
-            }
-
-            // Extend due date by 7 days
-            const currentDueDate = new Date(item.dueDate);
-            const newDueDate = new Date(currentDueDate.getTime() + 7 * 24 * 60 * 60 * 1000);
-            
-            extended = true;
-            message = 'Borrowing period extended by 7 days!';
-            
-            return {
-              ...item,
-              dueDate: newDueDate.toISOString(),
-              extended: true,
-              extensionDate: new Date().toISOString()
-            };
-          }
-          return item;
-        })
+        prevHistory.map(item => item.reservationId === reservationId
+          ? { ...item, ...createRenewal(item, { newDueDate, by: userId, now: Date.now() }) }
+          : item
+        )
       );
 
       return {
-        success: extended,
-        message: message || 'Reservation not found'
+        success: true,
+        message: `Borrowing period extended! New due date: ${newDueDate.toLocaleDateString()}`
       };
     } catch (error) {
       console.error('Error extending borrowing period:', error);
@@ -632,43 +900,61 @@ export function BookProvider({ children }) {
    */
   const cancelReservation = (reservationId) => {
     try {
-      let cancelled = false;
-      let message = '';
+      // Decide from the current history, not inside the setHistory updater:
+      // React may run the updater later (e.g. several offline actions replayed
+      // at once), and the result and copy release must not depend on when
+      const item = history.find(h => h.reservationId === reservationId);
 
-      setHistory(prevHistory => {
-        const item = prevHistory.find(h => h.reservationId === reservationId);
-        
-        if (!item) {
-          message = 'Reservation not found';
-          return prevHistory;
-        }
-
-        // Check if already picked up
-        if (item.pickedUp) {
-          message = 'Cannot cancel a reservation that has already been picked up.';
-          return prevHistory;
-        }
+      if (!item) {
+        return {
+          success: false,
+          message: 'Reservation not found'
+        };
+      }
 
-        // Check if already returned/cancelled
-        if (item.status === 'returned' || item.status === 'cancelled') {
-          message = 'This reservation has already been processed.';
-          return prevHistory;
-        }
+      // Check if already picked up
+      if (item.pickedUp) {
+        return {
+          success: false,
+          message: 'Cannot cancel a reservation that has already been picked up.'
+        };
+      }
 
-        cancelled = true;
-        message = 'Reservation cancelled successfully!';
+      // Check if already returned/cancelled
+      if (item.status === 'returned' || item.status === 'cancelled') {
+        return {
+          success: false,
+          message: 'This reservation has already been processed.'
+        };
+      }
 
-        // Update status to cancelled
-        return prevHistory.map(h => 
-          h.reservationId === reservationId
-            ? { ...h, status: 'cancelled', cancelDate: new Date().toISOString() }
+      // Update status to cancelled
+      const cancelDate = new Date().toISOString();
+      setHistory(prevHistory => 
+        prevHistory.map(h => 
+          h.reservationId === reservationId && h.status === 'borrowed'
+            ? { ...h, status: 'cancelled', cancelDate }
             : h
-        );
+        )
+      );
+
+      // Put the held copy back on the shelf and keep a record in the notification center
+      updateCatalog(prevCatalog => moveLoanCopy(prevCatalog, reservationId, 'on_shelf', {
+        by: userId,
+        note: 'Reservation cancelled'
+      }));
+
+      notifyUser(userId, {
+        type: 'reservation_cancelled',
+        title: 'Reservation cancelled',
+        message: `Your reservation for "${item.book.title}" was cancelled and the copy is back on the shelf.`,
+        link: `/book/${item.book.id}`,
+        key: `reservation-cancelled-${reservationId}`,
       });
 
       return {
-        success: cancelled,
-        message: message || 'Failed to cancel reservation'
+        success: true,
+        message: 'Reservation cancelled successfully!'
       };
     } catch (error) {
       console.error('Error cancelling reservation:', error);
@@ -680,22 +966,48 @@ export function BookProvider({ children }) {
   };
 
   /**
-   * markAsPickedUp Function
+   * markAsPickedUp Function (staff)
    * 
-   * Marks a reservation as picked up.
+   * Marks one of the current user's own reservations as picked up. Patrons
+   * can't confirm their own pickups - the desk does it with confirmPickup.
    * 
    * @param {string} reservationId - The reservation ID
    * @returns {Object} Result with success status
    */
   const markAsPickedUp = (reservationId) => {
+    if (!isStaff()) {
+      return {
+        success: false,
+        message: 'Only library staff can do this'
+      };
+    }
+
+    const item = history.find(h => h.reservationId === reservationId);
+    if (!item || item.status !== 'borrowed') {
+      return {
+        success: false,
+        message: 'Active reservation not found'
+      };
+    }
+    if (item.pickedUp) {
+      return {
+        success: false,
+        message: 'This reservation has already been picked up.'
+      };
+    }
+
     try {
       setHistory(prevHistory => 
         prevHistory.map(item => 
-          item.reservationId === reservationId
+          item.reservationId === reservationId && item.status === 'borrowed'
             ? { ...item, pickedUp: true, pickupDate: new Date().toISOString() }
             : item
         )
       );
+      updateCatalog(prevCatalog => moveLoanCopy(prevCatalog, reservationId, 'on_loan', {
+        by: userId,
+        note: 'Picked up'
+      }));
 
       return {
         success: true,
@@ -711,60 +1023,824 @@ export function BookProvider({ children }) {
   };
 
   /**
-   * getTotalBorrowedCount Function
+   * updateUserHistory Helper
    * 
-   * Returns the lifetime total of borrowed books.
+   * Applies an update to any user's history.
+   * The current user's history is updated through state; other users'
+   * histories are read, migrated, updated and saved back through storage.
    * 
-   * @returns {number} Total number of books borrowed (excluding cancelled)
+   * @param {string} username - Owner of the history
+   * @param {Function} updater - (records) => new records
    */
-  const getTotalBorrowedCount = () => {
-    return history.filter(item => item.status !== 'cancelled').length;
-  };
+  const updateUserHistory = async (username, updater) => {
+    if (username === userId) {
+      setHistory(updater(history));
+      return;
+    }
 
-  /**
-   * getCurrentlyBorrowedBooks Function
-   * 
-   * Returns books that are currently borrowed (not returned or cancelled).
-   * 
-   * @returns {Array} Currently borrowed books
-   */
-  const getCurrentlyBorrowedBooks = () => {
-    return history.filter(item => item.status === 'borrowed');
+    const key = `${HISTORY_PREFIX}${username}`;
+    const { data } = decodeCollection('history', await storage.get(key));
+    await storage.set(key, encodeCollection('history', updater(data || [])));
   };
 
   /**
-   * bookForLater Function
+   * updateLoan Helper
    * 
-   * Books a borrowed book for after the current borrower's return date.
-   * Allows users to reserve a spot in line for a currently borrowed book.
+   * Staff-only update of a single loan, identified by owner and reservation ID.
    * 
-   * @param {number} bookId - The book ID to book
-   * @param {string} userId - The username of the person booking
-   * @param {string} reservationId - The current borrower's reservation ID
-   * @returns {Object} Result with success status and message
+   * @param {string} username - Borrower
+   * @param {string} reservationId - Reservation to update
+   * @param {Function} change - (item) => fields to merge into the record
+   * @param {string} successMessage - Message returned on success
+   * @returns {Promise<Object>} Result with success status
    */
-  const bookForLater = (bookId, userId, reservationId) => {
+  const updateLoan = async (username, reservationId, change, successMessage) => {
+    if (!isStaff()) {
+      return {
+        success: false,
+        message: 'Only library staff can do this'
+      };
+    }
+
     try {
-      // Check if user already has a booking for this book
-      const existingBooking = futureBookings.find(
-        booking => booking.bookId === bookId && booking.userId === userId
+      let found = false;
+      await updateUserHistory(username, records =>
+        records.map(item => {
+          if (item.reservationId !== reservationId || item.status !== 'borrowed') {
+            return item;
+          }
+          found = true;
+          return { ...item, ...change(item) };
+        })
       );
 
-      if (existingBooking) {
+      if (!found) {
         return {
           success: false,
-          message: 'You have already booked this book for later.'
+          message: 'Active loan not found'
         };
       }
 
-      // Find the current borrower's due date from history
-      const currentBorrowing = history.find(
-        item => item.reservationId === reservationId && item.status === 'borrowed'
-      );
+      return {
+        success: true,
+        message: successMessage
+      };
+    } catch (error) {
+      console.error('Error updating loan:', error);
+      return {
+        success: false,
+        message: 'Failed to update loan'
+      };
+    }
+  };
 
-      // Use actual due date if found, otherwise use mock date (7 days from now)
-      const expectedReturnDate = currentBorrowing 
-        ? currentBorrowing.dueDate
+  /**
+   * confirmPickup Function (staff)
+   * 
+   * Confirms that a patron has collected a reserved book at the desk.
+   * 
+   * @param {string} username - Borrower
+   * @param {string} reservationId - The reservation ID
+   * @returns {Promise<Object>} Result with success status
+   */
+  const confirmPickup = async (username, reservationId) => {
+    const result = await updateLoan(
+      username,
+      reservationId,
+      () => ({ pickedUp: true, pickupDate: new Date().toISOString() }),
+      'Pickup confirmed'
+    );
+
+    if (result.success) {
+      updateCatalog(prevCatalog => moveLoanCopy(prevCatalog, reservationId, 'on_loan', {
+        by: userId,
+        note: 'Pickup confirmed at desk'
+      }));
+    }
+    return result;
+  };
+
+  /**
+   * checkInReturn Function (staff)
+   * 
+   * Checks a borrowed book back in. Patrons can no longer mark their own
+   * books as returned - a librarian does it when the book is handed in.
+   * The copy goes back on the shelf even if the patron has cleared the
+   * loan from their history.
+   * 
+   * @param {string} username - Borrower
+   * @param {string} reservationId - The reservation ID
+   * @returns {Promise<Object>} Result with success status
+   */
+  const checkInReturn = async (username, reservationId) => {
+    const result = await updateLoan(
+      username,
+      reservationId,
+      () => ({ status: 'returned', returnDate: new Date().toISOString() }),
+      'Book checked in'
+    );
+
+    const held = findLoanCopy(catalog, reservationId);
+    if (!result.success && !(isStaff() && held)) return result;
+
+    if (held) {
+      updateCatalog(prevCatalog => moveLoanCopy(prevCatalog, reservationId, 'on_shelf', {
+        by: userId,
+        note: 'Checked in'
+      }));
+    }
+    return {
+      success: true,
+      message: held ? `Book checked in (copy ${held.copy.barcode})` : 'Book checked in'
+    };
+  };
+
+  /**
+   * renewAtDesk Function (staff)
+   * 
+   * Renews a patron's loan at the circulation desk (e.g. from the QR
+   * scanner). Same rules as a patron renewing online - the patron's own
+   * borrowing policy, renewals left, nobody waiting - unlike overrideDueDate.
+   * 
+   * @param {string} username - Borrower
+   * @param {string} reservationId - The reservation ID
+   * @returns {Promise<Object>} Result with success status (the reason on refusal)
+   */
+  const renewAtDesk = async (username, reservationId) => {
+    const loan = allUsersHistory.find(item =>
+      item.username === username && item.reservationId === reservationId
+    );
+    if (!loan) {
+      return {
+        success: false,
+        message: 'Active loan not found'
+      };
+    }
+
+    const account = await findAccount(username);
+    const check = getRenewalCheck(loan, account?.role);
+    if (!check.allowed) {
+      return {
+        success: false,
+        message: check.reason
+      };
+    }
+
+    const newDueDate = addLoanDays(loan.dueDate, check.policy.renewalDays);
+    return updateLoan(
+      username,
+      reservationId,
+      (item) => createRenewal(item, { newDueDate, by: userId, now: Date.now() }),
+      `Loan renewed - new due date ${newDueDate.toLocaleDateString()}`
+    );
+  };
+
+  /**
+   * overrideDueDate Function (staff)
+   * 
+   * Sets a new due date for a loan, bypassing the normal extension rules.
+   * Past dates are refused; a day the library is closed moves to the next
+   * open day, like every other due date (services/calendar).
+   * 
+   * @param {string} username - Borrower
+   * @param {string} reservationId - The reservation ID
+   * @param {string} dueDate - New due date (any string Date can parse)
+   * @returns {Promise<Object>} Result with success status
+   */
+  const overrideDueDate = (username, reservationId, dueDate) => {
+    const chosenDate = new Date(dueDate);
+    if (Number.isNaN(chosenDate.getTime())) {
+      return Promise.resolve({
+        success: false,
+        message: 'Please choose a valid due date'
+      });
+    }
+    if (chosenDate.getTime() < Date.now()) {
+      return Promise.resolve({
+        success: false,
+        message: 'The due date cannot be in the past'
+      });
+    }
+
+    const newDueDate = nextOpenDay(chosenDate);
+    const moved = newDueDate.getTime() === chosenDate.getTime()
+      ? ''
+      : ` (the library is closed on ${chosenDate.toLocaleDateString()} - ${getDaySchedule(chosenDate).reason})`;
+
+    return updateLoan(
+      username,
+      reservationId,
+      (item) => ({
+        dueDate: newDueDate.toISOString(),
+        dueDateOverride: {
+          previousDueDate: item.dueDate,
+          by: userId,
+          date: new Date().toISOString(),
+        },
+      }),
+      `Due date changed to ${newDueDate.toLocaleDateString()}${moved}`
+    );
+  };
+
+  /**
+   * getPatronFines Function
+   * 
+   * A patron's fines, payments, waivers and the balance still owed.
+   * Patrons can only see their own; staff can look up anyone.
+   * 
+   * @param {string} [username] - Patron (defaults to the current user)
+   * @returns {Object} Summary from getFineSummary ({ fines, totalFines, paid, waived, balance })
+   */
+  const getPatronFines = (username = userId) => {
+    const loans = username === userId
+      ? history
+      : allUsersHistory.filter(item => item.username === username);
+    const entries = fineLedger.filter(entry => entry.username === username);
+    return getFineSummary(loans, entries, Date.now());
+  };
+
+  /**
+   * recordFineEntry Helper
+   * 
+   * Staff-only: saves a payment or waiver after checking the amount.
+   * 
+   * @param {Object} details - { username, type, amount (cents), reservationId?, note? }
+   * @returns {Object} Result with success status
+   */
+  const recordFineEntry = ({ username, type, amount, reservationId = null, note = '' }) => {
+    if (!isStaff()) {
+      return {
+        success: false,
+        message: 'Only library staff can do this'
+      };
+    }
+
+    const summary = getPatronFines(username);
+    const owed = reservationId
+      ? summary.fines.find(item => item.reservationId === reservationId)?.outstanding ?? 0
+      : summary.balance;
+
+    if (!Number.isInteger(amount) || amount <= 0) {
+      return {
+        success: false,
+        message: 'Please enter an amount greater than zero'
+      };
+    }
+    if (amount > owed) {
+      return {
+        success: false,
+        message: `${username} only owes ${formatMoney(owed)}`
+      };
+    }
+
+    // Each entry settles one loan's fine, so the loan's record stays with it
+    const parts = reservationId
+      ? [{ reservationId, amount }]
+      : allocateToFines(summary.fines, amount);
+    const entries = parts.map(part =>
+      createLedgerEntry({ username, type, ...part, note: note.trim(), by: userId })
+    );
+    setFineLedger(prev => [...prev, ...entries]);
+    return {
+      success: true,
+      message: `${type === 'payment' ? 'Payment' : 'Waiver'} of ${formatMoney(amount)} recorded for ${username}`
+    };
+  };
+
+  /**
+   * recordFinePayment Function (staff)
+   * 
+   * Records money paid at the desk; it settles the oldest fines first.
+   * 
+   * @param {string} username - Patron
+   * @param {number} amount - Amount in cents
+   * @param {string} [note] - Optional note (e.g. "cash")
+   * @returns {Object} Result with success status
+   */
+  const recordFinePayment = (username, amount, note) => {
+    return recordFineEntry({ username, type: 'payment', amount, note });
+  };
+
+  /**
+   * waiveFine Function (staff)
+   * 
+   * Forgives all or part of a fine. With a reservationId only that loan's
+   * fine is reduced; without one the amount comes off the oldest fines.
+   * 
+   * @param {string} username - Patron
+   * @param {Object} details - { amount (cents), reservationId?, note? }
+   * @returns {Object} Result with success status
+   */
+  const waiveFine = (username, { amount, reservationId, note }) => {
+    return recordFineEntry({ username, type: 'waiver', amount, reservationId, note });
+  };
+
+  /**
+   * updateReviews Helper
+   * 
+   * Applies a change to the reviews, starting from the seed the first time.
+   * 
+   * @param {Function} updater - (reviews) => new reviews
+   */
+  const updateReviews = (updater) => {
+    setStoredReviews(prevReviews => updater(prevReviews ?? reviewSeed));
+  };
+
+  /**
+   * findReview Helper
+   * 
+   * @returns {Object|undefined} The review with this ID
+   */
+  const findReview = (reviewId) => reviews.find(review => review.id === reviewId);
+
+  /**
+   * getReviewEligibility Function
+   * 
+   * Can the current user review this book, and have they already?
+   * 
+   * @param {number} bookId - Book
+   * @returns {Object} { allowed, reason?, review? } - review is their existing one
+   */
+  const getReviewEligibility = (bookId) => {
+    const review = reviews.find(item => item.bookId === bookId && item.username === userId);
+    if (!user) return { allowed: false, reason: 'Sign in to review books.' };
+    return { ...canReview(history, bookId, review), review };
+  };
+
+  /**
+   * submitReview Function
+   * 
+   * Posts the user's review of a book, or updates their existing one.
+   * 
+   * @param {number} bookId - Book
+   * @param {Object} fields - { rating (1-5), comment }
+   * @returns {Object} { success, message, errors? }
+   */
+  const submitReview = (bookId, { rating, comment }) => {
+    const eligibility = getReviewEligibility(bookId);
+    if (!eligibility.allowed) {
+      return { success: false, message: eligibility.reason };
+    }
+
+    const errors = validateReview({ rating, comment });
+    if (Object.keys(errors).length > 0) {
+      return { success: false, message: 'Please fix the highlighted fields', errors };
+    }
+
+    updateReviews(prev => upsertReview(prev, { bookId, username: userId, rating, comment }));
+    return {
+      success: true,
+      message: eligibility.review ? 'Your review has been updated' : 'Thanks! Your review has been posted'
+    };
+  };
+
+  /**
+   * deleteReview Function
+   * 
+   * Removes one of the user's own reviews.
+   * 
+   * @param {string} reviewId - Review
+   * @returns {Object} { success, message }
+   */
+  const deleteReview = (reviewId) => {
+    const review = findReview(reviewId);
+    if (!review || review.username !== userId) {
+      return { success: false, message: 'You can only delete your own reviews' };
+    }
+
+    updateReviews(prev => prev.filter(item => item.id !== reviewId));
+    return { success: true, message: 'Your review has been deleted' };
+  };
+
+  /**
+   * toggleReviewHelpful Function
+   * 
+   * Adds or removes the user's "helpful" vote on someone else's review.
+   * 
+   * @param {string} reviewId - Review
+   * @returns {Object} { success, message }
+   */
+  const toggleReviewHelpful = (reviewId) => {
+    const review = findReview(reviewId);
+    if (!user) return { success: false, message: 'Sign in to vote on reviews' };
+    if (!review) return { success: false, message: 'Review not found' };
+    if (review.username === userId) return { success: false, message: "You can't vote on your own review" };
+
+    const voted = review.helpful.includes(userId);
+    updateReviews(prev => prev.map(item => item.id === reviewId ? toggleHelpfulVote(item, userId) : item));
+    return { success: true, message: voted ? 'Vote removed' : 'Thanks for your feedback' };
+  };
+
+  /**
+   * reportReview Function
+   * 
+   * Flags a review for the librarians' moderation queue.
+   * 
+   * @param {string} reviewId - Review
+   * @param {string} reason - Why it should be looked at
+   * @returns {Object} { success, message }
+   */
+  const reportReview = (reviewId, reason) => {
+    const review = findReview(reviewId);
+    if (!user) return { success: false, message: 'Sign in to report reviews' };
+    if (!review) return { success: false, message: 'Review not found' };
+    if (review.username === userId) return { success: false, message: "You can't report your own review" };
+    if (review.reports.some(report => report.username === userId)) {
+      return { success: false, message: 'You have already reported this review' };
+    }
+
+    const report = { username: userId, reason: reason.trim() || 'No reason given', date: new Date().toISOString() };
+    updateReviews(prev => prev.map(item => item.id === reviewId
+      ? { ...item, reports: [...item.reports, report] }
+      : item
+    ));
+    return { success: true, message: 'Thanks - a librarian will look at this review' };
+  };
+
+  /**
+   * moderateReview Function (staff)
+   * 
+   * Actions:
+   * - 'hide': take the review down (the author is notified)
+   * - 'restore': publish a hidden review again
+   * - 'dismiss': keep it published and close the reports
+   * Open reports are closed by every action.
+   * 
+   * @param {string} reviewId - Review
+   * @param {string} action - 'hide' | 'restore' | 'dismiss'
+   * @param {string} [note] - Reason, shown to the author when hidden
+   * @returns {Object} { success, message }
+   */
+  const moderateReview = (reviewId, action, note = '') => {
+    if (!isStaff()) return { success: false, message: 'Only library staff can moderate reviews' };
+
+    const review = findReview(reviewId);
+    if (!review) return { success: false, message: 'Review not found' };
+
+    const status = { hide: 'hidden', restore: 'published', dismiss: review.status }[action];
+    if (!status) return { success: false, message: `Unknown moderation action: ${action}` };
+
+    const moderation = { action, by: userId, note: note.trim(), date: new Date().toISOString() };
+    updateReviews(prev => prev.map(item => item.id === reviewId
+      ? { ...item, status, reports: [], moderation }
+      : item
+    ));
+
+    if (action === 'hide') {
+      const title = catalog.find(book => book.id === review.bookId)?.title ?? 'a book';
+      notifyUser(review.username, {
+        type: 'review_hidden',
+        title: 'Review hidden',
+        message: `Your review of "${title}" was hidden by a librarian${moderation.note ? `: ${moderation.note}` : '.'}`,
+        link: `/book/${review.bookId}`,
+        key: `review-hidden-${review.id}-${moderation.date}`,
+      });
+    }
+
+    const messages = { hide: 'Review hidden', restore: 'Review restored', dismiss: 'Reports dismissed' };
+    return { success: true, message: messages[action] };
+  };
+
+  /**
+   * staffOnly Helper
+   * 
+   * Result returned when a patron calls a catalog function.
+   */
+  const staffOnly = () => ({
+    success: false,
+    message: 'Only library staff can edit the catalog'
+  });
+
+  /**
+   * addBook Function (staff)
+   * 
+   * Adds a new book with its first copies.
+   * 
+   * @param {Object} fields - Form values (title, author, isbn, category, coverUrl,
+   *   description, publisher, publicationYear, pageCount, copies)
+   * @returns {Object} { success, message, errors?, book? }
+   */
+  const addBook = (fields) => {
+    if (!isStaff()) return staffOnly();
+
+    const errors = validateBookFields(fields, catalog);
+    if (Object.keys(errors).length > 0) {
+      return { success: false, message: 'Please fix the highlighted fields', errors };
+    }
+
+    const id = nextBookId(catalog);
+    const book = {
+      id,
+      ...cleanBookFields(fields),
+      rating: 0,
+      reviews: [],
+      retired: false,
+      copies: createCopies(id, [], Number(fields.copies), userId),
+    };
+
+    updateCatalog(prevCatalog => [...prevCatalog, book]);
+
+    return {
+      success: true,
+      message: `"${book.title}" added to the catalog`,
+      book
+    };
+  };
+
+  /**
+   * updateBook Function (staff)
+   * 
+   * Saves edited details for an existing book.
+   * Copies are managed separately (addCopies / retireCopy).
+   * 
+   * @param {number} bookId - Book to update
+   * @param {Object} fields - Form values
+   * @returns {Object} { success, message, errors? }
+   */
+  const updateBook = (bookId, fields) => {
+    if (!isStaff()) return staffOnly();
+
+    const errors = validateBookFields(fields, catalog, bookId);
+    if (Object.keys(errors).length > 0) {
+      return { success: false, message: 'Please fix the highlighted fields', errors };
+    }
+
+    updateCatalog(prevCatalog =>
+      prevCatalog.map(book =>
+        book.id === bookId ? { ...book, ...cleanBookFields(fields) } : book
+      )
+    );
+
+    return {
+      success: true,
+      message: 'Book details saved'
+    };
+  };
+
+  /**
+   * setBookRetired Function (staff)
+   * 
+   * Retires a whole title (hidden from patrons) or restores it.
+   * Books are never deleted, because borrowing history still refers to them.
+   * 
+   * @param {number} bookId - Book to update
+   * @param {boolean} retired - true to retire, false to restore
+   * @returns {Object} Result with success status
+   */
+  const setBookRetired = (bookId, retired) => {
+    if (!isStaff()) return staffOnly();
+
+    const book = catalog.find(item => item.id === bookId);
+    if (retired && book && countCopiesOut(book) > 0) {
+      return {
+        success: false,
+        message: 'Check in all loans of this book before retiring it'
+      };
+    }
+
+    updateCatalog(prevCatalog =>
+      prevCatalog.map(book =>
+        book.id === bookId ? { ...book, retired } : book
+      )
+    );
+
+    return {
+      success: true,
+      message: retired ? 'Book retired from the catalog' : 'Book restored to the catalog'
+    };
+  };
+
+  /**
+   * addCopies Function (staff)
+   * 
+   * Adds new copies of a book, each with its own barcode.
+   * 
+   * @param {number} bookId - Book to add copies to
+   * @param {number} count - Number of copies (1 - MAX_COPIES_PER_ADD)
+   * @returns {Object} Result with success status
+   */
+  const addCopies = (bookId, count) => {
+    if (!isStaff()) return staffOnly();
+
+    const amount = Number(count);
+    if (!Number.isInteger(amount) || amount < 1 || amount > MAX_COPIES_PER_ADD) {
+      return {
+        success: false,
+        message: `Add between 1 and ${MAX_COPIES_PER_ADD} copies at a time`
+      };
+    }
+
+    updateCatalog(prevCatalog =>
+      prevCatalog.map(book =>
+        book.id === bookId
+          ? { ...book, copies: [...book.copies, ...createCopies(book.id, book.copies, amount, userId)] }
+          : book
+      )
+    );
+
+    return {
+      success: true,
+      message: `${amount} ${amount === 1 ? 'copy' : 'copies'} added`
+    };
+  };
+
+  /**
+   * changeCopyStatus Function (staff)
+   * 
+   * Moves a copy to a new state (see COPY_TRANSITIONS in
+   * services/catalog/copies) and adds an entry to its event log.
+   * 
+   * @param {number} bookId - Book the copy belongs to
+   * @param {string} barcode - Copy barcode
+   * @param {string} status - New status, e.g. 'repair' or 'lost'
+   * @param {string} [note] - Optional note for the event log
+   * @param {Function} [change] - (copy) => extra fields to store on the copy
+   * @returns {Object} Result with success status
+   */
+  const changeCopyStatus = (bookId, barcode, status, note = '', change = () => ({})) => {
+    if (!isStaff()) return staffOnly();
+
+    const details = { by: userId, note: note.trim() };
+    const applyChange = (prevCatalog) =>
+      setCopyStatus(prevCatalog, bookId, barcode, status, details).map(book =>
+        book.id === bookId
+          ? {
+              ...book,
+              copies: book.copies.map(copy =>
+                copy.barcode === barcode ? { ...copy, ...change(copy) } : copy
+              ),
+            }
+          : book
+      );
+
+    // Check against the current catalog first so we can report the problem
+    try {
+      applyChange(catalog);
+    } catch (error) {
+      return { success: false, message: error.message };
+    }
+
+    updateCatalog(applyChange);
+
+    return {
+      success: true,
+      message: `Copy ${barcode} is now ${COPY_STATUSES[status].toLowerCase()}`
+    };
+  };
+
+  /**
+   * retireCopy Function (staff)
+   * 
+   * Takes a damaged or lost copy out of circulation. The barcode is kept
+   * (marked retired) so it is never reused for another copy.
+   * Copies held for a reservation or on loan must be checked in first.
+   * 
+   * @param {number} bookId - Book the copy belongs to
+   * @param {string} barcode - Copy barcode
+   * @param {string} reason - Why it was retired (e.g. "Water damage")
+   * @returns {Object} Result with success status
+   */
+  const retireCopy = (bookId, barcode, reason = '') => {
+    const retiredReason = reason.trim() || 'Not specified';
+    const result = changeCopyStatus(bookId, barcode, 'retired', retiredReason, () => ({
+      retiredDate: new Date().toISOString(),
+      retiredReason,
+    }));
+
+    return result.success
+      ? { success: true, message: `Copy ${barcode} retired` }
+      : result;
+  };
+
+  /**
+   * importBooks Function (staff)
+   *
+   * Applies the add/update rows of an import preview (see
+   * services/catalog/importer.js). Every row is checked again against the
+   * current catalog first; if any row fails, nothing is imported.
+   * All changes are saved in a single catalog write.
+   *
+   * @param {Array} rows - Preview rows with action 'add' or 'update'
+   * @returns {Object} { success, message, added, updated }
+   */
+  const importBooks = (rows) => {
+    if (!isStaff()) return staffOnly();
+
+    const adds = rows.filter(row => row.action === 'add');
+    const updates = rows.filter(row => row.action === 'update');
+    if (adds.length === 0 && updates.length === 0) {
+      return { success: false, message: 'Nothing to import' };
+    }
+
+    // The catalog may have changed since the preview was built
+    const failed = [...adds, ...updates].find(row =>
+      Object.keys(validateBookFields(row.fields, catalog, row.existingId ?? null)).length > 0
+    );
+    if (failed) {
+      return {
+        success: false,
+        message: `Row ${failed.rowNumber} is no longer valid - check the file and preview again`
+      };
+    }
+
+    const firstId = nextBookId(catalog);
+    const newBooks = adds.map((row, i) => ({
+      id: firstId + i,
+      ...cleanBookFields(row.fields),
+      rating: 0,
+      reviews: [],
+      retired: false,
+      copies: createCopies(firstId + i, [], Number(row.fields.copies), userId),
+    }));
+    const changesById = new Map(updates.map(row => [row.existingId, cleanBookFields(row.fields)]));
+
+    updateCatalog(prevCatalog => [
+      ...prevCatalog.map(book =>
+        changesById.has(book.id) ? { ...book, ...changesById.get(book.id) } : book
+      ),
+      ...newBooks,
+    ]);
+
+    return {
+      success: true,
+      message: `Import complete: ${newBooks.length} added, ${changesById.size} updated`,
+      added: newBooks.length,
+      updated: changesById.size
+    };
+  };
+
+  /**
+   * getTotalBorrowedCount Function
+   * 
+   * Returns the lifetime total of borrowed books.
+   * 
+   * @returns {number} Total number of books borrowed (excluding cancelled)
+   */
+  const getTotalBorrowedCount = () => {
+    return history.filter(item => item.status !== 'cancelled').length;
+  };
+
+  /**
+   * getCurrentlyBorrowedBooks Function
+   * 
+   * Returns books that are currently borrowed (not returned or cancelled).
+   * 
+   * @returns {Array} Currently borrowed books
+   */
+  const getCurrentlyBorrowedBooks = () => {
+    return history.filter(item => item.status === 'borrowed');
+  };
+
+  /**
+   * bookForLater Function
+   * 
+   * Puts the user in the hold queue for a book with no copy on the shelf.
+   * Holds are served first come, first served: when a copy comes back it is
+   * set aside for the first patron in line (see the hold queue effect above).
+   * 
+   * @param {number} bookId - The book ID to book
+   * @param {string} userId - The username of the person booking
+   * @param {string} reservationId - The current borrower's reservation ID
+   * @returns {Object} Result with success status and message
+   */
+  const bookForLater = (bookId, userId, reservationId) => {
+    try {
+      // Check if user already has a booking for this book
+      const existingBooking = futureBookings.find(
+        booking => booking.bookId === bookId && booking.userId === userId && isActiveHold(booking)
+      );
+
+      if (existingBooking) {
+        return {
+          success: false,
+          message: 'You are already in the queue for this book.'
+        };
+      }
+
+      const book = catalog.find(item => item.id === bookId);
+      if (book && countAvailableCopies(book) > 0 && getWaitingQueue(futureBookings, bookId).length === 0) {
+        return {
+          success: false,
+          message: 'This book is available now! You can reserve it directly.'
+        };
+      }
+
+      const hasLoan = history.some(item => item.book.id === bookId && item.status === 'borrowed');
+      if (hasLoan) {
+        return {
+          success: false,
+          message: 'You already have this book reserved or on loan.'
+        };
+      }
+
+      // Find the current borrower's due date from history
+      const currentBorrowing = allUsersHistory.find(
+        item => item.reservationId === reservationId && item.status === 'borrowed'
+      );
+
+      // Use actual due date if found, otherwise use mock date (7 days from now)
+      const expectedReturnDate = currentBorrowing 
+        ? currentBorrowing.dueDate
         : new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString();
 
       // Create new booking
@@ -774,14 +1850,17 @@ export function BookProvider({ children }) {
         bookingDate: new Date().toISOString(),
         expectedReturnDate,
         reservationId,
+        status: 'waiting',
         bookingId: `BOOK-${Math.random().toString(36).slice(2, 9).toUpperCase()}`
       };
 
+      const position = getWaitingQueue(futureBookings, bookId).length + 1;
       setFutureBookings(prev => [...prev, newBooking]);
+      notifyHoldEvent('placed', newBooking, { position });
 
       return {
         success: true,
-        message: 'Book successfully booked! You will be notified when it becomes available.',
+        message: `You are number ${position} in the queue. We will notify you when a copy is set aside for you.`,
         booking: newBooking
       };
     } catch (error) {
@@ -796,20 +1875,20 @@ export function BookProvider({ children }) {
   /**
    * hasFutureBooking Function
    * 
-   * Checks if a book has any future bookings.
+   * Checks if a book has any active holds.
    * Used to prevent extensions when someone is waiting.
    * 
    * @param {string} reservationId - The reservation ID to check
    * @returns {boolean} True if there's a booking, false otherwise
    */
   const hasFutureBooking = (reservationId) => {
-    return futureBookings.some(booking => booking.reservationId === reservationId);
+    return futureBookings.some(booking => booking.reservationId === reservationId && isActiveHold(booking));
   };
 
   /**
    * getUserBooking Function
    * 
-   * Gets a user's booking for a specific book.
+   * Gets a user's active hold (waiting or ready) for a specific book.
    * 
    * @param {number} bookId - The book ID
    * @param {string} userId - The username
@@ -817,21 +1896,57 @@ export function BookProvider({ children }) {
    */
   const getUserBooking = (bookId, userId) => {
     return futureBookings.find(
-      booking => booking.bookId === bookId && booking.userId === userId
+      booking => booking.bookId === bookId && booking.userId === userId && isActiveHold(booking)
     ) || null;
   };
 
+  /**
+   * getHoldQueue Function
+   * 
+   * Queue details for a book, for display on BookDetails.
+   * 
+   * @param {number} bookId - The book ID
+   * @returns {Object} { waiting, position } - position is the current user's
+   *   place in line (0 if they are not waiting)
+   */
+  const getHoldQueue = (bookId) => {
+    const own = getUserBooking(bookId, userId);
+    return {
+      waiting: getWaitingQueue(futureBookings, bookId).length,
+      position: own ? getQueuePosition(futureBookings, own) : 0,
+    };
+  };
+
   /**
    * cancelFutureBooking Function
    * 
-   * Cancels a future booking.
+   * Leaves the hold queue. If a copy was already set aside, it goes back on
+   * the shelf and passes to the next patron in line.
    * 
    * @param {string} bookingId - The booking ID to cancel
    * @returns {Object} Result with success status and message
    */
   const cancelFutureBooking = (bookingId) => {
     try {
-      setFutureBookings(prev => prev.filter(booking => booking.bookingId !== bookingId));
+      const hold = futureBookings.find(booking => booking.bookingId === bookingId);
+      if (!hold || !isActiveHold(hold)) {
+        return {
+          success: false,
+          message: 'Booking not found'
+        };
+      }
+
+      if (hold.status === 'ready') {
+        updateCatalog(prevCatalog => moveLoanCopy(prevCatalog, bookingId, 'on_shelf', {
+          by: userId,
+          note: 'Hold cancelled'
+        }));
+      }
+
+      const cancelled = { ...hold, status: 'cancelled', closedDate: new Date().toISOString() };
+      setFutureBookings(prev => prev.map(booking => booking.bookingId === bookingId ? cancelled : booking));
+      notifyHoldEvent('cancelled', cancelled);
+
       return {
         success: true,
         message: 'Booking cancelled successfully'
@@ -845,20 +1960,61 @@ export function BookProvider({ children }) {
     }
   };
 
+  /**
+   * saveConfirmation Function
+   * 
+   * Saves the receipt for a checkout (called by Checkout before it opens
+   * the confirmation page).
+   * 
+   * @param {Object} data - { reservationId, userDetails, books, pickupDate, offline }
+   * @returns {Object} The saved receipt
+   */
+  const saveConfirmation = (data) => {
+    const confirmation = createConfirmation({ ...data, username: userId });
+    setConfirmations(prev => [
+      confirmation,
+      ...prev.filter(item => item.reservationId !== confirmation.reservationId),
+    ].slice(0, MAX_CONFIRMATIONS));
+    return confirmation;
+  };
+
+  /**
+   * getConfirmation Function
+   * 
+   * @param {string} reservationId - Main reservation ID of the receipt
+   * @returns {Object|null} The current user's receipt, or null
+   */
+  const getConfirmation = (reservationId) => {
+    const wanted = String(reservationId ?? '').toUpperCase();
+    return confirmations.find(item => item.reservationId.toUpperCase() === wanted) ?? null;
+  };
+
   /**
    * clearHistory Function
    * 
-   * Clears all borrowing history.
+   * Clears the borrowing history.
    * Use with caution - this is permanent.
+   * Kept: active loans (their copies are still out and fines can still
+   * build up) and loans with a fine or a ledger entry, so fines can't be
+   * cleared away and payments stay matched to their loans.
    * 
    * @returns {Object} Result with success status
    */
   const clearHistory = () => {
     try {
-      setHistory([]);
+      const keep = new Set([
+        ...getPatronFines().fines.map(item => item.reservationId),
+        ...fineLedger.filter(entry => entry.username === userId).map(entry => entry.reservationId),
+      ]);
+      const kept = history.filter(item => item.status === 'borrowed' || keep.has(item.reservationId)).length;
+      setHistory(prevHistory => prevHistory.filter(item =>
+        item.status === 'borrowed' || keep.has(item.reservationId)
+      ));
       return {
         success: true,
-        message: 'History cleared successfully'
+        message: kept > 0
+          ? `History cleared. ${kept} ${kept === 1 ? 'loan was' : 'loans were'} kept (still on loan, or with a fine).`
+          : 'History cleared successfully'
       };
     } catch (error) {
       console.error('Error clearing history:', error);
@@ -882,6 +2038,10 @@ export function BookProvider({ children }) {
     loading,            // Boolean: Is data loading?
     history,            // Array: Borrowing history
     futureBookings,     // Array: Future bookings for borrowed books
+    allUsersHistory,    // Array: Every user's history records, tagged with username
+    catalog,            // Array: Full catalog incl. retired books and copy records
+    confirmations,      // Array: The user's reservation receipts (newest first)
+    confirmationsReady, // Boolean: Have the saved receipts loaded?
     
     // Cart Operations
     addToCart,          // Function: Add book to cart (with validation)
@@ -891,24 +2051,61 @@ export function BookProvider({ children }) {
     
     // History Operations
     addToHistory,              // Function: Add completed reservation to history
-    markAsReturned,            // Function: Mark borrowed book as returned
     getHistory,                // Function: Get history (optionally filtered)
     clearHistory,              // Function: Clear all history
-    extendBorrowingPeriod,     // Function: Extend due date by 7 days (one-time)
+    extendBorrowingPeriod,     // Function: Renew a loan (limits from the borrowing policy)
+    getRenewalCheck,           // Function: Can a loan be renewed? ({ allowed, reason })
+    getBorrowingPolicy,        // Function: Borrowing rules for the current user and a book
     cancelReservation,         // Function: Cancel unpicked reservations
-    markAsPickedUp,            // Function: Mark reservation as picked up
+    markAsPickedUp,            // Function: Mark own reservation as picked up (staff)
     getTotalBorrowedCount,     // Function: Get lifetime borrowed count
     getCurrentlyBorrowedBooks, // Function: Get currently borrowed books
+
+    // Receipts
+    saveConfirmation,          // Function: Save the receipt for a checkout
+    getConfirmation,           // Function: Find a receipt by reservation ID
+    
+    // Staff Loan Operations (librarian/admin only)
+    confirmPickup,             // Function: Confirm a patron collected a book
+    checkInReturn,             // Function: Check a returned book back in
+    renewAtDesk,               // Function: Renew a patron's loan under their policy
+    overrideDueDate,           // Function: Set a new due date for a loan
+
+    // Fines
+    fineLedger,                // Array: Payments and waivers (all users)
+    getPatronFines,            // Function: Fines and balance for a patron
+    recordFinePayment,         // Function: Record a payment (staff)
+    waiveFine,                 // Function: Waive all or part of a fine (staff)
+
+    // Reviews
+    reviews,                   // Array: All reviews incl. hidden (moderation)
+    getReviewEligibility,      // Function: Can the user review a book? ({ allowed, reason, review })
+    submitReview,              // Function: Post or update the user's review
+    deleteReview,              // Function: Delete the user's own review
+    toggleReviewHelpful,       // Function: Vote a review helpful (or take the vote back)
+    reportReview,              // Function: Report a review to the librarians
+    moderateReview,            // Function: Hide, restore or dismiss reports (staff)
+    
+    // Catalog Management (librarian/admin only)
+    addBook,            // Function: Add a new book with copies
+    updateBook,         // Function: Edit book details
+    setBookRetired,     // Function: Retire/restore a whole title
+    addCopies,          // Function: Add copies (new barcodes)
+    retireCopy,         // Function: Retire a damaged/lost copy
+    changeCopyStatus,   // Function: Move a copy to in transit, repair, lost...
+    importBooks,        // Function: Apply an import preview in one write
     
     // Future Booking Operations
     bookForLater,           // Function: Book a borrowed book for after return date
     hasFutureBooking,       // Function: Check if reservation has future booking
     getUserBooking,         // Function: Get user's booking for a book
     cancelFutureBooking,    // Function: Cancel a future booking
+    getHoldQueue,           // Function: Queue length and user's position for a book
     
     // Book Operations
     getBookById,        // Function: Get specific book by ID
-    searchBooks,        // Function: Search books by query
+    getCurrentBorrowing, // Function: Get active borrowing of a book (any user)
+    searchBooks,        // Function: Ranked search results for a query
     filterByCategory,   // Function: Filter by category
     filterByStatus,     // Function: Filter by availability status
     getAllCategories,   // Function: Get unique list of categories
@@ -957,12 +2154,12 @@ export function useBooks() {
  *    Context prevents passing books through every component in the tree.
  * 
  * Q: How does cart persistence work?
- * A: When cart changes, useEffect saves it to localStorage as JSON string.
- *    On app load, useState initializer reads from localStorage to restore cart.
- *    This survives page refreshes and browser restarts.
+ * A: The cart is held in usePersistentState. It loads the saved cart from the
+ *    storage layer (localStorage by default) when the provider mounts and saves
+ *    every change back. This survives page refreshes and browser restarts.
  * 
  * Q: What are the cart business rules?
- * A: 1) Maximum 5 books (library policy)
+ * A: 1) Cart limit from the borrowing policy (5 books for patrons)
  *    2) No duplicates (can't reserve same book twice)
  *    3) Only available books (copiesAvailable > 0)
  * 
@@ -979,7 +2176,26 @@ export function useBooks() {
  * A: React requires immutability. We create a new array instead of modifying
  *    the old one. This ensures React detects the change and re-renders.
  * 
- * Q: What happens if books.json fails to load?
+ * Q: Where does the catalog come from now?
+ * A: books.json is only the starting point (the "seed"). The first time a
+ *    librarian edits the catalog, the whole list is saved under
+ *    'booknest-catalog' and loaded from there afterwards. Every change
+ *    re-runs the stock calculation, so Browse, Home and BookDetails update
+ *    immediately (and other tabs via the storage subscription).
+ * 
+ * Q: What happens if the catalog fails to load?
  * A: The try-catch in useEffect catches errors, logs them to console, and
  *    sets loading to false. Books array stays empty, preventing app crash.
+ * 
+ * Q: How do librarians update another user's loans?
+ * A: Each user's history is saved under booknest-history-{username}.
+ *    Staff functions (confirmPickup, checkInReturn, overrideDueDate) read that
+ *    key, update the matching record and save it back. A storage subscription
+ *    on the booknest-history-* prefix then refreshes stock for everyone.
+ * 
+ * Q: How is availability worked out?
+ * A: From the copies, not from history. Reserving holds a specific copy
+ *    (status 'reserved'), pickup makes it 'on_loan' and check-in puts it
+ *    back 'on_shelf'. copiesAvailable is the number of copies on the shelf,
+ *    so a patron clearing their history can't free a copy that is still out.
  */
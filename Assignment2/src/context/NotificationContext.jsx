@@ -0,0 +1,384 @@
+/**
+ * NotificationContext - In-App Notifications
+ *
+ * PURPOSE:
+ * Holds the signed-in user's notifications (hold ready, hold expired, ...)
+ * and lets the Navbar bell show and manage them.
+ *
+ * HOW NOTIFICATIONS ARRIVE:
+ * Anything in the app calls notifyUser(username, ...) from
+ * services/notifications. That writes to the recipient's storage key; this
+ * context reads the same key through usePersistentState, whose storage
+ * subscription picks the change up straight away - also in other tabs.
+ *
+ * REMINDERS:
+ * The reminder scheduler (services/notifications/scheduler) runs when the
+ * app loads, whenever loans or holds change, and every 15 minutes. It turns
+ * "due in 2 days", "overdue", "pick up today" and "hold ending" into
+ * notifications; keys already sent are remembered so each one arrives once.
+ *
+ * BROWSER NOTIFICATIONS:
+ * Once the patron allows them (Notification Settings page), new
+ * notifications of the types they picked are also shown by the service
+ * worker while this tab is in the background. "Snooze" on a browser
+ * notification comes back here as a message; snoozed ones are saved and
+ * shown again when their time is up.
+ *
+ * PREFERENCES:
+ * Each notification type can be turned off, or shown in the browser too,
+ * from the Notification Settings page (/settings/notifications).
+ *
+ * USAGE:
+ * const { notifications, unreadCount, markAllAsRead } = useNotifications();
+ */
+
+import { createContext, useContext, useEffect, useRef, useState } from 'react';
+import { useAuth } from './AuthContext';
+import { useBooks } from './BookContext';
+import usePersistentState from '../hooks/usePersistentState';
+import {
+  notificationsKey,
+  notifyUser,
+  notificationPrefsKey,
+  DEFAULT_PREFERENCES,
+  isTypeEnabled,
+  remindersKey,
+  getDueReminders,
+  REMINDER_INTERVAL,
+  MAX_SENT_KEYS,
+  isPushEnabled,
+} from '../services/notifications';
+import {
+  getPushPermission,
+  requestPushPermission,
+  registerServiceWorker,
+  showBrowserNotification,
+  snoozedKey,
+} from '../services/push';
+
+// How often snoozed browser notifications are checked
+const SNOOZE_CHECK_INTERVAL = 60 * 1000;
+
+const NotificationContext = createContext();
+
+/**
+ * NotificationProvider Component
+ *
+ * Mounted inside the user-keyed BookProvider, so it remounts (and loads the
+ * right list) when the user changes.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function NotificationProvider({ children }) {
+  const { user } = useAuth();
+  const { history, futureBookings, catalog, loading } = useBooks();
+  const userId = user?.username || 'guest';
+
+  /**
+   * Notifications State (newest first)
+   */
+  const [notifications, setNotifications, notificationsReady] = usePersistentState(notificationsKey(userId), [], {
+    schema: 'notifications',
+  });
+
+  /**
+   * Preferences State ({ muted, push, snoozeMinutes } - see services/notifications/types)
+   */
+  const [preferences, setPreferences] = usePersistentState(notificationPrefsKey(userId), DEFAULT_PREFERENCES);
+
+  /**
+   * Sent Reminder Keys (newest first)
+   */
+  const [sentReminders, setSentReminders, remindersReady] = usePersistentState(remindersKey(userId), []);
+
+  /**
+   * Snoozed Browser Notifications ([{ id, title, message, link, until }])
+   */
+  const [snoozed, setSnoozed] = usePersistentState(snoozedKey(userId), []);
+  const snoozeMinutes = preferences?.snoozeMinutes ?? DEFAULT_PREFERENCES.snoozeMinutes;
+
+  /**
+   * Browser Permission ('granted' | 'denied' | 'default' | 'unsupported')
+   */
+  const [pushPermission, setPushPermission] = useState(getPushPermission);
+
+  // IDs already seen by this tab, so only NEW notifications reach the browser
+  const seenIds = useRef(null);
+
+  const unreadCount = notifications.filter((item) => !item.read).length;
+
+  /**
+   * useEffect: Reminder Scheduler
+   *
+   * Waits for BookContext to finish loading (otherwise the history would
+   * still be empty), then sends every reminder that applies and hasn't been
+   * sent yet. Muted types are marked as sent too (notifyUser drops them),
+   * so turning a type back on doesn't replay old reminders.
+   */
+  useEffect(() => {
+    if (!user || loading || !remindersReady) return;
+
+    const runScheduler = () => {
+      const records = { history, holds: futureBookings, catalog, username: user.username };
+      const pending = getDueReminders(records, Date.now())
+        .filter((reminder) => !sentReminders.includes(reminder.key));
+      if (pending.length === 0) return;
+
+      pending.forEach((reminder) => notifyUser(user.username, reminder));
+      setSentReminders((prev) => [...pending.map((reminder) => reminder.key), ...prev].slice(0, MAX_SENT_KEYS));
+    };
+
+    runScheduler();
+    const timer = setInterval(runScheduler, REMINDER_INTERVAL);
+    return () => clearInterval(timer);
+  }, [user, history, futureBookings, catalog, loading, remindersReady, sentReminders, setSentReminders]);
+
+  /**
+   * useEffect: Register the Service Worker
+   *
+   * Only once the patron has allowed notifications - nobody else needs it.
+   */
+  useEffect(() => {
+    if (user && pushPermission === 'granted') registerServiceWorker();
+  }, [user, pushPermission]);
+
+  /**
+   * useEffect: Show New Notifications in the Browser
+   *
+   * The first load only records what is already there; after that, each new
+   * notification is shown if its type is switched on for the browser and
+   * this tab is in the background (in front, the bell badge is enough).
+   */
+  useEffect(() => {
+    if (!notificationsReady) return;
+
+    if (!seenIds.current) {
+      seenIds.current = new Set(notifications.map((item) => item.id));
+      return;
+    }
+
+    const fresh = notifications.filter((item) => !seenIds.current.has(item.id));
+    fresh.forEach((item) => seenIds.current.add(item.id));
+
+    if (!user || pushPermission !== 'granted' || document.visibilityState === 'visible') return;
+    fresh
+      .filter((item) => !item.read && isPushEnabled(preferences, item.type))
+      .forEach((item) => showBrowserNotification(item));
+    // Other dependencies rerunning this is harmless: every ID is already seen
+  }, [notifications, notificationsReady, user, pushPermission, preferences]);
+
+  /**
+   * useEffect: Snooze Messages from the Service Worker
+   */
+  useEffect(() => {
+    if (!user || !('serviceWorker' in navigator)) return;
+
+    const handleMessage = (event) => {
+      if (event.data?.type !== 'booknest:snooze') return;
+      const { id, title, message, link } = event.data.notification;
+      const until = new Date(Date.now() + snoozeMinutes * 60 * 1000).toISOString();
+
+      setSnoozed((prev) => [...prev.filter((item) => item.id !== id), { id, title, message, link, until }]);
+    };
+
+    navigator.serviceWorker.addEventListener('message', handleMessage);
+    return () => navigator.serviceWorker.removeEventListener('message', handleMessage);
+  }, [user, snoozeMinutes, setSnoozed]);
+
+  /**
+   * useEffect: Show Snoozed Notifications Again
+   *
+   * Checked every minute; ones whose time is up are shown and dropped from
+   * the list (snoozing again adds them back).
+   */
+  useEffect(() => {
+    if (snoozed.length === 0 || pushPermission !== 'granted') return;
+
+    const showDue = () => {
+      const now = Date.now();
+      const due = snoozed.filter((item) => new Date(item.until).getTime() <= now);
+      if (due.length === 0) return;
+
+      due.forEach((item) => showBrowserNotification(item));
+      setSnoozed((prev) => prev.filter((item) => !due.some((shown) => shown.id === item.id)));
+    };
+
+    showDue();
+    const timer = setInterval(showDue, SNOOZE_CHECK_INTERVAL);
+    return () => clearInterval(timer);
+  }, [snoozed, pushPermission, setSnoozed]);
+
+  /**
+   * markAsRead Function
+   *
+   * @param {string} id - Notification ID
+   */
+  const markAsRead = (id) => {
+    setNotifications((prev) => prev.map((item) => (item.id === id ? { ...item, read: true } : item)));
+  };
+
+  /**
+   * markAllAsRead Function
+   */
+  const markAllAsRead = () => {
+    setNotifications((prev) => prev.map((item) => ({ ...item, read: true })));
+  };
+
+  /**
+   * removeNotification Function
+   *
+   * @param {string} id - Notification ID
+   */
+  const removeNotification = (id) => {
+    setNotifications((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  /**
+   * clearRead Function
+   *
+   * Deletes every notification that has been read.
+   */
+  const clearRead = () => {
+    setNotifications((prev) => prev.filter((item) => !item.read));
+  };
+
+  /**
+   * isEnabled Function
+   *
+   * @param {string} type - Notification type
+   * @returns {boolean} Whether the user receives this type
+   */
+  const isEnabled = (type) => isTypeEnabled(preferences, type);
+
+  /**
+   * setTypeEnabled Function
+   *
+   * @param {string} type - Notification type
+   * @param {boolean} enabled - Receive it or not
+   */
+  const setTypeEnabled = (type, enabled) => {
+    setPreferences((prev) => {
+      const muted = (prev?.muted ?? []).filter((item) => item !== type);
+      return { ...prev, muted: enabled ? muted : [...muted, type] };
+    });
+  };
+
+  /**
+   * isPushOn Function
+   *
+   * @param {string} type - Notification type
+   * @returns {boolean} Whether this type is also shown in the browser
+   */
+  const isPushOn = (type) => isPushEnabled(preferences, type);
+
+  /**
+   * setPushEnabled Function
+   *
+   * @param {string} type - Notification type
+   * @param {boolean} enabled - Show it in the browser or not
+   */
+  const setPushEnabled = (type, enabled) => {
+    setPreferences((prev) => {
+      const push = (prev?.push ?? DEFAULT_PREFERENCES.push).filter((item) => item !== type);
+      return { ...prev, push: enabled ? [...push, type] : push };
+    });
+  };
+
+  /**
+   * setSnoozeMinutes Function
+   *
+   * @param {number} minutes - How long "Snooze" waits
+   */
+  const setSnoozeMinutes = (minutes) => {
+    setPreferences((prev) => ({ ...prev, snoozeMinutes: minutes }));
+  };
+
+  /**
+   * enablePush Function
+   *
+   * Asks the browser for permission. Must be called from a click.
+   *
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  const enablePush = async () => {
+    const permission = await requestPushPermission();
+    setPushPermission(permission);
+
+    const messages = {
+      granted: 'Browser notifications are on',
+      denied: 'Notifications are blocked for this site. Allow them in your browser settings to turn them on.',
+      default: 'Browser notifications were not turned on',
+      unsupported: 'This browser does not support notifications',
+    };
+    return { success: permission === 'granted', message: messages[permission] };
+  };
+
+  /**
+   * sendTestNotification Function
+   *
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  const sendTestNotification = async () => {
+    const shown = await showBrowserNotification({
+      id: 'booknest-test',
+      title: 'BookNest notifications are working',
+      message: 'Reminders like this one appear while BookNest is open in the background.',
+      link: '/settings/notifications',
+    });
+    return shown
+      ? { success: true, message: 'Test notification sent' }
+      : { success: false, message: 'Could not show a notification - check the browser permission' };
+  };
+
+  /**
+   * cancelSnooze Function
+   *
+   * @param {string} id - Notification ID
+   */
+  const cancelSnooze = (id) => {
+    setSnoozed((prev) => prev.filter((item) => item.id !== id));
+  };
+
+  const value = {
+    notifications,      // Array: Newest first
+    unreadCount,        // Number: Notifications not yet read
+    markAsRead,         // Function: Mark one as read
+    markAllAsRead,      // Function: Mark all as read
+    removeNotification, // Function: Delete one
+    clearRead,          // Function: Delete all read notifications
+    isEnabled,          // Function: Is a notification type switched on?
+    setTypeEnabled,     // Function: Turn a notification type on/off
+
+    // Browser notifications
+    pushPermission,       // String: 'granted' | 'denied' | 'default' | 'unsupported'
+    enablePush,           // Function: Ask for permission (from a click)
+    isPushOn,             // Function: Is a type shown in the browser?
+    setPushEnabled,       // Function: Show a type in the browser or not
+    snoozeMinutes,        // Number: How long "Snooze" waits
+    setSnoozeMinutes,     // Function: Change the snooze length
+    snoozed,              // Array: Snoozed browser notifications
+    cancelSnooze,         // Function: Drop a snoozed notification
+    sendTestNotification, // Function: Show a test notification
+  };
+
+  return (
+    <NotificationContext.Provider value={value}>
+      {children}
+    </NotificationContext.Provider>
+  );
+}
+
+/**
+ * useNotifications Hook
+ *
+ * @returns {Object} Notification state and functions
+ * @throws {Error} If used outside NotificationProvider
+ */
+export function useNotifications() {
+  const context = useContext(NotificationContext);
+  if (!context) {
+    throw new Error('useNotifications must be used within a NotificationProvider');
+  }
+  return context;
+}
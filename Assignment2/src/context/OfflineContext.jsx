@@ -0,0 +1,243 @@
+/**
+ * OfflineContext - Connection State & Offline Action Queue
+ *
+ * PURPOSE:
+ * Knows whether the browser is online and runs loan actions accordingly:
+ * online they happen straight away; offline they are queued (see
+ * services/offline) and replayed when the connection returns.
+ *
+ * REPLAY:
+ * When the app is online, BookContext has loaded and this tab is visible
+ * (so two open tabs don't both replay), pending actions are run in order,
+ * one per render, through the normal BookContext functions. Successes leave
+ * the queue; failures stay as conflicts with the reason, shown by
+ * OfflineStatus and sent to the notification center.
+ *
+ * USAGE:
+ * const { isOnline, runOrQueue } = useOffline();
+ * const result = runOrQueue('extend', { reservationId }, 'Renew "Dune"');
+ * // result.queued is true when it was saved for later
+ */
+
+import { createContext, useContext, useEffect, useRef } from 'react';
+import { useAuth } from './AuthContext';
+import { useBooks } from './BookContext';
+import { useToast } from './ToastContext';
+import usePersistentState from '../hooks/usePersistentState';
+import useOnlineStatus from '../hooks/useOnlineStatus';
+import { notifyUser } from '../services/notifications';
+import {
+  offlineQueueKey,
+  createQueuedAction,
+  findStaleConflict,
+  applyReplayResults,
+} from '../services/offline';
+
+const OfflineContext = createContext();
+
+/**
+ * OfflineProvider Component
+ *
+ * Mounted inside the user-keyed BookProvider, so each user has their own queue.
+ *
+ * @param {Object} props
+ * @param {React.ReactNode} props.children - Child components
+ */
+export function OfflineProvider({ children }) {
+  const { user } = useAuth();
+  const { addToHistory, cancelReservation, extendBorrowingPeriod, loading } = useBooks();
+  const { showToast } = useToast();
+  const isOnline = useOnlineStatus();
+  const userId = user?.username || 'guest';
+
+  /**
+   * Queue State (oldest first)
+   */
+  const [queue, setQueue, queueReady] = usePersistentState(offlineQueueKey(userId), [], {
+    schema: 'offlineQueue',
+  });
+
+  // Actions this tab has already replayed (StrictMode runs effects twice)
+  const replayed = useRef(new Set());
+  // Running totals for the replay in progress, reported when it finishes
+  const batch = useRef({ sent: 0, failed: 0 });
+
+  const pending = queue.filter((action) => action.status === 'pending');
+  const conflicts = queue.filter((action) => action.status === 'conflict');
+
+  /**
+   * performAction Helper
+   *
+   * Runs a queued (or immediate) action through BookContext.
+   *
+   * @returns {Object} Result with success status and message
+   */
+  const performAction = (type, payload) => {
+    switch (type) {
+      case 'reserve':
+        return addToHistory(payload.historyItem);
+      case 'cancel':
+        return cancelReservation(payload.reservationId);
+      case 'extend':
+        return extendBorrowingPeriod(payload.reservationId);
+      default:
+        return { success: false, message: `Unknown action: ${type}` };
+    }
+  };
+
+  // performAction uses BookContext functions that are rebuilt every render;
+  // the replay effect reads the latest one through this ref rather than
+  // re-running (and re-subscribing) on every render
+  const performActionRef = useRef(performAction);
+  useEffect(() => {
+    performActionRef.current = performAction;
+  });
+
+  /**
+   * useEffect: Replay the Queue
+   *
+   * Runs when the connection returns, when the queue or BookContext finish
+   * loading, and when this tab comes to the front.
+   */
+  useEffect(() => {
+    if (!user || !isOnline || loading || !queueReady) return;
+
+    const replay = () => {
+      if (document.visibilityState !== 'visible') return;
+
+      // One action per commit: BookContext's catalog and history only
+      // change on the next render, so the next action waits for it (the
+      // queue update below re-runs this effect with a fresh performAction)
+      const action = queue.find((item) => item.status === 'pending' && !replayed.current.has(item.id));
+      if (!action) return;
+
+      replayed.current.add(action.id);
+      const stale = findStaleConflict(action, Date.now());
+      const result = stale ? { success: false, message: stale } : performActionRef.current(action.type, action.payload);
+      setQueue((prev) => applyReplayResults(prev, new Map([[action.id, result]])));
+
+      if (result.success) {
+        batch.current.sent += 1;
+      } else {
+        batch.current.failed += 1;
+        notifyUser(user.username, {
+          type: 'offline_conflict',
+          title: 'Offline action not completed',
+          message: `${action.summary}: ${result.message}`,
+          link: '/dashboard',
+          key: `offline-conflict-${action.id}`,
+        });
+      }
+
+      // Report the outcome once the last pending action has been sent
+      const more = queue.some((item) => item.status === 'pending' && !replayed.current.has(item.id));
+      if (more) return;
+
+      const { sent, failed } = batch.current;
+      batch.current = { sent: 0, failed: 0 };
+      if (failed === 0) {
+        showToast(`Back online - ${sent} saved ${sent === 1 ? 'action' : 'actions'} sent`, 'success');
+      } else {
+        showToast(
+          `Back online - ${sent} sent, ${failed} could not be completed (see the banner for details)`,
+          'warning',
+          6000
+        );
+      }
+    };
+
+    replay();
+    document.addEventListener('visibilitychange', replay);
+    return () => document.removeEventListener('visibilitychange', replay);
+  }, [user, isOnline, loading, queueReady, queue, setQueue, showToast]);
+
+  /**
+   * queueAction Function
+   *
+   * @param {string} type - 'reserve' | 'cancel' | 'extend'
+   * @param {Object} payload - Arguments for the action
+   * @param {string} summary - What the patron did, in words
+   * @returns {Object} Result with success, queued and message
+   */
+  const queueAction = (type, payload, summary) => {
+    setQueue((prev) => [...prev, createQueuedAction(type, payload, summary)]);
+    return {
+      success: true,
+      queued: true,
+      message: `${summary} - saved offline, will be sent when you're back online`,
+    };
+  };
+
+  /**
+   * runOrQueue Function
+   *
+   * Does the action now when online, otherwise queues it.
+   *
+   * @param {string} type - 'reserve' | 'cancel' | 'extend'
+   * @param {Object} payload - Arguments for the action
+   * @param {string} summary - What the patron did, in words
+   * @returns {Object} Result with success status and message (queued: true if saved for later)
+   */
+  const runOrQueue = (type, payload, summary) => (
+    isOnline ? performAction(type, payload) : queueAction(type, payload, summary)
+  );
+
+  /**
+   * isQueued Function
+   *
+   * @param {string} type - Action type
+   * @param {string} reservationId - Loan the action is for
+   * @returns {boolean} Whether that action is waiting to be sent
+   */
+  const isQueued = (type, reservationId) => pending.some((action) =>
+    action.type === type && action.payload.reservationId === reservationId
+  );
+
+  /**
+   * discardAction Function
+   *
+   * Removes a pending action or dismisses a conflict.
+   *
+   * @param {string} id - Queued action ID
+   */
+  const discardAction = (id) => {
+    setQueue((prev) => prev.filter((action) => action.id !== id));
+  };
+
+  /**
+   * dismissConflicts Function
+   */
+  const dismissConflicts = () => {
+    setQueue((prev) => prev.filter((action) => action.status !== 'conflict'));
+  };
+
+  const value = {
+    isOnline,          // Boolean: Does the browser report a connection?
+    pending,           // Array: Actions waiting to be sent (oldest first)
+    conflicts,         // Array: Replayed actions that failed, with the reason
+    runOrQueue,        // Function: Run an action now or queue it when offline
+    isQueued,          // Function: Is an action for a loan waiting?
+    discardAction,     // Function: Drop a pending action / dismiss a conflict
+    dismissConflicts,  // Function: Dismiss all conflicts
+  };
+
+  return (
+    <OfflineContext.Provider value={value}>
+      {children}
+    </OfflineContext.Provider>
+  );
+}
+
+/**
+ * useOffline Hook
+ *
+ * @returns {Object} Connection state and queue functions
+ * @throws {Error} If used outside OfflineProvider
+ */
+export function useOffline() {
+  const context = useContext(OfflineContext);
+  if (!context) {
+    throw new Error('useOffline must be used within an OfflineProvider');
+  }
+  return context;
+}
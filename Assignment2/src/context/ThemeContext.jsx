@@ -12,12 +12,13 @@
  * 
  * KEY CONCEPTS FOR VIVA:
  * 1. useState: Stores current theme state
- * 2. useEffect: Applies theme changes and saves to localStorage
- * 3. localStorage: Persists theme preference across browser sessions
+ * 2. useEffect: Applies theme changes to the <html> element
+ * 3. usePersistentState: Persists theme preference through the storage layer
  * 4. Context API: Makes theme accessible to all components
  */
 
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useEffect } from 'react';
+import usePersistentState from '../hooks/usePersistentState';
 
 // Step 1: Create the Context
 // This creates a "container" that will hold our theme data
@@ -33,21 +34,16 @@ const ThemeContext = createContext();
  * @param {React.ReactNode} props.children - Child components that need access to theme
  */
 export function ThemeProvider({ children }) {
-  // useState Hook: Manages the current theme state
-  // Initial value comes from localStorage or defaults to 'light'
-  // localStorage.getItem returns null if key doesn't exist, so we use || 'light'
-  const [theme, setTheme] = useState(() => {
-    // Check if user has a saved theme preference
-    const savedTheme = localStorage.getItem('booknest-theme');
-    return savedTheme || 'light'; // Default to 'light' if no saved preference
-  });
+  // usePersistentState Hook: Manages the current theme state
+  // Starts as 'light' and switches to the saved preference once the
+  // storage layer has loaded it. Every change is saved back automatically.
+  const [theme, setTheme] = usePersistentState('booknest-theme', 'light');
 
   /**
    * useEffect Hook: Runs side effects when theme changes
    * 
    * Side effects are operations that interact with things outside React:
    * - Updating the DOM (document.documentElement)
-   * - Saving to localStorage
    * - API calls, etc.
    * 
    * Dependency Array [theme]: This effect runs when 'theme' changes
@@ -64,12 +60,7 @@ export function ThemeProvider({ children }) {
     // Example: dark:bg-gray-900 will only apply when 'dark' class exists
     root.classList.add(theme);
     
-    // PERSISTENCE: Save theme to localStorage
-    // Why localStorage?
-    // - Data persists even after closing browser
-    // - No backend needed for this simple preference
-    // - Automatically loads user's preference on next visit
-    localStorage.setItem('booknest-theme', theme);
+    // PERSISTENCE: Handled by usePersistentState (storage layer)
     
   }, [theme]); // Only re-run when 'theme' value changes
 
@@ -147,15 +138,15 @@ export function useTheme() {
  * A: Theme is needed in many components (Navbar, pages, etc.). Context prevents
  *    passing theme props through every single component (prop drilling).
  * 
- * Q: How does localStorage work here?
- * A: When theme changes, we save it to localStorage. When app loads, we read from
- *    localStorage to restore user's preference. Data persists across browser sessions.
+ * Q: How is the theme saved?
+ * A: usePersistentState saves every change through the storage layer (localStorage
+ *    by default) and restores the saved preference when the app loads.
  * 
  * Q: What is the 'dark' class for?
  * A: Tailwind CSS uses the 'dark' class on the root element to apply dark mode styles.
  *    Example: dark:bg-gray-900 only applies when <html class="dark"> exists.
  * 
  * Q: What does useEffect do here?
- * A: It runs whenever theme changes, updating the DOM class and localStorage.
+ * A: It runs whenever theme changes, updating the DOM class.
  *    The dependency array [theme] means it only runs when theme value changes.
  */
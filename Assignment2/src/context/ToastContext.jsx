@@ -40,7 +40,8 @@ export function ToastProvider({ children }) {
    * 
    * @param {string} message - The message to display
    * @param {string} type - Type: 'success', 'error', 'info', 'warning'
-   * @param {number} duration - How long to show (milliseconds)
+   * @param {number} duration - How long to show (milliseconds, 0 = until closed)
+   * @returns {number} Toast ID (pass to removeToast to close it early)
    */
   const showToast = useCallback((message, type = 'info', duration = 3000) => {
     const id = Date.now() + Math.random();
@@ -54,6 +55,8 @@ export function ToastProvider({ children }) {
         removeToast(id);
       }, duration);
     }
+
+    return id;
   }, [removeToast]);
 
   /**
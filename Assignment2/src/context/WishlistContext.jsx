@@ -4,7 +4,7 @@
   
   Purpose:
   - Allow users to save books they want to read later
-  - Persist wishlist data in localStorage
+  - Persist wishlist data through the storage layer
   - Provide easy add/remove/toggle operations
   
   Features:
@@ -13,10 +13,12 @@
   - Toggle wishlist status (add if not in list, remove if already in)
   - Check if a book is in wishlist
   - Clear entire wishlist
-  - Persist across browser sessions using localStorage
+  - Persist across browser sessions (localStorage by default)
 */
 
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext } from 'react';
+import usePersistentState from '../hooks/usePersistentState';
+import { useToast } from './ToastContext';
 
 /*
   Create the Wishlist Context
@@ -35,39 +37,19 @@ export function WishlistProvider({ children }) {
     ===== STATE MANAGEMENT =====
     Wishlist State:
     - Array of book objects that user has wishlisted
-    - Initialized from localStorage to persist data
+    - Loaded from and saved to the storage layer by usePersistentState
+    - Starts empty and fills in once the saved wishlist has loaded
+    - Saved as a versioned collection; unreadable entries are quarantined
+      and reported with a toast instead of clearing the whole wishlist
   */
-  const [wishlist, setWishlist] = useState(() => {
-    /*
-      Initialize wishlist from localStorage
-      - Check if there's saved wishlist data
-      - Parse JSON string back to array
-      - Return empty array if no data exists
-    */
-    try {
-      const savedWishlist = localStorage.getItem('bookNestWishlist');
-      return savedWishlist ? JSON.parse(savedWishlist) : [];
-    } catch (error) {
-      console.error('Error loading wishlist from localStorage:', error);
-      return [];
-    }
+  const { showToast } = useToast();
+  const [wishlist, setWishlist] = usePersistentState('bookNestWishlist', [], {
+    schema: 'wishlist',
+    onQuarantine: (items) => {
+      showToast(`${items.length} wishlist ${items.length === 1 ? 'entry' : 'entries'} could not be loaded.`, 'warning', 6000);
+    },
   });
 
-  /*
-    ===== EFFECT: PERSIST WISHLIST TO LOCALSTORAGE =====
-    Whenever wishlist changes, save to localStorage
-    - Converts wishlist array to JSON string
-    - Stores in localStorage for persistence
-    - Runs every time wishlist state updates
-  */
-  useEffect(() => {
-    try {
-      localStorage.setItem('bookNestWishlist', JSON.stringify(wishlist));
-    } catch (error) {
-      console.error('Error saving wishlist to localStorage:', error);
-    }
-  }, [wishlist]);
-
   /*
     ===== FUNCTION: ADD TO WISHLIST =====
     Adds a book to the wishlist
@@ -0,0 +1,34 @@
+/**
+ * useOnlineStatus - Is the browser connected?
+ *
+ * PURPOSE:
+ * Follows navigator.onLine through the 'online' and 'offline' window
+ * events, so components re-render when the connection drops or returns.
+ * (navigator.onLine can say "online" on a network without internet, but
+ * "offline" is always reliable - which is the case that matters here.)
+ *
+ * USAGE:
+ * const isOnline = useOnlineStatus();
+ *
+ * @returns {boolean} Whether the browser reports a connection
+ */
+
+import { useState, useEffect } from 'react';
+
+export default function useOnlineStatus() {
+  const [isOnline, setIsOnline] = useState(() => navigator.onLine);
+
+  useEffect(() => {
+    const goOnline = () => setIsOnline(true);
+    const goOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', goOnline);
+    window.addEventListener('offline', goOffline);
+    return () => {
+      window.removeEventListener('online', goOnline);
+      window.removeEventListener('offline', goOffline);
+    };
+  }, []);
+
+  return isOnline;
+}
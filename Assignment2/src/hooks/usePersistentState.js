@@ -0,0 +1,124 @@
+/**
+ * usePersistentState - useState that lives in the storage layer
+ *
+ * PURPOSE:
+ * Replaces the old pattern used across our contexts:
+ *   useState(() => JSON.parse(localStorage.getItem(key)))
+ *   useEffect(() => localStorage.setItem(key, ...), [value])
+ *
+ * Because adapters are async, the value starts as `defaultValue` and is
+ * replaced once the stored value arrives. Writes are held back until that
+ * first load finishes ("hydration"), otherwise the default would overwrite
+ * the saved data on every page load.
+ *
+ * VERSIONED COLLECTIONS:
+ * Pass `schema` to save the value inside a versioned envelope. Old shapes
+ * are migrated on load (and saved back upgraded); unreadable records are
+ * quarantined and reported through `onQuarantine` instead of wiping state.
+ *
+ * USAGE:
+ * const [cart, setCart, cartReady] = usePersistentState(`booknest-cart-${userId}`, [], {
+ *   schema: 'cart',
+ *   onQuarantine: (items) => showToast(...),
+ * });
+ *
+ * @param {string} key - Storage key
+ * @param {*} defaultValue - Value used until (or if nothing is) loaded
+ * @param {Object} [options]
+ * @param {string} [options.schema] - Collection type from services/schema/collections
+ * @param {Function} [options.onQuarantine] - Called with [{ record, reason }] when records are set aside
+ * @returns {Array} [value, setValue, ready]
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import storage from '../services/storage';
+import { decodeCollection, encodeCollection, quarantineRecords } from '../services/schema';
+
+export default function usePersistentState(key, defaultValue, options = {}) {
+  const [value, setValue] = useState(defaultValue);
+  const [ready, setReady] = useState(false);
+
+  // Keep the default and options stable without adding them to effect dependencies
+  const defaultRef = useRef(defaultValue);
+  const optionsRef = useRef(options);
+
+  // JSON of the last value read from or written to storage.
+  // Used to ignore our own change notifications and skip redundant writes.
+  const lastSynced = useRef(undefined);
+
+  /**
+   * Effect: Load the stored value and listen for outside changes
+   */
+  useEffect(() => {
+    let cancelled = false;
+    const { schema, onQuarantine } = optionsRef.current;
+
+    // Turns a stored value into app state (unwrapping versioned collections)
+    const decode = (stored) => {
+      if (!schema) return { data: stored, quarantined: [], migrated: false };
+      return decodeCollection(schema, stored);
+    };
+
+    storage.get(key)
+      .then(async (saved) => {
+        if (cancelled) return;
+        const { data, quarantined, migrated } = decode(saved);
+
+        if (quarantined.length > 0) {
+          await quarantineRecords(key, quarantined);
+          onQuarantine?.(quarantined);
+        }
+        if (cancelled) return;
+
+        if (data !== null && data !== undefined) {
+          // Leave lastSynced empty for migrated data so the upgraded copy is saved back
+          lastSynced.current = migrated ? undefined : JSON.stringify(data);
+          setValue(data);
+        }
+        setReady(true);
+      })
+      .catch((error) => {
+        console.error(`Error loading ${key} from storage:`, error);
+        if (!cancelled) setReady(true);
+      });
+
+    const unsubscribe = storage.subscribe(key, (next) => {
+      const { data } = decode(next);
+      const serialized = JSON.stringify(data ?? null);
+      if (serialized === lastSynced.current) return;
+      lastSynced.current = serialized;
+      setValue(data ?? defaultRef.current);
+    });
+
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, [key]);
+
+  /**
+   * Effect: Save changes once hydrated
+   * null/undefined removes the key (e.g. logging out)
+   */
+  useEffect(() => {
+    if (!ready) return;
+
+    const serialized = JSON.stringify(value ?? null);
+    if (serialized === lastSynced.current) return;
+    lastSynced.current = serialized;
+
+    const { schema } = optionsRef.current;
+    let write;
+    if (value === null || value === undefined) {
+      write = storage.remove(key);
+    } else {
+      write = storage.set(key, schema ? encodeCollection(schema, value) : value);
+    }
+
+    write.catch((error) => {
+      console.error(`Error saving ${key} to storage:`, error);
+    });
+  }, [key, value, ready]);
+
+  return [value, setValue, ready];
+}
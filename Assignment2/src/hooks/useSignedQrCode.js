@@ -0,0 +1,41 @@
+/**
+ * useSignedQrCode - Signed pickup QR text for a receipt
+ *
+ * PURPOSE:
+ * Signing uses Web Crypto, which is asynchronous, so the QR text isn't
+ * ready on the first render. This hook signs the receipt's QR data
+ * (services/receipts + services/qr) and re-renders once it is done.
+ *
+ * USAGE:
+ * const qrData = useSignedQrCode(confirmation);
+ * // null while signing (or without a receipt or signing key), then 'BN1.xxx.yyy'
+ *
+ * @param {Object|null} confirmation - Receipt record
+ * @returns {string|null} Text for the QR code
+ */
+
+import { useState, useEffect } from 'react';
+import { signQrPayload, isQrSigningAvailable } from '../services/qr';
+import { buildQrPayload } from '../services/receipts';
+
+export default function useSignedQrCode(confirmation) {
+  const [signed, setSigned] = useState({ confirmation: null, code: null });
+
+  useEffect(() => {
+    if (!confirmation || !isQrSigningAvailable()) return;
+    let cancelled = false;
+
+    signQrPayload(buildQrPayload(confirmation))
+      .then((code) => {
+        if (!cancelled) setSigned({ confirmation, code });
+      })
+      .catch((error) => console.error('Error signing QR code:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [confirmation]);
+
+  // A code signed for an earlier receipt is never shown for this one
+  return signed.confirmation === confirmation ? signed.code : null;
+}
@@ -44,6 +44,15 @@ import { AuthProvider, useAuth } from './context/AuthContext.jsx';
 import { BookProvider } from './context/BookContext.jsx';
 import { WishlistProvider } from './context/WishlistContext.jsx';
 import { ToastProvider } from './context/ToastContext.jsx';
+import { NotificationProvider } from './context/NotificationContext.jsx';
+import { OfflineProvider } from './context/OfflineContext.jsx';
+import { registerServiceWorker } from './services/push';
+
+// Service worker: offline cache + browser notifications (dev relies on the
+// Vite server, so the cache would only get in the way there)
+if (import.meta.env.PROD) {
+  registerServiceWorker();
+}
 
 /**
  * AppWrapper Component
@@ -52,13 +61,23 @@ import { ToastProvider } from './context/ToastContext.jsx';
  * as a key for BookProvider. When user changes, BookProvider remounts with fresh data.
  */
 function AppWrapper() {
-  const { user } = useAuth();
+  const { user, loading } = useAuth();
+  
+  // Wait for the saved session to load from storage, otherwise BookProvider
+  // would mount once as 'guest' and immediately remount for the real user
+  if (loading) {
+    return null;
+  }
   
   return (
     // BookProvider key ensures it remounts when user changes, loading user-specific data
     <BookProvider key={user?.username || 'guest'}>
       <WishlistProvider>
-        <App />
+        <NotificationProvider>
+          <OfflineProvider>
+            <App />
+          </OfflineProvider>
+        </NotificationProvider>
       </WishlistProvider>
     </BookProvider>
   );
@@ -77,7 +96,13 @@ function AppWrapper() {
  * <ThemeProvider>                    // Provides: theme, toggleTheme
  *   <AuthProvider>                   // Provides: user, login, logout, isAuthenticated
  *     <BookProvider key={username}>  // Provides: books, cart, addToCart, searchBooks, etc.
- *       <App />                      // All components inside App can access all contexts
+ *       <WishlistProvider>           // Provides: wishlist
+ *         <NotificationProvider>     // Provides: notifications, unreadCount, markAsRead
+ *           <OfflineProvider>        // Provides: isOnline, runOrQueue, pending, conflicts
+ *             <App />                // All components inside App can access all contexts
+ *           </OfflineProvider>
+ *         </NotificationProvider>
+ *       </WishlistProvider>
  *     </BookProvider>
  *   </AuthProvider>
  * </ThemeProvider>
@@ -90,7 +115,7 @@ function AppWrapper() {
  * 
  * Why key prop on BookProvider?
  * - Forces BookProvider to remount when user changes
- * - Ensures cart and history load user-specific data from localStorage
+ * - Ensures cart and history load user-specific data from storage
  * - Prevents data bleeding between different user sessions
  * 
  * For Viva:
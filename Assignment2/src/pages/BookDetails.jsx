@@ -11,6 +11,9 @@
  * 3. Conditional Reserve button based on availability
  * 4. Mock available date for borrowed books
  * 5. Add to cart functionality with alert feedback
+ * 6. Reviews: sort, vote helpful, report, write/edit your own (BookReviews)
+ * 7. "Readers also borrowed" and "More like this" / "Because you borrowed"
+ *    rails with the reason for each suggestion (services/recommendations)
  * 
  * KEY CONCEPTS FOR VIVA:
  * - useParams: Extracting route parameters from URL
@@ -20,12 +23,15 @@
  * - Context integration: Using BookContext for data and cart
  */
 
-import { useParams, useNavigate } from 'react-router-dom';
-import { ArrowLeft, Star, CheckCircle, XCircle, Calendar, BookOpen, User, Hash, Tag, Heart, Building2, CalendarDays, FileText, Clock } from 'lucide-react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ArrowLeft, Star, CheckCircle, XCircle, Calendar, BookOpen, User, Hash, Tag, Heart, Building2, CalendarDays, FileText, Clock, Users } from 'lucide-react';
 import { useBooks } from '../context/BookContext';
 import { useWishlist } from '../context/WishlistContext';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from '../context/ToastContext';
+import RecommendationRail from '../components/RecommendationRail';
+import BookReviews from '../components/BookReviews';
+import { buildBorrowingGraph, getSimilarBooks } from '../services/recommendations';
 
 function BookDetails() {
   /**
@@ -58,11 +64,27 @@ function BookDetails() {
    * - getBookById: Function to find book by ID
    * - addToCart: Function to add book to cart
    * - isInCart: Function to check if book is already in cart
-   * - history: Array of borrowing history to find current borrower
-   * - bookForLater: Function to book a borrowed book for later
-   * - getUserBooking: Function to check if user already booked this book
+   * - history: Array of borrowing history
+   * - getCurrentBorrowing: Finds the active borrowing of a book across all users
+   * - bookForLater: Function to join the hold queue for a borrowed book
+   * - getUserBooking: Function to check if user already has a hold on this book
+   * - getHoldQueue: Queue length and the user's place in line
+   * - cancelFutureBooking: Function to leave the queue
+   * - books / allUsersHistory: For the recommendation rails
    */
-  const { getBookById, addToCart, isInCart, history, bookForLater, getUserBooking } = useBooks();
+  const {
+    books,
+    allUsersHistory,
+    getBookById,
+    addToCart,
+    isInCart,
+    history,
+    bookForLater,
+    getUserBooking,
+    getHoldQueue,
+    cancelFutureBooking,
+    getCurrentBorrowing
+  } = useBooks();
 
   /**
    * Get Wishlist Functions from Context
@@ -144,39 +166,12 @@ function BookDetails() {
    */
   const inWishlist = isInWishlist(book.id);
 
-  /**
-   * Helper function to get ALL users' borrowing histories
-   * This ensures we find the actual borrower even if it's a different user
-   */
-  const getAllUsersHistory = () => {
-    const allHistories = [];
-    
-    for (let i = 0; i < localStorage.length; i++) {
-      const key = localStorage.key(i);
-      
-      if (key && key.startsWith('booknest-history-')) {
-        try {
-          const userHistory = JSON.parse(localStorage.getItem(key));
-          if (Array.isArray(userHistory)) {
-            allHistories.push(...userHistory);
-          }
-        } catch (error) {
-          console.error(`Error parsing history from ${key}:`, error);
-        }
-      }
-    }
-    
-    return allHistories;
-  };
-
   /**
    * Find current borrower for this book (if borrowed)
-   * Look for active borrowing in ALL users' histories (not just current user)
+   * BookContext looks through ALL users' histories (not just current user)
    * This ensures we show the correct return date regardless of who borrowed it
    */
-  const currentBorrowing = getAllUsersHistory().find(
-    item => item.book.id === book.id && item.status === 'borrowed'
-  );
+  const currentBorrowing = getCurrentBorrowing(book.id);
 
   /**
    * Check if book is currently borrowed
@@ -185,9 +180,12 @@ function BookDetails() {
   const isBorrowed = !isAvailable || currentBorrowing;
 
   /**
-   * Check if current user has already booked this book for later
+   * Check if current user already has a hold on this book, and the queue
+   * - userBooking.status 'waiting': in line at queue.position
+   * - userBooking.status 'ready': a copy is set aside for them until pickupBy
    */
   const userBooking = user ? getUserBooking(book.id, user.username) : null;
+  const queue = getHoldQueue(book.id);
 
   /**
    * STEP 6: Calculate Available Date
@@ -263,6 +261,14 @@ function BookDetails() {
     }
   };
 
+  /**
+   * Handle Leave Queue Button Click
+   */
+  const handleCancelHold = () => {
+    const result = cancelFutureBooking(userBooking.bookingId);
+    showToast(result.message, result.success ? 'info' : 'error');
+  };
+
   /**
    * Handle Toggle Wishlist
    * 
@@ -314,6 +320,21 @@ function BookDetails() {
     return stars;
   };
 
+  /**
+   * Recommendation Rails
+   * 
+   * alsoBorrowed: books other readers borrowed together with this one
+   * similarBooks: same author/category (and co-borrowing), skipping the
+   *   books already in the first rail. Titled "Because you borrowed ..."
+   *   when the user has borrowed this book themselves.
+   */
+  const borrowingGraph = buildBorrowingGraph(allUsersHistory);
+  const alsoBorrowed = getSimilarBooks(book, books, borrowingGraph, { coBorrowedOnly: true });
+  const similarBooks = getSimilarBooks(book, books, borrowingGraph, {
+    exclude: new Set(alsoBorrowed.map(item => item.book.id))
+  });
+  const hasBorrowed = history.some(item => item.book.id === book.id && item.status !== 'cancelled');
+
   return (
     <div className="min-h-screen bg-gray-50 py-6 md:py-8">
       <div className="container mx-auto px-4 md:px-6 lg:px-8">
@@ -393,12 +414,15 @@ function BookDetails() {
         */}
         <div className="lg:w-2/3">
           
-          {/* Category Badge */}
+          {/* Category Badge - links to Browse filtered by this category */}
           <div className="mb-4">
-            <span className="inline-flex items-center space-x-1 px-3 py-1 text-sm font-semibold text-black bg-gray-100 rounded-full">
+            <Link
+              to={`/browse?category=${encodeURIComponent(book.category)}`}
+              className="inline-flex items-center space-x-1 px-3 py-1 text-sm font-semibold text-black bg-gray-100 rounded-full hover:bg-gray-200 transition-colors"
+            >
               <Tag size={16} />
               <span>{book.category}</span>
-            </span>
+            </Link>
           </div>
 
           {/* Book Title */}
@@ -424,7 +448,7 @@ function BookDetails() {
               {book.rating.toFixed(1)}
             </span>
             <span className="text-sm text-gray-500 ">
-              out of 5
+              out of 5{book.reviewCount > 0 && ` · ${book.reviewCount} ${book.reviewCount === 1 ? 'review' : 'reviews'}`}
             </span>
           </div>
 
@@ -458,7 +482,7 @@ function BookDetails() {
               <CalendarDays size={20} className="text-gray-400" />
               <div>
                 <p className="text-sm text-gray-500 ">Published</p>
-                <p className="font-semibold text-black ">{book.publicationYear}</p>
+                <p className="font-semibold text-black ">{book.publicationYear ?? 'N/A'}</p>
               </div>
             </div>
 
@@ -467,7 +491,7 @@ function BookDetails() {
               <FileText size={20} className="text-gray-400" />
               <div>
                 <p className="text-sm text-gray-500 ">Pages</p>
-                <p className="font-semibold text-black ">{book.pageCount}</p>
+                <p className="font-semibold text-black ">{book.pageCount ?? 'N/A'}</p>
               </div>
             </div>
 
@@ -498,64 +522,10 @@ function BookDetails() {
 
           {/* 
             User Reviews Section
-            - Display all reviews for this book
-            - Shows username, rating, comment, and date
+            - Published reviews with sorting, helpful votes and reporting
+            - The user's own review form (after returning the book)
           */}
-          {book.reviews && book.reviews.length > 0 && (
-            <div className="mb-6">
-              <h2 className="text-xl font-bold text-black  mb-4">
-                User Reviews ({book.reviews.length})
-              </h2>
-              <div className="space-y-4">
-                {book.reviews.map((review, index) => (
-                  <div 
-                    key={index}
-                    className="p-4 bg-white  border border-gray-200  rounded-xl"
-                  >
-                    {/* Review Header: Username and Date */}
-                    <div className="flex items-center justify-between mb-2">
-                      <div className="flex items-center space-x-2">
-                        <User size={18} className="text-gray-400" />
-                        <span className="font-semibold text-black ">
-                          {review.username}
-                        </span>
-                      </div>
-                      <span className="text-sm text-gray-500 ">
-                        {new Date(review.date).toLocaleDateString('en-US', {
-                          year: 'numeric',
-                          month: 'short',
-                          day: 'numeric'
-                        })}
-                      </span>
-                    </div>
-
-                    {/* Review Rating Stars */}
-                    <div className="flex items-center space-x-1 mb-2">
-                      {[...Array(5)].map((_, i) => (
-                        <Star
-                          key={i}
-                          size={16}
-                          className={
-                            i < review.rating
-                              ? 'fill-yellow-400 text-yellow-400'
-                              : 'text-gray-300'
-                          }
-                        />
-                      ))}
-                      <span className="text-sm font-semibold text-gray-700  ml-2">
-                        {review.rating}/5
-                      </span>
-                    </div>
-
-                    {/* Review Comment */}
-                    <p className="text-gray-600  leading-relaxed">
-                      {review.comment}
-                    </p>
-                  </div>
-                ))}
-              </div>
-            </div>
-          )}
+          <BookReviews book={book} />
 
           {/* 
             ===== CONDITIONAL RESERVE BUTTON =====
@@ -613,49 +583,113 @@ function BookDetails() {
               STATE 3: Book is Borrowed
               - Show disabled "Currently Borrowed" button
               - Show expected available date
-              - Show "Book for Later" button if not already booked
+              - Show "Book for Later" button if not already in the queue
+              - Show queue position while waiting
+              - Show "Reserve Book" when a copy is set aside for the user
               
               Date Display:
               - Calendar icon for visual cue
               - availableDate from current borrowing or mock date
             */
             <div className="flex-1 space-y-4">
-              <button
-                disabled
-                className="w-full px-6 md:px-8 py-3 md:py-4 min-h-[44px] bg-gray-300 text-gray-500  rounded-xl font-semibold text-base md:text-lg cursor-not-allowed"
-              >
-                Currently Borrowed
-              </button>
-              <div className="flex items-center space-x-2 text-gray-600 ">
-                <Calendar size={20} />
-                <span>Expected to be available by: <strong>{availableDate}</strong></span>
-              </div>
+              {userBooking?.status === 'ready' ? (
+                /* Hold ready: a copy is set aside for this user */
+                <div className="p-4 bg-gray-100 border border-black rounded-xl space-y-3">
+                  <div className="flex items-center space-x-2 text-black">
+                    <CheckCircle size={20} />
+                    <span className="font-semibold">A copy is set aside for you!</span>
+                  </div>
+                  <p className="text-sm text-gray-600">
+                    Reserve it by <strong>{new Date(userBooking.pickupBy).toLocaleDateString()}</strong> or
+                    it goes to the next person in line.
+                  </p>
+                  <button
+                    onClick={handleReserve}
+                    disabled={inCart}
+                    className={`w-full px-6 md:px-8 py-3 md:py-4 min-h-[44px] rounded-xl font-semibold text-base md:text-lg transition-colors ${
+                      inCart
+                        ? 'bg-gray-300 text-gray-500 cursor-not-allowed'
+                        : 'bg-black text-white hover:bg-gray-800'
+                    }`}
+                  >
+                    {inCart ? '✓ Already in Cart' : '📚 Reserve Book'}
+                  </button>
+                </div>
+              ) : (
+                <>
+                  <button
+                    disabled
+                    className="w-full px-6 md:px-8 py-3 md:py-4 min-h-[44px] bg-gray-300 text-gray-500  rounded-xl font-semibold text-base md:text-lg cursor-not-allowed"
+                  >
+                    Currently Borrowed
+                  </button>
+                  <div className="flex items-center space-x-2 text-gray-600 ">
+                    <Calendar size={20} />
+                    <span>Expected to be available by: <strong>{availableDate}</strong></span>
+                  </div>
+                </>
+              )}
               
-              {/* Book for Later Button */}
-              {userBooking ? (
+              {/* Hold Queue */}
+              {userBooking?.status === 'waiting' && (
                 <div className="mt-4 p-4 bg-gray-100 border border-gray-200 rounded-xl">
                   <div className="flex items-center space-x-2 text-black">
-                    <CheckCircle size={20} />
-                    <span className="font-semibold">You have booked this book!</span>
+                    <Users size={20} />
+                    <span className="font-semibold">
+                      You are number {queue.position} of {queue.waiting} in the queue
+                    </span>
                   </div>
                   <p className="text-sm text-gray-600  mt-2">
-                    You will be notified when it becomes available after {availableDate}.
+                    We will notify you when a copy is set aside for you.
                   </p>
+                  <button
+                    onClick={handleCancelHold}
+                    className="mt-3 text-sm font-semibold text-black underline hover:text-gray-600"
+                  >
+                    Leave the queue
+                  </button>
                 </div>
-              ) : (
-                <button
-                  onClick={handleBookForLater}
-                  className="w-full px-6 md:px-8 py-3 md:py-4 min-h-[44px] bg-black text-white rounded-xl font-semibold text-base md:text-lg hover:bg-gray-800 transition-colors flex items-center justify-center space-x-2"
-                >
-                  <Clock size={20} />
-                  <span>Book for After {availableDate}</span>
-                </button>
+              )}
+              {!userBooking && (
+                <>
+                  {queue.waiting > 0 && (
+                    <p className="text-sm text-gray-600 flex items-center">
+                      <Users size={16} className="mr-2" />
+                      {queue.waiting} {queue.waiting === 1 ? 'person is' : 'people are'} waiting for this book
+                    </p>
+                  )}
+                  <button
+                    onClick={handleBookForLater}
+                    className="w-full px-6 md:px-8 py-3 md:py-4 min-h-[44px] bg-black text-white rounded-xl font-semibold text-base md:text-lg hover:bg-gray-800 transition-colors flex items-center justify-center space-x-2"
+                  >
+                    <Clock size={20} />
+                    <span>{queue.waiting > 0 ? 'Join the Queue' : `Book for After ${availableDate}`}</span>
+                  </button>
+                </>
               )}
             </div>
           )}
           </div>
         </div>
       </div>
+
+      {/* 
+        ===== RECOMMENDATIONS =====
+        Each rail hides itself when it has nothing to show
+      */}
+      {(alsoBorrowed.length > 0 || similarBooks.length > 0) && (
+        <div className="mt-16">
+          <RecommendationRail
+            title="Readers also borrowed"
+            subtitle={`Borrowed by people who borrowed ${book.title}`}
+            items={alsoBorrowed}
+          />
+          <RecommendationRail
+            title={hasBorrowed ? `Because you borrowed ${book.title}` : 'More like this'}
+            items={similarBooks}
+          />
+        </div>
+      )}
       </div>
     </div>
   );
@@ -1,165 +1,160 @@
 /**
- * Browse Page Component - Book Catalog with Search & Filter
- * 
+ * Browse Page Component - Book Catalog with Search & Facets
+ *
  * PURPOSE:
  * Main page for exploring the library's book collection.
- * Users can search, filter, and browse all available books.
- * 
+ * Users can search, narrow results with facets, and browse all books.
+ *
  * FEATURES:
- * 1. Search bar - Filter by title or author
- * 2. Category dropdown - Filter by book category
- * 3. Responsive grid - Display books in cards
- * 4. Empty state - Message when no books match filters
- * 
+ * 1. Search bar - Title, author, description, publisher and ISBN, ranked by
+ *    relevance, tolerant of typos and partial words
+ * 2. Facets - Category, availability, publication year, rating and length,
+ *    each option showing how many books it would leave
+ * 3. Highlighting - Matched words are marked on each card
+ * 4. Sorting - Relevance, title, author, rating, publication year, newest
+ * 5. Pagination - BROWSE_PAGE_SIZE books per page
+ * 6. Shareable URL - query, facets, sort and page live in the query string,
+ *    so refresh, shared links and back/forward all restore the same view
+ * 7. Responsive grid and empty state
+ *
  * KEY CONCEPTS FOR VIVA:
- * - useState: Managing local state for search and category filters
- * - useBooks: Accessing book data from context
- * - Controlled inputs: Input values controlled by React state
- * - Array filtering: Multiple filter conditions (search AND category)
- * - Responsive grid: Adapts to screen size
+ * - useSearchParams: The URL is the state (no useState copy to keep in sync)
+ * - useBooks: searchBooks() runs the shared search (services/search)
+ * - useMemo: Facet options are only rebuilt when the books change
+ * - Controlled inputs: Input values come from the URL state
+ * - Faceted search: every facet is counted with the OTHER facets applied
  * - Real-time filtering: Results update as user types/selects
  */
 
-import { useState } from 'react';
-import { Search, Filter } from 'lucide-react';
+import { useState, useMemo } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { Search, Filter, X, ChevronLeft, ChevronRight } from 'lucide-react';
 import { useBooks } from '../context/BookContext';
 import BookCard from '../components/BookCard';
+import {
+  getFacets,
+  applyFacets,
+  sortResults,
+  SORT_OPTIONS,
+  BROWSE_PAGE_SIZE,
+  readBrowseParams,
+  writeBrowseParams,
+} from '../services/search';
 
 function Browse() {
-  /**
-   * Local State Management
-   * 
-   * We use useState to manage:
-   * 1. searchQuery - What user types in search box
-   * 2. selectedCategory - Which category is selected in dropdown
-   * 
-   * Why local state (not context)?
-   * - Search/filter is page-specific (not global)
-   * - No need to share with other components
-   * - Keeps context clean and focused
-   * 
-   * useState Syntax:
-   * const [value, setValue] = useState(initialValue);
-   * - value: Current state
-   * - setValue: Function to update state
-   * - initialValue: Starting value
-   */
-  const [searchQuery, setSearchQuery] = useState('');
-  const [selectedCategory, setSelectedCategory] = useState('All');
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  // Facet panel open on small screens (not worth putting in the URL)
+  const [showFilters, setShowFilters] = useState(false);
 
   /**
    * Access Books Data from BookContext
-   * 
+   *
    * books: Array of all books
-   * getAllCategories: Function that returns unique categories
+   * searchBooks: Ranked search results [{ book, score, terms }]
    */
-  const { books, getAllCategories } = useBooks();
+  const { books, searchBooks } = useBooks();
 
   /**
-   * Get All Unique Categories
-   * 
-   * getAllCategories() returns array of unique category names.
-   * We add "All" option at the beginning for showing all books.
-   * 
-   * Spread Operator (...):
-   * ['All', ...categories] creates new array with "All" prepended
-   * Example: ['All', 'Fiction', 'Science', 'History']
+   * Facet definitions (category options come from the books)
    */
-  const categories = ['All', ...getAllCategories()];
+  const facets = useMemo(() => getFacets(books), [books]);
 
   /**
-   * ===== FILTERING LOGIC =====
-   * 
-   * Apply multiple filters to books array:
-   * 1. Search by title or author (case-insensitive)
-   * 2. Filter by selected category
-   * 
-   * Steps:
-   * 1. Start with all books
-   * 2. Filter by search query (if not empty)
-   * 3. Filter by category (if not "All")
-   * 
-   * Array.filter() creates new array with items passing tests.
-   * We chain multiple filters for AND logic (must pass all).
+   * Browse State from the URL
+   *
+   * { query, facets: { category: 'Fantasy', ... }, sort, page }
+   * Read on every render, so back/forward simply re-renders with the
+   * older URL - nothing to restore by hand.
    */
-  const filteredBooks = books
-    /**
-     * FILTER 1: Search Query
-     * 
-     * Check if book title OR author contains search query.
-     * 
-     * Logic:
-     * - If searchQuery is empty: Include all books (always true)
-     * - If searchQuery has text: Check title and author
-     * 
-     * String Methods:
-     * - toLowerCase(): Convert to lowercase for case-insensitive search
-     * - includes(): Check if string contains substring
-     * 
-     * Example:
-     * searchQuery = "harry"
-     * book.title = "Harry Potter" → "harry potter".includes("harry") → true ✓
-     * book.author = "J.K. Rowling" → "j.k. rowling".includes("harry") → false
-     * Overall: true (title matches) ✓
-     */
-    .filter(book => {
-      if (!searchQuery) return true; // No search query = show all
-      
-      const query = searchQuery.toLowerCase();
-      const titleMatch = book.title.toLowerCase().includes(query);
-      const authorMatch = book.author.toLowerCase().includes(query);
-      
-      return titleMatch || authorMatch; // Match either title OR author
-    })
-    /**
-     * FILTER 2: Category
-     * 
-     * Check if book belongs to selected category.
-     * 
-     * Logic:
-     * - If "All" selected: Include all books
-     * - If specific category: Include only matching books
-     * 
-     * Example:
-     * selectedCategory = "Fiction"
-     * book.category = "Fiction" → true ✓
-     * book.category = "Science" → false ✗
-     */
-    .filter(book => {
-      if (selectedCategory === 'All') return true;
-      return book.category === selectedCategory;
-    });
+  const browse = readBrowseParams(searchParams, Object.keys(facets));
+  const searchQuery = browse.query;
+  const selectedFacets = browse.facets;
+
+  /**
+   * updateBrowse Function
+   *
+   * Writes a new browse state to the URL. Anything that changes the result
+   * list goes back to page 1.
+   *
+   * @param {Object} changes - Parts of the state to change
+   * @param {Object} [options] - { replace: true } to update the current
+   *   history entry instead of adding one (used while typing, so Back
+   *   doesn't step through every keystroke)
+   */
+  const updateBrowse = (changes, { replace = false } = {}) => {
+    setSearchParams(writeBrowseParams({ ...browse, page: 1, ...changes }), { replace });
+  };
+
+  /**
+   * ===== SEARCH + FACETS + SORT + PAGE =====
+   *
+   * 1. searchBooks(query) → ranked results (all books when the query is empty)
+   * 2. applyFacets() keeps the results passing every selected facet and
+   *    counts each facet option
+   * 3. sortResults() reorders them (relevance keeps the ranking)
+   * 4. slice() cuts out the current page (a page past the end shows the last page)
+   */
+  const { results: filteredResults, counts } = applyFacets(searchBooks(searchQuery), facets, selectedFacets);
+  const results = sortResults(filteredResults, browse.sort);
+
+  const totalPages = Math.max(1, Math.ceil(results.length / BROWSE_PAGE_SIZE));
+  const currentPage = Math.min(browse.page, totalPages);
+  const pageResults = results.slice((currentPage - 1) * BROWSE_PAGE_SIZE, currentPage * BROWSE_PAGE_SIZE);
+
+  const activeFacets = Object.entries(selectedFacets).filter(([, value]) => value);
 
   /**
    * handleSearchChange Function
-   * 
-   * Updates search query state when user types.
-   * Connected to search input's onChange event.
-   * 
+   *
+   * Updates the query in the URL as the user types. The first keystroke
+   * adds a history entry (Back returns to the unsearched list); later ones
+   * replace it.
+   *
    * @param {Event} e - Input change event
-   * e.target.value - Current input value
    */
   const handleSearchChange = (e) => {
-    setSearchQuery(e.target.value);
+    updateBrowse({ query: e.target.value }, { replace: Boolean(searchQuery) });
   };
 
   /**
-   * handleCategoryChange Function
-   * 
-   * Updates selected category when user selects from dropdown.
-   * Connected to select input's onChange event.
-   * 
-   * @param {Event} e - Select change event
+   * toggleFacet Function
+   *
+   * Selects a facet option, or clears it when it is already selected.
+   *
+   * @param {string} facetId - e.g. 'category'
+   * @param {string} value - Option value
    */
-  const handleCategoryChange = (e) => {
-    setSelectedCategory(e.target.value);
+  const toggleFacet = (facetId, value) => {
+    updateBrowse({
+      facets: { ...selectedFacets, [facetId]: selectedFacets[facetId] === value ? null : value }
+    });
+  };
+
+  const handleSortChange = (e) => {
+    updateBrowse({ sort: e.target.value });
+  };
+
+  const goToPage = (page) => {
+    updateBrowse({ page });
+    window.scrollTo({ top: 0, behavior: 'smooth' });
   };
 
+  const clearAll = () => {
+    updateBrowse({ query: '', facets: {} });
+  };
+
+  /**
+   * Label of a selected option (for the "active filters" chips)
+   */
+  const getOptionLabel = (facetId, value) =>
+    facets[facetId]?.options.find(option => option.value === value)?.label ?? value;
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="container mx-auto px-4 md:px-6 lg:px-8 py-8 md:py-12">
-      
-      {/* 
+
+      {/*
         ===== PAGE HEADER =====
         Title and description of Browse page
       */}
@@ -172,164 +167,185 @@ function Browse() {
         </p>
       </div>
 
-      {/* 
-        ===== SEARCH & FILTER BAR =====
-        Controls for filtering books
-        
-        Responsive Layout:
-        - Mobile: Stacked vertically (flex-col)
-        - Tablet/Desktop: Side by side (md:flex-row)
+      {/*
+        ===== SEARCH BAR =====
+        Search input, sort order and a button showing the facets on small screens
       */}
-      <div className="mb-8 flex flex-col md:flex-row gap-4">
-        
-        {/* 
-          SEARCH INPUT
-          
-          Controlled Input:
-          - value={searchQuery}: Input value is controlled by React state
-          - onChange={handleSearchChange}: Updates state on every keystroke
-          
-          Why controlled?
-          - React controls the value (single source of truth)
-          - Can manipulate/validate input before setting state
-          - Enables real-time filtering
-          
-          Tailwind Classes:
-          - w-full: Full width on mobile
-          - relative: For positioning icon inside input
-        */}
+      <div className="mb-8 flex flex-col sm:flex-row gap-4">
         <div className="w-full relative">
-          {/* 
-            Search Icon
-            - Positioned inside input (absolute positioning)
-            - left-3: 12px from left
-            - top-1/2 -translate-y-1/2: Vertically centered
-          */}
-          <Search 
-            size={20} 
-            className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400" 
+          <Search
+            size={20}
+            className="absolute left-4 top-1/2 -translate-y-1/2 text-gray-400"
           />
-          
-          {/* 
-            Search Input Field
-            - pl-10: Left padding for icon space
-            - Placeholder: Hint text
-            - onChange: Fires on every keystroke
-          */}
           <input
-            type="text"
-            placeholder="Search by title or author..."
+            type="search"
+            placeholder="Search by title, author, description, publisher or ISBN..."
             value={searchQuery}
             onChange={handleSearchChange}
+            aria-label="Search books"
             className="w-full pl-12 pr-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-black transition-all bg-white text-base"
           />
         </div>
+        <select
+          value={browse.sort}
+          onChange={handleSortChange}
+          aria-label="Sort books"
+          className="sm:w-56 px-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-black transition-all bg-white text-base font-medium"
+        >
+          {Object.entries(SORT_OPTIONS).map(([value, option]) => (
+            <option key={value} value={value}>
+              Sort: {option.label}
+            </option>
+          ))}
+        </select>
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className="lg:hidden flex items-center space-x-2 px-4 py-3.5 border-2 border-gray-200 rounded-xl bg-white font-medium"
+          aria-expanded={showFilters}
+        >
+          <Filter size={20} />
+          <span>Filters{activeFacets.length > 0 ? ` (${activeFacets.length})` : ''}</span>
+        </button>
+      </div>
+
+      <div className="flex flex-col lg:flex-row gap-8">
 
-        {/* 
-          CATEGORY DROPDOWN
-          
-          Controlled Select:
-          - value={selectedCategory}: Current selected category
-          - onChange={handleCategoryChange}: Updates state on selection
-          
-          Why map categories?
-          - Dynamic options based on books data
-          - Automatically adapts if categories change
+        {/*
+          ===== FACETS SIDEBAR =====
+          Each option shows its count; options that would leave no books
+          are disabled (unless already selected, so they can be cleared)
         */}
-        <div className="flex items-center space-x-3 w-full md:w-auto">
-          {/* Filter Icon */}
-          <Filter size={20} className="text-gray-400 flex-shrink-0" />
-          
-          {/* 
-            Select Dropdown
-            - Controlled by selectedCategory state
-            - Maps through categories array to create options
-          */}
-          <select
-            value={selectedCategory}
-            onChange={handleCategoryChange}
-            className="flex-1 md:w-64 px-4 py-3.5 border-2 border-gray-200 rounded-xl focus:outline-none focus:border-black transition-all bg-white text-base font-medium"
-          >
-            {/* 
-              Map Categories to Options
-              
-              Array.map() creates <option> for each category.
-              Key prop: Unique identifier (category name is unique)
-            */}
-            {categories.map(category => (
-              <option key={category} value={category}>
-                {category}
-              </option>
-            ))}
-          </select>
-        </div>
-      </div>
+        <aside className={`${showFilters ? 'block' : 'hidden'} lg:block lg:w-64 flex-shrink-0 space-y-6`}>
+          {Object.entries(facets).map(([facetId, facet]) => (
+            <div key={facetId}>
+              <h2 className="text-sm font-semibold text-black uppercase tracking-wide mb-2">
+                {facet.label}
+              </h2>
+              <ul className="space-y-1">
+                {facet.options.map(option => {
+                  const isSelected = selectedFacets[facetId] === option.value;
+                  const count = counts[facetId][option.value];
+                  return (
+                    <li key={option.value}>
+                      <button
+                        onClick={() => toggleFacet(facetId, option.value)}
+                        disabled={count === 0 && !isSelected}
+                        aria-pressed={isSelected}
+                        className={`w-full flex items-center justify-between px-3 py-1.5 rounded-lg text-sm transition-colors ${
+                          isSelected
+                            ? 'bg-black text-white'
+                            : 'text-gray-700 hover:bg-gray-100 disabled:text-gray-300 disabled:hover:bg-transparent'
+                        }`}
+                      >
+                        <span>{option.label}</span>
+                        <span className={isSelected ? 'text-gray-300' : 'text-gray-400'}>{count}</span>
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          ))}
+        </aside>
 
-      {/* 
-        ===== RESULTS INFO =====
-        Shows how many books match current filters
-        Helpful feedback for user
-      */}
-      <div className="mb-6">
-        <p className="text-sm text-gray-600 font-medium">
-          Showing {filteredBooks.length} {filteredBooks.length === 1 ? 'book' : 'books'}
-          {searchQuery && ` matching "${searchQuery}"`}
-          {selectedCategory !== 'All' && ` in ${selectedCategory}`}
-        </p>
-      </div>
+        <div className="flex-1 min-w-0">
 
-      {/* 
-        ===== BOOKS GRID OR EMPTY STATE =====
-        
-        Conditional Rendering:
-        - If filteredBooks has items: Show grid
-        - If empty: Show "no results" message
-      */}
-      {filteredBooks.length > 0 ? (
-        /* 
-          Responsive Grid Layout
-          
-          Breakpoints:
-          - Default (mobile): 1 column
-          - md (≥768px): 2 columns
-          - lg (≥1024px): 3 columns
-          - xl (≥1280px): 4 columns
-          
-          gap-6: Space between grid items
-          
-          Why this layout?
-          - Mobile: Single column (better for small screens)
-          - Tablet: 2 columns (balance between space and readability)
-          - Desktop: 3-4 columns (utilize screen width)
-        */
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6 lg:gap-8">
-          {/* 
-            Map Filtered Books to Cards
-            
-            Array.map() creates BookCard for each book.
-            filteredBooks is already filtered by search and category.
-            
-            Key Prop:
-            - book.id is unique identifier
-            - Required for React's reconciliation
+          {/*
+            ===== RESULTS INFO =====
+            How many books match, the active facets (click to remove)
+            and a reset link
           */}
-          {filteredBooks.map(book => (
-            <BookCard key={book.id} book={book} />
-          ))}
-        </div>
-      ) : (
-        <div className="text-center py-20">
-          <div className="text-gray-300 mb-4">
-            <Search size={64} className="mx-auto mb-4" />
+          <div className="mb-6 flex flex-wrap items-center gap-2">
+            <p className="text-sm text-gray-600 font-medium mr-2">
+              Showing {results.length} {results.length === 1 ? 'book' : 'books'}
+              {searchQuery.trim() && ` matching "${searchQuery.trim()}"`}
+              {totalPages > 1 && ` · page ${currentPage} of ${totalPages}`}
+            </p>
+            {activeFacets.map(([facetId, value]) => (
+              <button
+                key={facetId}
+                onClick={() => toggleFacet(facetId, value)}
+                className="flex items-center space-x-1 px-3 py-1 text-xs font-medium bg-gray-100 text-gray-800 rounded-xl hover:bg-gray-200"
+                aria-label={`Remove filter ${getOptionLabel(facetId, value)}`}
+              >
+                <span>{getOptionLabel(facetId, value)}</span>
+                <X size={12} />
+              </button>
+            ))}
+            {(activeFacets.length > 0 || searchQuery) && (
+              <button onClick={clearAll} className="text-xs font-semibold text-gray-600 hover:text-black underline">
+                Clear all
+              </button>
+            )}
           </div>
-          <h3 className="text-xl font-semibold text-black mb-2">
-            No Books Found
-          </h3>
-          <p className="text-gray-600">
-            Try adjusting your search or filter criteria
-          </p>
+
+          {/*
+            ===== BOOKS GRID OR EMPTY STATE =====
+            Cards get the matched terms so they can highlight them
+          */}
+          {results.length > 0 ? (
+            <>
+              <div className="grid grid-cols-1 sm:grid-cols-2 xl:grid-cols-3 gap-6 lg:gap-8">
+                {pageResults.map(({ book, terms }) => (
+                  <BookCard key={book.id} book={book} terms={terms} />
+                ))}
+              </div>
+
+              {/*
+                ===== PAGINATION =====
+                Every page change is a new history entry, so Back returns
+                to the previous page
+              */}
+              {totalPages > 1 && (
+                <nav className="mt-10 flex items-center justify-center gap-2" aria-label="Pagination">
+                  <button
+                    onClick={() => goToPage(currentPage - 1)}
+                    disabled={currentPage === 1}
+                    className="p-2 rounded-lg border-2 border-gray-200 bg-white hover:border-black disabled:opacity-40 disabled:hover:border-gray-200"
+                    aria-label="Previous page"
+                  >
+                    <ChevronLeft size={18} />
+                  </button>
+                  {Array.from({ length: totalPages }, (_, i) => i + 1).map(page => (
+                    <button
+                      key={page}
+                      onClick={() => goToPage(page)}
+                      aria-current={page === currentPage ? 'page' : undefined}
+                      className={`min-w-10 px-3 py-2 rounded-lg border-2 text-sm font-semibold ${
+                        page === currentPage
+                          ? 'bg-black text-white border-black'
+                          : 'bg-white border-gray-200 hover:border-black'
+                      }`}
+                    >
+                      {page}
+                    </button>
+                  ))}
+                  <button
+                    onClick={() => goToPage(currentPage + 1)}
+                    disabled={currentPage === totalPages}
+                    className="p-2 rounded-lg border-2 border-gray-200 bg-white hover:border-black disabled:opacity-40 disabled:hover:border-gray-200"
+                    aria-label="Next page"
+                  >
+                    <ChevronRight size={18} />
+                  </button>
+                </nav>
+              )}
+            </>
+          ) : (
+            <div className="text-center py-20">
+              <div className="text-gray-300 mb-4">
+                <Search size={64} className="mx-auto mb-4" />
+              </div>
+              <h3 className="text-xl font-semibold text-black mb-2">
+                No Books Found
+              </h3>
+              <p className="text-gray-600">
+                Try different words or remove some filters
+              </p>
+            </div>
+          )}
         </div>
-      )}
+      </div>
       </div>
     </div>
   );
@@ -339,96 +355,72 @@ export default Browse;
 
 /**
  * VIVA EXPLANATION SUMMARY:
- * 
+ *
  * Q: What is the purpose of the Browse page?
- * A: Browse page displays all library books with search and filter capabilities.
- *    Users can search by title/author and filter by category.
- *    Shows results in responsive grid layout with BookCard components.
- * 
- * Q: What is local state and why use it here?
- * A: Local state is component-specific data (searchQuery, selectedCategory).
- *    We use useState to manage it.
- *    Why local? Search/filter is page-specific, no need to share globally.
- *    Context is for global state (cart, auth, theme).
- * 
+ * A: Browse page displays all library books with search and facets.
+ *    Users search across title, author, description, publisher and ISBN,
+ *    then narrow the results by category, availability, year, rating and length.
+ *
+ * Q: How does the search work?
+ * A: BookContext builds an inverted index (word → books containing it)
+ *    with services/search and exposes searchBooks(query). Each query word
+ *    is matched exactly, as a prefix ("gats" → "gatsby") or with a typo
+ *    ("fitzgerld" → "fitzgerald"). Every word must match; results are
+ *    ranked by how good the match is, which field it is in (title counts
+ *    most) and how rare the word is.
+ *    Browse used to do its own substring filter - now the whole app shares one search.
+ *
+ * Q: What are facets and how are the counts worked out?
+ * A: Facets are groups of filters (Category, Availability, ...).
+ *    applyFacets() counts each option against the search results with
+ *    every OTHER facet applied. So with "Fantasy" selected, the rating
+ *    counts are Fantasy books only, while the category counts still show
+ *    what picking another category would give.
+ *
+ * Q: How is highlighting done?
+ * A: A search result carries the index terms that matched. highlight()
+ *    splits a field into matching and plain parts; <Highlight> renders
+ *    the matching parts in <mark>. snippet() cuts a short part of the
+ *    description around the first match.
+ *
+ * Q: Why is the browse state in the URL instead of useState?
+ * A: useSearchParams reads/writes the query string, e.g.
+ *    /browse?q=potter&rating=4&sort=rating&page=2
+ *    - Refresh keeps the results (state survives a reload)
+ *    - Links can be shared or bookmarked
+ *    - Back/forward move between earlier searches: React Router re-renders
+ *      with the old URL and readBrowseParams() reads it again
+ *    Typing uses { replace: true } so each keystroke doesn't add a history entry;
+ *    facet, sort and page changes push a new entry.
+ *
+ * Q: How do sorting and pagination work?
+ * A: sortResults() reorders the filtered results with the chosen compare
+ *    function (relevance keeps the search ranking). Then
+ *    results.slice((page - 1) * size, page * size) gives the current page.
+ *    Changing the search, a facet or the sort goes back to page 1.
+ *
+ * Q: Why useMemo for facets?
+ * A: getFacets(books) builds the category and year options from the books.
+ *    useMemo only rebuilds them when books changes, not on every keystroke.
+ *
  * Q: What are controlled inputs?
  * A: Controlled inputs have their value controlled by React state.
- *    value={searchQuery} - React controls the value
+ *    value={searchQuery} - comes from the URL (?q=...)
  *    onChange={handleSearchChange} - Updates state on change
  *    Makes React the "single source of truth".
- *    Alternative: Uncontrolled inputs (use refs, DOM controls value).
- * 
- * Q: How does the filtering logic work?
- * A: We chain two filters on books array:
- *    1. Search filter: Checks if title OR author includes query
- *    2. Category filter: Checks if category matches selection
- *    Both must pass (AND logic) for book to appear.
- *    filter() creates new array, doesn't modify original.
- * 
- * Q: Explain the search filter in detail.
- * A: 1. If no searchQuery: Include all books (return true)
- *    2. Convert query and book fields to lowercase (case-insensitive)
- *    3. Check if title includes query: book.title.toLowerCase().includes(query)
- *    4. Check if author includes query: book.author.toLowerCase().includes(query)
- *    5. Return true if EITHER matches (OR logic with ||)
- *    Example: Searching "harry" matches "Harry Potter" (title) or "J.K. Rowling" (no match)
- * 
- * Q: What is includes() method?
- * A: String method that checks if substring exists in string.
- *    Returns boolean (true/false).
- *    Example: "Hello World".includes("World") → true
- *             "Hello World".includes("Goodbye") → false
- *    Case-sensitive! Must use toLowerCase() for case-insensitive search.
- * 
- * Q: How does category filtering work?
- * A: If selectedCategory is "All": Include all books
- *    Otherwise: Include only books where book.category === selectedCategory
- *    Simple equality check (exact match).
- * 
- * Q: Why chain filters instead of one complex filter?
- * A: Cleaner, more readable code. Each filter has single responsibility:
- *    - First filter: Search logic
- *    - Second filter: Category logic
- *    Alternative: One filter with nested if statements (harder to read).
- *    Performance: Similar (both iterate once).
- * 
- * Q: How does onChange work for inputs?
- * A: onChange fires every time input value changes (keystroke, selection).
- *    Receives event object (e) with e.target.value (current input value).
- *    We call setState with new value: setSearchQuery(e.target.value)
- *    This triggers re-render, filtering updates in real-time.
- * 
- * Q: What is the spread operator (...)?
- * A: Spread operator expands array/object.
- *    ['All', ...categories] creates new array with "All" at start.
- *    Example: categories = ['Fiction', 'Science']
- *             ['All', ...categories] → ['All', 'Fiction', 'Science']
- *    Without spread: ['All', categories] → ['All', ['Fiction', 'Science']] (nested!)
- * 
- * Q: How does the responsive grid work?
- * A: grid-cols-1 md:grid-cols-2 lg:grid-cols-3 xl:grid-cols-4
- *    Mobile (<768px): 1 column
- *    Tablet (768-1024px): 2 columns
- *    Desktop (1024-1280px): 3 columns
- *    Large Desktop (>1280px): 4 columns
- *    Adapts layout based on screen width.
- * 
+ *
+ * Q: How does toggleFacet work?
+ * A: selectedFacets holds one value per facet. Clicking an option sets it;
+ *    clicking it again sets null (any). Spread keeps the other facets:
+ *    { ...selectedFacets, [facetId]: value }. updateBrowse() writes it to the URL.
+ *
+ * Q: How does the responsive layout work?
+ * A: Large screens: facets in a sidebar next to the grid (lg:flex-row).
+ *    Small screens: facets hidden behind a "Filters" button (showFilters).
+ *    Grid: 1 column on mobile, 2 from sm, 3 from xl.
+ *
  * Q: What is the empty state?
- * A: Conditional rendering when filteredBooks.length === 0
+ * A: Conditional rendering when results.length === 0
  *    Shows message "No Books Found" with icon and suggestions.
  *    Better UX than blank page - tells user why nothing shows.
- * 
- * Q: How does real-time filtering work?
- * A: Every keystroke/selection triggers state update (onChange)
- *    State update causes re-render
- *    Re-render recalculates filteredBooks with new state
- *    Grid updates immediately with new results
- *    No button needed - automatic and instant.
- * 
- * Q: Why show results count?
- * A: User feedback - shows how many books match filters.
- *    "Showing 12 books matching "harry" in Fiction"
- *    Helps user understand search effectiveness.
- *    Dynamic: Updates with filteredBooks.length
  */
-
@@ -7,10 +7,11 @@
  * 
  * FEATURES:
  * 1. Summary of all reserved books with pickup and due dates
- * 2. Late return policy and fine details ($2 per day per book)
+ * 2. Late return policy and fine details (from services/fines and services/policy)
  * 3. Total number of books being reserved
  * 4. Terms and conditions checkbox
  * 5. Navigate to confirmation page after acceptance
+ * 6. Offline: reservations are saved and sent when the connection returns
  * 
  * KEY CONCEPTS FOR VIVA:
  * - useNavigate: Navigate to confirmation page with state
@@ -23,7 +24,12 @@
 import { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { useBooks } from '../context/BookContext';
+import { useAuth } from '../context/AuthContext';
 import { useToast } from '../context/ToastContext';
+import { useOffline } from '../context/OfflineContext';
+import { checkPolicy, getPickupRange } from '../services/policy';
+import { addLoanDays } from '../services/calendar';
+import { FEE_SCHEDULE, FINE_BLOCK_THRESHOLD, formatMoney } from '../services/fines';
 import { 
   CheckCircle, 
   Calendar, 
@@ -37,15 +43,22 @@ import {
 
 function Checkout() {
   const navigate = useNavigate();
-  const { cart, clearCart, addToHistory } = useBooks();
+  const { cart, clearCart, addToHistory, getBorrowingPolicy, saveConfirmation } = useBooks();
+  const { user } = useAuth();
   const { showToast } = useToast();
+  const { isOnline, runOrQueue } = useOffline();
+
+  /**
+   * Borrowing policy for this user (pickup notice, renewals)
+   */
+  const policy = getBorrowingPolicy();
 
   /**
    * State Management
    */
   const [termsAccepted, setTermsAccepted] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
-  const [defaultPickupDate] = useState(() => new Date(Date.now() + 24 * 60 * 60 * 1000));
+  const [defaultPickupDate] = useState(() => getPickupRange(policy, Date.now()).earliest);
 
   /**
    * Get reservation details from sessionStorage
@@ -75,14 +88,24 @@ function Checkout() {
     });
   };
 
+  /**
+   * Loan Period for a Book
+   * 
+   * The duration chosen on the Reservations page, if the borrowing policy
+   * still allows it; otherwise the book's default loan period.
+   */
+  const getDuration = (book) => {
+    const check = checkPolicy('loanPeriod', { role: user.role, book, days: durations[book.id] });
+    return check.allowed ? durations[book.id] : check.policy.loanPeriods[0];
+  };
+
   /**
    * Calculate Due Date
+   * Pickup + duration, moved to the next open day (services/calendar)
    */
   const calculateDueDate = (pickupDate, duration) => {
     if (!pickupDate) return 'Not specified';
-    const pickup = new Date(pickupDate);
-    const due = new Date(pickup.getTime() + duration * 24 * 60 * 60 * 1000);
-    return due.toISOString();
+    return addLoanDays(pickupDate, duration).toISOString();
   };
 
   /**
@@ -93,7 +116,7 @@ function Checkout() {
    * 2. Generate reservation ID
    * 3. Add all books to history
    * 4. Clear cart
-   * 5. Navigate to confirmation page with data
+   * 5. Save the receipt and open it at /confirmation/:reservationId
    */
   const handleFinalConfirmation = () => {
     if (!termsAccepted) {
@@ -113,7 +136,7 @@ function Checkout() {
 
     // Prepare books with their details
     const reservedBooks = cart.map(book => {
-      const duration = durations[book.id] || 7;
+      const duration = getDuration(book);
       const dueDate = calculateDueDate(pickupDate, duration);
       
       return {
@@ -125,26 +148,71 @@ function Checkout() {
       };
     });
 
-    // Add each book to history
-    reservedBooks.forEach(book => {
-      addToHistory({
+    // Offline: save the reservations to send later (OfflineContext replays
+    // them through addToHistory and reports any that can't be made)
+    if (!isOnline) {
+      reservedBooks.forEach(book => runOrQueue('reserve', {
+        historyItem: {
+          book,
+          borrowDate: pickupDate,
+          dueDate: book.dueDate,
+          duration: book.duration,
+          reservationId: book.reservationId,
+          confirmationId: mainReservationId,
+        },
+      }, `Reserve "${book.title}"`));
+
+      // Receipt (books that fail on replay show as "Not reserved" on it)
+      saveConfirmation({
+        reservationId: mainReservationId,
+        userDetails: formData,
+        books: reservedBooks,
+        pickupDate,
+        offline: true,
+      });
+
+      clearCart();
+      sessionStorage.removeItem('reservationDetails');
+      showToast(
+        `You're offline - ${reservedBooks.length} ${reservedBooks.length === 1 ? 'reservation was' : 'reservations were'} saved and will be sent when you reconnect. The receipt is in My Receipts`,
+        'info',
+        6000
+      );
+      navigate('/dashboard', { replace: true });
+      return;
+    }
+
+    // Add each book to history (this holds a copy on the shelf for it)
+    const unavailable = [];
+    const confirmedBooks = reservedBooks.filter(book => {
+      const result = addToHistory({
         book,
         borrowDate: pickupDate,
         dueDate: book.dueDate,
         duration: book.duration,
         reservationId: book.reservationId,
+        confirmationId: mainReservationId, // Ties the loan to the confirmation / QR code
       });
+      if (!result.success) unavailable.push(book.title);
+      return result.success;
     });
 
-    // Prepare confirmation data
-    const confirmationData = {
+    // Someone else may have taken the last copy since it was added to the cart
+    if (unavailable.length > 0) {
+      showToast(`No longer available: ${unavailable.join(', ')}`, 'warning', 6000);
+    }
+    if (confirmedBooks.length === 0) {
+      setIsProcessing(false);
+      return;
+    }
+
+    // Save the receipt, so the confirmation page can be reopened later
+    saveConfirmation({
       reservationId: mainReservationId,
       userDetails: formData,
-      books: reservedBooks,
+      books: confirmedBooks,
       pickupDate,
-      totalBooks: cart.length,
-      timestamp: new Date().toISOString()
-    };
+    });
 
     // Clear cart
     clearCart();
@@ -152,11 +220,8 @@ function Checkout() {
     // Clear session storage
     sessionStorage.removeItem('reservationDetails');
 
-    // Navigate to confirmation page with data
-    navigate('/confirmation', { 
-      state: confirmationData,
-      replace: true 
-    });
+    // Navigate to the receipt (deep link: survives a refresh)
+    navigate(`/confirmation/${mainReservationId}`, { replace: true });
   };
 
   /**
@@ -253,7 +318,7 @@ function Checkout() {
             
             <div className="space-y-4">
               {cart.map((book) => {
-                const duration = durations[book.id] || 7;
+                const duration = getDuration(book);
                 const dueDate = calculateDueDate(formData.pickupDate, duration);
                 
                 return (
@@ -308,23 +373,23 @@ function Checkout() {
             <div className="text-sm text-gray-700 space-y-2">
               <p className="flex items-start">
                 <span className="mr-2">•</span>
-                <span><strong>Fine Rate:</strong> $2.00 per day per book for late returns</span>
+                <span><strong>Fine Rate:</strong> {formatMoney(FEE_SCHEDULE.default.dailyRate)} per day per book for late returns (some categories differ)</span>
               </p>
               <p className="flex items-start">
                 <span className="mr-2">•</span>
-                <span><strong>Grace Period:</strong> No grace period - fines start immediately after due date</span>
+                <span><strong>Grace Period:</strong> {FEE_SCHEDULE.default.graceDays} day{FEE_SCHEDULE.default.graceDays === 1 ? '' : 's'} after the due date; days the library is closed are never charged</span>
               </p>
               <p className="flex items-start">
                 <span className="mr-2">•</span>
-                <span><strong>Maximum Fine:</strong> Up to $50.00 per book (25 days late)</span>
+                <span><strong>Maximum Fine:</strong> Up to {formatMoney(FEE_SCHEDULE.default.maxFine)} per book</span>
               </p>
               <p className="flex items-start">
                 <span className="mr-2">•</span>
-                <span><strong>Payment:</strong> Fines must be paid before borrowing additional books</span>
+                <span><strong>Payment:</strong> Patrons owing more than {formatMoney(FINE_BLOCK_THRESHOLD)} can't reserve more books until they pay</span>
               </p>
               <p className="flex items-start">
                 <span className="mr-2">•</span>
-                <span><strong>Renewal:</strong> Books can be renewed once if no holds exist (adds 7 days)</span>
+                <span><strong>Renewal:</strong> Books can be renewed {policy.renewals === 1 ? 'once' : `${policy.renewals} times`} unless another patron is waiting and no other copy is free (adds {policy.renewalDays} days; some categories can't be renewed)</span>
               </p>
             </div>
           </div>
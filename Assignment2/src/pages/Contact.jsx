@@ -11,6 +11,7 @@
  * 3. Error display for invalid inputs
  * 4. Success message and form reset on valid submission
  * 5. Library contact information display
+ * 6. Opening hours and upcoming closures from the library calendar
  * 
  * KEY CONCEPTS FOR VIVA:
  * - useState: Managing form fields and validation errors
@@ -23,6 +24,7 @@
 import { useState } from 'react';
 import { Mail, Phone, MapPin, Clock, Send } from 'lucide-react';
 import { useToast } from '../context/ToastContext';
+import { getWeeklySchedule, getUpcomingClosures } from '../services/calendar';
 
 function Contact() {
   const { showToast } = useToast();
@@ -60,6 +62,12 @@ function Contact() {
    */
   const [errors, setErrors] = useState({});
 
+  /**
+   * Holidays and special hours in the next 60 days
+   * Worked out once when the page opens (services/calendar)
+   */
+  const [upcomingClosures] = useState(() => getUpcomingClosures(Date.now(), 60));
+
   /**
    * STEP 3: Handle Input Changes
    * 
@@ -436,10 +444,25 @@ function Contact() {
                   Operating Hours
                 </h3>
                 <p className="text-gray-600 ">
-                  Monday - Friday: 8:00 AM - 8:00 PM<br />
-                  Saturday: 9:00 AM - 5:00 PM<br />
-                  Sunday: Closed
+                  {getWeeklySchedule().map((row) => (
+                    <span key={row.label} className="block">
+                      {row.label}: {row.hours}
+                    </span>
+                  ))}
                 </p>
+                {upcomingClosures.length > 0 && (
+                  <div className="mt-3 text-sm text-gray-600">
+                    <p className="font-semibold text-black">Coming up</p>
+                    <ul className="mt-1 space-y-0.5">
+                      {upcomingClosures.map((closure) => (
+                        <li key={closure.date.toISOString()}>
+                          {closure.date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+                          {' '}({closure.name}): {closure.hours}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
               </div>
             </div>
           </div>
@@ -8,25 +8,41 @@
  * FEATURES:
  * 1. User statistics (total books borrowed lifetime)
  * 2. Currently borrowed books with remaining days countdown
- * 3. Quick actions (extend borrowing, cancel reservations)
+ * 3. Quick actions (extend borrowing, cancel reservations) - saved and sent
+ *    later when offline; pickups are confirmed by a librarian at the desk
  * 4. Reservation history overview
  * 5. Wishlist preview
  * 6. Navigation to detailed pages
+ * 7. Fines balance with a breakdown per late loan
+ * 8. Date due slip (PDF) for the books currently on loan
+ * 9. Add to Calendar per loan, and one calendar file with all active loans
+ *    (services/ical)
+ * 10. Renew All Eligible: renews every loan the policy allows in one go;
+ *     each loan says why it can't be renewed (limit, hold, overdue, fines)
+ *     and lists its past renewals
  * 
  * KEY CONCEPTS FOR VIVA:
  * - Data aggregation from multiple contexts
  * - Date calculations for countdown timers
  * - Conditional rendering based on status
- * - One-time extension enforcement
+ * - Renewal limits from the borrowing policy (services/policy)
  * - Cancel logic for unpicked reservations
+ * - Fines are derived from loan dates (services/fines), never stored
  */
 
 import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useBooks } from '../context/BookContext';
 import { useWishlist } from '../context/WishlistContext';
+import PdfActions from '../components/PdfActions';
+import AddToCalendar from '../components/AddToCalendar';
+import { buildLoanSlipPdf, toSlipItems } from '../services/pdf';
+import { getLoanEvents, buildLoansCalendar, downloadCalendar } from '../services/ical';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from '../context/ToastContext';
+import { useOffline } from '../context/OfflineContext';
+import { FEE_SCHEDULE, FINE_BLOCK_THRESHOLD, formatMoney } from '../services/fines';
+import { getRenewalCount } from '../services/policy';
 import {
   User,
   BookOpen,
@@ -40,7 +56,11 @@ import {
   XCircle,
   ArrowRight,
   Plus,
-  Minus
+  Minus,
+  Receipt,
+  QrCode,
+  CalendarDays,
+  RefreshCw
 } from 'lucide-react';
 
 function Dashboard() {
@@ -49,11 +69,13 @@ function Dashboard() {
     getCurrentlyBorrowedBooks,
     getTotalBorrowedCount,
     getHistory,
-    extendBorrowingPeriod,
-    cancelReservation,
-    markAsPickedUp
+    getPatronFines,
+    getRenewalCheck,
+    getBorrowingPolicy,
+    catalog
   } = useBooks();
   const { getWishlistCount } = useWishlist();
+  const { runOrQueue, isQueued } = useOffline();
   const { showToast } = useToast();
 
   const [_currentTime, setCurrentTime] = useState(new Date());
@@ -76,6 +98,14 @@ function Dashboard() {
   const totalBorrowed = getTotalBorrowedCount();
   const recentHistory = getHistory().slice(-5).reverse(); // Last 5 items
   const wishlistCount = getWishlistCount();
+  const fines = getPatronFines();
+  const defaultFee = FEE_SCHEDULE.default;
+  const policy = getBorrowingPolicy();
+
+  // Picked-up loans the policy lets the patron renew now (and not already queued)
+  const renewable = currentlyBorrowed.filter(item =>
+    item.pickedUp && !isQueued('extend', item.reservationId) && getRenewalCheck(item).allowed
+  );
 
   /**
    * Calculate remaining days until due
@@ -109,9 +139,10 @@ function Dashboard() {
 
   /**
    * Handle extend borrowing period
+   * (queued while offline - see OfflineContext)
    */
-  const handleExtend = (reservationId) => {
-    const result = extendBorrowingPeriod(reservationId);
+  const handleExtend = (item) => {
+    const result = runOrQueue('extend', { reservationId: item.reservationId }, `Renew "${item.book.title}"`);
     if (result.success) {
       showToast(result.message, 'success');
     } else {
@@ -120,24 +151,35 @@ function Dashboard() {
   };
 
   /**
-   * Handle cancel reservation
+   * Handle renew all eligible loans
+   * Each renewal goes through runOrQueue like a single one, so they are
+   * queued while offline; one toast sums up the results.
    */
-  const handleCancel = (reservationId) => {
-    const result = cancelReservation(reservationId);
-    if (result.success) {
-      showToast(result.message, 'success');
+  const handleRenewAll = () => {
+    const results = renewable.map(item =>
+      runOrQueue('extend', { reservationId: item.reservationId }, `Renew "${item.book.title}"`)
+    );
+    const renewed = results.filter(result => result.success && !result.queued).length;
+    const queued = results.filter(result => result.queued).length;
+    const failed = results.filter(result => !result.success);
+
+    if (failed.length > 0) {
+      showToast(`${renewed + queued} of ${results.length} renewed. ${failed[0].message}`, 'error');
+    } else if (queued > 0) {
+      showToast(`${queued} ${queued === 1 ? 'renewal' : 'renewals'} saved - they'll be sent when you're back online`, 'info');
     } else {
-      showToast(result.message, 'error');
+      showToast(`${renewed} ${renewed === 1 ? 'loan' : 'loans'} renewed`, 'success');
     }
   };
 
   /**
-   * Handle mark as picked up (for simulation/testing)
+   * Handle cancel reservation
+   * (queued while offline - see OfflineContext)
    */
-  const handlePickup = (reservationId) => {
-    const result = markAsPickedUp(reservationId);
+  const handleCancel = (item) => {
+    const result = runOrQueue('cancel', { reservationId: item.reservationId }, `Cancel reservation for "${item.book.title}"`);
     if (result.success) {
-      showToast('Reservation marked as picked up! You can now test extend feature.', 'success');
+      showToast(result.message, 'success');
     } else {
       showToast(result.message, 'error');
     }
@@ -198,7 +240,7 @@ function Dashboard() {
           User Dashboard
         </h1>
         <p className="text-gray-600 ">
-          Welcome back, {user?.username || 'Guest'}! Here's your borrowing overview.
+          Welcome back, {user.username}! Here's your borrowing overview.
         </p>
       </div>
 
@@ -270,6 +312,25 @@ function Dashboard() {
               </Link>
             </div>
 
+            {/* Renew All Eligible - one button for every loan the policy allows */}
+            {currentlyBorrowed.some(item => item.pickedUp) && (
+              <div className="flex flex-col sm:flex-row sm:items-center gap-3 mb-4 p-3 bg-gray-50 border border-gray-200 rounded-xl">
+                <p className="text-sm text-gray-700 flex-1">
+                  {renewable.length === 0
+                    ? 'None of your loans can be renewed right now - each one says why.'
+                    : `${renewable.length} of ${currentlyBorrowed.filter(item => item.pickedUp).length} loans can be renewed.`}
+                </p>
+                <button
+                  onClick={handleRenewAll}
+                  disabled={renewable.length === 0}
+                  className="flex items-center justify-center px-4 py-2 min-h-[44px] text-sm bg-black text-white rounded-xl hover:bg-gray-800 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+                >
+                  <RefreshCw size={16} className="mr-2" />
+                  Renew All Eligible
+                </button>
+              </div>
+            )}
+
             {currentlyBorrowed.length === 0 ? (
               <div className="text-center py-12">
                 <BookOpen size={48} className="mx-auto text-gray-400 mb-4" />
@@ -288,6 +349,8 @@ function Dashboard() {
                 {currentlyBorrowed.map((item) => {
                   const remainingDays = getRemainingDays(item.dueDate);
                   const overdue = isOverdue(item.dueDate);
+                  const renewal = getRenewalCheck(item);
+                  const renewals = getRenewalCount(item);
                   
                   return (
                     <div
@@ -350,48 +413,87 @@ function Dashboard() {
                                 </span>
                               </div>
                             )}
-                            {item.extended && (
+                            {renewals > 0 && (
                               <p className="text-xs text-green-700 mt-1 flex items-center">
                                 <CheckCircle size={12} className="mr-1" />
-                                Extended once
+                                Renewed {renewals} of {renewal.policy.renewals} {renewal.policy.renewals === 1 ? 'time' : 'times'}
                               </p>
                             )}
+                            {/* Pickups are confirmed by the desk, not the patron */}
+                            {!item.pickedUp && (
+                              <p className="text-xs text-gray-500 mt-1">
+                                Collect it at the circulation desk - a librarian confirms the pickup.
+                              </p>
+                            )}
+                            {/* Why the loan can't be renewed (once picked up) */}
+                            {!renewal.allowed && item.pickedUp && !isQueued('extend', item.reservationId) && (
+                              <p className="text-xs text-gray-500 mt-1">{renewal.reason}</p>
+                            )}
+                            {/* Renewal log (services/policy createRenewal) */}
+                            {item.renewals?.length > 0 && (
+                              <ul className="text-xs text-gray-500 mt-1 space-y-0.5">
+                                {item.renewals.map(entry => (
+                                  <li key={entry.date}>
+                                    Renewed {formatDate(entry.date)}
+                                    {entry.by && entry.by !== user.username && ` at the desk by ${entry.by}`}
+                                    {entry.previousDueDate && entry.newDueDate && `: due ${formatDate(entry.previousDueDate)} → ${formatDate(entry.newDueDate)}`}
+                                  </li>
+                                ))}
+                              </ul>
+                            )}
                           </div>
 
                           {/* Action Buttons */}
                           <div className="flex gap-2 flex-wrap">
-                            {/* Pickup Button - Only if not picked up (for testing) */}
-                            {!item.pickedUp && (
+                            {/* Extend Button - Only if the borrowing policy allows a renewal */}
+                            {isQueued('extend', item.reservationId) ? (
+                              <span className="flex items-center px-3 py-2 min-h-[44px] text-xs md:text-sm bg-gray-200 text-gray-700 rounded">
+                                <Clock size={16} className="mr-1" />
+                                Renewal saved offline
+                              </span>
+                            ) : renewal.allowed && (
                               <button
-                                onClick={() => handlePickup(item.reservationId)}
-                                className="flex items-center px-3 py-2 min-h-[44px] text-xs md:text-sm bg-black text-white rounded hover:bg-gray-800 transition-colors"
-                              >
-                                <CheckCircle size={16} className="mr-1" />
-                                Mark as Picked Up
-                              </button>
-                            )}
-
-                            {/* Extend Button - Only if not extended and not overdue */}
-                            {!item.extended && !overdue && item.pickedUp && (
-                              <button
-                                onClick={() => handleExtend(item.reservationId)}
+                                onClick={() => handleExtend(item)}
                                 className="flex items-center px-3 py-2 min-h-[44px] text-xs md:text-sm bg-blue-600 text-white rounded hover:bg-blue-700 transition-colors"
                               >
                                 <Plus size={16} className="mr-1" />
-                                Extend 7 Days
+                                Extend {renewal.policy.renewalDays} Days
                               </button>
                             )}
 
                             {/* Cancel Button - Only if not picked up */}
-                            {!item.pickedUp && (
+                            {isQueued('cancel', item.reservationId) ? (
+                              <span className="flex items-center px-3 py-2 min-h-[44px] text-xs md:text-sm bg-gray-200 text-gray-700 rounded">
+                                <Clock size={16} className="mr-1" />
+                                Cancellation saved offline
+                              </span>
+                            ) : !item.pickedUp && (
                               <button
-                                onClick={() => handleCancel(item.reservationId)}
+                                onClick={() => handleCancel(item)}
                                 className="flex items-center px-3 py-2 min-h-[44px] text-xs md:text-sm bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
                               >
                                 <Minus size={16} className="mr-1" />
                                 Cancel Reservation
                               </button>
                             )}
+
+                            {/* Receipt with the pickup QR code */}
+                            {!item.pickedUp && item.confirmationId && (
+                              <Link
+                                to={`/confirmation/${item.confirmationId}`}
+                                className="flex items-center px-3 py-2 min-h-[44px] text-xs md:text-sm border-2 border-gray-200 text-gray-700 rounded hover:bg-gray-50 transition-colors"
+                              >
+                                <QrCode size={16} className="mr-1" />
+                                Pickup QR
+                              </Link>
+                            )}
+
+                            {/* Pickup / due date for the patron's calendar app */}
+                            <AddToCalendar
+                              filename={`booknest-${item.reservationId}.ics`}
+                              getEvents={() => getLoanEvents(item)}
+                              className="flex items-center px-3 py-2 min-h-[44px] text-xs md:text-sm border-2 border-gray-200 text-gray-700 rounded hover:bg-gray-50 transition-colors space-x-1"
+                            />
                           </div>
                         </div>
                       </div>
@@ -400,13 +502,107 @@ function Dashboard() {
                 })}
               </div>
             )}
+
+            {/* Date Due Slip - books already picked up, in one PDF */}
+            {currentlyBorrowed.some(item => item.pickedUp) && (
+              <div className="flex flex-col sm:flex-row sm:items-center gap-2 mt-6 pt-4 border-t border-gray-200">
+                <p className="text-sm text-gray-600 flex-1">Date due slip for the books you have on loan</p>
+                <PdfActions
+                  label="Due Slip"
+                  filename={`due-slip-${user.username}.pdf`}
+                  createPdf={() => buildLoanSlipPdf({
+                    kind: 'due',
+                    patron: { username: user.username },
+                    items: toSlipItems(currentlyBorrowed.filter(item => item.pickedUp), catalog),
+                    now: Date.now()
+                  })}
+                />
+              </div>
+            )}
           </div>
 
         </div>
 
         {/* Right Column - Quick Links & Summary */}
         <div className="space-y-6">
+
+          {/* Fines */}
+          <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+            <div className="flex items-center justify-between mb-4">
+              <h2 className="text-xl font-semibold text-black flex items-center">
+                <Receipt size={22} className="mr-2" />
+                Fines
+              </h2>
+              <span className={`text-2xl font-bold ${fines.balance > 0 ? 'text-red-600' : 'text-black'}`}>
+                {formatMoney(fines.balance)}
+              </span>
+            </div>
+
+            {fines.balance > FINE_BLOCK_THRESHOLD && (
+              <p className="text-xs text-red-700 bg-red-50 border border-red-200 rounded-lg p-3 mb-4">
+                Reservations are paused while you owe more than {formatMoney(FINE_BLOCK_THRESHOLD)}.
+                Please pay at the library desk.
+              </p>
+            )}
+
+            {fines.fines.length === 0 ? (
+              <p className="text-center text-gray-600 py-4 text-sm">
+                No fines - thanks for returning on time!
+              </p>
+            ) : (
+              <div className="space-y-3">
+                {fines.fines.map((fine) => (
+                  <div
+                    key={fine.reservationId}
+                    className="pb-3 border-b border-gray-200 last:border-0"
+                  >
+                    <div className="flex items-start justify-between gap-2">
+                      <h4 className="text-sm font-medium text-black truncate">
+                        {fine.book.title}
+                      </h4>
+                      <span className="text-sm font-semibold text-black whitespace-nowrap">
+                        {fine.outstanding > 0 ? formatMoney(fine.outstanding) : 'Settled'}
+                      </span>
+                    </div>
+                    <p className="text-xs text-gray-600 mt-1">
+                      {fine.daysLate} {fine.daysLate === 1 ? 'day' : 'days'} late
+                      {' · '}{fine.chargeableDays} charged at {formatMoney(fine.dailyRate)}
+                      {fine.capped && ` · capped at ${formatMoney(fine.maxFine)}`}
+                      {fine.accruing && ' · still out'}
+                    </p>
+                    {fine.settled > 0 && fine.outstanding > 0 && (
+                      <p className="text-xs text-green-700 mt-1">
+                        {formatMoney(fine.settled)} of {formatMoney(fine.amount)} paid or waived
+                      </p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
           
+          {/* All Loans in Your Calendar - every active loan in one .ics file */}
+          <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+            <h2 className="text-xl font-semibold text-black mb-2 flex items-center">
+              <CalendarDays size={22} className="mr-2" />
+              All Loans in Your Calendar
+            </h2>
+            <p className="text-sm text-gray-600 mb-4">
+              All your pickup and due dates with reminders, in one file for your calendar app.
+            </p>
+            <button
+              onClick={() => downloadCalendar(buildLoansCalendar(user.username, getHistory(), Date.now()), 'booknest-loans.ics')}
+              className="w-full flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm"
+            >
+              <CalendarDays size={16} />
+              <span>Download All Loans (.ics)</span>
+            </button>
+            <p className="text-xs text-gray-500 mt-3">
+              The file is a snapshot: after you renew or return a book, download it again and import it - events
+              for the same loan are updated rather than added twice.
+            </p>
+          </div>
+
           {/* Quick Actions */}
           <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
             <h2 className="text-xl font-semibold text-black  mb-4">
@@ -452,6 +648,19 @@ function Dashboard() {
                 <ArrowRight size={16} className="text-gray-400" />
               </Link>
 
+              <Link
+                to="/receipts"
+                className="flex items-center justify-between p-3 border border-gray-200  rounded-xl hover:bg-gray-50 transition-colors"
+              >
+                <div className="flex items-center">
+                  <Receipt size={20} className="mr-3 text-black" />
+                  <span className="text-sm font-medium text-black">
+                    My Receipts
+                  </span>
+                </div>
+                <ArrowRight size={16} className="text-gray-400" />
+              </Link>
+
               <Link
                 to="/reservations"
                 className="flex items-center justify-between p-3 border border-gray-200  rounded-xl hover:bg-gray-50 transition-colors"
@@ -528,8 +737,12 @@ function Dashboard() {
                   Important Reminder
                 </h3>
                 <p className="text-xs text-gray-700">
-                  Late returns incur a fine of $2.00 per day per book. 
-                  You can extend borrowing once per book by 7 days.
+                  Late returns incur a fine of {formatMoney(defaultFee.dailyRate)} per day per book
+                  after a {defaultFee.graceDays}-day grace period (up to {formatMoney(defaultFee.maxFine)} per book;
+                  some categories differ). Days the library is closed are free.
+                  You can renew a loan {policy.renewals === 1 ? 'once' : `${policy.renewals} times`} by {policy.renewalDays} days
+                  (some categories can't be renewed), unless someone is waiting for the book, it's overdue
+                  or you owe more than {formatMoney(FINE_BLOCK_THRESHOLD)}.
                 </p>
               </div>
             </div>
@@ -6,22 +6,33 @@
   - Show all past and current borrowings
   - Display borrow dates, due dates, and return status
   - Allow filtering by status (borrowed/returned)
-  - Mark books as returned
+  
+  Returns are checked in by library staff from the admin console,
+  so patrons can no longer mark their own books as returned here.
   
   Features:
   - List of all borrowing records
   - Status badges (borrowed/returned)
   - Date information (borrowed, due, returned)
   - Filter by status
-  - Mark as returned functionality
-  - Clear history option
+  - Late fee per record (see services/fines)
+  - Rate & review returned books (ReviewForm)
+  - Receipt PDF for each reservation (same template as the confirmation page)
+  - Add to Calendar for books still out (pickup and due dates as .ics)
+  - Clear history option (active loans and loans with fines are kept)
 */
 
 import { useState } from 'react';
 import { useBooks } from '../context/BookContext';
 import { useToast } from '../context/ToastContext';
 import { useNavigate } from 'react-router-dom';
-import { BookOpen, Calendar, CheckCircle, Clock, History as HistoryIcon, Trash2 } from 'lucide-react';
+import { formatMoney } from '../services/fines';
+import ReviewForm from '../components/ReviewForm';
+import PdfActions from '../components/PdfActions';
+import AddToCalendar from '../components/AddToCalendar';
+import { createReceiptPdf } from '../services/pdf';
+import { getLoanEvents } from '../services/ical';
+import { BookOpen, Calendar, CheckCircle, Clock, History as HistoryIcon, Star, Trash2 } from 'lucide-react';
 
 /*
   ===== HISTORY COMPONENT =====
@@ -33,7 +44,7 @@ export default function History() {
     ===== CONTEXT & HOOKS =====
     Access history functions and navigation
   */
-  const { getHistory, markAsReturned, clearHistory } = useBooks();
+  const { getHistory, clearHistory, getPatronFines, getReviewEligibility, getConfirmation } = useBooks();
   const { showToast } = useToast();
   const navigate = useNavigate();
 
@@ -43,6 +54,9 @@ export default function History() {
   */
   const [filterStatus, setFilterStatus] = useState('all'); // 'all', 'borrowed', 'returned'
 
+  // Reservation ID whose review form is open
+  const [reviewingId, setReviewingId] = useState(null);
+
   /*
     ===== GET FILTERED HISTORY =====
     Get history based on selected filter
@@ -53,20 +67,10 @@ export default function History() {
     : getHistory(filterStatus);
 
   /*
-    ===== FUNCTION: HANDLE MARK AS RETURNED =====
-    Marks a borrowed book as returned
-    
-    Parameters:
-    - reservationId: ID of the reservation to mark as returned
+    ===== LATE FEES =====
+    Fine details per reservation ID, for records that have one
   */
-  const handleReturn = (reservationId) => {
-    const result = markAsReturned(reservationId);
-    if (result.success) {
-      showToast('Book marked as returned!', 'success');
-    } else {
-      showToast(result.message, 'error');
-    }
-  };
+  const finesById = new Map(getPatronFines().fines.map(fine => [fine.reservationId, fine]));
 
   /*
     ===== FUNCTION: HANDLE CLEAR HISTORY =====
@@ -75,7 +79,7 @@ export default function History() {
   const handleClearHistory = () => {
     const result = clearHistory();
     if (result.success) {
-      showToast('History cleared successfully!', 'success');
+      showToast(result.message, 'success');
     } else {
       showToast(result.message, 'error');
     }
@@ -242,6 +246,9 @@ export default function History() {
           <div className="space-y-4">
             {filteredHistory.map((item, index) => {
               const overdue = isOverdue(item.dueDate, item.status);
+              const fine = finesById.get(item.reservationId);
+              const review = item.status === 'returned' ? getReviewEligibility(item.book.id) : null;
+              const receipt = item.confirmationId ? getConfirmation(item.confirmationId) : null;
 
               return (
                 <div 
@@ -344,7 +351,7 @@ export default function History() {
                       </div>
 
                       {/* Status Badge & Actions */}
-                      <div className="flex items-center justify-between">
+                      <div className="flex flex-wrap items-center justify-between gap-2">
                         
                         {/* Status Badge */}
                         <span 
@@ -358,17 +365,67 @@ export default function History() {
                           {item.status === 'returned' ? '✓ Returned' : overdue ? '⚠ Overdue' : '📖 Borrowed'}
                         </span>
 
-                        {/* Mark as Returned Button (only for borrowed books) */}
+                        {/* Late Fee */}
+                        {fine && (
+                          <span className="text-xs md:text-sm font-semibold text-red-700">
+                            Fine {formatMoney(fine.amount)}
+                            {fine.outstanding === 0
+                              ? ' (settled)'
+                              : fine.settled > 0 && ` (${formatMoney(fine.outstanding)} owed)`}
+                            {fine.accruing && ' and growing'}
+                          </span>
+                        )}
+
+                        {/* Return hint (returns are checked in at the desk) */}
                         {item.status === 'borrowed' && (
+                          <p className="text-xs md:text-sm text-gray-500">
+                            Return this book at the library desk to check it in
+                          </p>
+                        )}
+
+                        {/* Rate & review (returned books) */}
+                        {review?.allowed && reviewingId !== item.reservationId && (
                           <button
-                            onClick={() => handleReturn(item.reservationId)}
-                            className="px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors flex items-center space-x-2 text-sm md:text-base"
+                            onClick={() => setReviewingId(item.reservationId)}
+                            className="flex items-center space-x-1.5 px-3 py-1.5 text-sm font-semibold border-2 border-black rounded-xl hover:bg-black hover:text-white transition-colors"
                           >
-                            <CheckCircle size={18} />
-                            <span>Mark as Returned</span>
+                            <Star size={14} />
+                            <span>{review.review ? `Edit your review (${review.review.rating}★)` : 'Rate & Review'}</span>
                           </button>
                         )}
+
+                        {/* Receipt of the reservation this loan came from,
+                            and its dates for the patron's calendar */}
+                        {(receipt || item.status === 'borrowed') && (
+                          <div className="flex flex-wrap gap-2">
+                            {item.status === 'borrowed' && (
+                              <AddToCalendar
+                                filename={`booknest-${item.reservationId}.ics`}
+                                getEvents={() => getLoanEvents(item)}
+                                className="flex items-center space-x-1.5 px-3 py-1.5 text-sm font-semibold border-2 border-gray-200 text-gray-700 rounded-xl hover:bg-gray-50 transition-colors"
+                              />
+                            )}
+                            {receipt && (
+                              <PdfActions
+                                label="Receipt"
+                                filename={`receipt-${receipt.reservationId}.pdf`}
+                                createPdf={() => createReceiptPdf(receipt, allHistory)}
+                                className="flex items-center space-x-1.5 px-3 py-1.5 text-sm font-semibold border-2 border-gray-200 text-gray-700 rounded-xl hover:bg-gray-50 transition-colors disabled:opacity-50"
+                              />
+                            )}
+                          </div>
+                        )}
                       </div>
+
+                      {reviewingId === item.reservationId && (
+                        <div className="mt-4">
+                          <ReviewForm
+                            bookId={item.book.id}
+                            existing={review?.review}
+                            onDone={() => setReviewingId(null)}
+                          />
+                        </div>
+                      )}
                     </div>
                   </div>
                 </div>
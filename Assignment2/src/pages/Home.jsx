@@ -7,7 +7,10 @@
  * 
  * SECTIONS:
  * 1. Hero Section - Welcome banner with call-to-action
- * 2. Featured Books - Showcase of available books
+ * 2. Recommended for You - Personal suggestions (signed-in users with some
+ *    borrowing, wishlist or rating history), each with the reason
+ * 3. Featured Books - Showcase of available books
+ * 4. New Arrivals - Most recent publications
  * 
  * KEY CONCEPTS FOR VIVA:
  * - useBooks hook: Accessing book data from context
@@ -15,12 +18,18 @@
  * - Component composition: Using BookCard component
  * - Responsive grid: Different columns for different screen sizes
  * - useNavigate: Programmatic navigation to Browse page
+ * - useMemo: Recommendations are only recalculated when their inputs change
  */
 
+import { useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { BookOpen, ArrowRight } from 'lucide-react';
 import { useBooks } from '../context/BookContext';
+import { useAuth } from '../context/AuthContext';
+import { useWishlist } from '../context/WishlistContext';
 import BookCard from '../components/BookCard';
+import RecommendationRail from '../components/RecommendationRail';
+import { getRecommendations } from '../services/recommendations';
 
 function Home() {
   /**
@@ -41,7 +50,27 @@ function Home() {
    * books: Array of all books from books.json
    * We'll use this to display featured books on home page.
    */
-  const { books } = useBooks();
+  const { books, history, allUsersHistory } = useBooks();
+  const { user, isAuthenticated } = useAuth();
+  const { wishlist } = useWishlist();
+
+  /**
+   * Personal Recommendations (services/recommendations)
+   * 
+   * Seeds: the user's loans, wishlist and 4-5 star ratings
+   * Similar books: borrowed by the same readers, same author or category
+   * 
+   * forYou: best suggestions over all seeds
+   * because: one rail per recently borrowed book ("Because you borrowed X")
+   */
+  const signedIn = isAuthenticated();
+  const recommendations = useMemo(
+    () => signedIn
+      ? getRecommendations({ username: user?.username, history, wishlist }, books, allUsersHistory)
+      : { forYou: [], because: [] },
+    [signedIn, user?.username, history, wishlist, books, allUsersHistory]
+  );
+  const hasRecommendations = recommendations.forYou.length > 0 || recommendations.because.length > 0;
 
   /**
    * Featured Books Selection
@@ -160,6 +189,38 @@ function Home() {
         </div>
       </section>
 
+      {/* 
+        ===== RECOMMENDED FOR YOU =====
+        Only shown when there is something to base suggestions on
+      */}
+      {hasRecommendations && (
+        <section className="py-16 md:py-20 bg-white">
+          <div className="container mx-auto px-4 md:px-6 lg:px-8">
+            <div className="mb-12">
+              <h2 className="text-3xl md:text-4xl lg:text-5xl font-bold text-black mb-3 tracking-tight">
+                Recommended for You
+              </h2>
+              <p className="text-gray-600 text-lg">
+                Based on what you've borrowed, wishlisted and rated
+              </p>
+            </div>
+
+            <RecommendationRail
+              title="Picked for you"
+              items={recommendations.forYou}
+            />
+            {recommendations.because.map(rail => (
+              <RecommendationRail
+                key={rail.seed.id}
+                title={`Because you borrowed ${rail.seed.title}`}
+                subtitle="Borrowed by the same readers, or by the same author or genre"
+                items={rail.items}
+              />
+            ))}
+          </div>
+        </section>
+      )}
+
       {/* 
         ===== FEATURED BOOKS SECTION =====
         Showcase of available books to encourage exploration
@@ -384,6 +445,15 @@ export default Home;
  *    - Better for buttons (Link is better for text links)
  *    For simple navigation, Link is fine, but button onClick is clear.
  * 
+ * Q: How are the recommendations worked out?
+ * A: getRecommendations() (services/recommendations) takes the user's
+ *    loans, wishlist and 4-5 star ratings as "seeds". For each seed it
+ *    finds similar books: borrowed by the same readers (co-borrowing across
+ *    all users' histories), same author, or same category. Each seed votes
+ *    for its similar books; the votes are added up for "Picked for you".
+ *    Every suggestion keeps its reasons, shown under the card.
+ *    Everything runs locally in the browser - no server or ML model.
+ * 
  * Q: What is the conditional rendering?
  * A: {featuredBooks.length > 0 ? <grid> : <message>}
  *    Ternary operator: condition ? trueCase : falseCase
@@ -1,152 +1,319 @@
 /**
  * Login Page Component - User Authentication
- * 
+ *
  * PURPOSE:
- * Allows users to log in to the library system.
- * Simple username-only authentication (no password for demo).
- * 
+ * Allows users to sign in, create an account, or change their password.
+ * Passwords are checked against salted PBKDF2 hashes (see services/auth).
+ *
  * FEATURES:
- * 1. Username input field
- * 2. Login button
- * 3. Integration with AuthContext
- * 4. Automatic redirect to Home after login
- * 5. Session persistence in localStorage
- * 
+ * 1. Three modes: Sign In, Register, Change Password
+ * 2. Password + confirmation fields with inline validation
+ * 3. Integration with AuthContext (login, register, changePassword)
+ * 4. Redirect back to the page that required login (or Home)
+ * 5. Toast feedback for every result
+ *
  * KEY CONCEPTS FOR VIVA:
- * - useState: Managing username input
+ * - useState: Managing form inputs and the active mode
  * - useAuth: Accessing authentication context
  * - useNavigate: Programmatic navigation after login
- * - Form submission: Handling login action
- * - Controlled input: Username value from state
+ * - useLocation: Reads the page ProtectedRoute sent us from
+ * - async/await: Hashing passwords takes time, so auth functions are async
+ * - Controlled inputs: Every field value comes from state
  */
 
 import { useState } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { LogIn, User } from 'lucide-react';
+import { useNavigate, useLocation } from 'react-router-dom';
+import { LogIn, User, Lock, UserPlus, KeyRound } from 'lucide-react';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from '../context/ToastContext';
+import { MIN_PASSWORD_LENGTH } from '../services/auth/accounts';
+
+/**
+ * Mode Configuration
+ *
+ * Each mode shares the same form, with different titles and fields.
+ */
+const MODES = {
+  login: {
+    tab: 'Sign In',
+    title: 'Welcome Back',
+    subtitle: 'Sign in to access your library account',
+    button: 'Sign In',
+    icon: LogIn,
+  },
+  register: {
+    tab: 'Register',
+    title: 'Create Account',
+    subtitle: 'Register to start borrowing books',
+    button: 'Create Account',
+    icon: UserPlus,
+  },
+  change: {
+    tab: 'Change Password',
+    title: 'Change Password',
+    subtitle: 'Enter your current password to choose a new one',
+    button: 'Update Password',
+    icon: KeyRound,
+  },
+};
+
+/**
+ * PasswordField Component
+ *
+ * Labelled password input with a lock icon.
+ *
+ * @param {Object} props
+ * @param {string} props.id - Input id (also used by the label)
+ * @param {string} props.label - Label text
+ * @param {string} props.value - Current value
+ * @param {Function} props.onChange - Called with the new value
+ * @param {string} props.autoComplete - Browser autofill hint
+ */
+function PasswordField({ id, label, value, onChange, autoComplete }) {
+  return (
+    <div>
+      <label
+        htmlFor={id}
+        className="block text-sm font-semibold text-gray-700 mb-2"
+      >
+        {label}
+      </label>
+      <div className="relative">
+        <Lock
+          className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400"
+          size={20}
+        />
+        <input
+          type="password"
+          id={id}
+          value={value}
+          onChange={(e) => onChange(e.target.value)}
+          autoComplete={autoComplete}
+          className="w-full pl-10 pr-4 py-3 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-base"
+          placeholder={label}
+        />
+      </div>
+    </div>
+  );
+}
 
 function Login() {
   /**
-   * STEP 1: Username State
-   * 
-   * Manages the username input value.
-   * Controlled input bound to this state.
+   * STEP 1: Form State
+   *
+   * - mode: 'login' | 'register' | 'change'
+   * - username/password: Used by every mode
+   * - newPassword/confirmPassword: Register and change modes
+   * - submitting: True while the password is being hashed/checked
    */
+  const [mode, setMode] = useState('login');
   const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
 
   /**
-   * STEP 2: Access Navigation and Auth Context
-   * 
+   * STEP 2: Access Navigation, Auth and Toast Contexts
+   *
    * - navigate: Function to redirect to other pages
-   * - login: Function from AuthContext to authenticate user
+   * - redirectTo: Page ProtectedRoute redirected from (state.from), or Home
+   * - login/register/changePassword: Async functions from AuthContext
+   * - showToast: Feedback messages
    */
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const location = useLocation();
+  const from = location.state?.from;
+  const redirectTo = from ? `${from.pathname}${from.search}${from.hash}` : '/';
+  const { login, register, changePassword } = useAuth();
+  const { showToast } = useToast();
+
+  const config = MODES[mode];
+  const ModeIcon = config.icon;
+
+  /**
+   * STEP 3: Switch Mode
+   *
+   * Clears password fields so they never carry over between forms.
+   * The username is kept for convenience.
+   *
+   * @param {string} nextMode - Mode to switch to
+   */
+  const switchMode = (nextMode) => {
+    setMode(nextMode);
+    setPassword('');
+    setNewPassword('');
+    setConfirmPassword('');
+  };
+
+  /**
+   * STEP 4: Client-side Validation
+   *
+   * Quick checks before the (slow) hash is computed.
+   * AuthContext validates again, so these are only for fast feedback.
+   *
+   * @returns {string|null} Error message, or null if the form is valid
+   */
+  const validateForm = () => {
+    if (!username.trim() || !password) {
+      return 'Please fill in all fields';
+    }
+
+    if (mode === 'register') {
+      if (password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+      }
+      if (password !== confirmPassword) {
+        return 'Passwords do not match';
+      }
+    }
+
+    if (mode === 'change') {
+      if (newPassword.length < MIN_PASSWORD_LENGTH) {
+        return `New password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+      }
+      if (newPassword !== confirmPassword) {
+        return 'New passwords do not match';
+      }
+    }
+
+    return null;
+  };
 
   /**
-   * STEP 3: Handle Login Submission
-   * 
-   * Called when user clicks "Login" button.
-   * 
+   * STEP 5: Handle Form Submission
+   *
    * Process:
    * 1. Prevent default form behavior (page reload)
-   * 2. Validate username (not empty)
-   * 3. Call login() from AuthContext with username
-   * 4. Navigate to Home page
-   * 
+   * 2. Validate inputs
+   * 3. Call the AuthContext function for the current mode
+   * 4. Show the result and redirect (login/register) or return to Sign In (change)
+   *    Redirects use `replace` so Back doesn't return to the login form
+   *
    * @param {Event} e - Form submit event
-   * 
-   * How login() works (from AuthContext):
-   * - Stores username in state
-   * - Saves to localStorage for persistence
-   * - Sets isAuthenticated to true
-   * - Updates user object: { username }
    */
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault(); // Prevent page reload
 
-    // Simple validation: Username must not be empty
-    if (username.trim()) {
-      // Call login from AuthContext
-      login(username);
-      
-      // Redirect to home page
-      navigate('/');
-      
-      // Show success message
-      showToast(`Welcome, ${username}!`, 'success');
+    const error = validateForm();
+    if (error) {
+      showToast(error, 'warning');
+      return;
+    }
+
+    setSubmitting(true);
+    let result;
+    if (mode === 'login') {
+      result = await login(username, password);
+    } else if (mode === 'register') {
+      result = await register(username, password);
     } else {
-      // Show error if username is empty
-      showToast('Please enter a username', 'warning');
+      result = await changePassword(username, password, newPassword);
+    }
+    setSubmitting(false);
+
+    if (!result.success) {
+      showToast(result.message, 'error');
+      return;
+    }
+
+    showToast(result.message, 'success');
+
+    if (mode === 'change') {
+      // Sign in again with the new password
+      switchMode('login');
+    } else {
+      navigate(redirectTo, { replace: true });
     }
   };
 
   return (
     <div className="min-h-[70vh] flex items-center justify-center px-4 py-8 bg-gray-50">
-      
-      {/* 
+
+      {/*
         Login Card Container
         - Centered on page
         - Max width for better readability
         - Shadow and rounded corners
       */}
       <div className="w-full max-w-md">
-        
-        {/* 
+
+        {/*
           Card Content
-          - White background with dark mode support
+          - White background
           - Padding for spacing
         */}
         <div className="bg-white rounded-xl shadow-lg p-6 md:p-8 border border-gray-200">
-          
-          {/* 
+
+          {/*
+            Mode Tabs
+            - Switch between Sign In, Register and Change Password
+          */}
+          <div className="grid grid-cols-3 gap-1 p-1 mb-6 bg-gray-100 rounded-xl" role="tablist">
+            {Object.entries(MODES).map(([key, { tab }]) => (
+              <button
+                key={key}
+                type="button"
+                role="tab"
+                aria-selected={mode === key}
+                onClick={() => switchMode(key)}
+                className={`px-2 py-2 min-h-[44px] rounded-lg text-sm font-semibold transition-colors ${
+                  mode === key
+                    ? 'bg-black text-white'
+                    : 'text-gray-600 hover:text-black'
+                }`}
+              >
+                {tab}
+              </button>
+            ))}
+          </div>
+
+          {/*
             Header Section
-            - Icon + Title + Description
-            - Centered text
+            - Icon + Title + Description for the current mode
           */}
           <div className="text-center mb-6 md:mb-8">
             <div className="inline-flex items-center justify-center w-14 h-14 md:w-16 md:h-16 bg-black rounded-full mb-4">
-              <LogIn className="text-white" size={28} />
+              <ModeIcon className="text-white" size={28} />
             </div>
-            <h1 className="text-2xl md:text-3xl font-bold text-black  mb-2">
-              Welcome Back
+            <h1 className="text-2xl md:text-3xl font-bold text-black mb-2">
+              {config.title}
             </h1>
             <p className="text-gray-600">
-              Sign in to access your library account
+              {config.subtitle}
             </p>
+            {from && mode !== 'change' && (
+              <p className="mt-2 text-sm text-gray-500">
+                Please sign in to continue to {from.pathname}
+              </p>
+            )}
           </div>
 
-          {/* 
-            Login Form
-            - onSubmit: Handles form submission
-            - Single username input (no password for demo)
+          {/*
+            Auth Form
+            - onSubmit: Handles form submission for every mode
           */}
           <form onSubmit={handleSubmit} className="space-y-6">
-            
-            {/* 
+
+            {/*
               USERNAME INPUT
-              
+
               Controlled Input:
               - value={username}: Input value from state
               - onChange: Updates state on every keystroke
-              
-              Icon Integration:
-              - User icon positioned inside input
-              - Padding adjusted to accommodate icon
             */}
             <div>
-              <label 
-                htmlFor="username" 
-                className="block text-sm font-semibold text-gray-700  mb-2"
+              <label
+                htmlFor="username"
+                className="block text-sm font-semibold text-gray-700 mb-2"
               >
                 Username
               </label>
               <div className="relative">
                 {/* User Icon */}
-                <User 
-                  className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" 
-                  size={20} 
+                <User
+                  className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400"
+                  size={20}
                 />
                 {/* Username Input */}
                 <input
@@ -154,53 +321,89 @@ function Login() {
                   id="username"
                   value={username}
                   onChange={(e) => setUsername(e.target.value)}
-                  className="w-full pl-10 pr-4 py-3 min-h-[44px] border border-gray-200  rounded-xl focus:outline-none focus:ring-2 focus:ring-black  text-base"
+                  autoComplete="username"
+                  className="w-full pl-10 pr-4 py-3 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-base"
                   placeholder="Enter your username"
                   autoFocus
                 />
               </div>
-              <p className="mt-2 text-xs text-gray-500 ">
-                For demo purposes, enter any username (no password required)
-              </p>
+              {mode === 'register' && (
+                <p className="mt-2 text-xs text-gray-500">
+                  3-30 characters: letters, numbers, dot, dash or underscore
+                </p>
+              )}
             </div>
 
-            {/* 
-              LOGIN BUTTON
+            {/* PASSWORD (current password in change mode) */}
+            <PasswordField
+              id="password"
+              label={mode === 'change' ? 'Current Password' : 'Password'}
+              value={password}
+              onChange={setPassword}
+              autoComplete={mode === 'register' ? 'new-password' : 'current-password'}
+            />
+
+            {/* NEW PASSWORD (change mode only) */}
+            {mode === 'change' && (
+              <PasswordField
+                id="newPassword"
+                label="New Password"
+                value={newPassword}
+                onChange={setNewPassword}
+                autoComplete="new-password"
+              />
+            )}
+
+            {/* CONFIRM PASSWORD (register and change modes) */}
+            {mode !== 'login' && (
+              <PasswordField
+                id="confirmPassword"
+                label={mode === 'change' ? 'Confirm New Password' : 'Confirm Password'}
+                value={confirmPassword}
+                onChange={setConfirmPassword}
+                autoComplete="new-password"
+              />
+            )}
+
+            {mode !== 'login' && (
+              <p className="text-xs text-gray-500">
+                Passwords must be at least {MIN_PASSWORD_LENGTH} characters long
+              </p>
+            )}
+
+            {/*
+              SUBMIT BUTTON
               - type="submit": Triggers form onSubmit
-              - Full width for prominence
-              - Disabled if username is empty (better UX)
+              - Disabled while submitting or when required fields are empty
             */}
             <button
               type="submit"
-              disabled={!username.trim()}
+              disabled={submitting || !username.trim() || !password}
               className={`w-full flex items-center justify-center space-x-2 px-6 py-3 min-h-[44px] rounded-xl font-semibold transition-colors text-base ${
-                username.trim()
+                !submitting && username.trim() && password
                   ? 'bg-black text-white hover:bg-gray-800'
                   : 'bg-gray-200 text-gray-400 cursor-not-allowed'
               }`}
             >
-              <LogIn size={20} />
-              <span>Sign In</span>
+              <ModeIcon size={20} />
+              <span>{submitting ? 'Please wait...' : config.button}</span>
             </button>
           </form>
 
-          {/* 
-            Demo Info Box
-            - Helpful information for users
-            - Explains demo nature of login
+          {/*
+            Info Box
+            - Explains where accounts are stored
           */}
           <div className="mt-6 p-4 bg-gray-100 border border-gray-200 rounded-xl">
             <p className="text-sm text-gray-700">
-              <strong>Demo Mode:</strong> This is a demonstration login. In a real application, you would need proper authentication with password verification and security measures.
+              <strong>Note:</strong> Accounts are stored in this browser only. Passwords are saved as salted hashes, never as plain text.
             </p>
           </div>
 
-          {/* 
-            Additional Links/Info
-            - Could add "Forgot Password" or "Sign Up" links
-            - For demo, just informational text
+          {/*
+            Additional Info
           */}
-          <div className="mt-6 text-center text-sm text-gray-600 ">
+          <div className="mt-6 text-center text-sm text-gray-600">
             <p>
               By signing in, you agree to our Terms of Service and Privacy Policy
             </p>
@@ -215,79 +418,52 @@ export default Login;
 
 /**
  * VIVA EXPLANATION SUMMARY:
- * 
+ *
  * Q: How does the login system work?
- * A: Simple username-only authentication (demo):
- *    1. User enters username
- *    2. On submit, call login(username) from AuthContext
- *    3. AuthContext stores username in state and localStorage
- *    4. User is marked as authenticated (isAuthenticated = true)
- *    5. Redirect to home page with navigate('/')
- *    No password needed (demonstration only).
- * 
- * Q: What is the login() function doing?
- * A: login() is from AuthContext (line 48-63 in AuthContext.jsx):
- *    1. Creates user object: { username, loginTime }
- *    2. Sets user state: setUser({ username, loginTime })
- *    3. Saves to localStorage: JSON.stringify(user)
- *    4. Sets authenticated flag: setIsAuthenticated(true)
- *    Session persists across page refreshes.
- * 
+ * A: Username + password authentication:
+ *    1. User registers once; the password is hashed with PBKDF2 and a random salt
+ *    2. On sign in, login(username, password) hashes the entered password with
+ *       the stored salt and compares the result with the stored hash
+ *    3. If they match, AuthContext saves the session and we navigate('/')
+ *    4. If not, a generic "Incorrect username or password" toast is shown
+ *
+ * Q: Why are login/register async?
+ * A: PBKDF2 deliberately runs many iterations to slow down password guessing.
+ *    Web Crypto returns Promises, so we await the result and show
+ *    "Please wait..." on the button while it runs.
+ *
+ * Q: How does changing a password work?
+ * A: The user enters their username, current password and a new password
+ *    (twice). changePassword() verifies the current password first, then
+ *    stores a fresh salt and hash for the new one.
+ *
+ * Q: What stops two people registering the same username?
+ * A: Accounts are keyed by the lower-cased username, so "Alice" and "alice"
+ *    are the same account and the second registration is rejected.
+ *
  * Q: How does navigation after login work?
- * A: navigate('/') from React Router:
- *    - Programmatically changes route to home page
+ * A: ProtectedRoute sends guests here with state={{ from: location }}.
+ *    After a successful login we navigate(redirectTo, { replace: true }):
+ *    - redirectTo is the page they originally asked for, or '/'
+ *    - replace keeps the login page out of the Back button history
  *    - No page reload (SPA behavior)
- *    - User immediately sees home page after login
- *    Alternative: <Navigate to="/" /> component, but function is more flexible.
- * 
+ *
  * Q: What is a controlled input?
  * A: Input whose value is controlled by React state:
  *    <input value={username} onChange={(e) => setUsername(e.target.value)} />
- *    - value: Shows current state (single source of truth)
- *    - onChange: Updates state on every keystroke
  *    React controls the input value, not the DOM.
- * 
- * Q: Why disable the button when username is empty?
- * A: Better UX - prevents invalid submission:
- *    disabled={!username.trim()}
- *    - .trim() removes whitespace
- *    - If empty, button is disabled and grayed out
- *    - Visual feedback that username is required
- *    - Could also validate in handleSubmit, but this is proactive.
- * 
- * Q: What happens if username is empty on submit?
- * A: Two-layer validation:
- *    1. Button is disabled (can't click if empty)
- *    2. handleSubmit checks: if (!username.trim()) { alert(...) }
- *    If somehow submitted empty, shows alert error.
- *    Good to have both UI and logic validation.
- * 
- * Q: Why use e.preventDefault()?
- * A: Prevents default form submission (page reload).
- *    Without it, form would refresh page and lose state.
- *    We handle submission with JavaScript (call login, navigate).
- * 
- * Q: What is the autoFocus attribute?
- * A: HTML attribute that automatically focuses input on page load.
- *    User can start typing immediately without clicking.
- *    Better UX for login forms (cursor ready in username field).
- * 
- * Q: How does session persistence work?
- * A: AuthContext saves to localStorage:
- *    - login() saves: localStorage.setItem('user', JSON.stringify(user))
- *    - On app load: Check localStorage for existing user
- *    - If found: Restore session (isAuthenticated = true)
- *    - If not: User must login
- *    Session survives page refresh and browser close.
- * 
+ *
+ * Q: Why validate in the form and in AuthContext?
+ * A: Form checks (matching passwords, minimum length) give instant feedback.
+ *    AuthContext checks again because it must never trust its caller.
+ *
+ * Q: Why clear password fields when switching modes?
+ * A: So a password typed in one form is never submitted by another,
+ *    and passwords don't stay in state longer than needed.
+ *
  * Q: Is this authentication secure?
- * A: NO - This is a demonstration only!
- *    Real authentication needs:
- *    - Password with encryption (bcrypt, etc.)
- *    - Server-side validation
- *    - JWT tokens or session cookies
- *    - HTTPS for secure transmission
- *    - Protection against attacks (XSS, CSRF)
- *    This is client-side only (anyone can "login").
+ * A: Better than before, but still client-side only:
+ *    - Passwords are never stored in plain text
+ *    - Anyone with access to this browser's storage could still edit the session
+ *    Real authentication needs a server, secure tokens and HTTPS.
  */
-
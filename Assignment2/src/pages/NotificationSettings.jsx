@@ -0,0 +1,235 @@
+/*
+  ===== NOTIFICATION SETTINGS PAGE =====
+  Lets the patron choose which notifications they get, and which of them
+  also appear as browser notifications while BookNest is in the background.
+
+  Purpose:
+  - Turn browser notifications on (permission flow)
+  - Pick notification types per channel: in the app / in the browser
+  - Choose how long "Snooze" waits, and see what is snoozed
+
+  Features:
+  - Permission status with the right next step (turn on / blocked / unsupported)
+  - Test notification button
+  - Types grouped (Loans, Holds, Reviews) with a checkbox per channel
+  - Browser checkbox disabled while the type is off in the app
+*/
+
+import { BellRing, BellOff, Clock } from 'lucide-react';
+import { useNotifications } from '../context/NotificationContext';
+import { useToast } from '../context/ToastContext';
+import { getTypeGroups } from '../services/notifications';
+import { SNOOZE_OPTIONS } from '../services/push';
+
+const TYPE_GROUPS = getTypeGroups();
+
+/*
+  ===== PERMISSION TEXT =====
+  What to tell the patron for each browser permission state
+*/
+const PERMISSION_TEXT = {
+  granted: 'Browser notifications are on for this device.',
+  default: 'Get reminders about due dates and holds even when BookNest is in a background tab.',
+  denied: 'Notifications are blocked for this site. Allow them in your browser\'s site settings, then reload the page.',
+  unsupported: 'This browser cannot show notifications. You will still see everything in the bell.',
+};
+
+export default function NotificationSettings() {
+
+  /*
+    ===== CONTEXT & HOOKS =====
+  */
+  const {
+    isEnabled,
+    setTypeEnabled,
+    pushPermission,
+    enablePush,
+    isPushOn,
+    setPushEnabled,
+    snoozeMinutes,
+    setSnoozeMinutes,
+    snoozed,
+    cancelSnooze,
+    sendTestNotification,
+  } = useNotifications();
+  const { showToast } = useToast();
+
+  const pushReady = pushPermission === 'granted';
+
+  /*
+    ===== HANDLERS =====
+  */
+  const handleEnable = async () => {
+    const result = await enablePush();
+    showToast(result.message, result.success ? 'success' : 'error');
+  };
+
+  const handleTest = async () => {
+    const result = await sendTestNotification();
+    showToast(result.message, result.success ? 'success' : 'error');
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 md:py-12 px-4 md:px-6 lg:px-8">
+      <div className="max-w-3xl mx-auto space-y-6">
+
+        {/*
+          ===== PAGE HEADER =====
+        */}
+        <div>
+          <h1 className="text-2xl md:text-3xl lg:text-4xl font-bold text-black mb-2">
+            Notification Settings
+          </h1>
+          <p className="text-gray-600">Choose what BookNest tells you about, and where.</p>
+        </div>
+
+        {/*
+          ===== BROWSER NOTIFICATIONS =====
+          Permission status and the button that asks for it
+        */}
+        <section className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+          <div className="flex items-start space-x-4">
+            {pushReady ? <BellRing size={28} className="flex-shrink-0" /> : <BellOff size={28} className="flex-shrink-0 text-gray-400" />}
+            <div className="flex-1">
+              <h2 className="text-lg font-bold text-black">Browser notifications</h2>
+              <p className="text-sm text-gray-600 mt-1">{PERMISSION_TEXT[pushPermission]}</p>
+
+              <div className="flex flex-wrap gap-2 mt-4">
+                {pushPermission === 'default' && (
+                  <button
+                    onClick={handleEnable}
+                    className="px-4 py-2 min-h-[44px] bg-black text-white rounded-xl font-semibold hover:bg-gray-800 transition-colors"
+                  >
+                    Turn On
+                  </button>
+                )}
+                {pushReady && (
+                  <button
+                    onClick={handleTest}
+                    className="px-4 py-2 min-h-[44px] bg-gray-200 text-gray-800 rounded-xl font-semibold hover:bg-gray-300 transition-colors"
+                  >
+                    Send Test Notification
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+
+          {/* Snooze length */}
+          {pushReady && (
+            <div className="mt-6 pt-6 border-t border-gray-200">
+              <label htmlFor="snooze-minutes" className="block text-sm font-semibold text-black mb-2">
+                "Snooze" shows a notification again after
+              </label>
+              <select
+                id="snooze-minutes"
+                value={snoozeMinutes}
+                onChange={(e) => setSnoozeMinutes(Number(e.target.value))}
+                className="px-3 py-2 min-h-[44px] border-2 border-gray-200 rounded-xl bg-white text-sm font-medium focus:outline-none focus:border-black"
+              >
+                {SNOOZE_OPTIONS.map(({ minutes, label }) => (
+                  <option key={minutes} value={minutes}>{label}</option>
+                ))}
+              </select>
+
+              {snoozed.length > 0 && (
+                <ul className="mt-4 space-y-2">
+                  {snoozed.map((item) => (
+                    <li key={item.id} className="flex items-center justify-between gap-3 p-3 bg-gray-50 rounded-xl text-sm">
+                      <span className="flex items-center space-x-2 min-w-0">
+                        <Clock size={14} className="flex-shrink-0 text-gray-500" />
+                        <span className="truncate">
+                          <strong>{item.title}</strong> - again at {new Date(item.until).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}
+                        </span>
+                      </span>
+                      <button
+                        onClick={() => cancelSnooze(item.id)}
+                        className="text-xs font-semibold text-gray-600 hover:text-black"
+                      >
+                        Cancel
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+        </section>
+
+        {/*
+          ===== NOTIFICATION TYPES =====
+          One row per type; "In app" controls the bell, "Browser" the system notification
+        */}
+        <section className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+          <h2 className="text-lg font-bold text-black mb-4">What to notify me about</h2>
+
+          <div className="space-y-6">
+            {TYPE_GROUPS.map(({ group, types }) => (
+              <table key={group} className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-xs uppercase tracking-wide text-gray-500">
+                    <th className="pb-2 font-bold">{group}</th>
+                    <th className="pb-2 w-20 text-center font-semibold">In app</th>
+                    <th className="pb-2 w-20 text-center font-semibold">Browser</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100">
+                  {types.map(({ type, label, description }) => (
+                    <tr key={type}>
+                      <td className="py-2 pr-2">
+                        <span className="block font-medium text-black">{label}</span>
+                        <span className="block text-xs text-gray-500">{description}</span>
+                      </td>
+                      <td className="py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={isEnabled(type)}
+                          onChange={(e) => setTypeEnabled(type, e.target.checked)}
+                          aria-label={`${label} in the app`}
+                          className="w-4 h-4 accent-black"
+                        />
+                      </td>
+                      <td className="py-2 text-center">
+                        <input
+                          type="checkbox"
+                          checked={isPushOn(type)}
+                          onChange={(e) => setPushEnabled(type, e.target.checked)}
+                          disabled={!pushReady || !isEnabled(type)}
+                          aria-label={`${label} in the browser`}
+                          className="w-4 h-4 accent-black disabled:opacity-40"
+                        />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            ))}
+          </div>
+        </section>
+      </div>
+    </div>
+  );
+}
+
+/*
+  ===== VIVA EXPLANATION SUMMARY =====
+
+  Q: How do reminders reach a patron who isn't looking at the tab?
+  A: The reminder scheduler runs inside the open tab (every 15 minutes). When
+     it adds a notification and the tab is hidden, NotificationContext asks
+     the service worker (public/sw.js) to show it as a system notification.
+
+  Q: Why a service worker and not just `new Notification()`?
+  A: Only notifications shown by a service worker can have action buttons
+     (Open / Snooze), and the worker can bring the tab back or open a new
+     one when the patron clicks.
+
+  Q: How does Snooze work?
+  A: The worker passes the click to the tab, which saves the notification
+     with an "until" time. A one-minute check shows it again when the time
+     is up.
+
+  Q: Why is the browser checkbox disabled sometimes?
+  A: Without permission nothing can be shown, and a type that is off in the
+     app is never created, so there is nothing to show in the browser either.
+*/
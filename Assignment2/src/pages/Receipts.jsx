@@ -0,0 +1,189 @@
+/**
+ * My Receipts Page Component
+ *
+ * PURPOSE:
+ * Lists every reservation receipt the patron has (newest first), so any
+ * past confirmation can be reopened, printed or its pickup QR code
+ * downloaded again.
+ *
+ * FEATURES:
+ * 1. One card per checkout: reservation ID, dates, books and their status
+ * 2. Open: the full confirmation page (/confirmation/:reservationId)
+ * 3. Receipt PDF: download or print (services/pdf, same template as the
+ *    confirmation page)
+ * 4. QR code: shown on demand, with a PNG download
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Receipts come from BookContext (saved by Checkout, services/receipts)
+ * - ReceiptQr only mounts when opened, so codes are signed on demand
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Receipt, Calendar, Clock, Eye, QrCode, Download, BookOpen } from 'lucide-react';
+import { useBooks } from '../context/BookContext';
+import useSignedQrCode from '../hooks/useSignedQrCode';
+import PickupQrCode from '../components/PickupQrCode';
+import PdfActions from '../components/PdfActions';
+import { downloadQrImage } from '../services/qr';
+import { createReceiptPdf } from '../services/pdf';
+import { getReceiptBookStatus, RECEIPT_BOOK_STATUSES } from '../services/receipts';
+
+/**
+ * Formats an ISO date for display (e.g. "Nov 21, 2025").
+ */
+const formatDate = (dateString) => new Date(dateString).toLocaleDateString('en-US', {
+  year: 'numeric',
+  month: 'short',
+  day: 'numeric'
+});
+
+/**
+ * ReceiptQr Component
+ *
+ * The pickup QR code for one receipt, with a download button.
+ */
+function ReceiptQr({ confirmation }) {
+  const qrData = useSignedQrCode(confirmation);
+  const svgId = `qr-${confirmation.reservationId}`;
+
+  return (
+    <div className="flex flex-col sm:flex-row items-center gap-4 mt-4 pt-4 border-t border-gray-200">
+      <PickupQrCode id={svgId} value={qrData} size={160} />
+      <div className="text-sm text-gray-600 space-y-3 text-center sm:text-left">
+        <p>Show this code at the circulation desk to collect your books.</p>
+        <button
+          onClick={() => downloadQrImage(document.getElementById(svgId), `reservation-${confirmation.reservationId}.png`)}
+          disabled={!qrData}
+          className="inline-flex items-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors disabled:opacity-50"
+        >
+          <Download size={16} />
+          <span>Download QR</span>
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function Receipts() {
+  const { confirmations, confirmationsReady, getHistory } = useBooks();
+
+  // Reservation ID whose QR code is shown
+  const [openQrId, setOpenQrId] = useState(null);
+
+  const history = getHistory();
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-12 px-4">
+      <div className="max-w-4xl mx-auto">
+
+        {/* Page Header */}
+        <div className="mb-8">
+          <h1 className="text-3xl md:text-4xl font-bold text-black mb-2">
+            My Receipts
+          </h1>
+          <p className="text-gray-600">
+            Every reservation you've confirmed, with its pickup QR code
+          </p>
+        </div>
+
+        {!confirmationsReady ? (
+          <p className="text-gray-600">Loading receipts...</p>
+        ) : confirmations.length === 0 ? (
+          /* Empty State */
+          <div className="bg-white rounded-xl shadow-md p-12 text-center border border-gray-200">
+            <Receipt size={64} className="mx-auto mb-4 text-gray-300" />
+            <h2 className="text-2xl font-semibold text-black mb-2">
+              No receipts yet
+            </h2>
+            <p className="text-gray-600 mb-6">
+              Your receipt is saved here each time you confirm a reservation.
+            </p>
+            <Link
+              to="/browse"
+              className="inline-block px-6 py-3 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors"
+            >
+              Browse Books
+            </Link>
+          </div>
+        ) : (
+          <ul className="space-y-4">
+            {confirmations.map((confirmation) => {
+              const qrOpen = openQrId === confirmation.reservationId;
+
+              return (
+                <li
+                  key={confirmation.reservationId}
+                  className="bg-white rounded-xl shadow-md p-6 border border-gray-200"
+                >
+                  <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+                    <div>
+                      <p className="text-lg font-bold text-black tracking-wider">
+                        {confirmation.reservationId}
+                      </p>
+                      <div className="flex flex-wrap gap-x-4 gap-y-1 text-sm text-gray-600 mt-1">
+                        <span className="flex items-center">
+                          <Clock size={14} className="mr-1" />
+                          Confirmed {formatDate(confirmation.timestamp)}
+                        </span>
+                        <span className="flex items-center">
+                          <Calendar size={14} className="mr-1" />
+                          Pickup {formatDate(confirmation.pickupDate)}
+                        </span>
+                        <span className="flex items-center">
+                          <BookOpen size={14} className="mr-1" />
+                          {confirmation.totalBooks} {confirmation.totalBooks === 1 ? 'book' : 'books'}
+                        </span>
+                      </div>
+                    </div>
+
+                    {/* Actions */}
+                    <div className="flex flex-wrap gap-2">
+                      <Link
+                        to={`/confirmation/${confirmation.reservationId}`}
+                        className="flex items-center space-x-1 px-3 py-2 min-h-[44px] bg-black text-white rounded-xl text-sm font-semibold hover:bg-gray-800"
+                      >
+                        <Eye size={16} />
+                        <span>Open</span>
+                      </Link>
+                      <PdfActions
+                        label="PDF"
+                        filename={`receipt-${confirmation.reservationId}.pdf`}
+                        createPdf={() => createReceiptPdf(confirmation, history)}
+                        className="flex items-center space-x-1 px-3 py-2 min-h-[44px] border-2 border-gray-200 text-gray-700 rounded-xl text-sm font-semibold hover:bg-gray-50 disabled:opacity-50"
+                      />
+                      <button
+                        onClick={() => setOpenQrId(qrOpen ? null : confirmation.reservationId)}
+                        aria-expanded={qrOpen}
+                        className="flex items-center space-x-1 px-3 py-2 min-h-[44px] border-2 border-gray-200 text-gray-700 rounded-xl text-sm font-semibold hover:bg-gray-50"
+                      >
+                        <QrCode size={16} />
+                        <span>{qrOpen ? 'Hide QR' : 'QR Code'}</span>
+                      </button>
+                    </div>
+                  </div>
+
+                  {/* Books and where they stand now */}
+                  <ul className="mt-4 space-y-1 text-sm">
+                    {confirmation.books.map((book) => (
+                      <li key={book.reservationId} className="flex justify-between gap-3">
+                        <span className="text-black truncate">{book.title}</span>
+                        <span className="text-gray-600 whitespace-nowrap">
+                          {RECEIPT_BOOK_STATUSES[getReceiptBookStatus(book, history)]}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+
+                  {qrOpen && <ReceiptQr confirmation={confirmation} />}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default Receipts;
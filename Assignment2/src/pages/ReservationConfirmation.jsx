@@ -2,26 +2,37 @@
  * Reservation Confirmation Page Component
  * 
  * PURPOSE:
- * Display confirmation details after successful reservation.
+ * Display the receipt for a reservation: right after checkout, and again
+ * any time later from /confirmation/:reservationId (e.g. via My Receipts).
  * Shows reservation ID, QR code for pickup, and email confirmation.
  * 
  * FEATURES:
  * 1. Unique reservation ID display
- * 2. QR code for pickup (scannable at library)
+ * 2. Signed QR code for pickup (read by the librarian scanner at /admin/scan)
  * 3. Email confirmation message
- * 4. Complete reservation summary
- * 5. Navigation options (view history, browse more books)
+ * 4. Complete reservation summary, with where each book stands now
+ * 5. Navigation options (my receipts, view history, browse more books)
+ * 6. Printable PDF receipt (services/pdf) - download or print
+ * 7. Add to Calendar: pickup and due dates as an .ics file (services/ical)
  * 
  * KEY CONCEPTS FOR VIVA:
- * - useLocation: Receive state from previous page
- * - QRCodeSVG: Generate QR code from reservation data
- * - State validation: Redirect if no reservation data
- * - Print functionality: Allow users to print confirmation
+ * - useParams: The reservation ID comes from the URL, so the page survives
+ *   a refresh and can be bookmarked
+ * - Receipts are saved by Checkout (BookContext.saveConfirmation)
+ * - QRCodeSVG: Generate QR code from reservation data (HMAC-signed, services/qr)
+ * - PdfActions: Builds the receipt PDF only when asked for it
  */
 
-import { useEffect } from 'react';
-import { useLocation, useNavigate, Link } from 'react-router-dom';
-import { QRCodeSVG } from 'qrcode.react';
+import { useParams, Link } from 'react-router-dom';
+import { useBooks } from '../context/BookContext';
+import useSignedQrCode from '../hooks/useSignedQrCode';
+import PickupQrCode from '../components/PickupQrCode';
+import PdfActions from '../components/PdfActions';
+import AddToCalendar from '../components/AddToCalendar';
+import { downloadQrImage } from '../services/qr';
+import { createReceiptPdf } from '../services/pdf';
+import { getReceiptEvents } from '../services/ical';
+import { getReceiptBookStatus, RECEIPT_BOOK_STATUSES } from '../services/receipts';
 import { 
   CheckCircle, 
   Mail, 
@@ -29,30 +40,49 @@ import {
   User, 
   IdCard, 
   Download,
-  Printer,
   Home,
   BookOpen,
-  Clock
+  Clock,
+  Receipt,
+  WifiOff
 } from 'lucide-react';
 
 function ReservationConfirmation() {
-  const location = useLocation();
-  const navigate = useNavigate();
-  
-  // Get reservation data from navigation state
-  const confirmationData = location.state;
+  const { reservationId: idFromUrl } = useParams();
+  const { getConfirmation, confirmationsReady, getHistory } = useBooks();
 
-  /**
-   * Redirect to cart if no confirmation data
-   */
-  useEffect(() => {
-    if (!confirmationData) {
-      navigate('/reservations', { replace: true });
-    }
-  }, [confirmationData, navigate]);
-
-  if (!confirmationData) {
-    return null; // Will redirect via useEffect
+  // The saved receipt (null until loaded, or if it isn't this user's)
+  const confirmation = getConfirmation(idFromUrl);
+
+  // Signed QR text (signing is async - Web Crypto)
+  const qrData = useSignedQrCode(confirmation);
+
+  if (!confirmationsReady) {
+    return (
+      <div className="min-h-screen flex items-center justify-center text-gray-600">
+        Loading receipt...
+      </div>
+    );
+  }
+
+  if (!confirmation) {
+    return (
+      <div className="container mx-auto px-4 py-16 max-w-xl text-center">
+        <Receipt size={64} className="mx-auto text-gray-400 mb-4" />
+        <h1 className="text-2xl font-bold text-black mb-2">Receipt not found</h1>
+        <p className="text-gray-600 mb-6">
+          There is no receipt <strong>{idFromUrl}</strong> on your account. Receipts can only be
+          opened by the patron who made the reservation.
+        </p>
+        <Link
+          to="/receipts"
+          className="inline-flex items-center space-x-2 px-6 py-3 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors font-semibold"
+        >
+          <Receipt size={20} />
+          <span>My Receipts</span>
+        </Link>
+      </div>
+    );
   }
 
   const { 
@@ -62,7 +92,8 @@ function ReservationConfirmation() {
     pickupDate, 
     totalBooks,
     timestamp 
-  } = confirmationData;
+  } = confirmation;
+  const history = getHistory();
 
   /**
    * Format Date for Display
@@ -88,49 +119,11 @@ function ReservationConfirmation() {
     });
   };
 
-  /**
-   * Generate QR Code Data
-   * Contains all essential information for library staff
-   */
-  const qrData = JSON.stringify({
-    reservationId,
-    name: userDetails.fullName,
-    membershipId: userDetails.membershipId,
-    pickupDate: pickupDate,
-    totalBooks: totalBooks,
-    timestamp: timestamp
-  });
-
-  /**
-   * Handle Print Confirmation
-   */
-  const handlePrint = () => {
-    window.print();
-  };
-
   /**
    * Handle Download QR Code
    */
   const handleDownloadQR = () => {
-    const svg = document.getElementById('qr-code');
-    const svgData = new XMLSerializer().serializeToString(svg);
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    const img = new Image();
-    
-    img.onload = () => {
-      canvas.width = img.width;
-      canvas.height = img.height;
-      ctx.drawImage(img, 0, 0);
-      const pngFile = canvas.toDataURL('image/png');
-      
-      const downloadLink = document.createElement('a');
-      downloadLink.download = `reservation-${reservationId}.png`;
-      downloadLink.href = pngFile;
-      downloadLink.click();
-    };
-    
-    img.src = 'data:image/svg+xml;base64,' + btoa(svgData);
+    downloadQrImage(document.getElementById('qr-code'), `reservation-${reservationId}.png`);
   };
 
   return (
@@ -154,6 +147,17 @@ function ReservationConfirmation() {
 
       {/* Main Content */}
       <div className="space-y-6">
+
+        {/* Saved offline: the reservations were sent when the patron reconnected */}
+        {confirmation.offline && (
+          <div className="flex items-start space-x-3 p-4 bg-gray-100 border border-gray-200 rounded-xl text-sm text-gray-700">
+            <WifiOff size={20} className="flex-shrink-0" />
+            <p>
+              You made these reservations while offline. They were sent when you reconnected -
+              check each book's status below; any that could not be reserved are marked "Not reserved".
+            </p>
+          </div>
+        )}
         
         {/* Reservation ID Card */}
         <div className="bg-black rounded-xl shadow-lg p-6 text-white">
@@ -246,10 +250,10 @@ function ReservationConfirmation() {
                 <Mail size={24} className="text-black flex-shrink-0" />
                 <div>
                   <h3 className="font-semibold text-black mb-2">
-                    Email Confirmation Sent
+                    Confirmation Email
                   </h3>
                   <p className="text-sm text-gray-700">
-                    A confirmation email has been sent to <strong>{userDetails.email}</strong> with 
+                    A confirmation email was sent to <strong>{userDetails.email}</strong> with 
                     your reservation details and pickup instructions.
                   </p>
                   <p className="text-xs text-gray-600 mt-2">
@@ -272,13 +276,7 @@ function ReservationConfirmation() {
               
               <div className="flex justify-center mb-4">
                 <div className="bg-white p-4 rounded-xl shadow-inner">
-                  <QRCodeSVG
-                    id="qr-code"
-                    value={qrData}
-                    size={220}
-                    level="H"
-                    includeMargin={true}
-                  />
+                  <PickupQrCode id="qr-code" value={qrData} />
                 </div>
               </div>
 
@@ -287,21 +285,32 @@ function ReservationConfirmation() {
                 <p className="text-xs">Or provide your Reservation ID: <strong>{reservationId}</strong></p>
               </div>
 
-              <div className="flex gap-2">
-                <button
-                  onClick={handleDownloadQR}
-                  className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm"
-                >
-                  <Download size={16} />
-                  <span>Download</span>
-                </button>
-                <button
-                  onClick={handlePrint}
-                  className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 border-2 border-gray-200  text-gray-700  rounded-xl hover:bg-gray-50 transition-colors text-sm"
-                >
-                  <Printer size={16} />
-                  <span>Print</span>
-                </button>
+              <button
+                onClick={handleDownloadQR}
+                disabled={!qrData}
+                className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm disabled:opacity-50"
+              >
+                <Download size={16} />
+                <span>Download QR Code</span>
+              </button>
+            </div>
+
+            {/* Printable Receipt (PDF with the QR code, due dates and library hours)
+                and the pickup / due dates for the patron's calendar app */}
+            <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+              <h2 className="text-xl font-semibold text-black mb-4">
+                Receipt &amp; Calendar
+              </h2>
+              <div className="flex flex-col sm:flex-row sm:flex-wrap gap-2">
+                <PdfActions
+                  label="Receipt"
+                  filename={`receipt-${reservationId}.pdf`}
+                  createPdf={() => createReceiptPdf(confirmation, history)}
+                />
+                <AddToCalendar
+                  filename={`booknest-${reservationId}.ics`}
+                  getEvents={() => getReceiptEvents(confirmation, history)}
+                />
               </div>
             </div>
 
@@ -343,7 +352,7 @@ function ReservationConfirmation() {
           <div className="space-y-3">
             {books.map((book, index) => (
               <div 
-                key={book.id}
+                key={book.reservationId}
                 className="flex items-center gap-4 p-3 border border-gray-200  rounded-xl"
               >
                 <span className="text-lg font-bold text-gray-400 w-6">
@@ -368,6 +377,9 @@ function ReservationConfirmation() {
                   </p>
                 </div>
                 <div className="text-right text-xs">
+                  <p className="font-semibold text-black">
+                    {RECEIPT_BOOK_STATUSES[getReceiptBookStatus(book, history)]}
+                  </p>
                   <p className="text-gray-600">{book.duration} days</p>
                   <p className="text-gray-500">
                     Due: {new Date(book.dueDate).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
@@ -387,6 +399,13 @@ function ReservationConfirmation() {
             <Home size={20} />
             <span>Back to Home</span>
           </Link>
+          <Link
+            to="/receipts"
+            className="flex-1 flex items-center justify-center space-x-2 px-6 py-3 border-2 border-gray-200  text-gray-700  rounded-xl hover:bg-gray-50 transition-colors font-semibold"
+          >
+            <Receipt size={20} />
+            <span>My Receipts</span>
+          </Link>
           <Link
             to="/history"
             className="flex-1 flex items-center justify-center space-x-2 px-6 py-3 border-2 border-blue-600 text-blue-600 rounded-xl hover:bg-blue-50 transition-colors font-semibold"
@@ -7,7 +7,7 @@
  * 
  * FEATURES:
  * 1. Display all books in cart
- * 2. Select borrow duration (7, 14, or 21 days)
+ * 2. Select borrow duration (loan periods from the borrowing policy)
  * 3. Calculate pickup and due dates
  * 4. Remove books from cart
  * 5. Confirm reservation (generates reservation ID)
@@ -20,6 +20,10 @@
  * - Object state: Storing duration per book ID
  * - Math.random: Generating unique reservation IDs
  * - Context methods: removeFromCart, clearCart
+ * - Borrowing policy: loan periods, pickup range and cart limit depend on
+ *   the patron type and book category (services/policy)
+ * - Library calendar: pickups only on open days; due dates move to the
+ *   next open day (services/calendar)
  */
 
 import { useState } from 'react';
@@ -28,6 +32,16 @@ import { ShoppingCart, Trash2, CheckCircle, Calendar, Clock, AlertCircle, User,
 import { useBooks } from '../context/BookContext';
 import { useAuth } from '../context/AuthContext';
 import { useToast } from '../context/ToastContext';
+import { checkPolicy, getPickupRange } from '../services/policy';
+import { addLoanDays, getWeeklySchedule } from '../services/calendar';
+
+/**
+ * Converts a Date to the yyyy-mm-dd format used by <input type="date"> (local time).
+ */
+const toInputDate = (date) => {
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
 
 function Reservations() {
   const navigate = useNavigate();
@@ -40,7 +54,7 @@ function Reservations() {
    * - clearCart: Function to remove all books
    * - addToHistory: Function to save confirmed reservations to history
    */
-  const { cart, removeFromCart } = useBooks();
+  const { cart, removeFromCart, getBorrowingPolicy } = useBooks();
   const { user } = useAuth();
   const { showToast } = useToast();
 
@@ -53,12 +67,13 @@ function Reservations() {
    * Why Object?
    * - Each book can have different duration
    * - Easy lookup by book ID: durations[book.id]
-   * - Default duration: 7 days for all books
+   * - Default duration: the book's first loan period in the borrowing policy
    * 
    * Initial State:
-   * Create object with all cart books defaulting to 7 days
+   * Create object with all cart books set to their default loan period
    * cart.reduce() builds object from array
    */
+  const getDefaultDuration = (book) => getBorrowingPolicy(book).loanPeriods[0];
   const [durations, setDurations] = useState(() => {
     /**
      * Array.reduce() Explanation:
@@ -71,15 +86,15 @@ function Reservations() {
      * Here:
      * - acc: Accumulated object {}
      * - book: Current book in cart
-     * - Return: { ...acc, [book.id]: 7 }
+     * - Return: { ...acc, [book.id]: default }
      * - Spread ...acc keeps previous entries
-     * - [book.id]: 7 adds new entry (computed property name)
+     * - [book.id]: default adds new entry (computed property name)
      * 
      * Example:
      * cart = [book1, book2, book3]
      * Result: { 1: 7, 2: 7, 3: 7 }
      */
-    return cart.reduce((acc, book) => ({ ...acc, [book.id]: 7 }), {});
+    return cart.reduce((acc, book) => ({ ...acc, [book.id]: getDefaultDuration(book) }), {});
   });
 
   /**
@@ -88,11 +103,11 @@ function Reservations() {
    * Required fields for reservation:
    * - fullName: User's full name
    * - email: User's email address
-   * - pickupDate: Preferred pickup date (min 24hrs from now)
+   * - pickupDate: Preferred pickup date (range from the borrowing policy)
    * - membershipId: Library membership ID
    */
   const [formData, setFormData] = useState({
-    fullName: user?.username || '',
+    fullName: user.username,
     email: '',
     pickupDate: '',
     membershipId: ''
@@ -105,15 +120,18 @@ function Reservations() {
   const [formErrors, setFormErrors] = useState({});
 
   /**
-   * Get minimum pickup date (24 hours from now)
-   * Used for date input validation
+   * Borrowing policy for this user (cart limit, pickup notice)
    */
-  const getMinPickupDate = () => {
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    tomorrow.setHours(0, 0, 0, 0);
-    return tomorrow.toISOString().split('T')[0];
-  };
+  const policy = getBorrowingPolicy();
+
+  /**
+   * Earliest and latest pickup dates from the borrowing policy
+   * Worked out once when the page opens; used for date input validation
+   */
+  const [pickupDateRange] = useState(() => {
+    const { earliest, latest } = getPickupRange(policy, Date.now());
+    return { min: toInputDate(earliest), max: toInputDate(latest) };
+  });
 
   /**
    * STEP 3: Handle Duration Change
@@ -124,7 +142,7 @@ function Reservations() {
    * 3. Update durations state for that specific book
    * 
    * @param {number} bookId - ID of book to update
-   * @param {number} days - New duration (7, 14, or 21)
+   * @param {number} days - New duration (one of the book's loan periods)
    * 
    * Object Spread Syntax:
    * { ...durations, [bookId]: days }
@@ -165,7 +183,7 @@ function Reservations() {
    * Checks all required fields and validates:
    * - Full name is not empty
    * - Email contains @ symbol
-   * - Pickup date is at least 24 hours from now
+   * - Pickup date is within the policy's pickup range
    * - Membership ID is not empty
    * 
    * Returns true if valid, false otherwise
@@ -189,13 +207,13 @@ function Reservations() {
     if (!formData.pickupDate) {
       errors.pickupDate = 'Pickup date is required';
     } else {
-      const selectedDate = new Date(formData.pickupDate);
-      const minDate = new Date();
-      minDate.setDate(minDate.getDate() + 1);
-      minDate.setHours(0, 0, 0, 0);
-      
-      if (selectedDate < minDate) {
-        errors.pickupDate = 'Pickup date must be at least 24 hours from now';
+      const pickupCheck = checkPolicy('pickup', {
+        role: user.role,
+        pickupDate: formData.pickupDate,
+        now: Date.now()
+      });
+      if (!pickupCheck.allowed) {
+        errors.pickupDate = pickupCheck.reason;
       }
     }
     
@@ -211,7 +229,8 @@ function Reservations() {
   /**
    * STEP 4: Calculate Pickup Date
    * 
-   * Returns formatted pickup date based on user's selection or tomorrow as default
+   * Returns formatted pickup date based on user's selection or the earliest
+   * pickup day (first open day the policy allows) as default
    * 
    * Format Options:
    * - weekday: 'long' → "Monday"
@@ -221,21 +240,13 @@ function Reservations() {
    * 
    * Example Output: "Friday, November 22, 2025"
    */
+  const getPickupStart = () => {
+    // Noon avoids timezone issues when the date string is parsed
+    return new Date(`${formData.pickupDate || pickupDateRange.min}T12:00:00`);
+  };
+
   const getPickupDate = () => {
-    if (formData.pickupDate) {
-      const date = new Date(formData.pickupDate);
-      date.setHours(12, 0, 0, 0); // Set to noon to avoid timezone issues
-      return date.toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-      });
-    }
-    
-    // Default to tomorrow if no date selected
-    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    return tomorrow.toLocaleDateString('en-US', {
+    return getPickupStart().toLocaleDateString('en-US', {
       weekday: 'long',
       year: 'numeric',
       month: 'long',
@@ -246,32 +257,23 @@ function Reservations() {
   /**
    * STEP 5: Calculate Due Date
    * 
-   * Due Date = Pickup Date + Borrow Duration
+   * Due Date = Pickup Date + Borrow Duration, moved to the next open day
    * 
-   * @param {number} duration - Number of days (7, 14, or 21)
+   * @param {number} duration - Number of days (from the book's loan periods)
    * @returns {string} Formatted due date
    * 
    * Logic:
-   * 1. Start with selected pickup date (or tomorrow if not set)
-   * 2. Add duration in milliseconds: duration * 24 * 60 * 60 * 1000
-   * 3. Total: Pickup Date + Duration
+   * 1. Start with selected pickup date (or the earliest pickup day if not set)
+   * 2. Add duration in calendar days
+   * 3. If the library is closed that day, move to the next open day
    * 
    * Example:
-   * Pickup: Nov 22
+   * Pickup: Sat Nov 21
    * Duration: 7 days
-   * Due: Nov 29
+   * Due: Sat Nov 28 (Sun Nov 29 would move to Mon Nov 30)
    */
   const getDueDate = (duration) => {
-    let startDate;
-    if (formData.pickupDate) {
-      startDate = new Date(formData.pickupDate);
-      startDate.setHours(12, 0, 0, 0);
-    } else {
-      startDate = new Date(Date.now() + 24 * 60 * 60 * 1000);
-    }
-    
-    // Add duration days to pickup date
-    const dueDate = new Date(startDate.getTime() + duration * 24 * 60 * 60 * 1000);
+    const dueDate = addLoanDays(getPickupStart(), duration);
     
     return dueDate.toLocaleDateString('en-US', {
       weekday: 'long',
@@ -456,7 +458,8 @@ function Reservations() {
               name="pickupDate"
               value={formData.pickupDate}
               onChange={handleInputChange}
-              min={getMinPickupDate()}
+              min={pickupDateRange.min}
+              max={pickupDateRange.max}
               className={`w-full px-4 py-2 border rounded-xl focus:ring-2 focus:outline-none
                 ${formErrors.pickupDate 
                   ? 'border-red-500 focus:ring-red-500' 
@@ -468,7 +471,9 @@ function Reservations() {
               <p className="text-red-500 text-sm mt-1">{formErrors.pickupDate}</p>
             )}
             <p className="text-xs text-gray-500  mt-1">
-              Minimum 24 hours from now
+              {policy.pickupLeadHours > 0 ? `Minimum ${policy.pickupLeadHours} hours from now, ` : ''}
+              up to {policy.pickupWindowDays} days ahead, on a day the library is open
+              ({getWeeklySchedule({ short: true }).filter(row => row.hours === 'Closed').map(row => row.label).join(', ')} closed)
             </p>
           </div>
 
@@ -502,9 +507,9 @@ function Reservations() {
 
       {/* 
         Cart Limit Warning
-        Shows if cart is at max capacity (5 books)
+        Shows if cart is at max capacity (policy cart limit)
       */}
-      {cart.length >= 5 && (
+      {cart.length >= policy.cartLimit && (
         <div className="mb-6 p-4 bg-gray-100 border border-gray-300 rounded-xl flex items-start space-x-3">
           <AlertCircle className="text-black flex-shrink-0" size={24} />
           <div>
@@ -512,7 +517,7 @@ function Reservations() {
               Maximum Reservation Limit Reached
             </p>
             <p className="text-sm text-gray-700">
-              You can reserve a maximum of 5 books at a time. Remove a book to add another.
+              You can reserve a maximum of {policy.cartLimit} books at a time. Remove a book to add another.
             </p>
           </div>
         </div>
@@ -585,7 +590,7 @@ function Reservations() {
 
                 {/* 
                   Borrow Duration Selector
-                  Dropdown to select 7, 14, or 21 days
+                  Dropdown with the loan periods allowed for this book
                 */}
                 <div className="mb-3">
                   <label className="block text-sm font-semibold text-gray-700  mb-2">
@@ -593,13 +598,13 @@ function Reservations() {
                     Borrow Duration
                   </label>
                   <select
-                    value={durations[book.id] || 7}
+                    value={durations[book.id] || getDefaultDuration(book)}
                     onChange={(e) => handleDurationChange(book.id, Number(e.target.value))}
                     className="w-full md:w-48 px-3 py-2 border border-gray-200  rounded-xl focus:outline-none focus:ring-2 focus:ring-black "
                   >
-                    <option value={7}>7 days</option>
-                    <option value={14}>14 days</option>
-                    <option value={21}>21 days</option>
+                    {getBorrowingPolicy(book).loanPeriods.map((days) => (
+                      <option key={days} value={days}>{days} days</option>
+                    ))}
                   </select>
                 </div>
 
@@ -611,7 +616,7 @@ function Reservations() {
                 <div className="flex items-center space-x-2 text-sm text-gray-600  mb-4">
                   <Calendar size={16} />
                   <span>
-                    <strong>Due Date:</strong> {getDueDate(durations[book.id] || 7)}
+                    <strong>Due Date:</strong> {getDueDate(durations[book.id] || getDefaultDuration(book))}
                   </span>
                 </div>
 
@@ -697,30 +702,30 @@ export default Reservations;
  * A: Using useState with object structure:
  *    durations = { bookId: days }
  *    Example: { 1: 7, 5: 14, 8: 21 }
- *    Each book has independent duration selection (7, 14, or 21 days).
+ *    Each book has independent duration selection from the loan periods
+ *    the borrowing policy allows (patron type + book category).
  *    Controlled select inputs bound to this state.
  * 
  * Q: Explain the durations initialization.
- * A: cart.reduce((acc, book) => ({ ...acc, [book.id]: 7 }), {})
+ * A: cart.reduce((acc, book) => ({ ...acc, [book.id]: getDefaultDuration(book) }), {})
  *    - reduce() builds object from array
  *    - acc: Accumulated object (starts as {})
- *    - For each book: Add entry { [book.id]: 7 }
- *    - Result: { 1: 7, 2: 7, 3: 7 } (all default to 7 days)
+ *    - For each book: Add entry { [book.id]: first allowed loan period }
+ *    - Result: e.g. { 1: 7, 2: 7, 3: 14 }
  *    Why reduce? Creates object with all cart books in one pass.
  * 
  * Q: How are pickup and due dates calculated?
- * A: Pickup Date = Today + 1 day (tomorrow)
- *    Due Date = Pickup Date + Duration
+ * A: Pickup Date = chosen date, or the earliest pickup day the policy
+ *    allows (skipping days the library is closed)
+ *    Due Date = addLoanDays(pickup, duration) from services/calendar
  *    
  *    Formula:
- *    Pickup: Date.now() + 1 day in milliseconds
- *    Due: Date.now() + (1 + duration) days in milliseconds
+ *    Due: pickup + duration calendar days, then nextOpenDay()
  *    
  *    Example:
- *    Today: Nov 21
- *    Pickup: Nov 22 (today + 1)
- *    Duration: 7 days
- *    Due: Nov 29 (pickup + 7)
+ *    Pickup: Sat Nov 21
+ *    Duration: 8 days
+ *    Due: Sun Nov 29 → library closed → Mon Nov 30
  * 
  * Q: How is reservation ID generated?
  * A: generateReservationId():
@@ -758,7 +763,7 @@ export default Reservations;
  * 
  * Q: How does the duration dropdown work?
  * A: Controlled select input:
- *    - value={durations[book.id] || 7} (current duration or default)
+ *    - value={durations[book.id] || getDefaultDuration(book)} (current duration or default)
  *    - onChange updates state: handleDurationChange(book.id, Number(e.target.value))
  *    - Number() converts string to number
  *    - Updates only that specific book's duration in state object
@@ -767,14 +772,14 @@ export default Reservations;
  * A: 1. Cover image (thumbnail)
  *    2. Title and author
  *    3. Category badge
- *    4. Borrow duration dropdown (7/14/21 days)
+ *    4. Borrow duration dropdown (policy loan periods)
  *    5. Calculated due date
  *    6. Remove button
  *    All requirements from prompt are displayed.
  * 
  * Q: What is the cart limit warning?
- * A: Conditional rendering: {cart.length >= 5 && ...}
- *    Shows yellow alert box when cart is full (5 books).
+ * A: Conditional rendering: {cart.length >= policy.cartLimit && ...}
+ *    Shows yellow alert box when cart is full (5 books for patrons).
  *    Informs user they've reached max limit.
  *    Must remove book to add another.
  */
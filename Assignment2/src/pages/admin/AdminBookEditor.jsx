@@ -0,0 +1,441 @@
+/**
+ * Admin Book Editor - Add or Edit a Catalog Book
+ *
+ * PURPOSE:
+ * One page for both /admin/catalog/new and /admin/catalog/:bookId.
+ * - Book details form with validation (title, author, ISBN, category,
+ *   cover, description, ...)
+ * - For new books: how many copies to create
+ * - For existing books: copy inventory with barcodes and per-copy status
+ *   (on shelf, reserved, on loan, in transit, repair, lost), an event log
+ *   per copy, add copies, retire damaged copies
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - useParams: Reads :bookId from the URL (undefined for /new)
+ * - Controlled form: One state object holds every field
+ * - Field errors: BookContext returns { errors } keyed by field name
+ * - key prop: The form remounts when switching books, resetting its state
+ */
+
+import { useState } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { ArrowLeft, Save, Plus, Barcode, Archive, History, PackageCheck } from 'lucide-react';
+import { useBooks } from '../../context/BookContext';
+import { useToast } from '../../context/ToastContext';
+import {
+  countActiveCopies,
+  countAvailableCopies,
+  COPY_STATUSES,
+  MANUAL_COPY_STATUSES,
+  MAX_COPIES_PER_ADD,
+  toBookFormValues,
+} from '../../services/catalog';
+
+/**
+ * Form Field Definitions
+ *
+ * Rendered in order; `wide` fields span both columns.
+ */
+const FIELDS = [
+  { name: 'title', label: 'Title', required: true, wide: true },
+  { name: 'author', label: 'Author', required: true },
+  { name: 'isbn', label: 'ISBN', required: true, placeholder: '978-0-00-000000-0' },
+  { name: 'category', label: 'Category', required: true, list: 'category-options' },
+  { name: 'publisher', label: 'Publisher' },
+  { name: 'publicationYear', label: 'Publication Year', type: 'number' },
+  { name: 'pageCount', label: 'Pages', type: 'number' },
+  { name: 'coverUrl', label: 'Cover Image URL', wide: true, placeholder: 'https://...' },
+];
+
+/**
+ * BookForm Component
+ *
+ * @param {Object} props
+ * @param {Object|null} props.book - Catalog book being edited, or null for a new one
+ */
+function BookForm({ book }) {
+  const { addBook, updateBook, getAllCategories } = useBooks();
+  const { showToast } = useToast();
+  const navigate = useNavigate();
+  const isNew = book === null;
+
+  /**
+   * STEP 1: Form State
+   */
+  const [values, setValues] = useState(() => toBookFormValues(book));
+  const [errors, setErrors] = useState({});
+
+  /**
+   * STEP 2: Update a Field
+   * Clears that field's error as soon as the user edits it.
+   */
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setValues((prev) => ({ ...prev, [name]: value }));
+    if (errors[name]) {
+      setErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
+  };
+
+  /**
+   * STEP 3: Save
+   * New books go to their edit page afterwards so copies can be managed.
+   */
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const result = isNew ? addBook(values) : updateBook(book.id, values);
+    if (!result.success) {
+      setErrors(result.errors || {});
+      showToast(result.message, 'error');
+      return;
+    }
+
+    setErrors({});
+    showToast(result.message, 'success');
+    if (isNew) {
+      navigate(`/admin/catalog/${result.book.id}`, { replace: true });
+    }
+  };
+
+  const inputClass = (name) =>
+    `w-full px-4 py-2 min-h-[44px] border rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm ${
+      errors[name] ? 'border-red-500' : 'border-gray-200'
+    }`;
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-xl shadow-md p-6 border border-gray-200" noValidate>
+      <h2 className="text-xl font-semibold text-black mb-6">
+        {isNew ? 'Add Book' : 'Book Details'}
+      </h2>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {FIELDS.map((field) => (
+          <div key={field.name} className={field.wide ? 'md:col-span-2' : ''}>
+            <label htmlFor={field.name} className="block text-sm font-semibold text-gray-700 mb-1">
+              {field.label}{field.required && ' *'}
+            </label>
+            <input
+              id={field.name}
+              name={field.name}
+              type={field.type || 'text'}
+              value={values[field.name]}
+              onChange={handleChange}
+              placeholder={field.placeholder}
+              list={field.list}
+              className={inputClass(field.name)}
+            />
+            {errors[field.name] && (
+              <p className="mt-1 text-xs text-red-600">{errors[field.name]}</p>
+            )}
+          </div>
+        ))}
+
+        {/* Existing categories as suggestions */}
+        <datalist id="category-options">
+          {getAllCategories().map((category) => (
+            <option key={category} value={category} />
+          ))}
+        </datalist>
+
+        {/* Description */}
+        <div className="md:col-span-2">
+          <label htmlFor="description" className="block text-sm font-semibold text-gray-700 mb-1">
+            Description
+          </label>
+          <textarea
+            id="description"
+            name="description"
+            rows={4}
+            value={values.description}
+            onChange={handleChange}
+            className={inputClass('description')}
+          />
+        </div>
+
+        {/* Number of copies (new books only; existing books use the copies panel) */}
+        {isNew && (
+          <div>
+            <label htmlFor="copies" className="block text-sm font-semibold text-gray-700 mb-1">
+              Copies *
+            </label>
+            <input
+              id="copies"
+              name="copies"
+              type="number"
+              min={1}
+              max={MAX_COPIES_PER_ADD}
+              value={values.copies}
+              onChange={handleChange}
+              className={inputClass('copies')}
+            />
+            {errors.copies && <p className="mt-1 text-xs text-red-600">{errors.copies}</p>}
+          </div>
+        )}
+      </div>
+
+      <div className="flex justify-end mt-6">
+        <button
+          type="submit"
+          className="flex items-center space-x-2 px-6 py-3 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors font-semibold text-sm"
+        >
+          <Save size={16} />
+          <span>{isNew ? 'Add Book' : 'Save Changes'}</span>
+        </button>
+      </div>
+    </form>
+  );
+}
+
+/**
+ * CopiesPanel Component
+ *
+ * Lists a book's copies with their status and event log, and lets staff
+ * add copies, change a copy's status, check in a copy or retire it.
+ *
+ * @param {Object} props
+ * @param {Object} props.book - Catalog book
+ */
+function CopiesPanel({ book }) {
+  const { addCopies, retireCopy, changeCopyStatus, checkInReturn } = useBooks();
+  const { showToast } = useToast();
+
+  const [count, setCount] = useState(1);
+  const [retiring, setRetiring] = useState(null); // { barcode, reason }
+  const [openLog, setOpenLog] = useState(null); // barcode whose event log is shown
+
+  const handleAddCopies = () => {
+    const result = addCopies(book.id, count);
+    showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) setCount(1);
+  };
+
+  const handleRetire = () => {
+    const result = retireCopy(book.id, retiring.barcode, retiring.reason);
+    showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) setRetiring(null);
+  };
+
+  const handleStatusChange = (copy, status) => {
+    const result = changeCopyStatus(book.id, copy.barcode, status);
+    showToast(result.message, result.success ? 'success' : 'error');
+  };
+
+  // Works even when the patron has cleared the loan from their history
+  const handleCheckIn = async (copy) => {
+    const result = await checkInReturn(copy.loan.username, copy.loan.reservationId);
+    showToast(result.message, result.success ? 'success' : 'error');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <h2 className="text-xl font-semibold text-black flex items-center">
+          <Barcode size={24} className="mr-2" />
+          Copies ({countAvailableCopies(book)} of {countActiveCopies(book)} on shelf)
+        </h2>
+
+        {/* Add Copies */}
+        <div className="flex gap-2">
+          <input
+            type="number"
+            min={1}
+            max={MAX_COPIES_PER_ADD}
+            value={count}
+            onChange={(e) => setCount(e.target.value)}
+            aria-label="Number of copies to add"
+            className="w-20 px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+          />
+          <button
+            onClick={handleAddCopies}
+            className="flex items-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm"
+          >
+            <Plus size={16} />
+            <span>Add Copies</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {book.copies.map((copy) => (
+          <div key={copy.barcode} className="border border-gray-200 rounded-xl px-4 py-3">
+            <div className="flex flex-col md:flex-row md:items-center justify-between gap-2">
+              <div className="text-sm">
+                <p className={`font-mono font-semibold ${copy.status === 'retired' ? 'text-gray-400 line-through' : 'text-black'}`}>
+                  {copy.barcode}
+                  <span className={`ml-2 px-2 py-0.5 rounded-full font-sans text-xs font-semibold ${
+                    copy.status === 'on_shelf' ? 'bg-black text-white' : 'bg-gray-100 text-gray-700'
+                  }`}>
+                    {COPY_STATUSES[copy.status]}
+                  </span>
+                </p>
+                <p className="text-xs text-gray-500">
+                  Added {new Date(copy.addedDate).toLocaleDateString()}
+                  {copy.loan && ` · ${copy.loan.username}, ${copy.loan.hold ? 'hold' : 'reservation'} ${copy.loan.reservationId}`}
+                  {copy.status === 'retired' &&
+                    ` · Retired ${new Date(copy.retiredDate).toLocaleDateString()}: ${copy.retiredReason}`}
+                </p>
+              </div>
+
+              <div className="flex flex-wrap gap-2">
+                {/* Loan-linked copies: check in (held copies wait for the patron) */}
+                {copy.loan && !copy.loan.hold && (
+                  <button
+                    onClick={() => handleCheckIn(copy)}
+                    className="flex items-center space-x-2 px-4 py-2 min-h-[44px] border border-gray-200 text-gray-700 rounded-xl hover:bg-gray-100 transition-colors text-sm"
+                  >
+                    <PackageCheck size={16} />
+                    <span>Check In</span>
+                  </button>
+                )}
+
+                {/* Other copies: change status or retire */}
+                {!copy.loan && copy.status !== 'retired' && retiring?.barcode !== copy.barcode && (
+                  <>
+                    <select
+                      value=""
+                      onChange={(e) => handleStatusChange(copy, e.target.value)}
+                      aria-label={`Change status of ${copy.barcode}`}
+                      className="px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm bg-white"
+                    >
+                      <option value="" disabled>Mark as...</option>
+                      {MANUAL_COPY_STATUSES.filter((status) => status !== copy.status).map((status) => (
+                        <option key={status} value={status}>{COPY_STATUSES[status]}</option>
+                      ))}
+                    </select>
+                    <button
+                      onClick={() => setRetiring({ barcode: copy.barcode, reason: '' })}
+                      className="flex items-center space-x-2 px-4 py-2 min-h-[44px] border border-gray-200 text-gray-700 rounded-xl hover:bg-gray-100 transition-colors text-sm"
+                    >
+                      <Archive size={16} />
+                      <span>Retire Copy</span>
+                    </button>
+                  </>
+                )}
+
+                {retiring?.barcode === copy.barcode && (
+                  <>
+                    <input
+                      type="text"
+                      value={retiring.reason}
+                      onChange={(e) => setRetiring({ ...retiring, reason: e.target.value })}
+                      placeholder="Reason (e.g. water damage)"
+                      aria-label="Reason for retiring"
+                      className="px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+                    />
+                    <button
+                      onClick={handleRetire}
+                      className="px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm"
+                    >
+                      Retire
+                    </button>
+                    <button
+                      onClick={() => setRetiring(null)}
+                      className="px-4 py-2 min-h-[44px] border border-gray-200 rounded-xl hover:bg-gray-100 transition-colors text-sm"
+                    >
+                      Cancel
+                    </button>
+                  </>
+                )}
+
+                <button
+                  onClick={() => setOpenLog(openLog === copy.barcode ? null : copy.barcode)}
+                  className="p-2 min-h-[44px] min-w-[44px] flex items-center justify-center border border-gray-200 rounded-xl hover:bg-gray-100 transition-colors"
+                  aria-label={`Event log for ${copy.barcode}`}
+                  aria-expanded={openLog === copy.barcode}
+                  title="Event log"
+                >
+                  <History size={16} />
+                </button>
+              </div>
+            </div>
+
+            {/* Event Log (newest first) */}
+            {openLog === copy.barcode && (
+              <ol className="mt-3 pt-3 border-t border-gray-100 space-y-1 text-xs text-gray-600">
+                {[...(copy.events ?? [])].reverse().map((event, index) => (
+                  <li key={index}>
+                    <span className="text-gray-400">{new Date(event.date).toLocaleString()}</span>
+                    {' · '}
+                    <span className="font-semibold text-black">{COPY_STATUSES[event.status]}</span>
+                    {' · '}{event.by}
+                    {event.reservationId && ` · ${event.reservationId}`}
+                    {event.note && ` · ${event.note}`}
+                  </li>
+                ))}
+              </ol>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function AdminBookEditor() {
+  const { bookId } = useParams();
+  const { catalog, loading } = useBooks();
+
+  // Wait until the saved catalog has loaded, so the form starts with the right values
+  if (loading) return null;
+
+  const book = bookId ? catalog.find((item) => item.id === parseInt(bookId)) : null;
+
+  if (bookId && !book) {
+    return (
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200 text-center">
+        <p className="text-gray-600 mb-4">Book not found</p>
+        <Link to="/admin/catalog" className="text-black font-semibold hover:text-gray-600">
+          Back to catalog
+        </Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-6">
+      <Link
+        to="/admin/catalog"
+        className="inline-flex items-center text-sm font-semibold text-black hover:text-gray-600"
+      >
+        <ArrowLeft size={16} className="mr-1" />
+        Back to catalog
+      </Link>
+
+      {book?.retired && (
+        <div className="p-4 bg-gray-100 border border-gray-200 rounded-xl text-sm text-gray-700">
+          This book is retired and hidden from patrons. Restore it from the catalog list.
+        </div>
+      )}
+
+      {/* key resets the form when moving from /new to the new book's page */}
+      <BookForm key={book?.id ?? 'new'} book={book} />
+
+      {book && <CopiesPanel book={book} />}
+    </div>
+  );
+}
+
+export default AdminBookEditor;
+
+/**
+ * VIVA EXPLANATION SUMMARY:
+ *
+ * Q: How does one page handle both adding and editing?
+ * A: The routes /admin/catalog/new and /admin/catalog/:bookId both render
+ *    this component. useParams() gives bookId only for the edit route, so
+ *    book is null when adding and the form starts blank.
+ *
+ * Q: Where is the validation?
+ * A: In services/catalog (validateBookFields). BookContext runs it before
+ *    saving and returns { success: false, errors } so each input can show
+ *    its own message. Errors clear as soon as the field is edited.
+ *
+ * Q: Why retire copies instead of deleting them?
+ * A: Barcodes stay unique forever (a retired barcode is never reused),
+ *    and the record of why a copy left circulation is kept.
+ *
+ * Q: Why can't a reserved or on-loan copy be marked lost or retired here?
+ * A: It is tied to a patron's loan. It has to be checked in first, so the
+ *    loan record and the copy never disagree.
+ */
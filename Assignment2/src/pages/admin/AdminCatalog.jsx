@@ -0,0 +1,162 @@
+/**
+ * Admin Catalog Page - Book List for Librarians
+ *
+ * PURPOSE:
+ * Lists every book in the catalog (including retired ones) with its copy
+ * and loan counts, and links to the editor for adding or changing books.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - catalog: Full catalog from BookContext (patrons only see `books`)
+ * - Derived counts: from copy states (on shelf, reserved/on loan)
+ * - Retire/restore: Books are hidden, never deleted
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { Library, Plus, Search, Pencil, Archive, ArchiveRestore } from 'lucide-react';
+import { useBooks } from '../../context/BookContext';
+import { useToast } from '../../context/ToastContext';
+import { countActiveCopies, countAvailableCopies, countCopiesOut } from '../../services/catalog';
+
+function AdminCatalog() {
+  const { catalog, setBookRetired } = useBooks();
+  const { showToast } = useToast();
+
+  /**
+   * STEP 1: Filters
+   *
+   * - query: Search by title, author or ISBN
+   * - showRetired: Include retired books in the list
+   */
+  const [query, setQuery] = useState('');
+  const [showRetired, setShowRetired] = useState(false);
+
+  /**
+   * STEP 2: Filtered Book List
+   */
+  const searchTerm = query.toLowerCase().trim();
+  const visibleBooks = catalog
+    .filter((book) => showRetired || !book.retired)
+    .filter((book) =>
+      !searchTerm ||
+      book.title.toLowerCase().includes(searchTerm) ||
+      book.author.toLowerCase().includes(searchTerm) ||
+      book.isbn.toLowerCase().includes(searchTerm)
+    )
+    .sort((a, b) => a.title.localeCompare(b.title));
+
+  /**
+   * STEP 3: Retire / Restore a Book
+   */
+  const handleToggleRetired = (book) => {
+    const result = setBookRetired(book.id, !book.retired);
+    showToast(result.message, result.success ? 'success' : 'error');
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+      <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+        <h2 className="text-xl font-semibold text-black flex items-center">
+          <Library size={24} className="mr-2" />
+          Catalog ({catalog.filter((book) => !book.retired).length} books)
+        </h2>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          {/* Search */}
+          <div className="relative w-full sm:w-72">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search title, author or ISBN"
+              className="w-full pl-10 pr-4 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+            />
+          </div>
+
+          {/* Add Book */}
+          <Link
+            to="/admin/catalog/new"
+            className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm font-semibold"
+          >
+            <Plus size={16} />
+            <span>Add Book</span>
+          </Link>
+        </div>
+      </div>
+
+      {/* Show Retired Toggle */}
+      <label className="inline-flex items-center space-x-2 mb-4 text-sm text-gray-700 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={showRetired}
+          onChange={(e) => setShowRetired(e.target.checked)}
+          className="w-4 h-4 accent-black"
+        />
+        <span>Show retired books</span>
+      </label>
+
+      {visibleBooks.length === 0 ? (
+        <p className="text-center text-gray-600 py-12">No books match your search</p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-3 pr-4 font-semibold">Title</th>
+                <th className="py-3 pr-4 font-semibold">ISBN</th>
+                <th className="py-3 pr-4 font-semibold">Category</th>
+                <th className="py-3 pr-4 font-semibold">Copies</th>
+                <th className="py-3 pr-4 font-semibold">On Shelf</th>
+                <th className="py-3 pr-4 font-semibold">Out</th>
+                <th className="py-3 font-semibold text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleBooks.map((book) => (
+                <tr
+                  key={book.id}
+                  className={`border-b border-gray-100 last:border-0 ${book.retired ? 'text-gray-400' : ''}`}
+                >
+                  <td className="py-3 pr-4">
+                    <p className={`font-medium ${book.retired ? '' : 'text-black'}`}>
+                      {book.title}
+                      {book.retired && <span className="ml-2 text-xs uppercase">(retired)</span>}
+                    </p>
+                    <p className="text-xs text-gray-500">{book.author}</p>
+                  </td>
+                  <td className="py-3 pr-4 font-mono text-xs">{book.isbn}</td>
+                  <td className="py-3 pr-4">{book.category}</td>
+                  <td className="py-3 pr-4">{countActiveCopies(book)}</td>
+                  <td className="py-3 pr-4">{countAvailableCopies(book)}</td>
+                  <td className="py-3 pr-4">{countCopiesOut(book)}</td>
+                  <td className="py-3">
+                    <div className="flex justify-end gap-2">
+                      <Link
+                        to={`/admin/catalog/${book.id}`}
+                        className="p-2 min-h-[44px] min-w-[44px] flex items-center justify-center border border-gray-200 rounded-xl hover:bg-gray-100 transition-colors"
+                        aria-label={`Edit ${book.title}`}
+                      >
+                        <Pencil size={16} />
+                      </Link>
+                      <button
+                        onClick={() => handleToggleRetired(book)}
+                        className="p-2 min-h-[44px] min-w-[44px] flex items-center justify-center border border-gray-200 rounded-xl hover:bg-gray-100 transition-colors"
+                        aria-label={book.retired ? `Restore ${book.title}` : `Retire ${book.title}`}
+                        title={book.retired ? 'Restore' : 'Retire'}
+                      >
+                        {book.retired ? <ArchiveRestore size={16} /> : <Archive size={16} />}
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AdminCatalog;
@@ -0,0 +1,347 @@
+/**
+ * Admin Fines Page - Patron Balances, Payments and Waivers
+ *
+ * PURPOSE:
+ * Lets librarians see who owes late fees, record payments taken at the desk
+ * and waive fines (whole or in part).
+ *
+ * FEATURES:
+ * 1. Summary cards (total owed, patrons owing, patrons blocked)
+ * 2. Patron list with balance; click to open the breakdown
+ * 3. Per-loan fines with a Waive button
+ * 4. Payment form and the patron's ledger
+ * 5. The fee schedule in force
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Fines are recalculated from loan dates on each render (services/fines)
+ * - Payments/waivers are ledger entries; the balance is fines minus entries
+ * - Amounts are typed in dollars and stored in cents (parseMoney)
+ */
+
+import { useState } from 'react';
+import { Receipt, User, Ban, Search, HandCoins, Eraser } from 'lucide-react';
+import { useBooks } from '../../context/BookContext';
+import { useToast } from '../../context/ToastContext';
+import {
+  FEE_SCHEDULE,
+  FINE_BLOCK_THRESHOLD,
+  LEDGER_TYPES,
+  getFeeRule,
+  formatMoney,
+  parseMoney,
+} from '../../services/fines';
+
+/**
+ * Formats an ISO date for display (e.g. "Nov 21, 2025").
+ */
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+function AdminFines() {
+  const { allUsersHistory, fineLedger, getPatronFines, recordFinePayment, waiveFine } = useBooks();
+  const { showToast } = useToast();
+
+  /**
+   * STEP 1: Local State
+   *
+   * - query: Search text
+   * - selected: Username whose breakdown is open
+   * - payment: { amount, note } typed into the payment form
+   */
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [payment, setPayment] = useState({ amount: '', note: '' });
+
+  /**
+   * STEP 2: Patron Balances
+   *
+   * Everyone with a loan or a ledger entry; only those who have ever been
+   * fined are listed, highest balance first.
+   */
+  const usernames = [...new Set([
+    ...allUsersHistory.map((item) => item.username),
+    ...fineLedger.map((entry) => entry.username),
+  ])];
+  const patrons = usernames
+    .map((username) => ({ username, ...getPatronFines(username) }))
+    .filter((patron) => patron.totalFines > 0)
+    .sort((a, b) => b.balance - a.balance || a.username.localeCompare(b.username));
+
+  const searchTerm = query.toLowerCase().trim();
+  const visiblePatrons = searchTerm
+    ? patrons.filter((patron) => patron.username.toLowerCase().includes(searchTerm))
+    : patrons;
+
+  const totalOwed = patrons.reduce((total, patron) => total + patron.balance, 0);
+  const blockedCount = patrons.filter((patron) => patron.balance > FINE_BLOCK_THRESHOLD).length;
+
+  /**
+   * STEP 3: Record a Payment
+   */
+  const handlePayment = (e, username) => {
+    e.preventDefault();
+    const result = recordFinePayment(username, parseMoney(payment.amount), payment.note);
+    showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) setPayment({ amount: '', note: '' });
+  };
+
+  /**
+   * STEP 4: Waive One Loan's Fine
+   */
+  const handleWaive = (username, fine) => {
+    const result = waiveFine(username, {
+      amount: fine.outstanding,
+      reservationId: fine.reservationId,
+      note: `Waived fine for "${fine.book.title}"`,
+    });
+    showToast(result.message, result.success ? 'success' : 'error');
+  };
+
+  const toggle = (username) => {
+    setSelected(selected === username ? null : username);
+    setPayment({ amount: '', note: '' });
+  };
+
+  return (
+    <div className="space-y-6">
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <Receipt size={32} />
+            <span className="text-3xl font-bold">{formatMoney(totalOwed)}</span>
+          </div>
+          <h3 className="text-sm font-semibold">Outstanding</h3>
+          <p className="text-xs text-gray-300 mt-1">All patrons</p>
+        </div>
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <User size={32} />
+            <span className="text-3xl font-bold">
+              {patrons.filter((patron) => patron.balance > 0).length}
+            </span>
+          </div>
+          <h3 className="text-sm font-semibold">Patrons Owing</h3>
+          <p className="text-xs text-gray-300 mt-1">Balance above zero</p>
+        </div>
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <Ban size={32} />
+            <span className="text-3xl font-bold">{blockedCount}</span>
+          </div>
+          <h3 className="text-sm font-semibold">Blocked</h3>
+          <p className="text-xs text-gray-300 mt-1">Owe more than {formatMoney(FINE_BLOCK_THRESHOLD)}</p>
+        </div>
+      </div>
+
+      {/* Patron List */}
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+          <h2 className="text-xl font-semibold text-black flex items-center">
+            <Receipt size={24} className="mr-2" />
+            Patron Fines
+          </h2>
+
+          {/* Search */}
+          <div className="relative w-full md:w-80">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search patron"
+              className="w-full pl-10 pr-4 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+            />
+          </div>
+        </div>
+
+        {visiblePatrons.length === 0 ? (
+          <div className="text-center py-12">
+            <Receipt size={48} className="mx-auto text-gray-400 mb-4" />
+            <p className="text-gray-600">
+              {patrons.length === 0 ? 'No patron has been fined' : 'No patrons match your search'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {visiblePatrons.map((patron) => {
+              const isOpen = selected === patron.username;
+              const entries = fineLedger.filter((entry) => entry.username === patron.username);
+
+              return (
+                <div key={patron.username} className="border border-gray-200 rounded-xl">
+                  <button
+                    onClick={() => toggle(patron.username)}
+                    aria-expanded={isOpen}
+                    className="w-full flex flex-wrap items-center justify-between gap-2 p-4 text-left hover:bg-gray-50 rounded-xl"
+                  >
+                    <span className="flex items-center font-semibold text-black">
+                      <User size={16} className="mr-2" />
+                      {patron.username}
+                      {patron.balance > FINE_BLOCK_THRESHOLD && (
+                        <span className="ml-2 px-2 py-0.5 text-xs font-semibold rounded-full bg-red-100 text-red-700">
+                          Blocked
+                        </span>
+                      )}
+                    </span>
+                    <span className="text-sm text-gray-600">
+                      Fined {formatMoney(patron.totalFines)} · Paid {formatMoney(patron.paid)} · Waived {formatMoney(patron.waived)}
+                      <strong className={`ml-3 text-base ${patron.balance > 0 ? 'text-red-600' : 'text-black'}`}>
+                        {formatMoney(patron.balance)}
+                      </strong>
+                    </span>
+                  </button>
+
+                  {isOpen && (
+                    <div className="border-t border-gray-200 p-4 space-y-6">
+
+                      {/* Fines per Loan */}
+                      <div className="space-y-3">
+                        {patron.fines.map((fine) => (
+                          <div key={fine.reservationId} className="flex flex-col md:flex-row md:items-center gap-2 text-sm">
+                            <div className="flex-1 min-w-0">
+                              <p className="font-medium text-black line-clamp-1">{fine.book.title}</p>
+                              <p className="text-xs text-gray-600">
+                                {fine.reservationId} · Due {formatDate(fine.dueDate)}
+                                {fine.accruing ? ' · still out' : ` · returned ${formatDate(fine.returnDate)}`}
+                                {' · '}{fine.daysLate} late, {fine.graceDays} grace, {fine.closedDays} closed,
+                                {' '}{fine.chargeableDays} × {formatMoney(fine.dailyRate)}
+                                {fine.capped && ` (capped at ${formatMoney(fine.maxFine)})`}
+                              </p>
+                            </div>
+                            <span className="font-semibold text-black whitespace-nowrap">
+                              {formatMoney(fine.outstanding)} of {formatMoney(fine.amount)}
+                            </span>
+                            <button
+                              onClick={() => handleWaive(patron.username, fine)}
+                              disabled={fine.outstanding === 0}
+                              className="flex items-center justify-center space-x-2 px-3 py-2 min-h-[44px] border border-gray-200 text-gray-700 rounded-xl hover:bg-gray-100 transition-colors disabled:opacity-50"
+                            >
+                              <Eraser size={16} />
+                              <span>Waive</span>
+                            </button>
+                          </div>
+                        ))}
+                      </div>
+
+                      {/* Payment Form */}
+                      {patron.balance > 0 && (
+                        <form
+                          onSubmit={(e) => handlePayment(e, patron.username)}
+                          className="flex flex-col md:flex-row gap-2"
+                        >
+                          <input
+                            type="text"
+                            inputMode="decimal"
+                            value={payment.amount}
+                            onChange={(e) => setPayment({ ...payment, amount: e.target.value })}
+                            placeholder={`Amount (max ${formatMoney(patron.balance)})`}
+                            aria-label="Payment amount"
+                            className="md:w-48 px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+                          />
+                          <input
+                            type="text"
+                            value={payment.note}
+                            onChange={(e) => setPayment({ ...payment, note: e.target.value })}
+                            placeholder="Note (e.g. cash, card)"
+                            aria-label="Payment note"
+                            className="flex-1 px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+                          />
+                          <button
+                            type="submit"
+                            disabled={!payment.amount}
+                            className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm disabled:opacity-50"
+                          >
+                            <HandCoins size={16} />
+                            <span>Record Payment</span>
+                          </button>
+                        </form>
+                      )}
+
+                      {/* Ledger */}
+                      {entries.length > 0 && (
+                        <div>
+                          <h3 className="text-sm font-semibold text-black mb-2">Payments & Waivers</h3>
+                          <ul className="text-xs text-gray-600 space-y-1">
+                            {entries.map((entry) => (
+                              <li key={entry.id}>
+                                {formatDate(entry.date)} · {LEDGER_TYPES[entry.type]} of {formatMoney(entry.amount)}
+                                {' '}by {entry.by}
+                                {entry.note && ` - ${entry.note}`}
+                              </li>
+                            ))}
+                          </ul>
+                        </div>
+                      )}
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      {/* Fee Schedule */}
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+        <h2 className="text-xl font-semibold text-black mb-4">Fee Schedule</h2>
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-3 pr-4 font-semibold">Category</th>
+                <th className="py-3 pr-4 font-semibold">Per Day</th>
+                <th className="py-3 pr-4 font-semibold">Grace Days</th>
+                <th className="py-3 font-semibold">Cap per Loan</th>
+              </tr>
+            </thead>
+            <tbody>
+              {['Default', ...Object.keys(FEE_SCHEDULE.categories)].map((category) => {
+                const rule = getFeeRule(category);
+                return (
+                  <tr key={category} className="border-b border-gray-100 last:border-0">
+                    <td className="py-3 pr-4 font-medium text-black">{category}</td>
+                    <td className="py-3 pr-4 text-gray-600">{formatMoney(rule.dailyRate)}</td>
+                    <td className="py-3 pr-4 text-gray-600">{rule.graceDays}</td>
+                    <td className="py-3 text-gray-600">{formatMoney(rule.maxFine)}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+        <p className="text-xs text-gray-500 mt-4">
+          No fee on days the library is closed (Sundays, holidays and special closures). Patrons owing more than
+          {' '}{formatMoney(FINE_BLOCK_THRESHOLD)} cannot reserve books.
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default AdminFines;
+
+/**
+ * VIVA EXPLANATION SUMMARY:
+ *
+ * Q: Where are fines stored?
+ * A: They aren't. calculateFine() works each one out from the loan's due
+ *    and return dates, so changing a due date or checking a book in updates
+ *    the fine immediately. Only payments and waivers are saved, in the
+ *    shared 'booknest-fines-ledger' collection.
+ *
+ * Q: How is a payment split across several fines?
+ * A: Waivers for one loan go to that loan; payments are split across the
+ *    oldest fines first (allocateToFines), one ledger entry per loan. A
+ *    payment can't be more than the balance.
+ *
+ * Q: Why cents?
+ * A: 0.1 + 0.2 is not 0.3 in JavaScript. Whole numbers add up exactly.
+ */
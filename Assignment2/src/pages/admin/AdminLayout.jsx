@@ -0,0 +1,101 @@
+/**
+ * Admin Layout - Librarian/Admin Console Shell
+ *
+ * PURPOSE:
+ * Parent route for everything under /admin. Renders the console tabs
+ * plus the active child page through <Outlet />.
+ *
+ * ACCESS:
+ * Role requirements are declared on the routes in App.jsx (ProtectedRoute).
+ * Here we only decide which tabs to show:
+ * - Librarian: Loans, Scan, Fines, Catalog, Import/Export and Reviews tabs
+ * - Admin: all of those plus Users
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Nested routes: /admin and /admin/users share this layout
+ * - Outlet: Placeholder where the child route renders
+ * - Role checks: hasRole() from AuthContext
+ */
+
+import { NavLink, Outlet } from 'react-router-dom';
+import { ShieldCheck, BookOpen, ScanLine, Receipt, Library, ArrowLeftRight, MessageSquare, Users } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+
+/**
+ * Console Tabs
+ *
+ * roles: which roles can see the tab
+ */
+const TABS = [
+  { to: '/admin', label: 'Loans', icon: BookOpen, roles: ['librarian', 'admin'], end: true },
+  { to: '/admin/scan', label: 'Scan', icon: ScanLine, roles: ['librarian', 'admin'] },
+  { to: '/admin/fines', label: 'Fines', icon: Receipt, roles: ['librarian', 'admin'] },
+  { to: '/admin/catalog', label: 'Catalog', icon: Library, roles: ['librarian', 'admin'] },
+  { to: '/admin/transfer', label: 'Import/Export', icon: ArrowLeftRight, roles: ['librarian', 'admin'] },
+  { to: '/admin/reviews', label: 'Reviews', icon: MessageSquare, roles: ['librarian', 'admin'] },
+  { to: '/admin/users', label: 'Users', icon: Users, roles: ['admin'] },
+];
+
+function AdminLayout() {
+  const { user, hasRole } = useAuth();
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-6 md:py-8">
+      <div className="container mx-auto px-4 md:px-6 lg:px-8 max-w-7xl">
+
+        {/* Page Header */}
+        <div className="mb-6 flex flex-col md:flex-row md:items-end md:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl md:text-3xl font-bold text-black mb-2 flex items-center">
+              <ShieldCheck size={28} className="mr-2 md:mr-3" />
+              Library Console
+            </h1>
+            <p className="text-gray-600">
+              Signed in as {user.username} ({user.role})
+            </p>
+          </div>
+
+          {/* Console Tabs (filtered by role) */}
+          <div className="flex space-x-1 overflow-x-auto bg-white border border-gray-200 rounded-xl p-1">
+            {TABS.filter((tab) => hasRole(...tab.roles)).map((tab) => {
+              const TabIcon = tab.icon;
+              return (
+                <NavLink
+                  key={tab.to}
+                  to={tab.to}
+                  end={tab.end}
+                  className={({ isActive }) =>
+                    `flex items-center space-x-2 px-4 py-2 min-h-[44px] rounded-lg text-sm font-medium transition-all ${
+                      isActive ? 'bg-black text-white' : 'text-gray-700 hover:bg-gray-100'
+                    }`
+                  }
+                >
+                  <TabIcon size={16} />
+                  <span>{tab.label}</span>
+                </NavLink>
+              );
+            })}
+          </div>
+        </div>
+
+        {/* Child route (AdminLoans, AdminScanner, AdminFines, AdminCatalog, AdminBookEditor, AdminTransfer, AdminReviews or AdminUsers) */}
+        <Outlet />
+      </div>
+    </div>
+  );
+}
+
+export default AdminLayout;
+
+/**
+ * VIVA EXPLANATION SUMMARY:
+ *
+ * Q: How is the /admin route protected?
+ * A: In App.jsx the admin routes sit inside
+ *    <ProtectedRoute roles={['librarian', 'admin']} />, so AdminLayout only
+ *    renders for staff. /admin/users adds its own admin-only guard.
+ *
+ * Q: Is this real security?
+ * A: No - everything runs in the browser. It controls what the UI offers;
+ *    a real system would enforce roles on the server as well.
+ */
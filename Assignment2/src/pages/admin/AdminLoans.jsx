@@ -0,0 +1,320 @@
+/**
+ * Admin Loans Page - Every User's Active Loans
+ *
+ * PURPOSE:
+ * Lets librarians run the circulation desk: see every active loan,
+ * confirm pickups, check in returned books and override due dates.
+ *
+ * FEATURES:
+ * 1. Summary cards (active loans, awaiting pickup, overdue)
+ * 2. Search by borrower, title or reservation ID
+ * 3. Confirm pickup / check in buttons per loan
+ * 4. Inline due date override
+ * 5. Loan slip (PDF) for picked-up loans: download or print
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - allUsersHistory: Every user's history from BookContext, tagged with username
+ * - Async actions: Staff functions update other users' storage keys
+ * - Derived data: Filtering and sorting happen on each render
+ */
+
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import { BookOpen, Clock, AlertCircle, CheckCircle, PackageCheck, CalendarClock, Search, User } from 'lucide-react';
+import { useBooks } from '../../context/BookContext';
+import { useToast } from '../../context/ToastContext';
+import { useAuth } from '../../context/AuthContext';
+import PdfActions from '../../components/PdfActions';
+import { buildLoanSlipPdf, toSlipItems } from '../../services/pdf';
+
+/**
+ * Formats an ISO date for display (e.g. "Nov 21, 2025").
+ */
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+/**
+ * Converts an ISO date to the yyyy-mm-dd format used by <input type="date">.
+ */
+const toInputDate = (dateString) => {
+  const date = new Date(dateString);
+  const offset = date.getTimezoneOffset() * 60000;
+  return new Date(date.getTime() - offset).toISOString().slice(0, 10);
+};
+
+function AdminLoans() {
+  const { allUsersHistory, confirmPickup, checkInReturn, overrideDueDate, catalog } = useBooks();
+  const { showToast } = useToast();
+  const { user } = useAuth();
+
+  /**
+   * STEP 1: Local State
+   *
+   * - query: Search text
+   * - editing: { key, value, min } for the loan whose due date is being edited
+   *   (min: today, the earliest date the picker offers)
+   * - busyKey: Loan with an action in progress (disables its buttons)
+   */
+  const [query, setQuery] = useState('');
+  const [editing, setEditing] = useState(null);
+  const [busyKey, setBusyKey] = useState(null);
+
+  /**
+   * STEP 2: Active Loans
+   *
+   * Only 'borrowed' records are active. Sorted by due date so the most
+   * urgent loans are at the top.
+   */
+  const today = new Date();
+  const activeLoans = allUsersHistory
+    .filter((item) => item.status === 'borrowed')
+    .sort((a, b) => new Date(a.dueDate) - new Date(b.dueDate));
+
+  const isOverdue = (item) => new Date(item.dueDate) < today;
+
+  const searchTerm = query.toLowerCase().trim();
+  const visibleLoans = searchTerm
+    ? activeLoans.filter((item) =>
+        item.username.toLowerCase().includes(searchTerm) ||
+        item.book.title.toLowerCase().includes(searchTerm) ||
+        item.reservationId.toLowerCase().includes(searchTerm)
+      )
+    : activeLoans;
+
+  /**
+   * STEP 3: Run a Staff Action
+   *
+   * Wraps every action with a busy flag and a toast for the result.
+   *
+   * @param {string} key - Unique loan key (username + reservation ID)
+   * @param {Function} action - Returns a Promise of { success, message }
+   */
+  const runAction = async (key, action) => {
+    setBusyKey(key);
+    const result = await action();
+    setBusyKey(null);
+    showToast(result.message, result.success ? 'success' : 'error');
+    return result;
+  };
+
+  /**
+   * STEP 4: Save Due Date Override
+   */
+  const handleSaveDueDate = async (item, key) => {
+    // Due at the end of the chosen day, local time
+    const result = await runAction(key, () =>
+      overrideDueDate(item.username, item.reservationId, `${editing.value}T23:59:59`)
+    );
+    if (result.success) setEditing(null);
+  };
+
+  return (
+    <div className="space-y-6">
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <BookOpen size={32} />
+            <span className="text-3xl font-bold">{activeLoans.length}</span>
+          </div>
+          <h3 className="text-sm font-semibold">Active Loans</h3>
+          <p className="text-xs text-gray-300 mt-1">All users</p>
+        </div>
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <PackageCheck size={32} />
+            <span className="text-3xl font-bold">
+              {activeLoans.filter((item) => !item.pickedUp).length}
+            </span>
+          </div>
+          <h3 className="text-sm font-semibold">Awaiting Pickup</h3>
+          <p className="text-xs text-gray-300 mt-1">Reserved, not collected</p>
+        </div>
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <AlertCircle size={32} />
+            <span className="text-3xl font-bold">{activeLoans.filter(isOverdue).length}</span>
+          </div>
+          <h3 className="text-sm font-semibold">Overdue</h3>
+          <p className="text-xs text-gray-300 mt-1">Past due date</p>
+        </div>
+      </div>
+
+      {/* Loans List */}
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+          <h2 className="text-xl font-semibold text-black flex items-center">
+            <BookOpen size={24} className="mr-2" />
+            Active Loans
+          </h2>
+
+          {/* Search */}
+          <div className="relative w-full md:w-80">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search borrower, title or ID"
+              className="w-full pl-10 pr-4 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+            />
+          </div>
+        </div>
+
+        {visibleLoans.length === 0 ? (
+          <div className="text-center py-12">
+            <BookOpen size={48} className="mx-auto text-gray-400 mb-4" />
+            <p className="text-gray-600">
+              {activeLoans.length === 0 ? 'No active loans' : 'No loans match your search'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {visibleLoans.map((item) => {
+              const key = `${item.username}:${item.reservationId}`;
+              const overdue = isOverdue(item);
+              const busy = busyKey === key;
+              const isEditing = editing?.key === key;
+
+              return (
+                <div
+                  key={key}
+                  className="border border-gray-200 rounded-xl p-4 hover:shadow-md transition-shadow"
+                >
+                  <div className="flex flex-col md:flex-row gap-4">
+
+                    {/* Loan Details */}
+                    <div className="flex-1 min-w-0">
+                      <Link
+                        to={`/book/${item.book.id}`}
+                        className="font-semibold text-black hover:text-gray-600 line-clamp-1"
+                      >
+                        {item.book.title}
+                      </Link>
+                      <div className="flex flex-wrap gap-x-4 gap-y-1 mt-1 text-sm text-gray-600">
+                        <span className="flex items-center">
+                          <User size={14} className="mr-1" />
+                          {item.username}
+                        </span>
+                        <span>{item.reservationId}</span>
+                        <span className={`flex items-center ${overdue ? 'text-red-600 font-semibold' : ''}`}>
+                          <Clock size={14} className="mr-1" />
+                          Due {formatDate(item.dueDate)}
+                          {overdue && ' (OVERDUE)'}
+                        </span>
+                        <span>
+                          {item.pickedUp
+                            ? `Picked up ${formatDate(item.pickupDate)}`
+                            : 'Awaiting pickup'}
+                        </span>
+                      </div>
+
+                      {/* Due Date Override */}
+                      {isEditing && (
+                        <div className="flex flex-wrap items-center gap-2 mt-3">
+                          <input
+                            type="date"
+                            min={editing.min}
+                            value={editing.value}
+                            onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+                            className="px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+                          />
+                          <button
+                            onClick={() => handleSaveDueDate(item, key)}
+                            disabled={busy || !editing.value}
+                            className="px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm disabled:opacity-50"
+                          >
+                            Save
+                          </button>
+                          <button
+                            onClick={() => setEditing(null)}
+                            className="px-4 py-2 min-h-[44px] border border-gray-200 rounded-xl hover:bg-gray-100 transition-colors text-sm"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      )}
+                    </div>
+
+                    {/* Actions */}
+                    <div className="flex flex-wrap md:flex-col gap-2 md:w-44">
+                      {!item.pickedUp && (
+                        <button
+                          onClick={() => runAction(key, () => confirmPickup(item.username, item.reservationId))}
+                          disabled={busy}
+                          className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] border border-black text-black rounded-xl hover:bg-gray-100 transition-colors text-sm disabled:opacity-50"
+                        >
+                          <PackageCheck size={16} />
+                          <span>Confirm Pickup</span>
+                        </button>
+                      )}
+                      <button
+                        onClick={() => runAction(key, () => checkInReturn(item.username, item.reservationId))}
+                        disabled={busy}
+                        className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors text-sm disabled:opacity-50"
+                      >
+                        <CheckCircle size={16} />
+                        <span>Check In</span>
+                      </button>
+                      {!isEditing && (
+                        <button
+                          onClick={() => setEditing({ key, value: toInputDate(item.dueDate), min: toInputDate(new Date().toISOString()) })}
+                          disabled={busy}
+                          className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] border border-gray-200 text-gray-700 rounded-xl hover:bg-gray-100 transition-colors text-sm disabled:opacity-50"
+                        >
+                          <CalendarClock size={16} />
+                          <span>Change Due Date</span>
+                        </button>
+                      )}
+                      {item.pickedUp && (
+                        <PdfActions
+                          label="Slip"
+                          filename={`loan-slip-${item.reservationId}.pdf`}
+                          createPdf={() => buildLoanSlipPdf({
+                            kind: 'loan',
+                            patron: { username: item.username },
+                            items: toSlipItems([item], catalog),
+                            issuedBy: user.username,
+                            now: Date.now()
+                          })}
+                          className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] border border-gray-200 text-gray-700 rounded-xl hover:bg-gray-100 transition-colors text-sm disabled:opacity-50"
+                        />
+                      )}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminLoans;
+
+/**
+ * VIVA EXPLANATION SUMMARY:
+ *
+ * Q: Where does the list of loans come from?
+ * A: BookContext already reads every booknest-history-* key to share stock
+ *    between users. It now keeps that combined list as allUsersHistory, with
+ *    each record tagged by username, and this page filters it to 'borrowed'.
+ *
+ * Q: What happens when a librarian checks in a book?
+ * A: checkInReturn(username, reservationId) updates that user's saved
+ *    history. The storage subscription in BookContext notices the write and
+ *    recalculates stock, so the book becomes available again straight away.
+ *
+ * Q: Why can't patrons mark their own returns any more?
+ * A: A return should only count once the book is physically back.
+ *    Letting patrons mark returns made stock numbers unreliable.
+ */
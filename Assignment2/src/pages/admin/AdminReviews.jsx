@@ -0,0 +1,271 @@
+/**
+ * Admin Reviews Page - Review Moderation Queue
+ *
+ * PURPOSE:
+ * Lets librarians deal with reviews patrons have reported, and hide or
+ * restore any review.
+ *
+ * FEATURES:
+ * 1. Summary cards (reported, hidden, total reviews)
+ * 2. Tabs: Reported (the queue, most reports first), Hidden, All
+ * 3. Hide (with a note the author sees), Restore, Dismiss reports
+ * 4. Search by book title, reviewer or text
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Hiding keeps the review, so a decision can be undone (Restore)
+ * - Every action closes the review's open reports
+ * - moderateReview() in BookContext checks the user is staff
+ */
+
+import { useState } from 'react';
+import { MessageSquare, Flag, EyeOff, Eye, Search, Star, CheckCircle } from 'lucide-react';
+import { Link } from 'react-router-dom';
+import { useBooks } from '../../context/BookContext';
+import { useToast } from '../../context/ToastContext';
+
+/**
+ * Formats an ISO date for display (e.g. "Nov 21, 2025").
+ */
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+const TABS = {
+  reported: 'Reported',
+  hidden: 'Hidden',
+  all: 'All Reviews',
+};
+
+function AdminReviews() {
+  const { reviews, catalog, moderateReview } = useBooks();
+  const { showToast } = useToast();
+
+  /**
+   * STEP 1: Local State
+   *
+   * - tab: Which list is shown
+   * - query: Search text
+   * - notes: Moderation note typed per review ID
+   */
+  const [tab, setTab] = useState('reported');
+  const [query, setQuery] = useState('');
+  const [notes, setNotes] = useState({});
+
+  /**
+   * STEP 2: Lists
+   */
+  const titles = new Map(catalog.map((book) => [book.id, book.title]));
+  const reported = reviews.filter((review) => review.reports.length > 0);
+  const hidden = reviews.filter((review) => review.status === 'hidden');
+
+  const lists = {
+    reported: [...reported].sort((a, b) => b.reports.length - a.reports.length),
+    hidden,
+    all: [...reviews].sort((a, b) => new Date(b.date) - new Date(a.date)),
+  };
+
+  const searchTerm = query.toLowerCase().trim();
+  const visible = lists[tab].filter((review) => !searchTerm || [
+    titles.get(review.bookId) ?? '',
+    review.username,
+    review.comment,
+  ].some((text) => text.toLowerCase().includes(searchTerm)));
+
+  /**
+   * STEP 3: Moderate
+   */
+  const handleAction = (review, action) => {
+    const result = moderateReview(review.id, action, notes[review.id] ?? '');
+    showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) setNotes((prev) => ({ ...prev, [review.id]: '' }));
+  };
+
+  return (
+    <div className="space-y-6">
+
+      {/* Summary Cards */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <Flag size={32} />
+            <span className="text-3xl font-bold">{reported.length}</span>
+          </div>
+          <h3 className="text-sm font-semibold">Reported</h3>
+          <p className="text-xs text-gray-300 mt-1">Waiting for a decision</p>
+        </div>
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <EyeOff size={32} />
+            <span className="text-3xl font-bold">{hidden.length}</span>
+          </div>
+          <h3 className="text-sm font-semibold">Hidden</h3>
+          <p className="text-xs text-gray-300 mt-1">Not shown to patrons</p>
+        </div>
+        <div className="bg-black rounded-xl shadow-lg p-6 text-white">
+          <div className="flex items-center justify-between mb-2">
+            <MessageSquare size={32} />
+            <span className="text-3xl font-bold">{reviews.length}</span>
+          </div>
+          <h3 className="text-sm font-semibold">Reviews</h3>
+          <p className="text-xs text-gray-300 mt-1">All books</p>
+        </div>
+      </div>
+
+      {/* Review List */}
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+          <div className="flex space-x-1 overflow-x-auto">
+            {Object.entries(TABS).map(([value, label]) => (
+              <button
+                key={value}
+                onClick={() => setTab(value)}
+                className={`px-4 py-2 min-h-[44px] rounded-lg text-sm font-medium transition-all ${
+                  tab === value ? 'bg-black text-white' : 'text-gray-700 hover:bg-gray-100'
+                }`}
+              >
+                {label} ({lists[value].length})
+              </button>
+            ))}
+          </div>
+
+          {/* Search */}
+          <div className="relative w-full md:w-80">
+            <Search className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" size={18} />
+            <input
+              type="text"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search book, reviewer or text"
+              className="w-full pl-10 pr-4 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+            />
+          </div>
+        </div>
+
+        {visible.length === 0 ? (
+          <div className="text-center py-12">
+            <CheckCircle size={48} className="mx-auto text-gray-400 mb-4" />
+            <p className="text-gray-600">
+              {tab === 'reported' && !searchTerm ? 'No reported reviews - the queue is clear' : 'No reviews to show'}
+            </p>
+          </div>
+        ) : (
+          <div className="space-y-4">
+            {visible.map((review) => (
+              <div key={review.id} className="border border-gray-200 rounded-xl p-4">
+                <div className="flex flex-wrap items-start justify-between gap-2 mb-2">
+                  <div>
+                    <Link to={`/book/${review.bookId}`} className="font-semibold text-black hover:underline">
+                      {titles.get(review.bookId) ?? `Book #${review.bookId}`}
+                    </Link>
+                    <p className="text-sm text-gray-600">
+                      {review.username} · {formatDate(review.date)}
+                      {review.editedDate && ' (edited)'} · {review.helpful.length} helpful
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-2">
+                    <span className="flex items-center text-sm font-semibold">
+                      <Star size={14} className="fill-yellow-400 text-yellow-400 mr-1" />
+                      {review.rating}/5
+                    </span>
+                    <span className={`px-2 py-0.5 text-xs font-semibold rounded-full ${
+                      review.status === 'hidden' ? 'bg-gray-200 text-gray-800' : 'bg-black text-white'
+                    }`}>
+                      {review.status === 'hidden' ? 'Hidden' : 'Published'}
+                    </span>
+                  </div>
+                </div>
+
+                <p className="text-gray-700 whitespace-pre-line mb-3">{review.comment}</p>
+
+                {/* Reports */}
+                {review.reports.length > 0 && (
+                  <ul className="mb-3 space-y-1 text-sm">
+                    {review.reports.map((report) => (
+                      <li key={report.username} className="flex items-start text-red-700">
+                        <Flag size={14} className="mr-2 mt-0.5 flex-shrink-0" />
+                        <span>
+                          <strong>{report.username}</strong> ({formatDate(report.date)}): {report.reason}
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+
+                {/* Last decision */}
+                {review.moderation && (
+                  <p className="mb-3 text-xs text-gray-500">
+                    Last action: {review.moderation.action} by {review.moderation.by} on {formatDate(review.moderation.date)}
+                    {review.moderation.note && ` - "${review.moderation.note}"`}
+                  </p>
+                )}
+
+                {/* Actions */}
+                <div className="flex flex-col md:flex-row gap-2">
+                  <input
+                    type="text"
+                    value={notes[review.id] ?? ''}
+                    onChange={(e) => setNotes((prev) => ({ ...prev, [review.id]: e.target.value }))}
+                    placeholder="Note (shown to the reviewer when hidden)"
+                    aria-label="Moderation note"
+                    className="flex-1 px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl text-sm focus:outline-none focus:ring-2 focus:ring-black"
+                  />
+                  {review.status === 'published' ? (
+                    <button
+                      onClick={() => handleAction(review, 'hide')}
+                      className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl text-sm font-semibold hover:bg-gray-800"
+                    >
+                      <EyeOff size={16} />
+                      <span>Hide</span>
+                    </button>
+                  ) : (
+                    <button
+                      onClick={() => handleAction(review, 'restore')}
+                      className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl text-sm font-semibold hover:bg-gray-800"
+                    >
+                      <Eye size={16} />
+                      <span>Restore</span>
+                    </button>
+                  )}
+                  {review.reports.length > 0 && (
+                    <button
+                      onClick={() => handleAction(review, 'dismiss')}
+                      className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] bg-gray-200 text-gray-800 rounded-xl text-sm font-semibold hover:bg-gray-300"
+                    >
+                      <CheckCircle size={16} />
+                      <span>Dismiss Reports</span>
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminReviews;
+
+/**
+ * VIVA EXPLANATION SUMMARY:
+ *
+ * Q: How does a review get into the queue?
+ * A: Any signed-in patron can report someone else's review with a reason
+ *    (reportReview in BookContext). Reviews with open reports are listed
+ *    under "Reported", most-reported first.
+ *
+ * Q: What do the actions do?
+ * A: Hide: status → 'hidden'; the review disappears for patrons, stops
+ *    counting towards the book's rating, and the author gets a notification.
+ *    Restore: status → 'published'. Dismiss: the review stays up and its
+ *    reports are closed. The last decision is kept in review.moderation.
+ *
+ * Q: Why hide instead of delete?
+ * A: A mistaken decision can be undone, and staff can still see what was said.
+ */
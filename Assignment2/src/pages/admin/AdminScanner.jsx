@@ -0,0 +1,420 @@
+/**
+ * Admin Scanner Page - QR Check-in / Check-out at the Desk
+ *
+ * PURPOSE:
+ * Reads the pickup QR code from a patron's reservation confirmation and
+ * lets the librarian confirm the pickup, check the books back in or renew
+ * them with one click.
+ *
+ * FEATURES:
+ * 1. Camera scanning (getUserMedia + BarcodeDetector, or jsQR where the
+ *    browser has no BarcodeDetector)
+ * 2. Upload a photo/screenshot of the code
+ * 3. Paste the code text (what USB desk scanners type) or a reservation ID
+ * 4. Signature check: altered or forged codes are rejected (services/qr)
+ * 5. Per-book actions: Confirm Pickup, Check In, Renew
+ * 6. Loan slip (PDF) for the books the patron has picked up
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - useRef: holds the <video> element and the camera stream
+ * - Effect cleanup: the camera is switched off when scanning stops or the
+ *   page is left
+ * - Loans are looked up on every render from allUsersHistory, so the
+ *   buttons change as soon as an action is done
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Camera, CameraOff, Upload, Search, ShieldCheck, ShieldAlert, PackageCheck, CheckCircle, RefreshCw, User
+} from 'lucide-react';
+import { useBooks } from '../../context/BookContext';
+import { useToast } from '../../context/ToastContext';
+import { useAuth } from '../../context/AuthContext';
+import PdfActions from '../../components/PdfActions';
+import { buildLoanSlipPdf, toSlipItems } from '../../services/pdf';
+import { verifyQrPayload, findLoansForCode, detectQrCode } from '../../services/qr';
+
+/**
+ * Formats an ISO date for display (e.g. "Nov 21, 2025").
+ */
+const formatDate = (dateString) => {
+  if (!dateString) return 'N/A';
+  return new Date(dateString).toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric'
+  });
+};
+
+// How often camera frames are checked for a code
+const SCAN_INTERVAL = 400;
+
+function AdminScanner() {
+  const { allUsersHistory, confirmPickup, checkInReturn, renewAtDesk, catalog } = useBooks();
+  const { showToast } = useToast();
+  const { user } = useAuth();
+
+  /**
+   * STEP 1: Local State
+   *
+   * - input: Pasted code text or typed reservation ID
+   * - lookup: Last scan - { kind: 'code', data } | { kind: 'id', id } | { kind: 'rejected', reason }
+   * - cameraOn: Camera preview is running
+   * - busyKey: Loan with an action in progress (disables its buttons)
+   */
+  const [input, setInput] = useState('');
+  const [lookup, setLookup] = useState(null);
+  const [cameraOn, setCameraOn] = useState(false);
+  const [busyKey, setBusyKey] = useState(null);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+
+  const cameraSupported = Boolean(navigator.mediaDevices?.getUserMedia);
+
+  /**
+   * STEP 2: Read a Code
+   *
+   * Signed codes are verified; anything else is treated as a reservation ID.
+   */
+  const handleCode = useCallback(async (text) => {
+    const value = text.trim();
+    if (!value) return;
+
+    if (value.startsWith('BN1.') || value.startsWith('{')) {
+      const result = await verifyQrPayload(value);
+      setLookup(result.valid ? { kind: 'code', data: result.data } : { kind: 'rejected', reason: result.reason });
+      if (!result.valid) showToast('Code rejected', 'error');
+    } else {
+      setLookup({ kind: 'id', id: value });
+    }
+    setInput('');
+  }, [showToast]);
+
+  /**
+   * STEP 3: Camera
+   */
+  const stopCamera = () => {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setCameraOn(false);
+  };
+
+  const startCamera = async () => {
+    try {
+      streamRef.current = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      setCameraOn(true);
+    } catch (error) {
+      showToast(`Could not open the camera: ${error.message}`, 'error');
+    }
+  };
+
+  /**
+   * Effect: Look for a code in the camera preview until one is found
+   */
+  useEffect(() => {
+    if (!cameraOn) return;
+
+    const video = videoRef.current;
+    video.srcObject = streamRef.current;
+    video.play().catch(() => {});
+
+    let detecting = false;
+    const timer = setInterval(async () => {
+      if (detecting || video.readyState < 2) return;
+      detecting = true;
+      try {
+        const text = await detectQrCode(video);
+        if (text && streamRef.current) {
+          stopCamera();
+          handleCode(text);
+        }
+      } catch {
+        // A frame that can't be decoded (e.g. the video is still starting) - try the next one
+      } finally {
+        detecting = false;
+      }
+    }, SCAN_INTERVAL);
+
+    return () => clearInterval(timer);
+  }, [cameraOn, handleCode]);
+
+  /**
+   * Effect: Switch the camera off when leaving the page
+   */
+  useEffect(() => () => {
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+  }, []);
+
+  /**
+   * STEP 4: Uploaded Image
+   */
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const text = await detectQrCode(await createImageBitmap(file));
+      if (text) {
+        handleCode(text);
+      } else {
+        showToast('No QR code found in that image', 'warning');
+      }
+    } catch {
+      showToast('That file could not be read as an image', 'error');
+    }
+  };
+
+  /**
+   * STEP 5: Loans for the Last Scan
+   *
+   * A signed code only matches loans of the patron it was issued to.
+   */
+  let loans = [];
+  if (lookup?.kind === 'code') {
+    loans = findLoansForCode(allUsersHistory, { reservationIds: lookup.data.reservationIds ?? [] })
+      .filter((loan) => !lookup.data.username || loan.username === lookup.data.username);
+  } else if (lookup?.kind === 'id') {
+    loans = findLoansForCode(allUsersHistory, { id: lookup.id });
+  }
+
+  // Books out on loan now - what the loan slip lists
+  const slipLoans = loans.filter((loan) => loan.status === 'borrowed' && loan.pickedUp);
+
+  /**
+   * STEP 6: Desk Actions
+   */
+  const runAction = async (loan, action) => {
+    const key = `${loan.username}:${loan.reservationId}`;
+    setBusyKey(key);
+    const result = await action(loan.username, loan.reservationId);
+    setBusyKey(null);
+    showToast(`${loan.book.title}: ${result.message}`, result.success ? 'success' : 'error');
+  };
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+
+      {/* Scan Panel */}
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200 space-y-5">
+        <h2 className="text-xl font-bold text-black">Scan a Pickup Code</h2>
+
+        {/* Camera */}
+        <div>
+          {cameraOn ? (
+            <div className="space-y-3">
+              <video ref={videoRef} muted playsInline className="w-full rounded-xl bg-black aspect-video object-cover" />
+              <button
+                onClick={stopCamera}
+                className="flex items-center justify-center space-x-2 w-full px-4 py-2 min-h-[44px] bg-gray-200 text-gray-800 rounded-xl font-semibold hover:bg-gray-300"
+              >
+                <CameraOff size={18} />
+                <span>Stop Camera</span>
+              </button>
+            </div>
+          ) : (
+            <div className="flex flex-col sm:flex-row gap-2">
+              <button
+                onClick={startCamera}
+                disabled={!cameraSupported}
+                className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl font-semibold hover:bg-gray-800 disabled:opacity-40 disabled:cursor-not-allowed"
+              >
+                <Camera size={18} />
+                <span>Scan with Camera</span>
+              </button>
+              <label className="flex-1 flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] border-2 border-black rounded-xl font-semibold cursor-pointer hover:bg-gray-100">
+                <Upload size={18} />
+                <span>Upload Image</span>
+                <input
+                  type="file"
+                  accept="image/*"
+                  onChange={handleUpload}
+                  className="sr-only"
+                />
+              </label>
+            </div>
+          )}
+          {!cameraSupported && (
+            <p className="text-xs text-gray-500 mt-2">
+              This browser can't use a camera here (it needs HTTPS). Upload a photo of the code, use a desk scanner or paste the code below.
+            </p>
+          )}
+        </div>
+
+        {/* Paste / type */}
+        <form
+          onSubmit={(e) => {
+            e.preventDefault();
+            handleCode(input);
+          }}
+          className="flex gap-2"
+        >
+          <input
+            type="text"
+            value={input}
+            onChange={(e) => setInput(e.target.value)}
+            placeholder="Paste the code or type a reservation ID"
+            aria-label="Code or reservation ID"
+            className="flex-1 min-w-0 px-4 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm"
+          />
+          <button
+            type="submit"
+            className="flex items-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl font-semibold hover:bg-gray-800"
+          >
+            <Search size={18} />
+            <span>Look Up</span>
+          </button>
+        </form>
+      </div>
+
+      {/* Result Panel */}
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+        {!lookup && (
+          <div className="text-center py-12 text-gray-500">
+            <PackageCheck size={48} className="mx-auto mb-4 text-gray-400" />
+            <p>Scan a patron's pickup code to see their books</p>
+          </div>
+        )}
+
+        {lookup?.kind === 'rejected' && (
+          <div className="flex items-start space-x-3 p-4 bg-red-50 border border-red-200 rounded-xl text-red-800">
+            <ShieldAlert size={24} className="flex-shrink-0" />
+            <div>
+              <p className="font-semibold">Code rejected</p>
+              <p className="text-sm">{lookup.reason}</p>
+            </div>
+          </div>
+        )}
+
+        {(lookup?.kind === 'code' || lookup?.kind === 'id') && (
+          <div className="space-y-4">
+            {/* Who / how it was found */}
+            {lookup.kind === 'code' ? (
+              <div className="flex items-start space-x-3 p-4 bg-gray-50 border border-gray-200 rounded-xl">
+                <ShieldCheck size={24} className="flex-shrink-0" />
+                <div className="text-sm">
+                  <p className="font-semibold text-black">Signed code verified - {lookup.data.reservationId}</p>
+                  <p className="text-gray-600">
+                    {lookup.data.name || lookup.data.username}
+                    {lookup.data.membershipId && ` · Member ${lookup.data.membershipId}`}
+                    {' · '}Pickup {formatDate(lookup.data.pickupDate)}
+                  </p>
+                </div>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-600">
+                Reservation ID <strong>{lookup.id}</strong> (typed in - check the patron's library card)
+              </p>
+            )}
+
+            {loans.length === 0 ? (
+              <p className="text-gray-600">No loans found for this {lookup.kind === 'code' ? 'code' : 'ID'}.</p>
+            ) : (
+              <ul className="space-y-3">
+                {loans.map((loan) => {
+                  const key = `${loan.username}:${loan.reservationId}`;
+                  const busy = busyKey === key;
+                  const active = loan.status === 'borrowed';
+
+                  return (
+                    <li key={key} className="p-4 border border-gray-200 rounded-xl">
+                      <div className="flex items-start justify-between gap-3 mb-3">
+                        <div>
+                          <Link to={`/book/${loan.book.id}`} className="font-semibold text-black hover:underline">
+                            {loan.book.title}
+                          </Link>
+                          <p className="text-xs text-gray-600 flex items-center mt-0.5">
+                            <User size={12} className="mr-1" />
+                            {loan.username} · {loan.reservationId}
+                          </p>
+                        </div>
+                        <span className="px-2 py-0.5 text-xs font-semibold rounded-full bg-gray-100 text-gray-800 whitespace-nowrap">
+                          {!active ? loan.status : loan.pickedUp ? `Due ${formatDate(loan.dueDate)}` : 'Awaiting pickup'}
+                        </span>
+                      </div>
+
+                      {active && (
+                        <div className="flex flex-wrap gap-2">
+                          {!loan.pickedUp ? (
+                            <button
+                              onClick={() => runAction(loan, confirmPickup)}
+                              disabled={busy}
+                              className="flex items-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl text-sm font-semibold hover:bg-gray-800 disabled:opacity-50"
+                            >
+                              <PackageCheck size={16} />
+                              <span>Confirm Pickup</span>
+                            </button>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() => runAction(loan, checkInReturn)}
+                                disabled={busy}
+                                className="flex items-center space-x-2 px-4 py-2 min-h-[44px] bg-black text-white rounded-xl text-sm font-semibold hover:bg-gray-800 disabled:opacity-50"
+                              >
+                                <CheckCircle size={16} />
+                                <span>Check In</span>
+                              </button>
+                              <button
+                                onClick={() => runAction(loan, renewAtDesk)}
+                                disabled={busy}
+                                className="flex items-center space-x-2 px-4 py-2 min-h-[44px] border-2 border-black rounded-xl text-sm font-semibold hover:bg-gray-100 disabled:opacity-50"
+                              >
+                                <RefreshCw size={16} />
+                                <span>Renew</span>
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {slipLoans.length > 0 && (
+              <div className="flex flex-wrap gap-2 pt-2">
+                <PdfActions
+                  label="Loan Slip"
+                  filename={`loan-slip-${lookup.kind === 'code' ? lookup.data.reservationId : lookup.id}.pdf`}
+                  createPdf={() => buildLoanSlipPdf({
+                    kind: 'loan',
+                    patron: lookup.kind === 'code'
+                      ? { name: lookup.data.name, username: lookup.data.username, membershipId: lookup.data.membershipId }
+                      : { username: slipLoans[0].username },
+                    items: toSlipItems(slipLoans, catalog),
+                    issuedBy: user.username,
+                    now: Date.now()
+                  })}
+                />
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default AdminScanner;
+
+/**
+ * VIVA EXPLANATION SUMMARY:
+ *
+ * Q: How is a QR code read?
+ * A: The browser's BarcodeDetector finds QR codes in a video frame (camera,
+ *    checked every 400 ms) or an uploaded image. Where it isn't available,
+ *    the code text can be pasted - hand-held desk scanners type it in.
+ *
+ * Q: Why sign the code?
+ * A: The code contains the reservation IDs. Without a signature anyone could
+ *    make a code with somebody else's IDs. The HMAC-SHA-256 signature only
+ *    matches if the content is exactly what BookNest issued.
+ *
+ * Q: What does each button do?
+ * A: Confirm Pickup / Check In call the same BookContext functions as the
+ *    Loans tab. Renew uses renewAtDesk(), which applies the patron's own
+ *    borrowing policy (renewals left, no one waiting without a copy).
+ */
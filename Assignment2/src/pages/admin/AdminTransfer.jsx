@@ -0,0 +1,333 @@
+/**
+ * Admin Import / Export Page
+ *
+ * PURPOSE:
+ * Bulk catalog changes without hand-editing books.json, and report files
+ * of the catalog and of loans.
+ *
+ * FEATURES:
+ * 1. Import a CSV, JSON or MARC-like (.mrk) file of books
+ * 2. Map file columns to book fields (guessed from the header names)
+ * 3. ISBN checksum validation and duplicate detection by ISBN
+ * 4. Preview of every row (add / update / skip / error) before saving
+ * 5. Atomic apply - all valid rows are saved in one write, or nothing is
+ * 6. Export the full catalog or all loans as CSV, JSON or MARC-like text
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - FileReader API: file.text() reads the chosen file in the browser
+ * - Derived preview: recalculated on each render from file + mapping
+ * - Services: parsing/validation live in services/catalog, not the page
+ */
+
+import { useState } from 'react';
+import { Upload, Download, FileText, AlertCircle, CheckCircle, RotateCcw } from 'lucide-react';
+import { useBooks } from '../../context/BookContext';
+import { useToast } from '../../context/ToastContext';
+import { FORMATS, detectFormat } from '../../services/catalog/formats';
+import {
+  BOOK_FIELDS,
+  parseBookFile,
+  guessMapping,
+  buildImportPreview,
+  summarizePreview,
+} from '../../services/catalog/importer';
+import { exportCatalog, exportLoans, downloadFile } from '../../services/catalog/exporter';
+
+/**
+ * Badge styles per preview action
+ */
+const ACTION_STYLES = {
+  add: 'bg-black text-white',
+  update: 'bg-gray-200 text-black',
+  skip: 'bg-gray-100 text-gray-500',
+  error: 'bg-white text-black border border-black',
+};
+
+function AdminTransfer() {
+  const { catalog, allUsersHistory, importBooks } = useBooks();
+  const { showToast } = useToast();
+
+  /**
+   * STEP 1: Import State
+   *
+   * - file: { name, columns, rows } once a file has been read
+   * - mapping: { bookField: fileColumn }
+   * - duplicatePolicy: 'skip' or 'update' books whose ISBN already exists
+   * - skipErrors: allow applying when some rows are invalid
+   * - inputKey: changed to clear the file input after an import
+   */
+  const [file, setFile] = useState(null);
+  const [mapping, setMapping] = useState({});
+  const [duplicatePolicy, setDuplicatePolicy] = useState('skip');
+  const [skipErrors, setSkipErrors] = useState(false);
+  const [inputKey, setInputKey] = useState(0);
+
+  const preview = file ? buildImportPreview(file.rows, mapping, catalog, { duplicatePolicy }) : [];
+  const summary = summarizePreview(preview);
+  const missingRequired = BOOK_FIELDS.filter((field) => field.required && !mapping[field.key]);
+  const canApply =
+    file &&
+    missingRequired.length === 0 &&
+    summary.add + summary.update > 0 &&
+    (summary.error === 0 || skipErrors);
+
+  /**
+   * STEP 2: Read the Chosen File
+   */
+  const handleFileChange = async (e) => {
+    const chosen = e.target.files[0];
+    if (!chosen) return;
+
+    const format = detectFormat(chosen.name);
+    try {
+      const { columns, rows } = parseBookFile(await chosen.text(), format);
+      if (rows.length === 0) {
+        showToast('The file has no book records', 'error');
+        return;
+      }
+      setFile({ name: chosen.name, format, columns, rows });
+      setMapping(guessMapping(columns));
+      setSkipErrors(false);
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  const handleReset = () => {
+    setFile(null);
+    setMapping({});
+    setInputKey((key) => key + 1);
+  };
+
+  /**
+   * STEP 3: Apply the Import
+   */
+  const handleApply = () => {
+    const result = importBooks(preview);
+    showToast(result.message, result.success ? 'success' : 'error');
+    if (result.success) handleReset();
+  };
+
+  /**
+   * STEP 4: Exports
+   */
+  const handleExport = (type, format) => {
+    const content = type === 'catalog'
+      ? exportCatalog(catalog, format)
+      : exportLoans(allUsersHistory, format);
+    downloadFile(`booknest-${type}`, format, content);
+  };
+
+  const selectClass =
+    'w-full px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm bg-white';
+
+  return (
+    <div className="space-y-6">
+      {/* Import */}
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+        <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-4 mb-6">
+          <h2 className="text-xl font-semibold text-black flex items-center">
+            <Upload size={24} className="mr-2" />
+            Import Books
+          </h2>
+          {file && (
+            <button
+              onClick={handleReset}
+              className="flex items-center justify-center space-x-2 px-4 py-2 min-h-[44px] border border-gray-200 rounded-xl hover:bg-gray-100 transition-colors text-sm font-semibold"
+            >
+              <RotateCcw size={16} />
+              <span>Start Over</span>
+            </button>
+          )}
+        </div>
+
+        <label className="block text-sm font-medium text-gray-700 mb-2" htmlFor="import-file">
+          Choose a .csv, .json or .mrk (MARC-like) file
+        </label>
+        <input
+          key={inputKey}
+          id="import-file"
+          type="file"
+          accept=".csv,.json,.mrk,.marc,.txt"
+          onChange={handleFileChange}
+          className="block w-full text-sm text-gray-700 file:mr-4 file:px-4 file:py-2 file:min-h-[44px] file:rounded-xl file:border-0 file:bg-black file:text-white file:font-semibold hover:file:bg-gray-800"
+        />
+
+        {file && (
+          <>
+            {/* Column Mapping */}
+            <h3 className="text-lg font-semibold text-black mt-8 mb-1">Column Mapping</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              {file.name} ({FORMATS[file.format].label}, {file.rows.length} records)
+            </p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
+              {BOOK_FIELDS.map((field) => (
+                <div key={field.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-1" htmlFor={`map-${field.key}`}>
+                    {field.label}{field.required && ' *'}
+                  </label>
+                  <select
+                    id={`map-${field.key}`}
+                    value={mapping[field.key] ?? ''}
+                    onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                    className={selectClass}
+                  >
+                    <option value="">(not imported)</option>
+                    {file.columns.map((column) => (
+                      <option key={column} value={column}>{column}</option>
+                    ))}
+                  </select>
+                </div>
+              ))}
+            </div>
+
+            {missingRequired.length > 0 && (
+              <p className="mt-4 text-sm text-black flex items-center">
+                <AlertCircle size={16} className="mr-2 flex-shrink-0" />
+                Choose a column for: {missingRequired.map((field) => field.label).join(', ')}
+              </p>
+            )}
+
+            {/* Options */}
+            <div className="flex flex-col sm:flex-row sm:items-center gap-4 mt-6">
+              <label className="text-sm text-gray-700 flex items-center gap-2">
+                <span>Books already in the catalog:</span>
+                <select
+                  value={duplicatePolicy}
+                  onChange={(e) => setDuplicatePolicy(e.target.value)}
+                  className="px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black text-sm bg-white"
+                >
+                  <option value="skip">Skip</option>
+                  <option value="update">Update details</option>
+                </select>
+              </label>
+              <label className="inline-flex items-center space-x-2 text-sm text-gray-700 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={skipErrors}
+                  onChange={(e) => setSkipErrors(e.target.checked)}
+                  className="w-4 h-4 accent-black"
+                />
+                <span>Leave out rows with errors</span>
+              </label>
+            </div>
+
+            {/* Preview */}
+            {missingRequired.length === 0 && (
+              <>
+                <h3 className="text-lg font-semibold text-black mt-8 mb-2">Preview</h3>
+                <p className="text-sm text-gray-600 mb-4">
+                  {summary.add} to add · {summary.update} to update · {summary.skip} skipped · {summary.error} with errors
+                </p>
+
+                <div className="overflow-x-auto max-h-[28rem] overflow-y-auto border border-gray-200 rounded-xl">
+                  <table className="w-full text-sm">
+                    <thead className="sticky top-0 bg-white">
+                      <tr className="text-left text-gray-500 border-b border-gray-200">
+                        <th className="py-3 px-4 font-semibold">Row</th>
+                        <th className="py-3 pr-4 font-semibold">Action</th>
+                        <th className="py-3 pr-4 font-semibold">Title</th>
+                        <th className="py-3 pr-4 font-semibold">ISBN</th>
+                        <th className="py-3 pr-4 font-semibold">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.map((row) => (
+                        <tr key={row.rowNumber} className="border-b border-gray-100 last:border-0 align-top">
+                          <td className="py-3 px-4 text-gray-500">{row.rowNumber}</td>
+                          <td className="py-3 pr-4">
+                            <span className={`px-2 py-1 rounded-full text-xs font-semibold uppercase ${ACTION_STYLES[row.action]}`}>
+                              {row.action}
+                            </span>
+                          </td>
+                          <td className="py-3 pr-4 text-black">{row.fields.title || '—'}</td>
+                          <td className="py-3 pr-4 font-mono text-xs">{row.fields.isbn || '—'}</td>
+                          <td className="py-3 pr-4 text-gray-600">
+                            {row.action === 'error' && Object.values(row.errors).join('; ')}
+                            {row.action === 'update' && `Changes: ${row.changes.join(', ')}`}
+                            {row.action === 'skip' && `Already in catalog (book #${row.existingId})`}
+                            {row.action === 'add' && `${row.fields.copies} ${Number(row.fields.copies) === 1 ? 'copy' : 'copies'}`}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <button
+                  onClick={handleApply}
+                  disabled={!canApply}
+                  className="mt-6 flex items-center justify-center space-x-2 px-6 py-3 min-h-[44px] bg-black text-white rounded-xl hover:bg-gray-800 transition-colors font-semibold disabled:bg-gray-300 disabled:cursor-not-allowed"
+                >
+                  <CheckCircle size={18} />
+                  <span>Import {summary.add + summary.update} {summary.add + summary.update === 1 ? 'Book' : 'Books'}</span>
+                </button>
+                {summary.error > 0 && !skipErrors && (
+                  <p className="mt-2 text-sm text-gray-600">
+                    Fix the rows with errors, or tick "Leave out rows with errors" to import the rest.
+                  </p>
+                )}
+              </>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Export */}
+      <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+        <h2 className="text-xl font-semibold text-black flex items-center mb-6">
+          <Download size={24} className="mr-2" />
+          Export
+        </h2>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          {[
+            { type: 'catalog', label: 'Full Catalog', detail: `${catalog.length} books, including retired` },
+            { type: 'loans', label: 'Loans', detail: `${allUsersHistory.length} loan records, all users` },
+          ].map((item) => (
+            <div key={item.type} className="border border-gray-200 rounded-xl p-4">
+              <p className="font-semibold text-black flex items-center">
+                <FileText size={18} className="mr-2" />
+                {item.label}
+              </p>
+              <p className="text-sm text-gray-600 mb-4">{item.detail}</p>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(FORMATS).map(([format, { label }]) => (
+                  <button
+                    key={format}
+                    onClick={() => handleExport(item.type, format)}
+                    className="px-4 py-2 min-h-[44px] border border-gray-200 rounded-xl hover:bg-gray-100 transition-colors text-sm font-medium"
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default AdminTransfer;
+
+/**
+ * VIVA EXPLANATION SUMMARY:
+ *
+ * Q: How is an import made atomic?
+ * A: The preview is only a calculation - nothing is saved while the
+ *    librarian maps columns. importBooks() re-checks every row and then
+ *    saves all new and changed books in ONE catalog update, so a failure
+ *    leaves the catalog exactly as it was.
+ *
+ * Q: How are duplicates found?
+ * A: ISBNs are converted to ISBN-13 digits before comparing, so hyphens and
+ *    ISBN-10 vs ISBN-13 forms don't hide a duplicate. The same ISBN twice
+ *    in one file is reported as an error on the second row.
+ *
+ * Q: Why the MARC-like format?
+ * A: Library systems exchange records as MARC. The mnemonic text form
+ *    (=245  $aTitle) is readable and easy to parse, so it is used here
+ *    with the standard tags for ISBN, author, title, publisher and subject.
+ */
@@ -0,0 +1,112 @@
+/**
+ * Admin Users Page - Role Management
+ *
+ * PURPOSE:
+ * Lets admins see every registered account and assign roles
+ * (patron, librarian, admin). The route is admin-only (see App.jsx).
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - useEffect: Loads accounts from the (async) storage layer
+ * - Controlled <select>: Role value comes from the loaded account
+ * - Guard rails: Admins can't change their own role, and the last admin
+ *   can't be demoted (enforced in services/auth/accounts)
+ */
+
+import { useState, useEffect } from 'react';
+import { Users } from 'lucide-react';
+import { useAuth } from '../../context/AuthContext';
+import { useToast } from '../../context/ToastContext';
+import { ROLES } from '../../services/auth/accounts';
+
+function AdminUsers() {
+  const { user, getAccounts, updateRole } = useAuth();
+  const { showToast } = useToast();
+
+  /**
+   * STEP 1: Accounts State
+   *
+   * - accounts: Public account list (no password hashes)
+   * - revision: Bumped after a role change to reload the list
+   */
+  const [accounts, setAccounts] = useState([]);
+  const [revision, setRevision] = useState(0);
+
+  /**
+   * STEP 2: Load Accounts
+   */
+  useEffect(() => {
+    let cancelled = false;
+    getAccounts().then((list) => {
+      if (!cancelled) setAccounts(list);
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [getAccounts, revision]);
+
+  /**
+   * STEP 3: Change a Role
+   *
+   * @param {string} username - Account to update
+   * @param {string} role - New role
+   */
+  const handleRoleChange = async (username, role) => {
+    const result = await updateRole(username, role);
+    showToast(result.message, result.success ? 'success' : 'error');
+    setRevision((r) => r + 1);
+  };
+
+  return (
+    <div className="bg-white rounded-xl shadow-md p-6 border border-gray-200">
+      <h2 className="text-xl font-semibold text-black flex items-center mb-6">
+        <Users size={24} className="mr-2" />
+        Registered Users
+      </h2>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b border-gray-200">
+              <th className="py-3 pr-4 font-semibold">Username</th>
+              <th className="py-3 pr-4 font-semibold">Registered</th>
+              <th className="py-3 font-semibold">Role</th>
+            </tr>
+          </thead>
+          <tbody>
+            {accounts.map((account) => {
+              const isSelf = account.username.toLowerCase() === user.username.toLowerCase();
+
+              return (
+                <tr key={account.id} className="border-b border-gray-100 last:border-0">
+                  <td className="py-3 pr-4 font-medium text-black">
+                    {account.username}
+                    {isSelf && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+                  </td>
+                  <td className="py-3 pr-4 text-gray-600">
+                    {new Date(account.createdAt).toLocaleDateString()}
+                  </td>
+                  <td className="py-3">
+                    <select
+                      value={account.role}
+                      disabled={isSelf}
+                      onChange={(e) => handleRoleChange(account.username, e.target.value)}
+                      aria-label={`Role for ${account.username}`}
+                      className="px-3 py-2 min-h-[44px] border border-gray-200 rounded-xl focus:outline-none focus:ring-2 focus:ring-black capitalize disabled:bg-gray-100 disabled:text-gray-500"
+                    >
+                      {ROLES.map((role) => (
+                        <option key={role} value={role}>{role}</option>
+                      ))}
+                    </select>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default AdminUsers;
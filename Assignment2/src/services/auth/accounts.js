@@ -0,0 +1,239 @@
+/**
+ * Registered Accounts
+ *
+ * PURPOSE:
+ * Keeps the list of registered users in the storage layer under
+ * 'booknest-accounts'. Each account holds a PBKDF2 credential, never the
+ * password itself.
+ *
+ * FORMAT:
+ * {
+ *   "alice": { username: "Alice", id, createdAt, credential: { salt, hash, iterations } },
+ *   ...
+ * }
+ * Keys are lower-cased so "Alice" and "alice" count as the same username.
+ * The display spelling chosen at registration is kept in `username`, and it
+ * is also what scopes the user's cart and history keys.
+ *
+ * ROLES:
+ * - patron: borrows books (default for new accounts)
+ * - librarian: also manages every user's loans in the /admin console
+ * - admin: also assigns roles to other accounts
+ * The first account registered in a browser becomes the admin, so a fresh
+ * install always has someone who can promote librarians. Accounts created
+ * before roles existed are treated as patrons, except that the oldest one
+ * is made admin if no admin exists yet.
+ */
+
+import storage from '../storage';
+import { hashPassword, verifyPassword } from './passwords';
+
+export const ACCOUNTS_KEY = 'booknest-accounts';
+
+export const MIN_PASSWORD_LENGTH = 8;
+
+export const ROLES = ['patron', 'librarian', 'admin'];
+
+export const DEFAULT_ROLE = 'patron';
+
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+
+/**
+ * Lower-cased lookup key for a username.
+ */
+const normalize = (username) => username.trim().toLowerCase();
+
+/**
+ * Makes sure at least one account is an admin (oldest account wins).
+ * Only needed for accounts saved before roles existed.
+ */
+function ensureAdmin(accounts) {
+  const entries = Object.entries(accounts);
+  if (entries.length === 0 || entries.some(([, account]) => account.role === 'admin')) {
+    return accounts;
+  }
+
+  const [oldestKey] = entries.reduce((oldest, entry) =>
+    new Date(entry[1].createdAt) < new Date(oldest[1].createdAt) ? entry : oldest
+  );
+  return { ...accounts, [oldestKey]: { ...accounts[oldestKey], role: 'admin' } };
+}
+
+/**
+ * Reads the full accounts map.
+ */
+async function readAccounts() {
+  const accounts = await storage.get(ACCOUNTS_KEY);
+  return ensureAdmin(accounts && typeof accounts === 'object' ? accounts : {});
+}
+
+/**
+ * Validates a username for registration.
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateUsername(username) {
+  if (!username || !username.trim()) return 'Username is required';
+  if (!USERNAME_PATTERN.test(username.trim())) {
+    return 'Username must be 3-30 characters: letters, numbers, dot, dash or underscore';
+  }
+  return null;
+}
+
+/**
+ * Validates a new password.
+ *
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validatePassword(password) {
+  if (!password) return 'Password is required';
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Creates a new account.
+ *
+ * @param {string} username - Desired username
+ * @param {string} password - Plain-text password (hashed before saving)
+ * @returns {Promise<Object>} The public account ({ username, id, role, createdAt })
+ * @throws {Error} If the username is invalid or already taken
+ */
+export async function createAccount(username, password) {
+  const usernameError = validateUsername(username);
+  if (usernameError) throw new Error(usernameError);
+
+  const passwordError = validatePassword(password);
+  if (passwordError) throw new Error(passwordError);
+
+  const accounts = await readAccounts();
+  const key = normalize(username);
+
+  if (accounts[key]) {
+    throw new Error('That username is already taken');
+  }
+
+  const account = {
+    username: username.trim(),
+    id: crypto.randomUUID(),
+    role: Object.keys(accounts).length === 0 ? 'admin' : DEFAULT_ROLE,
+    createdAt: new Date().toISOString(),
+    credential: await hashPassword(password),
+  };
+
+  await storage.set(ACCOUNTS_KEY, { ...accounts, [key]: account });
+
+  return toPublicAccount(account);
+}
+
+/**
+ * Checks a username/password pair.
+ *
+ * @returns {Promise<Object|null>} The public account, or null if the
+ *   username is unknown or the password is wrong (same result for both,
+ *   so the login form cannot be used to discover usernames)
+ */
+export async function authenticate(username, password) {
+  if (!username || !password) return null;
+
+  const accounts = await readAccounts();
+  const account = accounts[normalize(username)];
+  if (!account) return null;
+
+  const valid = await verifyPassword(password, account.credential);
+  return valid ? toPublicAccount(account) : null;
+}
+
+/**
+ * Looks up a registered account without checking a password.
+ * Used to make sure a saved session still belongs to a real account.
+ *
+ * @returns {Promise<Object|null>} The public account, or null
+ */
+export async function findAccount(username) {
+  if (!username) return null;
+  const accounts = await readAccounts();
+  const account = accounts[normalize(username)];
+  return account ? toPublicAccount(account) : null;
+}
+
+/**
+ * Replaces an account's password after checking the current one.
+ *
+ * @throws {Error} If the current password is wrong or the new one is invalid
+ */
+export async function changePassword(username, currentPassword, newPassword) {
+  const passwordError = validatePassword(newPassword);
+  if (passwordError) throw new Error(passwordError);
+
+  const account = await authenticate(username, currentPassword);
+  if (!account) {
+    throw new Error('Current password is incorrect');
+  }
+
+  // Re-read after the (slow) hash check so we update the latest copy
+  const accounts = await readAccounts();
+  const key = normalize(username);
+
+  await storage.set(ACCOUNTS_KEY, {
+    ...accounts,
+    [key]: {
+      ...accounts[key],
+      credential: await hashPassword(newPassword),
+      passwordChangedAt: new Date().toISOString(),
+    },
+  });
+}
+
+/**
+ * Lists every registered account (without credentials), oldest first.
+ *
+ * @returns {Promise<Array>} Public accounts
+ */
+export async function listAccounts() {
+  const accounts = await readAccounts();
+  return Object.values(accounts)
+    .map(toPublicAccount)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Assigns a role to an account.
+ *
+ * @param {string} username - Account to update
+ * @param {string} role - One of ROLES
+ * @returns {Promise<Object>} The updated public account
+ * @throws {Error} If the role or account is unknown, or the last admin would be demoted
+ */
+export async function setAccountRole(username, role) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+
+  const accounts = await readAccounts();
+  const key = normalize(username);
+  const account = accounts[key];
+  if (!account) {
+    throw new Error('Account not found');
+  }
+
+  // Never leave the library without an admin
+  const admins = Object.values(accounts).filter((a) => a.role === 'admin');
+  if (account.role === 'admin' && role !== 'admin' && admins.length === 1) {
+    throw new Error('At least one admin account is required');
+  }
+
+  const updated = { ...account, role };
+  await storage.set(ACCOUNTS_KEY, { ...accounts, [key]: updated });
+
+  return toPublicAccount(updated);
+}
+
+/**
+ * Strips the credential before an account leaves this module.
+ */
+function toPublicAccount({ username, id, role, createdAt }) {
+  return { username, id, role: role ?? DEFAULT_ROLE, createdAt };
+}
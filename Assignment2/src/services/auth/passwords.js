@@ -0,0 +1,87 @@
+/**
+ * Password Hashing (Web Crypto PBKDF2)
+ *
+ * PURPOSE:
+ * Passwords are never stored. Instead we store a salted PBKDF2-SHA-256
+ * hash and compare hashes at login time.
+ *
+ * HOW IT WORKS:
+ * 1. Generate a random 16-byte salt per account
+ * 2. Derive 256 bits from (password, salt) with 210,000 PBKDF2 iterations
+ * 3. Store { salt, hash, iterations } as base64 strings
+ * The iteration count is stored per account so it can be raised later
+ * without breaking existing passwords.
+ */
+
+const ITERATIONS = 210000;
+const SALT_BYTES = 16;
+const KEY_BITS = 256;
+
+/**
+ * Converts bytes to base64 (and back) for storage.
+ */
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * Derives a PBKDF2 hash for a password.
+ *
+ * @param {string} password - Plain-text password
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<string>} Base64 hash
+ */
+async function derive(password, salt, iterations) {
+  const keyMaterial = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(password),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    keyMaterial,
+    KEY_BITS
+  );
+
+  return toBase64(bits);
+}
+
+/**
+ * Hashes a new password with a fresh random salt.
+ *
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object>} { salt, hash, iterations } safe to store
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(SALT_BYTES));
+  const hash = await derive(password, salt, ITERATIONS);
+
+  return {
+    salt: toBase64(salt),
+    hash,
+    iterations: ITERATIONS,
+  };
+}
+
+/**
+ * Checks a password against a stored credential.
+ * Compares every character so timing does not reveal how much matched.
+ *
+ * @param {string} password - Password entered by the user
+ * @param {Object} credential - { salt, hash, iterations } from hashPassword
+ * @returns {Promise<boolean>} true if the password is correct
+ */
+export async function verifyPassword(password, credential) {
+  const candidate = await derive(password, fromBase64(credential.salt), credential.iterations);
+
+  if (candidate.length !== credential.hash.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < candidate.length; i++) {
+    difference |= candidate.charCodeAt(i) ^ credential.hash.charCodeAt(i);
+  }
+  return difference === 0;
+}
@@ -0,0 +1,73 @@
+/**
+ * Session Timing
+ *
+ * PURPOSE:
+ * Settings and helpers for how long a login lasts.
+ *
+ * - Session lifetime: a session ends this long after login, active or not
+ * - Idle timeout: a session ends after this long without any user activity
+ *   (mouse, keyboard, touch, scroll) in ANY open tab
+ * - Idle warning: a warning toast is shown this long before the idle logout
+ *
+ * CONFIGURATION (.env.local):
+ *   VITE_SESSION_LIFETIME_MINUTES=480   (default 8 hours)
+ *   VITE_IDLE_TIMEOUT_MINUTES=30        (default 30 minutes)
+ *
+ * The time of the last activity is shared between tabs through the storage
+ * layer under 'booknest-last-activity', so reading in one tab keeps the
+ * others signed in.
+ */
+
+export const ACTIVITY_KEY = 'booknest-last-activity';
+
+/**
+ * Reads a minutes setting from the environment.
+ *
+ * @param {string|undefined} value - Raw env value
+ * @param {number} fallback - Default in minutes
+ * @returns {number} Milliseconds
+ */
+const minutesFromEnv = (value, fallback) => {
+  const minutes = Number(value);
+  return (Number.isFinite(minutes) && minutes > 0 ? minutes : fallback) * 60 * 1000;
+};
+
+export const SESSION_LIFETIME_MS = minutesFromEnv(import.meta.env.VITE_SESSION_LIFETIME_MINUTES, 8 * 60);
+
+export const IDLE_TIMEOUT_MS = minutesFromEnv(import.meta.env.VITE_IDLE_TIMEOUT_MINUTES, 30);
+
+// One minute of warning, or half the timeout when it is very short
+export const IDLE_WARNING_MS = Math.min(60 * 1000, IDLE_TIMEOUT_MS / 2);
+
+// Activity is saved for other tabs at most this often
+export const ACTIVITY_SAVE_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Works out when a session expires.
+ * Sessions saved before expiry existed use their login time instead.
+ *
+ * @param {Object} session - { loginTime, expiresAt }
+ * @returns {number} Expiry timestamp (0 if it cannot be worked out)
+ */
+export function getSessionExpiry(session) {
+  if (session.expiresAt) {
+    return new Date(session.expiresAt).getTime() || 0;
+  }
+  const loginTime = new Date(session.loginTime).getTime();
+  return Number.isNaN(loginTime) ? 0 : loginTime + SESSION_LIFETIME_MS;
+}
+
+/**
+ * Formats a duration for messages, e.g. "30 minutes" or "1 minute".
+ *
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string} Human-readable minutes (or seconds under a minute)
+ */
+export function formatDuration(ms) {
+  if (ms < 60 * 1000) {
+    const seconds = Math.round(ms / 1000);
+    return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  }
+  const minutes = Math.round(ms / 60000);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,175 @@
+/**
+ * Library Calendar
+ *
+ * PURPOSE:
+ * Opening hours and closed days in one place. Pickup dates must fall on a
+ * day the library is open, due dates that land on a closed day move to the
+ * next open day, closed days are never charged as late (services/fines),
+ * and the Contact page and Footer show these hours.
+ *
+ * MODEL:
+ *   WEEKLY_HOURS      - hours per weekday (0 = Sunday); null = closed
+ *   HOLIDAYS          - closed every year ('MM-DD')
+ *   SPECIAL_CLOSURES  - one-off dates ('YYYY-MM-DD'): closed (hours: null)
+ *                       or open with different hours
+ * Times are 'HH:MM' in the library's (the browser's) local time.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Most specific rule wins: special closure → holiday → weekly hours
+ * - Pure functions working on local calendar days (setDate handles month
+ *   ends and daylight saving changes)
+ */
+
+export const WEEKLY_HOURS = {
+  0: null,
+  1: { open: '08:00', close: '20:00' },
+  2: { open: '08:00', close: '20:00' },
+  3: { open: '08:00', close: '20:00' },
+  4: { open: '08:00', close: '20:00' },
+  5: { open: '08:00', close: '20:00' },
+  6: { open: '09:00', close: '17:00' },
+};
+
+export const HOLIDAYS = [
+  { date: '01-01', name: "New Year's Day" },
+  { date: '12-25', name: 'Christmas Day' },
+  { date: '12-26', name: 'Boxing Day' },
+];
+
+export const SPECIAL_CLOSURES = [
+  { date: '2026-11-26', name: 'Staff training day', hours: null },
+  { date: '2026-12-24', name: 'Christmas Eve', hours: { open: '09:00', close: '13:00' } },
+  { date: '2026-12-31', name: "New Year's Eve", hours: { open: '09:00', close: '13:00' } },
+];
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Stop looking for an open day after this many days (a misconfigured calendar)
+const MAX_SEARCH_DAYS = 60;
+
+/**
+ * Local calendar date as 'YYYY-MM-DD'.
+ */
+export const toDayKey = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * What the calendar says about one day.
+ *
+ * @param {Date|string|number} date - Any value Date accepts
+ * @returns {Object} { open: boolean, hours: { open, close } | null, reason: string | null }
+ *   reason names the holiday/closure, or the weekday when it is a regular closed day
+ */
+export function getDaySchedule(date) {
+  const day = new Date(date);
+  const key = toDayKey(day);
+
+  const special = SPECIAL_CLOSURES.find((item) => item.date === key);
+  if (special) return { open: Boolean(special.hours), hours: special.hours, reason: special.name };
+
+  const holiday = HOLIDAYS.find((item) => item.date === key.slice(5));
+  if (holiday) return { open: false, hours: null, reason: holiday.name };
+
+  const hours = WEEKLY_HOURS[day.getDay()];
+  return { open: Boolean(hours), hours, reason: hours ? null : DAY_NAMES[day.getDay()] };
+}
+
+/**
+ * Whether the library is closed all day.
+ */
+export const isLibraryClosed = (date) => !getDaySchedule(date).open;
+
+/**
+ * The same moment on the first day (from `date` on) the library is open.
+ *
+ * @param {Date|string|number} date - Starting date
+ * @returns {Date} A new Date (unchanged day when already open)
+ */
+export function nextOpenDay(date) {
+  const day = new Date(date);
+  for (let i = 0; i < MAX_SEARCH_DAYS && isLibraryClosed(day); i += 1) {
+    day.setDate(day.getDate() + 1);
+  }
+  return day;
+}
+
+/**
+ * Due date for a loan of `days` starting on `start`, moved to the next
+ * open day if it lands on a closed one.
+ *
+ * @param {Date|string|number} start - Pickup date
+ * @param {number} days - Loan length
+ * @returns {Date} Due date
+ */
+export function addLoanDays(start, days) {
+  const due = new Date(start);
+  due.setDate(due.getDate() + days);
+  return nextOpenDay(due);
+}
+
+/**
+ * Formats 'HH:MM' as "8:00 AM".
+ */
+export function formatTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  const suffix = hours >= 12 ? 'PM' : 'AM';
+  return `${hours % 12 || 12}:${String(minutes).padStart(2, '0')} ${suffix}`;
+}
+
+/**
+ * Formats opening hours, e.g. "8:00 AM - 8:00 PM" (or "Closed").
+ */
+export const formatHours = (hours) => (hours ? `${formatTime(hours.open)} - ${formatTime(hours.close)}` : 'Closed');
+
+/**
+ * Weekly hours grouped into runs of days with the same hours, Monday first.
+ *
+ * @param {Object} [options] - { short: true } for "Mon-Fri" style labels
+ * @returns {Array} [{ label: 'Monday - Friday', hours: '8:00 AM - 8:00 PM' }, ...]
+ */
+export function getWeeklySchedule({ short = false } = {}) {
+  const name = (day) => (short ? DAY_NAMES[day].slice(0, 3) : DAY_NAMES[day]);
+  const rows = [];
+
+  for (const day of [1, 2, 3, 4, 5, 6, 0]) {
+    const hours = formatHours(WEEKLY_HOURS[day]);
+    const last = rows[rows.length - 1];
+    if (last && last.hours === hours) {
+      last.to = day;
+    } else {
+      rows.push({ from: day, to: day, hours });
+    }
+  }
+
+  return rows.map(({ from, to, hours }) => ({
+    label: from === to ? name(from) : `${name(from)}${short ? '-' : ' - '}${name(to)}`,
+    hours,
+  }));
+}
+
+/**
+ * Holidays and special dates coming up, soonest first.
+ *
+ * @param {number} now - Current time (ms)
+ * @param {number} [days=90] - How far ahead to look
+ * @returns {Array} [{ date: Date, name, hours: string }]
+ */
+export function getUpcomingClosures(now, days = 90) {
+  const result = [];
+  const day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+
+  for (let i = 0; i < days; i += 1) {
+    const schedule = getDaySchedule(day);
+    // Regular weekly closures (e.g. Sundays) are already in the weekly hours
+    if (schedule.reason && (schedule.open || schedule.reason !== DAY_NAMES[day.getDay()])) {
+      result.push({ date: new Date(day), name: schedule.reason, hours: formatHours(schedule.hours) });
+    }
+    day.setDate(day.getDate() + 1);
+  }
+
+  return result;
+}
@@ -0,0 +1,276 @@
+/**
+ * Copy Inventory
+ *
+ * PURPOSE:
+ * Every physical copy of a book is tracked on its own, with a status and an
+ * event log. Availability is the number of copies on the shelf - it no longer
+ * depends on patrons' borrowing history, so clearing a history can't make a
+ * book that is still out look available.
+ *
+ * COPY STATES:
+ *   on_shelf   - can be reserved
+ *   reserved   - held for a reservation, waiting to be picked up
+ *   on_loan    - with a patron
+ *   in_transit - on its way back (e.g. returned to another branch)
+ *   repair     - being repaired
+ *   lost       - missing (can be found again)
+ *   retired    - permanently withdrawn; the barcode is never reused
+ *
+ * COPY RECORD:
+ * {
+ *   barcode, status, addedDate,
+ *   loan: { reservationId, username, hold? } | null,   // set while reserved/on loan
+ *   events: [{ status, date, by, note?, reservationId? }],
+ *   retiredDate?, retiredReason?
+ * }
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - State machine: COPY_TRANSITIONS lists the allowed moves
+ * - Event log: every change is appended, never edited
+ * - Pure functions: each helper returns a NEW catalog; BookContext saves it
+ */
+
+export const COPY_STATUSES = {
+  on_shelf: 'On shelf',
+  reserved: 'Reserved',
+  on_loan: 'On loan',
+  in_transit: 'In transit',
+  repair: 'In repair',
+  lost: 'Lost',
+  retired: 'Retired',
+};
+
+/**
+ * Allowed status changes (from → to).
+ */
+export const COPY_TRANSITIONS = {
+  on_shelf: ['reserved', 'on_loan', 'in_transit', 'repair', 'lost', 'retired'],
+  reserved: ['on_loan', 'on_shelf'],
+  on_loan: ['on_shelf', 'in_transit', 'lost'],
+  in_transit: ['on_shelf', 'lost', 'retired'],
+  repair: ['on_shelf', 'retired'],
+  lost: ['on_shelf', 'retired'],
+  retired: [],
+};
+
+/**
+ * Statuses staff can set by hand on a copy that is not tied to a loan.
+ * Reserving and lending go through the loan functions; retiring has its own
+ * button because it needs a reason.
+ */
+export const MANUAL_COPY_STATUSES = ['on_shelf', 'in_transit', 'repair', 'lost'];
+
+/**
+ * Creates an event log entry.
+ *
+ * @param {string} status - New status
+ * @param {Object} [details] - { by, note, reservationId }
+ * @returns {Object} Event
+ */
+export function copyEvent(status, { by = 'system', note, reservationId } = {}) {
+  return {
+    status,
+    date: new Date().toISOString(),
+    by,
+    ...(note ? { note } : {}),
+    ...(reservationId ? { reservationId } : {}),
+  };
+}
+
+/**
+ * Moves a copy to a new status and logs it.
+ *
+ * @param {Object} copy - Copy record
+ * @param {string} status - New status
+ * @param {Object} [details] - { by, note, loan } - loan is kept only for
+ *   reserved/on_loan
+ * @returns {Object} Updated copy
+ * @throws {Error} When the change is not allowed
+ */
+export function transitionCopy(copy, status, { by, note, loan } = {}) {
+  if (!COPY_TRANSITIONS[copy.status]?.includes(status)) {
+    throw new Error(`A copy that is ${COPY_STATUSES[copy.status]?.toLowerCase() ?? copy.status} cannot be marked ${COPY_STATUSES[status].toLowerCase()}`);
+  }
+
+  const keepsLoan = status === 'reserved' || status === 'on_loan';
+  const nextLoan = keepsLoan ? loan ?? copy.loan : null;
+
+  return {
+    ...copy,
+    status,
+    loan: nextLoan,
+    events: [
+      ...(copy.events ?? []),
+      copyEvent(status, { by, note, reservationId: nextLoan?.reservationId ?? copy.loan?.reservationId }),
+    ],
+  };
+}
+
+/**
+ * Copies still owned by the library (not retired or lost).
+ */
+export function countActiveCopies(book) {
+  return book.copies.filter((copy) => copy.status !== 'retired' && copy.status !== 'lost').length;
+}
+
+/**
+ * Copies that can be reserved right now.
+ */
+export function countAvailableCopies(book) {
+  return book.copies.filter((copy) => copy.status === 'on_shelf').length;
+}
+
+/**
+ * Copies tied to a reservation or loan.
+ */
+export function countCopiesOut(book) {
+  return book.copies.filter((copy) => copy.loan).length;
+}
+
+/**
+ * Finds the copy held for a reservation.
+ *
+ * @param {Array} catalog - Catalog records
+ * @param {string} reservationId - Reservation ID
+ * @returns {Object|null} { book, copy } or null
+ */
+export function findLoanCopy(catalog, reservationId) {
+  for (const book of catalog) {
+    const copy = book.copies.find((c) => c.loan?.reservationId === reservationId);
+    if (copy) return { book, copy };
+  }
+  return null;
+}
+
+/**
+ * Applies a change to one copy of one book.
+ */
+const mapCopy = (catalog, bookId, barcode, change) =>
+  catalog.map((book) =>
+    book.id === bookId
+      ? { ...book, copies: book.copies.map((copy) => (copy.barcode === barcode ? change(copy) : copy)) }
+      : book
+  );
+
+/**
+ * Sets the status of a copy identified by book and barcode.
+ *
+ * @returns {Array} New catalog
+ * @throws {Error} When the copy is missing or the change is not allowed
+ */
+export function setCopyStatus(catalog, bookId, barcode, status, details) {
+  const book = catalog.find((item) => item.id === bookId);
+  if (!book?.copies.some((copy) => copy.barcode === barcode)) {
+    throw new Error('Copy not found');
+  }
+  return mapCopy(catalog, bookId, barcode, (copy) => transitionCopy(copy, status, details));
+}
+
+/**
+ * Holds the first copy on the shelf for a new reservation.
+ *
+ * @param {Array} catalog - Catalog records
+ * @param {number} bookId - Book being reserved
+ * @param {Object} loan - { reservationId, username }
+ * @param {Object} [details] - { by, note, status } - status defaults to 'reserved'
+ * @returns {Array} New catalog
+ * @throws {Error} When no copy is on the shelf
+ */
+export function reserveCopy(catalog, bookId, loan, { status = 'reserved', ...details } = {}) {
+  const book = catalog.find((item) => item.id === bookId);
+  const copy = book?.copies.find((c) => c.status === 'on_shelf');
+  if (!copy) {
+    throw new Error('No copy of this book is on the shelf');
+  }
+  return mapCopy(catalog, bookId, copy.barcode, (c) => transitionCopy(c, status, { ...details, loan }));
+}
+
+/**
+ * Moves the copy held for a reservation to a new status.
+ * Returns the catalog unchanged when no copy is held for it.
+ *
+ * @returns {Array} New catalog
+ */
+export function moveLoanCopy(catalog, reservationId, status, details) {
+  const found = findLoanCopy(catalog, reservationId);
+  if (!found || found.copy.status === status) return catalog;
+  return mapCopy(catalog, found.book.id, found.copy.barcode, (copy) => transitionCopy(copy, status, details));
+}
+
+/**
+ * Hands the copy held for one reservation over to another, keeping its
+ * status. Used when a patron reserves the copy set aside for their hold.
+ *
+ * @param {Array} catalog - Catalog records
+ * @param {string} fromId - Reservation/hold ID the copy is held for now
+ * @param {Object} loan - New { reservationId, username }
+ * @param {Object} [details] - { by, note }
+ * @returns {Array} New catalog
+ * @throws {Error} When no copy is held for fromId
+ */
+export function transferLoanCopy(catalog, fromId, loan, { by = 'system', note } = {}) {
+  const found = findLoanCopy(catalog, fromId);
+  if (!found) {
+    throw new Error('No copy is held for this hold');
+  }
+  return mapCopy(catalog, found.book.id, found.copy.barcode, (copy) => ({
+    ...copy,
+    loan,
+    events: [...(copy.events ?? []), copyEvent(copy.status, { by, note, reservationId: loan.reservationId })],
+  }));
+}
+
+/**
+ * Brings copy states in line with loan records.
+ *
+ * - Active loans with no copy (saved before copies were tracked, or made
+ *   in another tab) get a copy from the shelf
+ * - Copies held for a loan that has since been picked up, returned or
+ *   cancelled are moved on
+ * Copies whose loan record no longer exists (e.g. the patron cleared
+ * their history) are left alone - the book is still physically out.
+ * Copies set aside for a hold (loan.hold) are managed by ./holds.js.
+ *
+ * @param {Array} catalog - Catalog records
+ * @param {Array} loans - Every user's history records, tagged with username
+ * @returns {Array} The same catalog if nothing changed, else a new one
+ */
+export function reconcileLoanCopies(catalog, loans) {
+  let result = catalog;
+  const details = { by: 'system', note: 'Synced with loan record' };
+
+  for (const item of loans) {
+    const found = findLoanCopy(result, item.reservationId);
+
+    if (item.status === 'borrowed') {
+      const status = item.pickedUp ? 'on_loan' : 'reserved';
+      if (!found) {
+        const book = result.find((b) => b.id === item.book.id);
+        if (book?.copies.some((c) => c.status === 'on_shelf')) {
+          result = reserveCopy(result, item.book.id, { reservationId: item.reservationId, username: item.username }, { ...details, status });
+        }
+      } else if (found.copy.status === 'reserved' && status === 'on_loan') {
+        result = moveLoanCopy(result, item.reservationId, 'on_loan', details);
+      }
+    } else if (found) {
+      result = moveLoanCopy(result, item.reservationId, 'on_shelf', details);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Upgrades a copy saved before copy states existed (catalog schema v2).
+ * 'active' becomes 'on_shelf'; the event log starts from the dates we have.
+ */
+export function migrateCopy(copy) {
+  const status = copy.status === 'active' ? 'on_shelf' : copy.status;
+  const events = copy.events ?? [
+    { status: 'on_shelf', date: copy.addedDate, by: 'system', note: 'Added to catalog' },
+    ...(status === 'retired'
+      ? [{ status: 'retired', date: copy.retiredDate, by: 'system', note: copy.retiredReason }]
+      : []),
+  ];
+  return { ...copy, status, loan: copy.loan ?? null, events };
+}
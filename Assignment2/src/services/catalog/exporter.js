@@ -0,0 +1,142 @@
+/**
+ * Catalog and Loan Export
+ *
+ * PURPOSE:
+ * Builds report files of the full catalog (including retired books) and of
+ * all loans, in the same CSV / JSON / MARC-like formats the importer reads.
+ * A catalog export can be edited and imported again.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Flattening: nested data (copies, book inside a loan) becomes plain columns
+ * - Blob + object URL: lets the browser "download" a file made in memory
+ */
+
+import { countActiveCopies } from './index';
+import { MARC_BOOK_TAGS } from './importer';
+import { FORMATS, toCsv, toJson, toMarc } from './formats';
+
+const CATALOG_COLUMNS = [
+  'id', 'title', 'author', 'isbn', 'category', 'publisher', 'publicationYear',
+  'pageCount', 'coverUrl', 'description', 'copies', 'barcodes', 'retired',
+];
+
+const LOAN_COLUMNS = [
+  'reservationId', 'username', 'bookId', 'title', 'isbn', 'status',
+  'borrowDate', 'dueDate', 'pickupDate', 'returnDate', 'extended',
+];
+
+/**
+ * MARC-like tags for loan records.
+ * 900-999 are local tags in MARC, free for a library's own data.
+ */
+const MARC_LOAN_TAGS = [
+  { tag: '001', code: null, column: 'reservationId' },
+  { tag: '020', code: 'a', column: 'isbn' },
+  { tag: '245', code: 'a', column: 'title' },
+  { tag: '900', code: 'a', column: 'username' },
+  { tag: '900', code: 'b', column: 'status' },
+  { tag: '900', code: 'c', column: 'bookId' },
+  { tag: '901', code: 'a', column: 'borrowDate' },
+  { tag: '901', code: 'b', column: 'dueDate' },
+  { tag: '901', code: 'c', column: 'pickupDate' },
+  { tag: '901', code: 'd', column: 'returnDate' },
+  { tag: '901', code: 'e', column: 'extended' },
+];
+
+/**
+ * Flattens a catalog record into an export row.
+ * `copies` is the number of active copies, as the importer expects.
+ */
+const toCatalogRow = (book) => ({
+  id: book.id,
+  title: book.title,
+  author: book.author,
+  isbn: book.isbn,
+  category: book.category,
+  publisher: book.publisher ?? '',
+  publicationYear: book.publicationYear ?? '',
+  pageCount: book.pageCount ?? '',
+  coverUrl: book.coverUrl ?? '',
+  description: book.description ?? '',
+  copies: countActiveCopies(book),
+  barcodes: book.copies
+    .filter((copy) => copy.status !== 'retired' && copy.status !== 'lost')
+    .map((copy) => copy.barcode)
+    .join(' '),
+  retired: book.retired ? 'yes' : 'no',
+});
+
+/**
+ * Flattens a history record (with its username) into an export row.
+ */
+const toLoanRow = (item) => ({
+  reservationId: item.reservationId,
+  username: item.username,
+  bookId: item.book.id,
+  title: item.book.title,
+  isbn: item.book.isbn ?? '',
+  status: item.status,
+  borrowDate: item.borrowDate ?? '',
+  dueDate: item.dueDate ?? '',
+  pickupDate: item.pickupDate ?? '',
+  returnDate: item.returnDate ?? '',
+  extended: item.extended ? 'yes' : 'no',
+});
+
+/**
+ * Serializes rows in the chosen format.
+ */
+const serialize = (format, key, columns, marcTags, rows) => {
+  if (format === 'csv') return toCsv(columns, rows);
+  if (format === 'json') return toJson(key, rows);
+  return toMarc(marcTags, rows);
+};
+
+/**
+ * Builds a catalog export.
+ *
+ * @param {Array} catalog - Catalog records
+ * @param {string} format - 'csv' | 'json' | 'marc'
+ * @returns {string} File contents
+ */
+export function exportCatalog(catalog, format) {
+  const rows = [...catalog].sort((a, b) => a.id - b.id).map(toCatalogRow);
+  return serialize(format, 'books', CATALOG_COLUMNS, MARC_BOOK_TAGS, rows);
+}
+
+/**
+ * Builds a loans export (every user's history).
+ *
+ * @param {Array} allUsersHistory - History records tagged with username
+ * @param {string} format - 'csv' | 'json' | 'marc'
+ * @returns {string} File contents
+ */
+export function exportLoans(allUsersHistory, format) {
+  const rows = [...allUsersHistory]
+    .sort((a, b) => new Date(a.borrowDate) - new Date(b.borrowDate))
+    .map(toLoanRow);
+  return serialize(format, 'loans', LOAN_COLUMNS, MARC_LOAN_TAGS, rows);
+}
+
+/**
+ * Makes the browser download a text file.
+ *
+ * @param {string} baseName - File name without extension, e.g. 'booknest-catalog'
+ * @param {string} format - 'csv' | 'json' | 'marc'
+ * @param {string} content - File contents
+ */
+export function downloadFile(baseName, format, content) {
+  const { extension, mime } = FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+  const url = URL.createObjectURL(new Blob([content], { type: `${mime};charset=utf-8` }));
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${baseName}-${date}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  // Give the download a moment to start before freeing the memory
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
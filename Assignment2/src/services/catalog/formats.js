@@ -0,0 +1,260 @@
+/**
+ * File Formats for Catalog Import/Export
+ *
+ * PURPOSE:
+ * Turns files into plain rows ({ column: value }) and rows back into files.
+ * The importer and exporter only ever deal with rows, so adding a format
+ * means adding one parse and one serialize function here.
+ *
+ * FORMATS:
+ * - CSV:  First line is the header. Values containing commas, quotes or
+ *         line breaks are wrapped in double quotes ("" inside = one quote).
+ * - JSON: An array of objects, or { "books": [...] } / { "loans": [...] }.
+ * - MARC: A simplified, MARC-like text format. Each record is a block of
+ *         lines separated by a blank line; each line is a tag with
+ *         subfields:
+ *
+ *           =001  7
+ *           =020  $a978-0-06-112008-4
+ *           =100  $aHarper Lee
+ *           =245  $aTo Kill a Mockingbird
+ *           =260  $bJ. B. Lippincott & Co.$c1960
+ *
+ *         The tag → column mapping is passed in (see MARC_BOOK_TAGS in the
+ *         importer/exporter), so the same code reads and writes loans.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Parser state machine: the CSV parser walks the text one character at a
+ *   time, remembering whether it is inside quotes
+ * - Round trip: serialize(parse(file)) gives back the same rows
+ */
+
+export const FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mime: 'text/csv' },
+  json: { label: 'JSON', extension: 'json', mime: 'application/json' },
+  marc: { label: 'MARC-like', extension: 'mrk', mime: 'text/plain' },
+};
+
+/**
+ * Picks a format from a file name.
+ *
+ * @param {string} fileName - e.g. 'books.csv'
+ * @returns {string|null} 'csv' | 'json' | 'marc', or null if unknown
+ */
+export function detectFormat(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'csv') return 'csv';
+  if (extension === 'json') return 'json';
+  if (['mrk', 'marc', 'txt'].includes(extension)) return 'marc';
+  return null;
+}
+
+// ==================== CSV ====================
+
+/**
+ * Parses CSV text into rows keyed by the header line.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { columns, rows }
+ */
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let value = '';
+  let inQuotes = false;
+
+  // Strip a byte-order mark left by spreadsheet programs
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        value += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        value += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(value);
+      value = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(value);
+      records.push(record);
+      record = [];
+      value = '';
+    } else {
+      value += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('CSV file has an unclosed quote');
+  }
+  if (value !== '' || record.length > 0) {
+    record.push(value);
+    records.push(record);
+  }
+
+  // Ignore blank lines
+  const nonEmpty = records.filter((r) => r.some((cell) => cell.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    return { columns: [], rows: [] };
+  }
+
+  const columns = nonEmpty[0].map((name) => name.trim());
+  const rows = nonEmpty.slice(1).map((cells) =>
+    Object.fromEntries(columns.map((column, i) => [column, cells[i] ?? '']))
+  );
+
+  return { columns, rows };
+}
+
+/**
+ * Quotes a CSV value when it needs it.
+ */
+const csvValue = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serializes rows to CSV.
+ *
+ * @param {Array} columns - Column names, in order
+ * @param {Array} rows - Row objects
+ * @returns {string} CSV text
+ */
+export function toCsv(columns, rows) {
+  const lines = [
+    columns.map(csvValue).join(','),
+    ...rows.map((row) => columns.map((column) => csvValue(row[column])).join(',')),
+  ];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// ==================== JSON ====================
+
+/**
+ * Parses a JSON export or a hand-written array of objects.
+ *
+ * @param {string} text - File contents
+ * @returns {Object} { columns, rows }
+ */
+export function parseJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('File is not valid JSON');
+  }
+
+  const list = Array.isArray(data) ? data : data?.books ?? data?.loans;
+  if (!Array.isArray(list)) {
+    throw new Error('JSON must be an array of objects or { "books": [...] }');
+  }
+
+  const rows = list
+    .filter((item) => item && typeof item === 'object' && !Array.isArray(item))
+    .map((item) =>
+      Object.fromEntries(
+        Object.entries(item)
+          // Nested values (reviews, copies) are not importable fields
+          .filter(([, value]) => value === null || typeof value !== 'object')
+          .map(([key, value]) => [key, value === null ? '' : String(value)])
+      )
+    );
+
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return { columns, rows };
+}
+
+/**
+ * Serializes rows to pretty-printed JSON under a top-level key.
+ */
+export function toJson(key, rows) {
+  return `${JSON.stringify({ [key]: rows, exportedAt: new Date().toISOString() }, null, 2)}\n`;
+}
+
+// ==================== MARC-LIKE ====================
+
+/**
+ * Parses the MARC-like text format.
+ *
+ * @param {string} text - File contents
+ * @param {Array} tags - [{ tag, code, column }] - code is null for control
+ *   fields (001) that have no subfields
+ * @returns {Object} { columns, rows }
+ */
+export function parseMarc(text, tags) {
+  const blocks = text
+    .replace(/^\uFEFF/, '')
+    .split(/\r?\n\s*\r?\n/)
+    .map((block) => block.trim())
+    .filter(Boolean);
+
+  const rows = blocks.map((block) => {
+    const row = {};
+    for (const line of block.split(/\r?\n/)) {
+      const match = line.match(/^=(\d{3})\s+(.*)$/);
+      if (!match) continue;
+      const [, tag, data] = match;
+
+      for (const field of tags.filter((t) => t.tag === tag)) {
+        if (field.code === null) {
+          row[field.column] = data.trim();
+        } else {
+          const subfield = data
+            .split('$')
+            .slice(1)
+            .find((part) => part[0] === field.code);
+          if (subfield !== undefined) {
+            row[field.column] = subfield.slice(1).replace(/\{dollar\}/g, '$').trim();
+          }
+        }
+      }
+    }
+    return row;
+  });
+
+  const columns = tags.map((t) => t.column).filter((column) => rows.some((row) => column in row));
+  return { columns, rows };
+}
+
+/**
+ * Serializes rows to the MARC-like text format.
+ * Subfields that share a tag are written on one line, e.g. =260 $b...$c...
+ *
+ * @param {Array} tags - Same shape as for parseMarc
+ * @param {Array} rows - Row objects
+ * @returns {string} MARC-like text
+ */
+export function toMarc(tags, rows) {
+  const tagOrder = [...new Set(tags.map((t) => t.tag))];
+
+  const records = rows.map((row) =>
+    tagOrder
+      .map((tag) => {
+        const fields = tags.filter((t) => t.tag === tag);
+        const parts = fields
+          .filter((t) => row[t.column] !== undefined && row[t.column] !== null && row[t.column] !== '')
+          // '$' separates subfields, so a literal dollar is written as {dollar}
+          .map((t) => ({ ...t, value: String(row[t.column]).replace(/\$/g, '{dollar}').replace(/\s+/g, ' ') }));
+        if (parts.length === 0) return null;
+        const data = parts[0].code === null
+          ? parts[0].value
+          : parts.map((p) => `$${p.code}${p.value}`).join('');
+        return `=${tag}  ${data}`;
+      })
+      .filter(Boolean)
+      .join('\n')
+  );
+
+  return `${records.join('\n\n')}\n`;
+}
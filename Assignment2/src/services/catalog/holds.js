@@ -0,0 +1,130 @@
+/**
+ * Hold Queue
+ *
+ * PURPOSE:
+ * Patrons can join a queue for a book with no copy on the shelf
+ * ("Book for Later"). Holds are saved in the shared 'booknest-future-bookings'
+ * collection and served strictly first come, first served.
+ *
+ * HOLD LIFECYCLE:
+ *   waiting   - in the queue
+ *   ready     - a copy came back and is set aside for this patron until
+ *               `pickupBy`; only they can reserve it
+ *   fulfilled - the patron reserved the set-aside copy
+ *   expired   - the pickup window passed; the copy goes to the next in line
+ *   cancelled - the patron left the queue
+ *
+ * HOLD RECORD:
+ * { bookingId, bookId, userId, bookingDate, status,
+ *   readyDate?, pickupBy?, closedDate?, reservationId? }
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - FIFO: the queue is ordered by bookingDate
+ * - syncHolds() is a pure function: (catalog, holds, now) → new state plus
+ *   a list of what happened, which BookContext turns into notifications
+ */
+
+import { countAvailableCopies, moveLoanCopy, reserveCopy } from './copies';
+
+// Days a patron has to reserve a copy set aside for them
+export const HOLD_PICKUP_DAYS = 3;
+
+export const HOLD_STATUSES = {
+  waiting: 'Waiting',
+  ready: 'Ready for you',
+  fulfilled: 'Reserved',
+  expired: 'Expired',
+  cancelled: 'Cancelled',
+};
+
+/**
+ * Waiting and ready holds are "active"; the rest are history.
+ */
+export const isActiveHold = (hold) => hold.status === 'waiting' || hold.status === 'ready';
+
+const byBookingDate = (a, b) => new Date(a.bookingDate) - new Date(b.bookingDate);
+
+/**
+ * Holds still waiting for a book, first in line first.
+ *
+ * @param {Array} holds - All holds
+ * @param {number} bookId - Book ID
+ * @returns {Array} Waiting holds in queue order
+ */
+export function getWaitingQueue(holds, bookId) {
+  return holds
+    .filter((hold) => hold.bookId === bookId && hold.status === 'waiting')
+    .sort(byBookingDate);
+}
+
+/**
+ * A hold's place in the queue (1 = next in line). 0 when it is not waiting.
+ */
+export function getQueuePosition(holds, hold) {
+  if (hold.status !== 'waiting') return 0;
+  return getWaitingQueue(holds, hold.bookId).findIndex((h) => h.bookingId === hold.bookingId) + 1;
+}
+
+/**
+ * Waiting holds on a book that no copy on the shelf can serve. Ready holds
+ * don't count - they already have a copy set aside.
+ *
+ * @param {Array} holds - All holds
+ * @param {Object} book - Catalog record
+ * @returns {number} Patrons who need a copy that is out on loan
+ */
+export function countUnservedHolds(holds, book) {
+  return Math.max(0, getWaitingQueue(holds, book.id).length - countAvailableCopies(book));
+}
+
+/**
+ * Expires holds whose pickup window has passed and sets copies aside for
+ * the next patrons in line.
+ *
+ * @param {Array} catalog - Catalog records
+ * @param {Array} holds - All holds
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { catalog, holds, events } - events: [{ type: 'ready' | 'expired', hold, book }]
+ */
+export function syncHolds(catalog, holds, now) {
+  let nextCatalog = catalog;
+  const events = [];
+  const findBook = (bookId) => nextCatalog.find((book) => book.id === bookId);
+
+  // STEP 1: Expire holds that were not picked up in time
+  let nextHolds = holds.map((hold) => {
+    if (hold.status !== 'ready' || new Date(hold.pickupBy).getTime() > now) return hold;
+
+    nextCatalog = moveLoanCopy(nextCatalog, hold.bookingId, 'on_shelf', {
+      by: 'system',
+      note: 'Hold not collected in time',
+    });
+    const expired = { ...hold, status: 'expired', closedDate: new Date(now).toISOString() };
+    events.push({ type: 'expired', hold: expired, book: findBook(hold.bookId) });
+    return expired;
+  });
+
+  // STEP 2: Give copies on the shelf to waiting holds, oldest first
+  const waiting = nextHolds.filter((hold) => hold.status === 'waiting').sort(byBookingDate);
+  for (const hold of waiting) {
+    const book = findBook(hold.bookId);
+    if (!book || book.retired || !book.copies.some((copy) => copy.status === 'on_shelf')) continue;
+
+    nextCatalog = reserveCopy(
+      nextCatalog,
+      hold.bookId,
+      { reservationId: hold.bookingId, username: hold.userId, hold: true },
+      { by: 'system', note: 'Set aside for the next patron in the hold queue' }
+    );
+    const ready = {
+      ...hold,
+      status: 'ready',
+      readyDate: new Date(now).toISOString(),
+      pickupBy: new Date(now + HOLD_PICKUP_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+    };
+    nextHolds = nextHolds.map((h) => (h.bookingId === hold.bookingId ? ready : h));
+    events.push({ type: 'ready', hold: ready, book });
+  }
+
+  return { catalog: nextCatalog, holds: nextHolds, events };
+}
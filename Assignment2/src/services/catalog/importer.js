@@ -0,0 +1,203 @@
+/**
+ * Catalog Import
+ *
+ * PURPOSE:
+ * Reads a CSV, JSON or MARC-like file of books and works out what importing
+ * it would do - before anything is saved.
+ *
+ * FLOW:
+ * 1. parseBookFile()      file text → { columns, rows }
+ * 2. guessMapping()       file columns → book fields (user can change it)
+ * 3. buildImportPreview() one preview row per record:
+ *      add    - new ISBN, will be added with its copies
+ *      update - ISBN already in the catalog, details will be overwritten
+ *      skip   - ISBN already in the catalog and duplicates are skipped
+ *      error  - invalid record (bad ISBN checksum, missing title, ...)
+ * 4. BookContext.importBooks() applies the add/update rows in ONE catalog
+ *    write, so an import either happens completely or not at all.
+ *
+ * DUPLICATES:
+ * ISBNs are compared in ISBN-13 form, so 0-06-112008-1 and
+ * 978-0-06-112008-4 are the same book. A second record with the same ISBN
+ * in one file is an error.
+ */
+
+import {
+  isbnKey,
+  normalizeIsbn,
+  toBookFormValues,
+  toIsbn13,
+  validateBookFields,
+} from './index';
+import { parseCsv, parseJson, parseMarc } from './formats';
+
+/**
+ * Importable Book Fields
+ *
+ * synonyms: lower-case header names that map to the field automatically
+ */
+export const BOOK_FIELDS = [
+  { key: 'title', label: 'Title', required: true, synonyms: ['title', 'book title', 'name'] },
+  { key: 'author', label: 'Author', required: true, synonyms: ['author', 'authors', 'writer', 'creator'] },
+  { key: 'isbn', label: 'ISBN', required: true, synonyms: ['isbn', 'isbn13', 'isbn-13', 'isbn10', 'isbn-10'] },
+  { key: 'category', label: 'Category', required: true, synonyms: ['category', 'genre', 'subject'] },
+  { key: 'publisher', label: 'Publisher', synonyms: ['publisher', 'imprint'] },
+  { key: 'publicationYear', label: 'Publication Year', synonyms: ['publicationyear', 'publication year', 'year', 'published'] },
+  { key: 'pageCount', label: 'Pages', synonyms: ['pagecount', 'page count', 'pages'] },
+  { key: 'coverUrl', label: 'Cover Image URL', synonyms: ['coverurl', 'cover url', 'cover', 'image'] },
+  { key: 'description', label: 'Description', synonyms: ['description', 'summary', 'notes'] },
+  { key: 'copies', label: 'Copies (new books)', synonyms: ['copies', 'copiesavailable', 'quantity', 'qty'] },
+];
+
+/**
+ * MARC-like tags for book records (see formats.js).
+ * 990 is a local tag - real MARC keeps holdings in separate records.
+ */
+export const MARC_BOOK_TAGS = [
+  { tag: '001', code: null, column: 'id' },
+  { tag: '020', code: 'a', column: 'isbn' },
+  { tag: '100', code: 'a', column: 'author' },
+  { tag: '245', code: 'a', column: 'title' },
+  { tag: '260', code: 'b', column: 'publisher' },
+  { tag: '260', code: 'c', column: 'publicationYear' },
+  { tag: '300', code: 'a', column: 'pageCount' },
+  { tag: '650', code: 'a', column: 'category' },
+  { tag: '520', code: 'a', column: 'description' },
+  { tag: '856', code: 'u', column: 'coverUrl' },
+  { tag: '990', code: 'a', column: 'copies' },
+];
+
+/**
+ * Parses an import file.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - 'csv' | 'json' | 'marc'
+ * @returns {Object} { columns, rows }
+ * @throws {Error} When the file cannot be read in that format
+ */
+export function parseBookFile(text, format) {
+  if (format === 'csv') return parseCsv(text);
+  if (format === 'json') return parseJson(text);
+  if (format === 'marc') return parseMarc(text, MARC_BOOK_TAGS);
+  throw new Error('Unsupported file type. Use .csv, .json or .mrk');
+}
+
+/**
+ * Suggests which file column feeds each book field.
+ *
+ * @param {Array} columns - Column names from the file
+ * @returns {Object} { fieldKey: columnName | '' }
+ */
+export function guessMapping(columns) {
+  const simplify = (name) => name.toLowerCase().replace(/[_\s]+/g, ' ').trim();
+
+  return Object.fromEntries(
+    BOOK_FIELDS.map((field) => {
+      const column = columns.find((c) =>
+        field.synonyms.some((synonym) => simplify(c) === synonym || simplify(c).replace(/ /g, '') === synonym)
+      );
+      return [field.key, column ?? ''];
+    })
+  );
+}
+
+/**
+ * Works out what importing each row would do.
+ *
+ * @param {Array} rows - Parsed rows
+ * @param {Object} mapping - From guessMapping (possibly edited)
+ * @param {Array} catalog - Current catalog
+ * @param {Object} [options]
+ * @param {string} [options.duplicatePolicy='skip'] - 'skip' or 'update'
+ * @returns {Array} [{ rowNumber, action, fields, errors, existingId, changes }]
+ */
+export function buildImportPreview(rows, mapping, catalog, { duplicatePolicy = 'skip' } = {}) {
+  const seenInFile = new Map(); // ISBN-13 → row number
+
+  return rows.map((row, index) => {
+    const rowNumber = index + 1;
+
+    // STEP 1: Pick out mapped values
+    const imported = Object.fromEntries(
+      BOOK_FIELDS
+        .filter((field) => mapping[field.key])
+        .map((field) => [field.key, String(row[mapping[field.key]] ?? '').trim()])
+    );
+
+    // STEP 2: ISBN checksum and duplicates
+    const { isbn13, error: isbnError } = toIsbn13(imported.isbn);
+    if (isbnError) {
+      return { rowNumber, action: 'error', fields: imported, errors: { isbn: isbnError } };
+    }
+    if (seenInFile.has(isbn13)) {
+      return {
+        rowNumber,
+        action: 'error',
+        fields: imported,
+        errors: { isbn: `Same ISBN as row ${seenInFile.get(isbn13)}` },
+      };
+    }
+    seenInFile.set(isbn13, rowNumber);
+
+    const existing = catalog.find((book) => isbnKey(book.isbn) === isbn13);
+
+    // STEP 3a: Existing book
+    if (existing) {
+      if (duplicatePolicy !== 'update') {
+        return { rowNumber, action: 'skip', fields: imported, errors: {}, existingId: existing.id };
+      }
+
+      // Blank values keep what the catalog already has; copies are
+      // managed per barcode and are not changed by an import
+      const current = toBookFormValues(existing);
+      const { copies: _copies, ...updates } = imported;
+      const fields = {
+        ...current,
+        ...Object.fromEntries(Object.entries(updates).filter(([, value]) => value !== '')),
+      };
+      const errors = validateBookFields(fields, catalog, existing.id);
+      const changes = Object.keys(updates).filter((key) =>
+        key === 'isbn'
+          ? normalizeIsbn(fields.isbn) !== normalizeIsbn(current.isbn)
+          : String(fields[key]) !== String(current[key])
+      );
+
+      return {
+        rowNumber,
+        action: Object.keys(errors).length > 0 ? 'error' : changes.length > 0 ? 'update' : 'skip',
+        fields,
+        errors,
+        existingId: existing.id,
+        changes,
+      };
+    }
+
+    // STEP 3b: New book
+    const fields = {
+      ...toBookFormValues(null),
+      ...imported,
+      copies: imported.copies || '1',
+    };
+    const errors = validateBookFields(fields, catalog);
+
+    return {
+      rowNumber,
+      action: Object.keys(errors).length > 0 ? 'error' : 'add',
+      fields,
+      errors,
+    };
+  });
+}
+
+/**
+ * Counts preview rows by action.
+ *
+ * @param {Array} preview - From buildImportPreview
+ * @returns {Object} { add, update, skip, error }
+ */
+export function summarizePreview(preview) {
+  return preview.reduce(
+    (counts, row) => ({ ...counts, [row.action]: counts[row.action] + 1 }),
+    { add: 0, update: 0, skip: 0, error: 0 }
+  );
+}
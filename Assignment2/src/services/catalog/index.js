@@ -0,0 +1,215 @@
+/**
+ * Catalog Records
+ *
+ * PURPOSE:
+ * Helpers for the editable book catalog that librarians manage from
+ * /admin/catalog. The catalog is saved under 'booknest-catalog'; until a
+ * librarian makes the first edit, it is seeded from src/assets/books.json.
+ *
+ * RECORD SHAPE:
+ * {
+ *   id, title, author, category, isbn, publisher, publicationYear,
+ *   pageCount, rating, coverUrl, description, reviews,
+ *   retired: false,                     // retired books are hidden from patrons
+ *   copies: [
+ *     { barcode: 'BN-00001-01', status: 'on_shelf' | 'reserved' | ...,
+ *       addedDate, loan, events, retiredDate?, retiredReason? }
+ *   ]
+ * }
+ *
+ * Copy states and the event log are described in ./copies.js.
+ * Availability (copiesAvailable/status) is NOT stored here - BookContext
+ * works it out from the copies on the shelf.
+ */
+
+import booksData from '../../assets/books.json';
+import { normalizeIsbn, toIsbn13 } from './isbn';
+import { copyEvent } from './copies';
+
+export { normalizeIsbn, isValidIsbn13, isValidIsbn10, toIsbn13 } from './isbn';
+export {
+  COPY_STATUSES,
+  MANUAL_COPY_STATUSES,
+  countActiveCopies,
+  countAvailableCopies,
+  countCopiesOut,
+  findLoanCopy,
+  setCopyStatus,
+  reserveCopy,
+  moveLoanCopy,
+  transferLoanCopy,
+  reconcileLoanCopies,
+  migrateCopy,
+} from './copies';
+export {
+  HOLD_PICKUP_DAYS,
+  HOLD_STATUSES,
+  isActiveHold,
+  countUnservedHolds,
+  getWaitingQueue,
+  getQueuePosition,
+  syncHolds,
+} from './holds';
+
+export const CATALOG_KEY = 'booknest-catalog';
+
+export const MAX_COPIES_PER_ADD = 50;
+
+/**
+ * Builds a copy barcode from the book ID and a running number,
+ * e.g. book 7, copy 3 → 'BN-00007-03'.
+ */
+export function formatBarcode(bookId, number) {
+  return `BN-${String(bookId).padStart(5, '0')}-${String(number).padStart(2, '0')}`;
+}
+
+/**
+ * Creates `count` new copies for a book, numbered after its existing ones.
+ *
+ * @param {number} bookId - Book the copies belong to
+ * @param {Array} existingCopies - Current copies (active and retired)
+ * @param {number} count - How many copies to add
+ * @param {string} [by] - Who added them (for the event log)
+ * @returns {Array} New copy records
+ */
+export function createCopies(bookId, existingCopies, count, by = 'system') {
+  const addedDate = new Date().toISOString();
+  const start = existingCopies.length + 1;
+  return Array.from({ length: count }, (_, i) => ({
+    barcode: formatBarcode(bookId, start + i),
+    status: 'on_shelf',
+    addedDate,
+    loan: null,
+    events: [copyEvent('on_shelf', { by, note: 'Added to catalog' })],
+  }));
+}
+
+/**
+ * Converts a books.json entry into a catalog record.
+ * books.json stores the number of copies as `copiesAvailable`.
+ */
+export function toCatalogRecord(book) {
+  const { copiesAvailable, status: _status, ...details } = book;
+  return {
+    ...details,
+    retired: book.retired ?? false,
+    copies: book.copies ?? createCopies(book.id, [], Math.max(1, copiesAvailable ?? 1)),
+  };
+}
+
+/**
+ * The starting catalog, built from books.json.
+ *
+ * @returns {Array} Catalog records
+ */
+export function seedCatalog() {
+  return booksData.map(toCatalogRecord);
+}
+
+/**
+ * Next free book ID.
+ */
+export function nextBookId(catalog) {
+  return catalog.reduce((max, book) => Math.max(max, book.id), 0) + 1;
+}
+
+/**
+ * Key used to compare ISBNs: the ISBN-13 digits when the ISBN is valid
+ * (so an ISBN-10 matches its ISBN-13 form), otherwise the bare digits.
+ */
+export function isbnKey(isbn) {
+  return toIsbn13(isbn).isbn13 ?? normalizeIsbn(isbn);
+}
+
+/**
+ * Validates the editable fields of a book.
+ *
+ * @param {Object} fields - Form values
+ * @param {Array} catalog - Current catalog (for duplicate ISBN checks)
+ * @param {number|null} [bookId] - ID of the book being edited (null when adding)
+ * @returns {Object} Errors keyed by field name (empty object if valid)
+ */
+export function validateBookFields(fields, catalog, bookId = null) {
+  const errors = {};
+
+  if (!fields.title?.trim()) errors.title = 'Title is required';
+  if (!fields.author?.trim()) errors.author = 'Author is required';
+  if (!fields.category?.trim()) errors.category = 'Category is required';
+
+  // Check digits are verified for new or changed ISBNs. Some of the
+  // original books.json ISBNs have bad check digits and stay editable.
+  const existing = catalog.find((book) => book.id === bookId);
+  const isbnChanged = !existing || normalizeIsbn(existing.isbn) !== normalizeIsbn(fields.isbn);
+  const { error: isbnError } = toIsbn13(fields.isbn);
+
+  if (!normalizeIsbn(fields.isbn)) {
+    errors.isbn = 'ISBN is required';
+  } else if (isbnChanged && isbnError) {
+    errors.isbn = isbnError;
+  } else if (catalog.some((book) => book.id !== bookId && isbnKey(book.isbn) === isbnKey(fields.isbn))) {
+    errors.isbn = 'Another book already uses this ISBN';
+  }
+
+  const coverUrl = fields.coverUrl?.trim();
+  if (coverUrl && !/^(https?:\/\/|\/)/.test(coverUrl)) {
+    errors.coverUrl = 'Cover must be a web address (http/https) or a path starting with /';
+  }
+
+  if (fields.publicationYear !== '' && fields.publicationYear !== undefined) {
+    const year = Number(fields.publicationYear);
+    if (!Number.isInteger(year) || year < 1000 || year > new Date().getFullYear() + 1) {
+      errors.publicationYear = 'Enter a valid year';
+    }
+  }
+
+  if (fields.pageCount !== '' && fields.pageCount !== undefined) {
+    const pages = Number(fields.pageCount);
+    if (!Number.isInteger(pages) || pages < 1) {
+      errors.pageCount = 'Page count must be a positive whole number';
+    }
+  }
+
+  if (bookId === null) {
+    const copies = Number(fields.copies);
+    if (!Number.isInteger(copies) || copies < 1 || copies > MAX_COPIES_PER_ADD) {
+      errors.copies = `Copies must be between 1 and ${MAX_COPIES_PER_ADD}`;
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Builds form values from a catalog book (or blanks for a new book).
+ */
+export function toBookFormValues(book) {
+  return {
+    title: book?.title ?? '',
+    author: book?.author ?? '',
+    isbn: book?.isbn ?? '',
+    category: book?.category ?? '',
+    publisher: book?.publisher ?? '',
+    publicationYear: book?.publicationYear ?? '',
+    pageCount: book?.pageCount ?? '',
+    coverUrl: book?.coverUrl ?? '',
+    description: book?.description ?? '',
+    copies: 1,
+  };
+}
+
+/**
+ * Turns validated form values into the stored book fields.
+ */
+export function cleanBookFields(fields) {
+  return {
+    title: fields.title.trim(),
+    author: fields.author.trim(),
+    category: fields.category.trim(),
+    isbn: fields.isbn.trim(),
+    publisher: fields.publisher?.trim() ?? '',
+    publicationYear: fields.publicationYear === '' ? null : Number(fields.publicationYear),
+    pageCount: fields.pageCount === '' ? null : Number(fields.pageCount),
+    coverUrl: fields.coverUrl?.trim() ?? '',
+    description: fields.description?.trim() ?? '',
+  };
+}
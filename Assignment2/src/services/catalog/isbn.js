@@ -0,0 +1,91 @@
+/**
+ * ISBN Helpers
+ *
+ * ISBN-13 CHECKSUM:
+ * Multiply the first 12 digits alternately by 1 and 3, add them up, and the
+ * check digit is whatever brings the total to a multiple of 10.
+ *   978-0-7432-7356-5 → (9·1 + 7·3 + 8·1 + ... ) → check digit 5
+ *
+ * ISBN-10 CHECKSUM:
+ * Multiply the digits by 10, 9, ... 1 (X = 10 for the last one);
+ * the total must be a multiple of 11.
+ */
+
+/**
+ * Removes spaces and hyphens from an ISBN.
+ */
+export function normalizeIsbn(isbn) {
+  return String(isbn ?? '').replace(/[\s-]/g, '').toUpperCase();
+}
+
+/**
+ * Checks the format and check digit of an ISBN-13.
+ *
+ * @param {string} isbn - ISBN with or without hyphens
+ * @returns {boolean} true if valid
+ */
+export function isValidIsbn13(isbn) {
+  const digits = normalizeIsbn(isbn);
+  if (!/^\d{13}$/.test(digits)) return false;
+
+  const sum = digits
+    .slice(0, 12)
+    .split('')
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+
+  return (10 - (sum % 10)) % 10 === Number(digits[12]);
+}
+
+/**
+ * Checks the format and check digit of an ISBN-10.
+ *
+ * @param {string} isbn - ISBN with or without hyphens
+ * @returns {boolean} true if valid
+ */
+export function isValidIsbn10(isbn) {
+  const digits = normalizeIsbn(isbn);
+  if (!/^\d{9}[\dX]$/.test(digits)) return false;
+
+  const sum = digits
+    .split('')
+    .reduce((total, char, i) => total + (char === 'X' ? 10 : Number(char)) * (10 - i), 0);
+
+  return sum % 11 === 0;
+}
+
+/**
+ * Converts a valid ISBN-10 to its ISBN-13 form (978 prefix, new check digit).
+ *
+ * @param {string} isbn - Valid ISBN-10
+ * @returns {string} 13-digit ISBN without hyphens
+ */
+export function isbn10To13(isbn) {
+  const core = `978${normalizeIsbn(isbn).slice(0, 9)}`;
+  const sum = core
+    .split('')
+    .reduce((total, digit, i) => total + Number(digit) * (i % 2 === 0 ? 1 : 3), 0);
+  return `${core}${(10 - (sum % 10)) % 10}`;
+}
+
+/**
+ * Validates an ISBN and returns it as ISBN-13 digits.
+ * ISBN-10s are accepted and converted.
+ *
+ * @param {string} isbn - ISBN as entered or imported
+ * @returns {Object} { isbn13, error } - error is null when valid
+ */
+export function toIsbn13(isbn) {
+  const digits = normalizeIsbn(isbn);
+  if (!digits) return { isbn13: null, error: 'ISBN is required' };
+  if (digits.length === 10) {
+    return isValidIsbn10(digits)
+      ? { isbn13: isbn10To13(digits), error: null }
+      : { isbn13: null, error: 'ISBN-10 check digit is wrong' };
+  }
+  if (digits.length !== 13) {
+    return { isbn13: null, error: 'ISBN must be 10 or 13 digits' };
+  }
+  return isValidIsbn13(digits)
+    ? { isbn13: digits, error: null }
+    : { isbn13: null, error: 'ISBN-13 check digit is wrong' };
+}
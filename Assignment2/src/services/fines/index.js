@@ -0,0 +1,233 @@
+/**
+ * Overdue Fines
+ *
+ * PURPOSE:
+ * Works out late fees from loan records and keeps a ledger of payments and
+ * waivers recorded by librarians. Fines are never stored - they are
+ * recalculated from the loan's dates, so a due date override or a check-in
+ * is reflected straight away.
+ *
+ * FEE SCHEDULE:
+ * Each category can override the default rule:
+ *   dailyRate  - fee per chargeable late day (cents)
+ *   graceDays  - late days that are free
+ *   maxFine    - cap per loan (cents)
+ * Days the library is closed (services/calendar) are never charged.
+ *
+ * LEDGER ENTRY ('booknest-fines-ledger', shared by all users):
+ * { id, username, type: 'payment' | 'waiver', amount, reservationId, note, by, date }
+ * reservationId is the loan whose fine the entry settles. A payment or
+ * waiver that isn't for one loan is split across the oldest fines first
+ * (allocateToFines), one entry per loan, so each loan keeps its own record.
+ * Entries saved before that have no reservationId and still apply to the
+ * oldest fines.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Money is kept in whole cents so sums never hit floating point errors
+ * - Pure functions: (loans, ledger, now) → summary; BookContext saves entries
+ */
+
+import { isLibraryClosed } from '../calendar';
+
+export const FINES_LEDGER_KEY = 'booknest-fines-ledger';
+
+export const FEE_SCHEDULE = {
+  default: { dailyRate: 200, graceDays: 1, maxFine: 2000 },
+  categories: {
+    // Shorter reads that turn over quickly
+    Thriller: { dailyRate: 300 },
+    Mystery: { dailyRate: 300 },
+    // Reference-style titles: no grace period, higher cap
+    Finance: { graceDays: 0, maxFine: 3000 },
+    'Self-Help': { graceDays: 0, maxFine: 3000 },
+  },
+};
+
+// Patrons owing more than this cannot reserve more books (cents)
+export const FINE_BLOCK_THRESHOLD = 1000;
+
+export const LEDGER_TYPES = {
+  payment: 'Payment',
+  waiver: 'Waiver',
+};
+
+/**
+ * Fee rule for a book category (default merged with any override).
+ *
+ * @param {string} category - Book category
+ * @returns {Object} { dailyRate, graceDays, maxFine }
+ */
+export function getFeeRule(category) {
+  return { ...FEE_SCHEDULE.default, ...FEE_SCHEDULE.categories[category] };
+}
+
+/**
+ * Formats cents for display, e.g. 250 → "$2.50".
+ */
+export function formatMoney(cents) {
+  return `$${(cents / 100).toFixed(2)}`;
+}
+
+/**
+ * Parses an amount typed in dollars ("2.5", "$2.50") into cents.
+ *
+ * @returns {number} Cents, or NaN when the text is not a positive amount
+ */
+export function parseMoney(text) {
+  const value = Number(String(text).replace(/[$,\s]/g, ''));
+  if (!Number.isFinite(value) || value <= 0) return NaN;
+  return Math.round(value * 100);
+}
+
+/**
+ * Works out the late fee for one loan.
+ *
+ * Only loans the patron actually had count: picked-up loans still out
+ * (the fee keeps growing) and returned loans (the fee is final).
+ * A late day is a calendar day after the due date, up to and including
+ * the return date (or today).
+ *
+ * @param {Object} loan - History record
+ * @param {number} now - Current time (ms)
+ * @returns {Object|null} { daysLate, graceDays, closedDays, chargeableDays,
+ *   dailyRate, maxFine, amount, capped, accruing } or null when not late
+ */
+export function calculateFine(loan, now) {
+  const accruing = loan.status === 'borrowed' && loan.pickedUp;
+  if (!accruing && loan.status !== 'returned') return null;
+
+  const end = accruing ? new Date(now) : new Date(loan.returnDate);
+  const due = new Date(loan.dueDate);
+  if (Number.isNaN(end.getTime()) || end <= due) return null;
+
+  const rule = getFeeRule(loan.book.category);
+  let daysLate = 0;
+  let closedDays = 0;
+  let chargeableDays = 0;
+
+  // Walk each day after the due day; grace days come first
+  const day = new Date(due);
+  day.setHours(0, 0, 0, 0);
+  day.setDate(day.getDate() + 1);
+  const lastDay = new Date(end);
+  lastDay.setHours(0, 0, 0, 0);
+
+  for (; day <= lastDay; day.setDate(day.getDate() + 1)) {
+    daysLate += 1;
+    if (daysLate <= rule.graceDays) continue;
+    if (isLibraryClosed(day)) {
+      closedDays += 1;
+    } else {
+      chargeableDays += 1;
+    }
+  }
+
+  if (daysLate === 0) return null;
+
+  const uncapped = chargeableDays * rule.dailyRate;
+  return {
+    daysLate,
+    graceDays: Math.min(daysLate, rule.graceDays),
+    closedDays,
+    chargeableDays,
+    dailyRate: rule.dailyRate,
+    maxFine: rule.maxFine,
+    amount: Math.min(uncapped, rule.maxFine),
+    capped: uncapped > rule.maxFine,
+    accruing,
+  };
+}
+
+/**
+ * A patron's fines, what has been paid or waived, and what is still owed.
+ *
+ * Waivers for a specific loan are applied to that loan first; everything
+ * else is applied to the oldest fines first.
+ *
+ * @param {Array} loans - The patron's history records
+ * @param {Array} ledger - The patron's ledger entries
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { fines, totalFines, paid, waived, balance }
+ *   fines: [{ reservationId, book, dueDate, returnDate, status, ...fine, settled, outstanding }]
+ */
+export function getFineSummary(loans, ledger, now) {
+  const fines = loans
+    .map((loan) => ({ loan, fine: calculateFine(loan, now) }))
+    .filter(({ fine }) => fine && fine.amount > 0)
+    .sort((a, b) => new Date(a.loan.dueDate) - new Date(b.loan.dueDate));
+
+  const sum = (entries) => entries.reduce((total, entry) => total + entry.amount, 0);
+  const targeted = new Map();
+  for (const entry of ledger) {
+    if (entry.reservationId) {
+      targeted.set(entry.reservationId, (targeted.get(entry.reservationId) ?? 0) + entry.amount);
+    }
+  }
+  let unallocated = sum(ledger.filter((entry) => !entry.reservationId));
+
+  const items = fines.map(({ loan, fine }) => {
+    let outstanding = Math.max(0, fine.amount - (targeted.get(loan.reservationId) ?? 0));
+    const fromGeneral = Math.min(outstanding, unallocated);
+    unallocated -= fromGeneral;
+    outstanding -= fromGeneral;
+
+    return {
+      reservationId: loan.reservationId,
+      book: loan.book,
+      dueDate: loan.dueDate,
+      returnDate: loan.returnDate,
+      status: loan.status,
+      ...fine,
+      settled: fine.amount - outstanding,
+      outstanding,
+    };
+  });
+
+  return {
+    fines: items,
+    totalFines: sum(fines.map(({ fine }) => fine)),
+    paid: sum(ledger.filter((entry) => entry.type === 'payment')),
+    waived: sum(ledger.filter((entry) => entry.type === 'waiver')),
+    balance: items.reduce((total, item) => total + item.outstanding, 0),
+  };
+}
+
+/**
+ * Splits an amount across fines, oldest first.
+ *
+ * @param {Array} fines - From getFineSummary (oldest first)
+ * @param {number} amount - Cents to allocate (at most the balance)
+ * @returns {Array} [{ reservationId, amount }] for each fine it settles
+ */
+export function allocateToFines(fines, amount) {
+  const parts = [];
+  let left = amount;
+  for (const fine of fines) {
+    if (left <= 0) break;
+    const part = Math.min(fine.outstanding, left);
+    if (part > 0) {
+      parts.push({ reservationId: fine.reservationId, amount: part });
+      left -= part;
+    }
+  }
+  return parts;
+}
+
+/**
+ * Builds a ledger entry.
+ *
+ * @param {Object} details - { username, type, amount, reservationId?, note?, by }
+ * @returns {Object} Ledger entry
+ */
+export function createLedgerEntry({ username, type, amount, reservationId = null, note = '', by }) {
+  return {
+    id: `FINE-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase(),
+    username,
+    type,
+    amount,
+    reservationId,
+    note,
+    by,
+    date: new Date().toISOString(),
+  };
+}
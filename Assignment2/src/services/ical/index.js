@@ -0,0 +1,261 @@
+/**
+ * iCalendar Export (RFC 5545)
+ *
+ * PURPOSE:
+ * Puts pickup and due dates into the patron's own calendar app, with
+ * alarms, so they aren't only visible inside BookNest.
+ *
+ * TWO WAYS IN:
+ * 1. "Add to Calendar" buttons download an .ics file with the events for
+ *    one reservation or loan (import once).
+ * 2. The Dashboard downloads one file with all the patron's active loans,
+ *    built from their loans at the moment they click (so it includes the
+ *    latest renewals). There is no server to publish a file calendar apps
+ *    could subscribe to, so after a renewal the patron imports it again.
+ *
+ * EVENTS:
+ * - Pickup: the library's opening hours on the pickup day
+ *   (services/calendar), alarms the day before and an hour before
+ * - Due: the last hour before closing on the due date, alarms
+ *   DUE_SOON_DAYS before (like the in-app reminder) and earlier that day
+ * UIDs are stable ({reservationId}-due@booknest) and SEQUENCE counts the
+ * renewals, so re-importing a renewed loan moves the event instead of
+ * adding a second one.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Pure functions build the text; times are written in UTC ("Z"), so no
+ *   time zone definitions are needed
+ * - Lines end in CRLF and are folded at 75 bytes, as the standard requires
+ */
+
+import { getDaySchedule } from '../calendar';
+import { getRenewalCount } from '../policy';
+import { DUE_SOON_DAYS } from '../notifications/scheduler';
+
+// Earlier versions kept each patron's loans calendar in this cache
+const CALENDAR_CACHE = 'booknest-calendar';
+
+// Used when the calendar says the library is closed that day
+const FALLBACK_HOURS = { open: '09:00', close: '17:00' };
+
+/**
+ * A local day at 'HH:MM'.
+ */
+const atTime = (date, time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const result = new Date(date);
+  result.setHours(hours, minutes, 0, 0);
+  return result;
+};
+
+/**
+ * Date-time in UTC, e.g. 20261020T080000Z.
+ */
+const formatUtc = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+/**
+ * Escapes a TEXT value (backslash, semicolon, comma, newline).
+ */
+const escapeText = (text) => String(text ?? '')
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+/**
+ * Folds a content line to 75 bytes (UTF-8); continuation lines start with a space.
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    const limit = parts.length === 0 ? 75 : 74; // continuation lines lose a byte to the space
+    if (bytes + size > limit) {
+      parts.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += char;
+    bytes += size;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+/**
+ * Pickup event for a reservation.
+ *
+ * @param {Object} pickup - { reservationId, pickupDate, titles: [string] }
+ * @returns {Object} Event
+ */
+export function createPickupEvent({ reservationId, pickupDate, titles }) {
+  const hours = getDaySchedule(pickupDate).hours ?? FALLBACK_HOURS;
+  const books = titles.length === 1 ? `"${titles[0]}"` : `${titles.length} books`;
+
+  return {
+    uid: `${reservationId}-pickup@booknest`,
+    title: `Pick up ${books} at BookNest`,
+    description: `Reservation ${reservationId}\n${titles.join('\n')}\n\nBring your library card or the pickup QR code.`,
+    start: atTime(pickupDate, hours.open),
+    end: atTime(pickupDate, hours.close),
+    sequence: 0,
+    alarms: [
+      { trigger: '-P1D', description: `Tomorrow: pick up ${books} at BookNest` },
+      { trigger: '-PT1H', description: `Pick up ${books} at BookNest today` },
+    ],
+  };
+}
+
+/**
+ * Due event for a loan.
+ *
+ * @param {Object} loan - History record
+ * @returns {Object} Event
+ */
+export function createDueEvent(loan) {
+  const hours = getDaySchedule(loan.dueDate).hours ?? FALLBACK_HOURS;
+  const close = atTime(loan.dueDate, hours.close);
+
+  return {
+    uid: `${loan.reservationId}-due@booknest`,
+    title: `Return "${loan.book.title}" to BookNest`,
+    description: `Due ${close.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}.\n`
+      + `Reservation ${loan.reservationId}. Renew from your BookNest Dashboard if you need longer.`,
+    start: new Date(close.getTime() - 60 * 60 * 1000),
+    end: close,
+    sequence: getRenewalCount(loan),
+    alarms: [
+      { trigger: `-P${DUE_SOON_DAYS}D`, description: `"${loan.book.title}" is due in ${DUE_SOON_DAYS} days` },
+      { trigger: '-PT8H', description: `"${loan.book.title}" is due back today` },
+    ],
+  };
+}
+
+/**
+ * Events for one loan: its pickup (until collected) and its due date.
+ *
+ * @param {Object} loan - History record
+ * @returns {Array} Events (none for returned or cancelled loans)
+ */
+export function getLoanEvents(loan) {
+  if (loan.status !== 'borrowed') return [];
+  const events = [];
+  if (!loan.pickedUp) {
+    events.push(createPickupEvent({
+      reservationId: loan.reservationId,
+      pickupDate: loan.borrowDate,
+      titles: [loan.book.title],
+    }));
+  }
+  events.push(createDueEvent(loan));
+  return events;
+}
+
+/**
+ * Events for a receipt: one pickup for the whole reservation, and a due
+ * date per book that is still on loan or waiting (services/receipts).
+ *
+ * @param {Object} confirmation - Receipt record
+ * @param {Array} history - The patron's loans
+ * @returns {Array} Events
+ */
+export function getReceiptEvents(confirmation, history) {
+  const loans = confirmation.books
+    .map((book) => history.find((item) => item.reservationId === book.reservationId))
+    .filter((loan) => loan?.status === 'borrowed');
+
+  const waiting = loans.filter((loan) => !loan.pickedUp);
+  const events = waiting.length > 0
+    ? [createPickupEvent({
+      reservationId: confirmation.reservationId,
+      pickupDate: confirmation.pickupDate,
+      titles: waiting.map((loan) => loan.book.title),
+    })]
+    : [];
+
+  return [...events, ...loans.map(createDueEvent)];
+}
+
+/**
+ * Builds an iCalendar file.
+ *
+ * @param {Array} events - From the create*Event functions
+ * @param {Object} options - { name, now (ms) }
+ * @returns {string} .ics text
+ */
+export function buildCalendar(events, { name = 'BookNest', now }) {
+  const stamp = formatUtc(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//BookNest//Library Loans//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  events.forEach((event) => {
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatUtc(event.start)}`,
+      `DTEND:${formatUtc(event.end)}`,
+      `SEQUENCE:${event.sequence}`,
+      `SUMMARY:${escapeText(event.title)}`,
+      `DESCRIPTION:${escapeText(event.description)}`,
+      'LOCATION:BookNest - University Library Building\\, Main Campus',
+      'TRANSP:TRANSPARENT',
+    );
+    event.alarms.forEach((alarm) => {
+      lines.push(
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `TRIGGER:${alarm.trigger}`,
+        `DESCRIPTION:${escapeText(alarm.description)}`,
+        'END:VALARM',
+      );
+    });
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+}
+
+/**
+ * One calendar with every active loan of a patron.
+ *
+ * @param {string} username - Patron
+ * @param {Array} history - Their loans
+ * @param {number} now - Current time (ms)
+ * @returns {string} .ics text
+ */
+export const buildLoansCalendar = (username, history, now) =>
+  buildCalendar(history.flatMap(getLoanEvents), { name: `BookNest - ${username}`, now });
+
+/**
+ * Deletes the loans calendars earlier versions saved in the browser's
+ * cache, so the next person signing in on this browser can't open them.
+ *
+ * @returns {Promise<void>}
+ */
+export async function clearSavedCalendars() {
+  if (typeof caches === 'undefined') return;
+  await caches.delete(CALENDAR_CACHE);
+}
+
+/**
+ * Saves an .ics file as a download.
+ */
+export function downloadCalendar(text, filename) {
+  const url = URL.createObjectURL(new Blob([text], { type: 'text/calendar;charset=utf-8' }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
@@ -0,0 +1,103 @@
+/**
+ * In-App Notifications
+ *
+ * PURPOSE:
+ * Stores notifications for a user under 'booknest-notifications-{username}'.
+ * Any part of the app can notify ANY user (e.g. a librarian's check-in
+ * tells the next patron in the hold queue that their book is ready); the
+ * recipient's NotificationContext picks the change up through the storage
+ * subscription, even in another tab.
+ *
+ * Types the recipient has turned off (types.js) are dropped here, and
+ * scheduler.js works out the due-date and pickup reminders.
+ *
+ * NOTIFICATION SHAPE:
+ * {
+ *   id, type,            // a NOTIFICATION_TYPES key, e.g. 'hold_ready', 'due_soon'
+ *   title, message,
+ *   link,                // optional in-app path, e.g. '/book/7'
+ *   key,                 // optional - a second notification with the same key is ignored
+ *   date, read
+ * }
+ */
+
+import storage from '../storage';
+import { decodeCollection, encodeCollection } from '../schema';
+import { notificationPrefsKey, isTypeEnabled } from './types';
+
+export {
+  NOTIFICATION_TYPES,
+  DEFAULT_PREFERENCES,
+  notificationPrefsKey,
+  isTypeEnabled,
+  isPushEnabled,
+  getTypeGroups,
+} from './types';
+export {
+  REMINDER_INTERVAL,
+  MAX_SENT_KEYS,
+  remindersKey,
+  getDueReminders,
+} from './scheduler';
+
+export const NOTIFICATIONS_PREFIX = 'booknest-notifications-';
+
+// Oldest notifications are dropped beyond this
+export const MAX_NOTIFICATIONS = 50;
+
+/**
+ * Storage key for a user's notifications.
+ */
+export const notificationsKey = (username) => `${NOTIFICATIONS_PREFIX}${username}`;
+
+/**
+ * Builds a notification record.
+ *
+ * @param {Object} details - { type, title, message, link?, key? }
+ * @returns {Object} Notification
+ */
+export function createNotification({ type, title, message, link = null, key = null }) {
+  return {
+    id: `N-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`.toUpperCase(),
+    type,
+    title,
+    message,
+    link,
+    key,
+    date: new Date().toISOString(),
+    read: false,
+  };
+}
+
+// Writes run one after another so two notifications for the same user
+// can't overwrite each other (read → add → save is not atomic)
+let writeQueue = Promise.resolve();
+
+/**
+ * Adds a notification to a user's list, unless they turned its type off.
+ *
+ * @param {string} username - Recipient
+ * @param {Object} details - See createNotification
+ * @returns {Promise<void>}
+ */
+export function notifyUser(username, details) {
+  writeQueue = writeQueue
+    .then(async () => {
+      const prefs = await storage.get(notificationPrefsKey(username));
+      if (!isTypeEnabled(prefs, details.type)) return;
+
+      const key = notificationsKey(username);
+      const { data } = decodeCollection('notifications', await storage.get(key));
+      const current = data || [];
+
+      // Several tabs may report the same event; keep the first
+      if (details.key && current.some((item) => item.key === details.key)) return;
+
+      const next = [createNotification(details), ...current].slice(0, MAX_NOTIFICATIONS);
+      await storage.set(key, encodeCollection('notifications', next));
+    })
+    .catch((error) => {
+      console.error(`Error saving notification for ${username}:`, error);
+    });
+  return writeQueue;
+}
@@ -0,0 +1,134 @@
+/**
+ * Reminder Scheduler
+ *
+ * PURPOSE:
+ * Works out which reminders apply right now from the user's history and
+ * holds: collect a reservation today/tomorrow, a loan due in the next
+ * DUE_SOON_DAYS days, a loan past its due date, and a set-aside hold with
+ * less than HOLD_ENDING_HOURS left. NotificationContext runs it when the
+ * app loads and every REMINDER_INTERVAL.
+ *
+ * SENT KEYS:
+ * Each reminder has a key built from the record and its date
+ * (e.g. 'due-soon-RES123-2026-11-03'). Keys already sent are saved under
+ * 'booknest-reminders-{username}', so a reminder the user deleted does not
+ * come back on the next run - but renewing a loan (new due date) gives a
+ * new key and therefore a new reminder.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Pure function of (records, now); the context decides what to send
+ * - A reminder only applies inside its window, e.g. "due soon" stops
+ *   applying once the loan is overdue
+ */
+
+import { getDaySchedule, formatHours, toDayKey } from '../calendar';
+
+export const REMINDERS_PREFIX = 'booknest-reminders-';
+
+export const DUE_SOON_DAYS = 2;
+export const HOLD_ENDING_HOURS = 24;
+export const REMINDER_INTERVAL = 15 * 60 * 1000;
+
+// Oldest sent keys are forgotten beyond this
+export const MAX_SENT_KEYS = 200;
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * Storage key for the reminder keys already sent to a user.
+ */
+export const remindersKey = (username) => `${REMINDERS_PREFIX}${username}`;
+
+// Midnight at the start of a date's local day (ms)
+const startOfDay = (date) => new Date(date).setHours(0, 0, 0, 0);
+
+// Whole calendar days from `now` to `date` (0 = today, 1 = tomorrow)
+const daysUntil = (date, now) => Math.round((startOfDay(date) - startOfDay(now)) / (24 * HOUR));
+
+const formatDay = (date) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'short',
+  month: 'short',
+  day: 'numeric',
+});
+
+// "today", "tomorrow" or "in 2 days"
+const relativeDay = (days) => {
+  if (days === 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  return `in ${days} days`;
+};
+
+/**
+ * Reminders that apply at `now`.
+ *
+ * @param {Object} records
+ * @param {Array} records.history - The user's history records
+ * @param {Array} records.holds - All hold records (filtered to the user)
+ * @param {Array} records.catalog - Catalog, for hold titles
+ * @param {string} records.username - The user
+ * @param {number} now - Current time (ms)
+ * @returns {Array} [{ type, title, message, link, key }] ready for notifyUser
+ */
+export function getDueReminders({ history, holds, catalog, username }, now) {
+  const reminders = [];
+
+  for (const loan of history) {
+    if (loan.status !== 'borrowed') continue;
+    const title = loan.book.title;
+
+    // Reserved but not collected yet: remind the day before and on the day
+    if (!loan.pickedUp) {
+      const days = daysUntil(loan.borrowDate, now);
+      if (days === 0 || days === 1) {
+        const hours = formatHours(getDaySchedule(loan.borrowDate).hours);
+        reminders.push({
+          type: 'pickup_reminder',
+          title: `Pick up ${relativeDay(days)}`,
+          message: `"${title}" is waiting for you at the library desk ${relativeDay(days)} (${hours}).`,
+          link: '/dashboard',
+          key: `pickup-${loan.reservationId}-${toDayKey(new Date(loan.borrowDate))}`,
+        });
+      }
+      continue;
+    }
+
+    const due = new Date(loan.dueDate).getTime();
+    const dueKey = toDayKey(new Date(loan.dueDate));
+
+    if (now >= due) {
+      reminders.push({
+        type: 'overdue',
+        title: 'Loan overdue',
+        message: `"${title}" was due on ${formatDay(due)}. Please return it to the library desk - late fees may apply.`,
+        link: '/dashboard',
+        key: `overdue-${loan.reservationId}-${dueKey}`,
+      });
+    } else if (daysUntil(due, now) <= DUE_SOON_DAYS) {
+      reminders.push({
+        type: 'due_soon',
+        title: `Due ${relativeDay(daysUntil(due, now))}`,
+        message: `"${title}" is due back on ${formatDay(due)}. Renew it from your dashboard if you need longer.`,
+        link: '/dashboard',
+        key: `due-soon-${loan.reservationId}-${dueKey}`,
+      });
+    }
+  }
+
+  // Set-aside holds running out
+  for (const hold of holds) {
+    if (hold.userId !== username || hold.status !== 'ready' || !hold.pickupBy) continue;
+    const pickupBy = new Date(hold.pickupBy).getTime();
+    if (now >= pickupBy || pickupBy - now > HOLD_ENDING_HOURS * HOUR) continue;
+
+    const title = catalog.find((book) => book.id === hold.bookId)?.title ?? 'your book';
+    reminders.push({
+      type: 'hold_ending',
+      title: 'Hold ending soon',
+      message: `The copy of "${title}" set aside for you goes to the next person in line if you don't reserve it by ${new Date(pickupBy).toLocaleString()}.`,
+      link: `/book/${hold.bookId}`,
+      key: `hold-ending-${hold.bookingId}`,
+    });
+  }
+
+  return reminders;
+}
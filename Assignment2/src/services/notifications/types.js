@@ -0,0 +1,131 @@
+/**
+ * Notification Types & Preferences
+ *
+ * PURPOSE:
+ * Every kind of notification the app sends, grouped for the settings panel
+ * in the notification center. Patrons can turn each type off; the choice is
+ * saved under 'booknest-notification-prefs-{username}' and checked by
+ * notifyUser(), so a muted type is never stored - whoever sends it.
+ * Separately, patrons choose which types also appear as browser
+ * notifications (services/push) and how long "Snooze" waits.
+ *
+ * PREFERENCES SHAPE:
+ * {
+ *   muted: ['due_soon', ...],    // types the user turned off
+ *   push: ['overdue', ...],      // types also shown as browser notifications
+ *   snoozeMinutes: 60,
+ * }
+ * Preferences saved before `push` existed use the defaults below.
+ */
+
+export const NOTIFICATION_PREFS_PREFIX = 'booknest-notification-prefs-';
+
+export const DEFAULT_PREFERENCES = {
+  muted: [],
+  push: ['due_soon', 'overdue', 'hold_ready', 'hold_ending'],
+  snoozeMinutes: 60,
+};
+
+/**
+ * Type → { label, description, group }
+ */
+export const NOTIFICATION_TYPES = {
+  due_soon: {
+    label: 'Due soon',
+    description: 'A loan is due in the next 2 days',
+    group: 'Loans',
+  },
+  overdue: {
+    label: 'Overdue',
+    description: 'A loan is past its due date',
+    group: 'Loans',
+  },
+  pickup_reminder: {
+    label: 'Pickup reminder',
+    description: 'A reservation is waiting to be collected today or tomorrow',
+    group: 'Loans',
+  },
+  reservation_cancelled: {
+    label: 'Reservation cancelled',
+    description: 'A reservation you had not collected was cancelled',
+    group: 'Loans',
+  },
+  offline_conflict: {
+    label: 'Offline action failed',
+    description: 'Something you did offline could not be completed once you were back online',
+    group: 'Loans',
+  },
+  hold_placed: {
+    label: 'Joined a queue',
+    description: 'Your place in a hold queue',
+    group: 'Holds',
+  },
+  hold_ready: {
+    label: 'Hold ready',
+    description: 'A copy is set aside for you',
+    group: 'Holds',
+  },
+  hold_ending: {
+    label: 'Hold ending',
+    description: 'Less than a day left to reserve a set-aside copy',
+    group: 'Holds',
+  },
+  hold_expired: {
+    label: 'Hold expired',
+    description: 'A set-aside copy went to the next person in line',
+    group: 'Holds',
+  },
+  hold_fulfilled: {
+    label: 'Hold reserved',
+    description: 'A hold became a reservation',
+    group: 'Holds',
+  },
+  hold_cancelled: {
+    label: 'Hold cancelled',
+    description: 'You left a hold queue',
+    group: 'Holds',
+  },
+  review_hidden: {
+    label: 'Review hidden',
+    description: 'A librarian hid one of your reviews',
+    group: 'Reviews',
+  },
+};
+
+/**
+ * Storage key for a user's notification preferences.
+ */
+export const notificationPrefsKey = (username) => `${NOTIFICATION_PREFS_PREFIX}${username}`;
+
+/**
+ * Whether a type is switched on (unknown types always are).
+ *
+ * @param {Object|null} prefs - Saved preferences
+ * @param {string} type - Notification type
+ * @returns {boolean}
+ */
+export const isTypeEnabled = (prefs, type) => !(prefs?.muted ?? []).includes(type);
+
+/**
+ * Whether a type should also be shown as a browser notification.
+ *
+ * @param {Object|null} prefs - Saved preferences
+ * @param {string} type - Notification type
+ * @returns {boolean}
+ */
+export const isPushEnabled = (prefs, type) =>
+  isTypeEnabled(prefs, type) && (prefs?.push ?? DEFAULT_PREFERENCES.push).includes(type);
+
+/**
+ * Types grouped for display, in NOTIFICATION_TYPES order.
+ *
+ * @returns {Array} [{ group, types: [{ type, label, description }] }]
+ */
+export function getTypeGroups() {
+  const groups = new Map();
+  for (const [type, details] of Object.entries(NOTIFICATION_TYPES)) {
+    if (!groups.has(details.group)) groups.set(details.group, []);
+    groups.get(details.group).push({ type, ...details });
+  }
+  return [...groups].map(([group, types]) => ({ group, types }));
+}
@@ -0,0 +1,105 @@
+/**
+ * Offline Action Queue
+ *
+ * PURPOSE:
+ * Browsing and building a cart work offline (the catalog, cart and history
+ * are in the storage layer, the app shell and covers in the service worker
+ * cache). Actions that change loans - reserve, cancel a reservation, renew -
+ * must be checked against everyone else's activity, so while offline they
+ * are saved under 'booknest-offline-queue-{username}' and replayed through
+ * the normal BookContext functions when the connection returns.
+ *
+ * ACTION SHAPE:
+ * {
+ *   id, type,                  // type: a QUEUED_ACTIONS key
+ *   payload,                   // reserve: { historyItem }; cancel/extend: { reservationId }
+ *   summary,                   // e.g. 'Reserve "Dune"' - shown to the patron
+ *   queuedAt,
+ *   status: 'pending' | 'conflict',
+ *   conflict,                  // why replaying failed (status 'conflict')
+ * }
+ *
+ * CONFLICTS:
+ * A replayed action can fail because things changed in the meantime (the
+ * last copy was taken, a hold blocks the renewal, the pickup date passed).
+ * It then stays in the queue as a conflict with the reason, until the
+ * patron dismisses it.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Pure functions; OfflineContext stores the queue and replays it
+ * - Actions replay in the order they were made
+ */
+
+export const OFFLINE_QUEUE_PREFIX = 'booknest-offline-queue-';
+
+export const QUEUED_ACTIONS = {
+  reserve: 'Reserve',
+  cancel: 'Cancel reservation',
+  extend: 'Renew loan',
+};
+
+export const QUEUE_STATUSES = {
+  pending: 'Waiting to send',
+  conflict: 'Could not be completed',
+};
+
+/**
+ * Storage key for a user's offline queue.
+ */
+export const offlineQueueKey = (username) => `${OFFLINE_QUEUE_PREFIX}${username}`;
+
+/**
+ * Builds a queued action.
+ *
+ * @param {string} type - A QUEUED_ACTIONS key
+ * @param {Object} payload - Arguments for the action
+ * @param {string} summary - What the patron did, in words
+ * @returns {Object} Pending action
+ */
+export function createQueuedAction(type, payload, summary) {
+  return {
+    id: `Q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase(),
+    type,
+    payload,
+    summary,
+    queuedAt: new Date().toISOString(),
+    status: 'pending',
+    conflict: null,
+  };
+}
+
+/**
+ * Problems that don't need the current loans to spot, checked before
+ * replaying: a reservation whose pickup day is already over.
+ *
+ * @param {Object} action - Queued action
+ * @param {number} now - Current time (ms)
+ * @returns {string|null} The conflict, or null
+ */
+export function findStaleConflict(action, now) {
+  if (action.type !== 'reserve') return null;
+
+  const pickup = new Date(action.payload.historyItem.borrowDate);
+  const endOfPickupDay = new Date(pickup).setHours(23, 59, 59, 999);
+  if (endOfPickupDay < now) {
+    return `The pickup date (${pickup.toLocaleDateString()}) passed before you were back online. Please reserve again.`;
+  }
+  return null;
+}
+
+/**
+ * Applies replay results to the queue: successes leave it, failures
+ * become conflicts. Actions added in the meantime are kept as they are.
+ *
+ * @param {Array} queue - Current queue
+ * @param {Map} results - action ID → { success, message }
+ * @returns {Array} New queue
+ */
+export function applyReplayResults(queue, results) {
+  return queue.flatMap((action) => {
+    const result = results.get(action.id);
+    if (!result) return [action];
+    if (result.success) return [];
+    return [{ ...action, status: 'conflict', conflict: result.message }];
+  });
+}
@@ -0,0 +1,242 @@
+/**
+ * Minimal PDF Writer
+ *
+ * PURPOSE:
+ * Builds simple PDF files in the browser - text, lines, filled boxes and
+ * QR codes - for receipts and loan slips (see templates.js). No library:
+ * a PDF is a text file of numbered objects plus a table of where each
+ * object starts (the "xref"), which is all this module writes.
+ *
+ * COORDINATES:
+ * Points (1/72 inch), measured from the TOP-left corner like the page
+ * layout (PDF itself measures from the bottom; converted when writing).
+ * Text y is the baseline. Colors are gray levels: 0 = black, 1 = white.
+ *
+ * FONTS:
+ * The built-in Helvetica and Helvetica-Bold (every PDF reader has them),
+ * in the WinAnsi character set; other characters print as "?".
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Drawing calls are stored per page and only turned into PDF text by
+ *   toBlob(), so a page can grow to fit its content (height: null)
+ * - Text width comes from Helvetica's published character widths, which
+ *   lets templates wrap and right-align text
+ */
+
+export const PAGE_SIZES = {
+  a4: { width: 595.28, height: 841.89 },
+  slip: { width: 226.77, height: null }, // 80 mm receipt-printer roll
+};
+
+// Space below the lowest drawing on a page that fits its content
+const AUTO_HEIGHT_PADDING = 18;
+
+// Helvetica widths (1/1000 em) for characters 32-126
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584,
+];
+
+// Helvetica-Bold is slightly wider on average; close enough for layout
+const BOLD_FACTOR = 1.06;
+
+// Typographic characters that WinAnsi has outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '…': 0x85, '•': 0x95, '–': 0x96, '—': 0x97,
+  '‘': 0x91, '’': 0x92, '“': 0x93, '”': 0x94, '€': 0x80,
+};
+
+/**
+ * Converts text to WinAnsi bytes (as a string of char codes 0-255).
+ */
+const toWinAnsi = (text) => Array.from(String(text), (char) => {
+  const code = char.charCodeAt(0);
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return char;
+  return '?';
+}).join('');
+
+/**
+ * Escapes a WinAnsi string for a PDF string literal.
+ */
+const escapePdfString = (text) => text.replace(/[\\()]/g, (char) => `\\${char}`);
+
+// Numbers in PDF operators: at most 2 decimals
+const num = (value) => String(Math.round(value * 100) / 100);
+
+/**
+ * Creates an empty PDF document.
+ *
+ * @param {Object} options - { width, height (null = fit content), title }
+ * @returns {Object} Document with drawing methods and toBlob()
+ */
+export function createPdfDocument({ width, height = null, title = '' }) {
+  const pages = [];
+  let page = null;
+
+  const doc = {
+    width,
+    height,
+
+    /**
+     * Starts a new page; drawing calls go to the newest page.
+     */
+    addPage() {
+      page = { ops: [], bottom: 0 };
+      pages.push(page);
+      return doc;
+    },
+
+    /**
+     * Width of a piece of text in points.
+     */
+    textWidth(text, { size = 10, bold = false } = {}) {
+      const units = Array.from(String(text)).reduce((total, char) => {
+        const code = char.charCodeAt(0);
+        return total + (code >= 32 && code <= 126 ? HELVETICA_WIDTHS[code - 32] : 556);
+      }, 0);
+      return (units * size * (bold ? BOLD_FACTOR : 1)) / 1000;
+    },
+
+    /**
+     * Splits text into lines no wider than maxWidth (long words are cut).
+     *
+     * @returns {Array<string>} Lines
+     */
+    wrapText(text, maxWidth, style = {}) {
+      const lines = [];
+      let line = '';
+      String(text ?? '').split(/\s+/).filter(Boolean).forEach((word) => {
+        let rest = word;
+        while (doc.textWidth(rest, style) > maxWidth) {
+          let cut = rest.length - 1;
+          while (cut > 1 && doc.textWidth(rest.slice(0, cut), style) > maxWidth) cut -= 1;
+          if (line) lines.push(line);
+          lines.push(rest.slice(0, cut));
+          line = '';
+          rest = rest.slice(cut);
+        }
+        const candidate = line ? `${line} ${rest}` : rest;
+        if (doc.textWidth(candidate, style) <= maxWidth) {
+          line = candidate;
+        } else {
+          lines.push(line);
+          line = rest;
+        }
+      });
+      if (line) lines.push(line);
+      return lines;
+    },
+
+    /**
+     * Draws one line of text.
+     *
+     * @param {Object} [style] - { size, bold, color, align: 'left' | 'center' | 'right' }
+     *   For center/right, x is the center/right edge.
+     */
+    text(x, y, text, { size = 10, bold = false, color = 0, align = 'left' } = {}) {
+      const textWidth = doc.textWidth(text, { size, bold });
+      const left = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+      page.ops.push({ type: 'text', x: left, y, text: toWinAnsi(text), size, bold, color });
+      page.bottom = Math.max(page.bottom, y + size * 0.25);
+      return doc;
+    },
+
+    /**
+     * Draws a filled rectangle (x, y = top-left corner).
+     */
+    rect(x, y, w, h, { color = 0 } = {}) {
+      page.ops.push({ type: 'rect', x, y, w, h, color });
+      page.bottom = Math.max(page.bottom, y + h);
+      return doc;
+    },
+
+    /**
+     * Draws a straight line.
+     */
+    line(x1, y1, x2, y2, { width: lineWidth = 0.5, color = 0 } = {}) {
+      page.ops.push({ type: 'line', x1, y1, x2, y2, lineWidth, color });
+      page.bottom = Math.max(page.bottom, y1, y2);
+      return doc;
+    },
+
+    /**
+     * Draws a QR code from its modules (services/qr getQrModules).
+     *
+     * @param {Object} modules - { size, runs: [{ x, y, w }] } in modules
+     * @param {number} size - Width/height on the page, in points
+     */
+    qrCode(x, y, modules, size) {
+      const unit = size / modules.size;
+      doc.rect(x, y, size, size, { color: 1 });
+      modules.runs.forEach((run) => {
+        // A hair taller than a module so rows join without white seams
+        doc.rect(x + run.x * unit, y + run.y * unit, run.w * unit, unit + 0.2);
+      });
+      return doc;
+    },
+
+    /**
+     * Writes the PDF file.
+     *
+     * @returns {Blob} application/pdf
+     */
+    toBlob() {
+      const objects = [];
+      const addObject = (body) => {
+        objects.push(body);
+        return objects.length;
+      };
+
+      const catalogId = addObject(null); // filled in once the pages exist
+      const pagesId = addObject(null);
+      const regularId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      const boldId = addObject('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+
+      const pageIds = pages.map((current) => {
+        const pageHeight = height ?? Math.ceil(current.bottom + AUTO_HEIGHT_PADDING);
+        const flip = (y) => num(pageHeight - y);
+
+        const stream = current.ops.map((op) => {
+          if (op.type === 'text') {
+            return `${num(op.color)} g BT /${op.bold ? 'F2' : 'F1'} ${num(op.size)} Tf ${num(op.x)} ${flip(op.y)} Td (${escapePdfString(op.text)}) Tj ET`;
+          }
+          if (op.type === 'rect') {
+            return `${num(op.color)} g ${num(op.x)} ${flip(op.y + op.h)} ${num(op.w)} ${num(op.h)} re f`;
+          }
+          return `${num(op.lineWidth)} w ${num(op.color)} G ${num(op.x1)} ${flip(op.y1)} m ${num(op.x2)} ${flip(op.y2)} l S`;
+        }).join('\n');
+
+        const contentId = addObject(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+        return addObject(
+          `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(pageHeight)}] ` +
+          `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`
+        );
+      });
+
+      objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+      objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map((id) => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+      const infoId = addObject(`<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (BookNest) >>`);
+
+      // Every character is one byte (0-255), so string offsets are byte offsets
+      let file = '%PDF-1.4\n';
+      const offsets = objects.map((body, index) => {
+        const offset = file.length;
+        file += `${index + 1} 0 obj\n${body}\nendobj\n`;
+        return offset;
+      });
+      const xrefStart = file.length;
+      file += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+      file += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+      file += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefStart}\n%%EOF`;
+
+      return new Blob([Uint8Array.from(file, (char) => char.charCodeAt(0))], { type: 'application/pdf' });
+    },
+  };
+
+  return doc.addPage();
+}
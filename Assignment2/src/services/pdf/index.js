@@ -0,0 +1,94 @@
+/**
+ * PDF Service - Receipts and Loan Slips
+ *
+ * PURPOSE:
+ * Makes the printable documents (templates.js) and hands them to the
+ * browser: as a download, or straight to the print dialog.
+ *
+ * USAGE:
+ * const blob = await createReceiptPdf(confirmation, history);
+ * downloadPdf(blob, 'receipt-RES-AB12C.pdf');   // or printPdf(blob)
+ *
+ * const slip = buildLoanSlipPdf({ kind: 'due', patron, items: toSlipItems(loans, catalog), now: Date.now() });
+ */
+
+import { signQrPayload, getQrModules, isQrSigningAvailable } from '../qr';
+import { buildQrPayload } from '../receipts';
+import { findLoanCopy } from '../catalog';
+import { buildReceiptPdf } from './templates';
+
+export { createPdfDocument, PAGE_SIZES } from './document';
+export { buildReceiptPdf, buildLoanSlipPdf, LIBRARY_NAME, LIBRARY_ADDRESS } from './templates';
+
+/**
+ * Receipt PDF with its signed pickup QR code (left out when the build
+ * has no signing key).
+ *
+ * @param {Object} confirmation - Receipt record (services/receipts)
+ * @param {Array} history - The patron's loans (for each book's status)
+ * @returns {Promise<Blob>} PDF
+ */
+export async function createReceiptPdf(confirmation, history) {
+  const qrModules = isQrSigningAvailable()
+    ? await getQrModules(await signQrPayload(buildQrPayload(confirmation)))
+    : null;
+  return buildReceiptPdf(confirmation, { history, qrModules, now: Date.now() });
+}
+
+/**
+ * Loans as slip lines, with the barcode of the copy each one holds.
+ *
+ * @param {Array} loans - History records
+ * @param {Array} catalog - Catalog records (for copy barcodes)
+ * @returns {Array} [{ title, author, dueDate, reservationId, barcode }]
+ */
+export const toSlipItems = (loans, catalog) => loans.map((loan) => ({
+  title: loan.book.title,
+  author: loan.book.author,
+  dueDate: loan.dueDate,
+  reservationId: loan.reservationId,
+  barcode: findLoanCopy(catalog, loan.reservationId)?.copy.barcode ?? null,
+}));
+
+/**
+ * Saves a PDF as a download.
+ */
+export function downloadPdf(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 60000);
+}
+
+/**
+ * Opens the print dialog for a PDF (from a hidden frame, so the page stays
+ * where it is). Browsers that can't print a PDF from a frame open it in a
+ * new tab instead, where it can be printed.
+ */
+export function printPdf(blob) {
+  const url = URL.createObjectURL(blob);
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.src = url;
+
+  frame.onload = () => {
+    try {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+    } catch {
+      window.open(url, '_blank');
+    }
+  };
+
+  document.body.appendChild(frame);
+  // Keep the frame until the print dialog is long closed
+  setTimeout(() => {
+    frame.remove();
+    URL.revokeObjectURL(url);
+  }, 10 * 60000);
+}
@@ -0,0 +1,257 @@
+/**
+ * PDF Templates - Receipts and Loan Slips
+ *
+ * PURPOSE:
+ * The layouts every printed BookNest document uses, so the confirmation
+ * page, My Receipts, Dashboard, History and the librarian desk all print
+ * the same thing.
+ *
+ * TEMPLATES:
+ * 1. Reservation receipt (A4): patron, books with due dates and status,
+ *    pickup QR code, pickup instructions and library hours
+ * 2. Loan slip (80 mm roll, librarian desk): each book with its copy
+ *    barcode, reference and due date, who issued it
+ * 3. Date due slip (80 mm roll): just titles and due dates, in large print
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Pure functions: data in, PDF Blob out (drawing via document.js)
+ * - A "cursor" (y) moves down the page as each block is drawn; the receipt
+ *   starts a new page when the book list runs past the bottom margin
+ */
+
+import { createPdfDocument, PAGE_SIZES } from './document';
+import { getWeeklySchedule } from '../calendar';
+import { getReceiptBookStatus, RECEIPT_BOOK_STATUSES } from '../receipts';
+
+export const LIBRARY_NAME = 'BookNest';
+export const LIBRARY_ADDRESS = ['University Library Building', 'Main Campus, Room 101', 'City, State 12345'];
+
+// Light gray for labels and rules, mid gray for secondary text
+const LABEL = 0.45;
+const RULE = 0.8;
+
+const formatLongDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  weekday: 'long', year: 'numeric', month: 'long', day: 'numeric'
+});
+
+const formatShortDate = (date) => new Date(date).toLocaleDateString('en-US', {
+  year: 'numeric', month: 'short', day: 'numeric'
+});
+
+const formatDateTime = (date) => `${formatShortDate(date)}, ${new Date(date).toLocaleTimeString('en-US', {
+  hour: '2-digit', minute: '2-digit'
+})}`;
+
+/**
+ * Reservation Receipt (A4)
+ *
+ * @param {Object} confirmation - Receipt record (services/receipts)
+ * @param {Object} [options]
+ * @param {Array} [options.history] - The patron's loans, for each book's status
+ * @param {Object} [options.qrModules] - Pickup QR code (services/qr getQrModules)
+ * @param {number} options.now - When the PDF is made (ms)
+ * @returns {Blob} PDF
+ */
+export function buildReceiptPdf(confirmation, { history = [], qrModules = null, now }) {
+  const { width, height } = PAGE_SIZES.a4;
+  const margin = 48;
+  const right = width - margin;
+  const doc = createPdfDocument({ width, height, title: `${LIBRARY_NAME} receipt ${confirmation.reservationId}` });
+
+  // Header band
+  const drawHeader = () => {
+    doc.rect(0, 0, width, 64);
+    doc.text(margin, 40, LIBRARY_NAME, { size: 22, bold: true, color: 1 });
+    doc.text(right, 40, 'Reservation Receipt', { size: 12, color: 1, align: 'right' });
+  };
+  drawHeader();
+
+  // Reservation ID
+  let y = 100;
+  doc.text(margin, y, 'RESERVATION ID', { size: 8, bold: true, color: LABEL });
+  doc.text(margin, y + 22, confirmation.reservationId, { size: 20, bold: true });
+  doc.text(right, y, 'CONFIRMED', { size: 8, bold: true, color: LABEL, align: 'right' });
+  doc.text(right, y + 16, formatDateTime(confirmation.timestamp), { size: 10, align: 'right' });
+  y += 48;
+
+  // Patron and pickup details, two columns
+  const details = confirmation.userDetails;
+  const column = (x, rows) => rows.forEach(([label, value], index) => {
+    doc.text(x, y + index * 30, label.toUpperCase(), { size: 8, bold: true, color: LABEL });
+    doc.text(x, y + index * 30 + 13, value || '-', { size: 11 });
+  });
+  column(margin, [['Name', details.fullName], ['Email', details.email], ['Membership ID', details.membershipId]]);
+  column(width / 2, [
+    ['Pickup date', formatLongDate(confirmation.pickupDate)],
+    ['Books', `${confirmation.totalBooks} ${confirmation.totalBooks === 1 ? 'book' : 'books'}`],
+    ['Pickup at', LIBRARY_ADDRESS[0]],
+  ]);
+  y += 96;
+
+  // Book table
+  const cols = { index: margin, title: margin + 22, loan: 330, due: 385, status: right };
+  const titleWidth = cols.loan - cols.title - 10;
+  const drawTableHeader = () => {
+    doc.rect(margin, y, right - margin, 20, { color: 0.93 });
+    doc.text(cols.index + 4, y + 14, '#', { size: 8, bold: true });
+    doc.text(cols.title, y + 14, 'TITLE / AUTHOR', { size: 8, bold: true });
+    doc.text(cols.loan, y + 14, 'LOAN', { size: 8, bold: true });
+    doc.text(cols.due, y + 14, 'DUE', { size: 8, bold: true });
+    doc.text(cols.status - 4, y + 14, 'STATUS', { size: 8, bold: true, align: 'right' });
+    y += 34;
+  };
+  drawTableHeader();
+
+  confirmation.books.forEach((book, index) => {
+    const titleLines = doc.wrapText(book.title, titleWidth, { size: 10, bold: true });
+    const rowHeight = titleLines.length * 13 + 16;
+
+    if (y + rowHeight > height - margin) {
+      doc.addPage();
+      drawHeader();
+      y = 96;
+      drawTableHeader();
+    }
+
+    doc.text(cols.index + 4, y, `${index + 1}.`, { size: 10, color: LABEL });
+    titleLines.forEach((line, lineIndex) => doc.text(cols.title, y + lineIndex * 13, line, { size: 10, bold: true }));
+    doc.text(cols.title, y + titleLines.length * 13, `by ${book.author}`, { size: 9, color: LABEL });
+    doc.text(cols.loan, y, `${book.duration} days`, { size: 10 });
+    doc.text(cols.due, y, formatShortDate(book.dueDate), { size: 10 });
+    doc.text(cols.status - 4, y, RECEIPT_BOOK_STATUSES[getReceiptBookStatus(book, history)], { size: 9, align: 'right' });
+    y += rowHeight;
+    doc.line(margin, y - 10, right, y - 10, { color: RULE });
+  });
+
+  // QR code, instructions and hours need about 190pt
+  y += 10;
+  if (y + 190 > height - margin) {
+    doc.addPage();
+    drawHeader();
+    y = 96;
+  }
+
+  const qrSize = 140;
+  if (qrModules) {
+    doc.qrCode(margin, y, qrModules, qrSize);
+    doc.text(margin + qrSize / 2, y + qrSize + 14, 'Show this code at the desk', { size: 8, color: LABEL, align: 'center' });
+  }
+
+  const infoX = qrModules ? margin + qrSize + 28 : margin;
+  let infoY = y + 12;
+  doc.text(infoX, infoY, 'PICKUP INSTRUCTIONS', { size: 8, bold: true, color: LABEL });
+  [
+    '1. Bring your student ID and library membership card',
+    '2. Show this QR code or give your reservation ID',
+    `3. Collect your books by ${formatLongDate(confirmation.pickupDate)}`,
+    '4. Reservations are held for 3 days, then released',
+  ].forEach((line) => {
+    infoY += 15;
+    doc.text(infoX, infoY, line, { size: 9.5 });
+  });
+
+  infoY += 28;
+  doc.text(infoX, infoY, 'LIBRARY HOURS', { size: 8, bold: true, color: LABEL });
+  getWeeklySchedule().forEach((row) => {
+    infoY += 15;
+    doc.text(infoX, infoY, row.label, { size: 9.5 });
+    doc.text(infoX + 130, infoY, row.hours, { size: 9.5 });
+  });
+
+  // Footer
+  doc.line(margin, height - 40, right, height - 40, { color: RULE });
+  doc.text(margin, height - 26, `${LIBRARY_NAME} · ${LIBRARY_ADDRESS.join(', ')}`, { size: 8, color: LABEL });
+  doc.text(right, height - 26, `Printed ${formatDateTime(now)}`, { size: 8, color: LABEL, align: 'right' });
+
+  return doc.toBlob();
+}
+
+/**
+ * Loan Slip / Date Due Slip (80 mm roll)
+ *
+ * @param {Object} slip
+ * @param {string} slip.kind - 'loan' (desk copy with barcodes) or 'due' (date due slip)
+ * @param {Object} slip.patron - { name, username, membershipId }
+ * @param {Array} slip.items - [{ title, author, dueDate, reservationId, barcode }]
+ * @param {string} [slip.issuedBy] - Staff member printing a loan slip
+ * @param {number} slip.now - When the slip is printed (ms)
+ * @returns {Blob} PDF
+ */
+export function buildLoanSlipPdf({ kind, patron, items, issuedBy = null, now }) {
+  const { width } = PAGE_SIZES.slip;
+  const margin = 14;
+  const center = width / 2;
+  const right = width - margin;
+  const textWidth = right - margin;
+  const heading = kind === 'loan' ? 'LOAN SLIP' : 'DATE DUE SLIP';
+  const doc = createPdfDocument({ width, height: null, title: `${LIBRARY_NAME} ${heading.toLowerCase()}` });
+
+  let y = 28;
+  doc.text(center, y, LIBRARY_NAME, { size: 16, bold: true, align: 'center' });
+  LIBRARY_ADDRESS.forEach((line) => {
+    y += 10;
+    doc.text(center, y, line, { size: 7, color: LABEL, align: 'center' });
+  });
+  y += 18;
+  doc.rect(margin, y - 11, textWidth, 16);
+  doc.text(center, y, heading, { size: 10, bold: true, color: 1, align: 'center' });
+
+  // Patron
+  y += 22;
+  doc.text(margin, y, patron.name || patron.username, { size: 9, bold: true });
+  if (patron.membershipId) {
+    y += 11;
+    doc.text(margin, y, `Member ${patron.membershipId}`, { size: 8 });
+  }
+  y += 11;
+  doc.text(margin, y, `Printed ${formatDateTime(now)}`, { size: 8, color: LABEL });
+  if (issuedBy) {
+    y += 11;
+    doc.text(margin, y, `Issued by ${issuedBy}`, { size: 8, color: LABEL });
+  }
+
+  y += 10;
+  doc.line(margin, y, right, y, { width: 0.75 });
+
+  // Items
+  items.forEach((item) => {
+    y += 16;
+    const titleLines = doc.wrapText(item.title, textWidth, { size: 9, bold: true });
+    titleLines.forEach((line, index) => doc.text(margin, y + index * 11, line, { size: 9, bold: true }));
+    y += (titleLines.length - 1) * 11;
+    if (item.author) {
+      y += 11;
+      doc.text(margin, y, item.author, { size: 8, color: LABEL });
+    }
+    if (kind === 'loan') {
+      y += 11;
+      doc.text(margin, y, `Copy ${item.barcode || '-'}`, { size: 8 });
+      doc.text(right, y, item.reservationId, { size: 8, align: 'right' });
+    }
+    y += kind === 'due' ? 18 : 13;
+    doc.text(margin, y, 'DUE', { size: 8, bold: true, color: LABEL });
+    doc.text(right, y, formatShortDate(item.dueDate), { size: kind === 'due' ? 14 : 10, bold: true, align: 'right' });
+    y += 8;
+    doc.line(margin, y, right, y, { color: RULE });
+  });
+
+  // Footer
+  y += 14;
+  doc.text(margin, y, `${items.length} ${items.length === 1 ? 'item' : 'items'}`, { size: 8, bold: true });
+  [
+    'Please return or renew by the date shown.',
+    'Late returns are charged per day (see your',
+    'Dashboard for fines and renewals).',
+  ].forEach((line) => {
+    y += 11;
+    doc.text(margin, y, line, { size: 7.5 });
+  });
+  y += 6;
+  getWeeklySchedule({ short: true }).forEach((row) => {
+    y += 10;
+    doc.text(margin, y, row.label, { size: 7.5, color: LABEL });
+    doc.text(right, y, row.hours, { size: 7.5, color: LABEL, align: 'right' });
+  });
+
+  return doc.toBlob();
+}
@@ -0,0 +1,216 @@
+/**
+ * Borrowing Policy
+ *
+ * PURPOSE:
+ * One place for the library's borrowing rules: how many books a patron can
+ * reserve at once, which loan periods they can choose, how often and by how
+ * much a loan can be renewed, and when a reservation can be picked up.
+ *
+ * HOW RULES ARE CHOSEN:
+ * Every patron type (account role) has a full rule set. A book category can
+ * override any of those values; category rules win because they describe
+ * the book (e.g. finance titles are in demand and can't be renewed).
+ *
+ * RULE SET:
+ *   cartLimit         - books in the cart at once
+ *   loanPeriods       - loan lengths (days) to choose from; the first is the default
+ *   renewals          - most times a loan can be renewed (0 = never)
+ *   renewalDays       - days added per renewal
+ *   pickupLeadHours   - earliest pickup, in hours from now (rounded up to whole days)
+ *   pickupWindowDays  - latest pickup, in days from today
+ * Pickups can only be booked on days the library is open (services/calendar).
+ *
+ * RENEWALS:
+ * A loan can be renewed while it is picked up, not overdue, under its
+ * renewal limit, nobody is waiting for the book and the patron doesn't owe
+ * more than FINE_BLOCK_THRESHOLD in fines. Each renewal is logged on the
+ * loan (createRenewal) so patrons and staff can see when it happened.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - checkPolicy() is the single rules function: every check returns
+ *   { allowed, reason } so the UI can say WHY something was refused
+ * - Data, not code: changing a limit is a change to BORROWING_POLICY only
+ */
+
+import { getDaySchedule, nextOpenDay } from '../calendar';
+import { FINE_BLOCK_THRESHOLD, formatMoney } from '../fines';
+
+export const BORROWING_POLICY = {
+  patronTypes: {
+    patron: {
+      cartLimit: 5,
+      loanPeriods: [7, 14, 21],
+      renewals: 1,
+      renewalDays: 7,
+      pickupLeadHours: 24,
+      pickupWindowDays: 14,
+    },
+    librarian: {
+      cartLimit: 10,
+      loanPeriods: [7, 14, 21, 28],
+      renewals: 2,
+      renewalDays: 14,
+      pickupLeadHours: 0,
+      pickupWindowDays: 30,
+    },
+    admin: {
+      cartLimit: 10,
+      loanPeriods: [7, 14, 21, 28],
+      renewals: 2,
+      renewalDays: 14,
+      pickupLeadHours: 0,
+      pickupWindowDays: 30,
+    },
+  },
+  categories: {
+    // In demand: shorter loans, no renewals
+    Finance: { loanPeriods: [7, 14], renewals: 0 },
+    'Self-Help': { loanPeriods: [7, 14], renewals: 0 },
+    // Long reads get a longer first loan
+    'Classic Fiction': { loanPeriods: [14, 21, 28] },
+  },
+};
+
+/**
+ * The rules that apply to a patron type borrowing a book category.
+ * Unknown roles (e.g. accounts saved before roles existed) get patron rules.
+ *
+ * @param {string} [role] - Account role
+ * @param {string} [category] - Book category
+ * @returns {Object} Rule set
+ */
+export function getPolicy(role, category) {
+  const base = BORROWING_POLICY.patronTypes[role] ?? BORROWING_POLICY.patronTypes.patron;
+  return { ...base, ...BORROWING_POLICY.categories[category] };
+}
+
+/**
+ * Times a loan has been renewed. Loans saved before renewal counts existed
+ * only have the `extended` flag.
+ */
+export const getRenewalCount = (loan) => loan.renewalCount ?? (loan.extended ? 1 : 0);
+
+/**
+ * The changes that renew a loan: its new due date, the renewal count and
+ * an entry in the loan's renewal log.
+ *
+ * @param {Object} loan - History record
+ * @param {Object} renewal
+ * @param {Date} renewal.newDueDate - Due date after the renewal
+ * @param {string} renewal.by - Who renewed it (the patron or a staff member)
+ * @param {number} renewal.now - When it was renewed (ms)
+ * @returns {Object} Fields to merge into the loan
+ */
+export function createRenewal(loan, { newDueDate, by, now }) {
+  const date = new Date(now).toISOString();
+  return {
+    dueDate: newDueDate.toISOString(),
+    extended: true,
+    renewalCount: getRenewalCount(loan) + 1,
+    extensionDate: date,
+    renewedBy: by,
+    renewals: [
+      ...(loan.renewals ?? []),
+      { date, previousDueDate: loan.dueDate, newDueDate: newDueDate.toISOString(), by },
+    ],
+  };
+}
+
+/**
+ * Earliest and latest pickup days (local midnight).
+ *
+ * @param {Object} policy - Rule set from getPolicy
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { earliest: Date, latest: Date }
+ */
+export function getPickupRange(policy, now) {
+  const dayFromToday = (days) => {
+    const date = new Date(now);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() + days);
+    return date;
+  };
+
+  // Pickups are booked by day: 24 hours' notice means tomorrow at the earliest,
+  // or the first open day after that
+  const earliest = nextOpenDay(dayFromToday(Math.ceil(policy.pickupLeadHours / 24)));
+  const latest = dayFromToday(policy.pickupWindowDays);
+  return { earliest, latest: latest < earliest ? earliest : latest };
+}
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Checks one borrowing action against the rules.
+ *
+ * ACTIONS AND THEIR DETAILS:
+ *   'reserve'    - { book, cart }              adding a book to the cart
+ *   'loanPeriod' - { book, days }              choosing a loan length
+ *   'pickup'     - { pickupDate, now }         choosing a pickup date ('YYYY-MM-DD' or Date)
+ *   'renew'      - { loan, holdsWaiting, finesOwed, now }  renewing a loan
+ *                  (holdsWaiting: holds no free copy can serve; finesOwed in cents)
+ *
+ * @param {string} action - One of the actions above
+ * @param {Object} details - { role, ...action details }
+ * @returns {Object} { allowed: true, policy } or { allowed: false, reason, policy }
+ */
+export function checkPolicy(action, { role, book, cart = [], days, pickupDate, loan, holdsWaiting = 0, finesOwed = 0, now = 0 }) {
+  const policy = getPolicy(role, (book ?? loan?.book)?.category);
+  const refuse = (reason) => ({ allowed: false, reason, policy });
+
+  switch (action) {
+    case 'reserve':
+      if (cart.length >= policy.cartLimit) {
+        return refuse(`Cart limit reached! You can only reserve up to ${plural(policy.cartLimit, 'book')} at a time.`);
+      }
+      break;
+
+    case 'loanPeriod':
+      if (!policy.loanPeriods.includes(days)) {
+        return refuse(`"${book.title}" can be borrowed for ${policy.loanPeriods.join(', ')} days.`);
+      }
+      break;
+
+    case 'pickup': {
+      const date = typeof pickupDate === 'string' ? new Date(`${pickupDate}T00:00:00`) : new Date(pickupDate);
+      const { earliest, latest } = getPickupRange(policy, now);
+      if (Number.isNaN(date.getTime())) return refuse('Please choose a valid pickup date');
+      if (date < earliest) {
+        return refuse(policy.pickupLeadHours > 0
+          ? `Pickup date must be at least ${plural(policy.pickupLeadHours, 'hour')} from now`
+          : 'Pickup date cannot be in the past');
+      }
+      if (date > latest) {
+        return refuse(`Pickup date must be within ${plural(policy.pickupWindowDays, 'day')} from today`);
+      }
+      const schedule = getDaySchedule(date);
+      if (!schedule.open) {
+        return refuse(`The library is closed on that day (${schedule.reason}). Please choose another pickup date.`);
+      }
+      break;
+    }
+
+    case 'renew': {
+      const used = getRenewalCount(loan);
+      if (loan.status !== 'borrowed') return refuse('Cannot renew a returned book.');
+      if (!loan.pickedUp) return refuse('Books can be renewed after they are picked up.');
+      if (policy.renewals === 0) return refuse(`${loan.book.category} books cannot be renewed.`);
+      if (used >= policy.renewals) {
+        return refuse(`This loan has already been renewed ${used === 1 ? 'once' : `${used} times`} (the limit is ${policy.renewals}).`);
+      }
+      if (new Date(loan.dueDate).getTime() < now) return refuse('Overdue books cannot be renewed. Please return the book to the library.');
+      if (finesOwed > FINE_BLOCK_THRESHOLD) {
+        return refuse(`Renewals are paused while you owe more than ${formatMoney(FINE_BLOCK_THRESHOLD)} in fines (you owe ${formatMoney(finesOwed)}).`);
+      }
+      if (holdsWaiting > 0) {
+        return refuse(`${holdsWaiting === 1 ? 'A patron is' : `${holdsWaiting} patrons are`} waiting for "${loan.book.title}" with no free copy to give them, so it can't be renewed. Please return it by the due date.`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown policy action: ${action}`);
+  }
+
+  return { allowed: true, policy };
+}
@@ -0,0 +1,102 @@
+/**
+ * Browser Notifications (Web Notifications + Service Worker)
+ *
+ * PURPOSE:
+ * Shows BookNest notifications as system notifications, so a patron whose
+ * tab is in the background still hears that a loan is due or a hold is
+ * ready. Notifications go through the service worker (public/sw.js):
+ * that gives them a "Snooze" button and lets a click bring the tab back.
+ * The same worker caches the app for offline use, so production builds
+ * register it on start-up (main.jsx).
+ *
+ * PERMISSION FLOW:
+ * 'default' (never asked) → the patron presses "Turn on" in notification
+ * settings → requestPermission() → 'granted' or 'denied'. Browsers only
+ * allow asking from a click, and a denied permission can only be changed
+ * in the browser's site settings.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Feature detection: everything is a no-op where Notification or
+ *   serviceWorker is missing (old browsers, some in-app webviews)
+ * - tag: the notification ID, so several open tabs showing the same
+ *   notification replace each other instead of stacking up
+ */
+
+export const SNOOZE_OPTIONS = [
+  { minutes: 15, label: '15 minutes' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 240, label: '4 hours' },
+  { minutes: 24 * 60, label: '1 day' },
+];
+
+export const SNOOZE_PREFIX = 'booknest-snoozed-';
+
+/**
+ * Storage key for a user's snoozed browser notifications.
+ */
+export const snoozedKey = (username) => `${SNOOZE_PREFIX}${username}`;
+
+/**
+ * Whether this browser can show notifications through a service worker.
+ */
+export const isPushSupported = () =>
+  typeof window !== 'undefined' && 'Notification' in window && 'serviceWorker' in navigator;
+
+/**
+ * Current permission: 'granted' | 'denied' | 'default' | 'unsupported'.
+ */
+export const getPushPermission = () => (isPushSupported() ? Notification.permission : 'unsupported');
+
+/**
+ * Registers public/sw.js. Safe to call more than once.
+ * Needs only serviceWorker support (not the Notification API).
+ *
+ * @returns {Promise<ServiceWorkerRegistration|null>}
+ */
+export async function registerServiceWorker() {
+  if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) return null;
+  try {
+    return await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+  } catch (error) {
+    console.error('Service worker registration failed:', error);
+    return null;
+  }
+}
+
+/**
+ * Asks the browser for permission (must be called from a click).
+ *
+ * @returns {Promise<string>} The resulting permission
+ */
+export async function requestPushPermission() {
+  if (!isPushSupported()) return 'unsupported';
+  const permission = await Notification.requestPermission();
+  if (permission === 'granted') await registerServiceWorker();
+  return permission;
+}
+
+/**
+ * Shows an in-app notification as a system notification.
+ *
+ * @param {Object} notification - Notification record (services/notifications)
+ * @returns {Promise<boolean>} Whether it was shown
+ */
+export async function showBrowserNotification(notification) {
+  if (getPushPermission() !== 'granted') return false;
+
+  const registration = (await navigator.serviceWorker.getRegistration()) ?? (await registerServiceWorker());
+  if (!registration) return false;
+
+  await registration.showNotification(notification.title, {
+    body: notification.message,
+    tag: notification.id,
+    icon: `${import.meta.env.BASE_URL}vite.svg`,
+    // Everything needed to show it again after a snooze
+    data: { id: notification.id, title: notification.title, message: notification.message, link: notification.link },
+    actions: [
+      { action: 'open', title: 'Open' },
+      { action: 'snooze', title: 'Snooze' },
+    ],
+  });
+  return true;
+}
@@ -0,0 +1,256 @@
+/**
+ * Signed Pickup QR Codes
+ *
+ * PURPOSE:
+ * The reservation confirmation shows a QR code the patron brings to the
+ * desk; the librarian scanner (/admin/scan) reads it and finds the loans.
+ * Codes are signed with HMAC-SHA-256 (Web Crypto), so a code someone typed
+ * up or edited - say, another patron's reservation IDs - is rejected.
+ *
+ * CODE FORMAT (like a JSON Web Token):
+ *   BN1.<payload>.<signature>
+ *   payload   = base64url(JSON: { reservationId, reservationIds, username,
+ *               name, membershipId, pickupDate, totalBooks, timestamp })
+ *   signature = base64url(HMAC-SHA-256(key, 'BN1.<payload>'))
+ *
+ * SIGNING KEY:
+ * VITE_QR_SIGNING_KEY. Development builds fall back to a built-in key;
+ * production builds without VITE_QR_SIGNING_KEY refuse to sign or verify
+ * (isQrSigningAvailable), because the fallback is in the public source.
+ *
+ * SECURITY LIMIT:
+ * Every VITE_ variable is compiled into the JavaScript bundle, so anyone
+ * can read the key and sign their own codes. Here the signature only
+ * catches mistyped or edited codes. Real protection needs a server: it
+ * signs codes when a reservation is made and the desk scanner sends codes
+ * to it to be verified, so the key never reaches the browser.
+ *
+ * DECODING IMAGES:
+ * Camera frames and uploaded pictures are read with the browser's
+ * BarcodeDetector API (Chrome, Edge, Android). Browsers without it
+ * (Firefox, desktop Safari) use the jsQR decoder on a canvas copy of the
+ * image instead; jsQR is only loaded when it is needed.
+ */
+
+export const QR_PREFIX = 'BN1';
+
+const DEVELOPMENT_KEY = 'booknest-development-qr-signing-key';
+const SIGNING_KEY = import.meta.env.VITE_QR_SIGNING_KEY || (import.meta.env.PROD ? null : DEVELOPMENT_KEY);
+
+/**
+ * Whether codes can be signed and verified (production builds need
+ * VITE_QR_SIGNING_KEY).
+ */
+export const isQrSigningAvailable = () => SIGNING_KEY !== null;
+
+// base64url <-> bytes (UTF-8 safe, no padding)
+const toBase64Url = (bytes) =>
+  btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), (char) => char.charCodeAt(0));
+};
+
+let keyPromise = null;
+
+/**
+ * The HMAC key, imported once.
+ */
+function getKey() {
+  if (!isQrSigningAvailable()) {
+    return Promise.reject(new Error('QR signing is disabled: set VITE_QR_SIGNING_KEY for production builds'));
+  }
+  keyPromise ??= crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(SIGNING_KEY),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+  return keyPromise;
+}
+
+/**
+ * Builds a signed code for a reservation.
+ *
+ * @param {Object} data - { reservationId, reservationIds, username, name, membershipId, pickupDate, totalBooks, timestamp }
+ * @returns {Promise<string>} Text to put in the QR code
+ */
+export async function signQrPayload(data) {
+  const body = `${QR_PREFIX}.${toBase64Url(new TextEncoder().encode(JSON.stringify(data)))}`;
+  const signature = await crypto.subtle.sign('HMAC', await getKey(), new TextEncoder().encode(body));
+  return `${body}.${toBase64Url(new Uint8Array(signature))}`;
+}
+
+/**
+ * Checks a scanned code.
+ *
+ * @param {string} text - Scanned or pasted text
+ * @returns {Promise<Object>} { valid: true, data } or { valid: false, reason }
+ */
+export async function verifyQrPayload(text) {
+  if (!isQrSigningAvailable()) {
+    return { valid: false, reason: 'Pickup codes can\'t be checked in this build (no VITE_QR_SIGNING_KEY). Look the reservation up by its ID instead.' };
+  }
+
+  const parts = String(text ?? '').trim().split('.');
+
+  if (parts.length !== 3 || parts[0] !== QR_PREFIX) {
+    // Confirmations printed before codes were signed held plain JSON
+    if (String(text ?? '').trim().startsWith('{')) {
+      return { valid: false, reason: 'This code is from an older, unsigned confirmation. Look the reservation up by its ID instead.' };
+    }
+    return { valid: false, reason: 'This is not a BookNest pickup code.' };
+  }
+
+  try {
+    const body = `${parts[0]}.${parts[1]}`;
+    const matches = await crypto.subtle.verify(
+      'HMAC',
+      await getKey(),
+      fromBase64Url(parts[2]),
+      new TextEncoder().encode(body)
+    );
+    if (!matches) {
+      return { valid: false, reason: 'The signature does not match - this code was altered or not issued by BookNest.' };
+    }
+    return { valid: true, data: JSON.parse(new TextDecoder().decode(fromBase64Url(parts[1]))) };
+  } catch {
+    return { valid: false, reason: 'The code could not be read. Try scanning it again.' };
+  }
+}
+
+/**
+ * Loans a code (or a typed reservation ID) refers to.
+ *
+ * @param {Array} loans - Every user's history records (tagged with username)
+ * @param {Object} lookup - { reservationIds } from a verified code, or { id } typed by staff
+ * @returns {Array} Matching loan records
+ */
+export function findLoansForCode(loans, { reservationIds, id }) {
+  if (reservationIds) {
+    return loans.filter((loan) => reservationIds.includes(loan.reservationId));
+  }
+  const wanted = String(id ?? '').trim().toUpperCase();
+  if (!wanted) return [];
+  return loans.filter((loan) =>
+    loan.reservationId.toUpperCase() === wanted || loan.confirmationId?.toUpperCase() === wanted
+  );
+}
+
+/**
+ * Whether this browser has a built-in QR decoder (BarcodeDetector).
+ */
+const hasBarcodeDetector = () => typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+// Larger images are scaled down before jsQR reads them (it scans every pixel)
+const MAX_DECODE_SIZE = 800;
+
+let detectorPromise = null;
+
+/**
+ * A BarcodeDetector for QR codes, or null when the browser has none.
+ */
+function getDetector() {
+  detectorPromise ??= (async () => {
+    if (!hasBarcodeDetector()) return null;
+    const formats = await window.BarcodeDetector.getSupportedFormats();
+    return formats.includes('qr_code') ? new window.BarcodeDetector({ formats: ['qr_code'] }) : null;
+  })();
+  return detectorPromise;
+}
+
+/**
+ * Reads a QR code with jsQR: draws the image on a canvas and decodes its pixels.
+ *
+ * @param {HTMLVideoElement|ImageBitmap} source - Video frame or bitmap
+ * @returns {Promise<string|null>} The code's text, or null if none was found
+ */
+async function decodeWithJsQr(source) {
+  const width = source.videoWidth ?? source.width;
+  const height = source.videoHeight ?? source.height;
+  if (!width || !height) return null;
+
+  const scale = Math.min(1, MAX_DECODE_SIZE / Math.max(width, height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+
+  const { default: jsQR } = await import('jsqr');
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return jsQR(image.data, image.width, image.height)?.data ?? null;
+}
+
+/**
+ * Reads the first QR code in a video frame or bitmap.
+ *
+ * @param {HTMLVideoElement|ImageBitmap} source - Camera preview or uploaded image
+ * @returns {Promise<string|null>} The code's text, or null if none was found
+ */
+export async function detectQrCode(source) {
+  const detector = await getDetector();
+  if (!detector) return decodeWithJsQr(source);
+  const codes = await detector.detect(source);
+  return codes[0]?.rawValue ?? null;
+}
+
+/**
+ * Saves a rendered QR code (<svg>) as a PNG download.
+ *
+ * @param {SVGElement|null} svg - The QRCodeSVG element
+ * @param {string} filename - e.g. 'reservation-RES-AB12C.png'
+ */
+export function downloadQrImage(svg, filename) {
+  if (!svg) return;
+  const svgData = new XMLSerializer().serializeToString(svg);
+  const canvas = document.createElement('canvas');
+  const ctx = canvas.getContext('2d');
+  const img = new Image();
+
+  img.onload = () => {
+    canvas.width = img.width;
+    canvas.height = img.height;
+    ctx.drawImage(img, 0, 0);
+
+    const downloadLink = document.createElement('a');
+    downloadLink.download = filename;
+    downloadLink.href = canvas.toDataURL('image/png');
+    downloadLink.click();
+  };
+
+  img.src = 'data:image/svg+xml;base64,' + btoa(svgData);
+}
+
+/**
+ * The dark modules of a QR code, for drawing it without an <svg> on the
+ * page (PDF receipts). The matrix comes straight from the qrcode encoder;
+ * each row's dark modules are joined into runs so a row is a few rectangles.
+ *
+ * The encoder is only loaded the first time this is called.
+ *
+ * @param {string} text - Code text (e.g. from signQrPayload)
+ * @returns {Promise<Object>} { size, runs: [{ x, y, w }] } in modules (quiet zone included)
+ */
+export async function getQrModules(text) {
+  const { default: QRCode } = await import('qrcode');
+  const { modules } = QRCode.create(text, { errorCorrectionLevel: 'M' });
+  const quietZone = 4;
+
+  const runs = [];
+  for (let row = 0; row < modules.size; row += 1) {
+    let start = null;
+    for (let col = 0; col <= modules.size; col += 1) {
+      const dark = col < modules.size && modules.get(row, col);
+      if (dark && start === null) start = col;
+      if (!dark && start !== null) {
+        runs.push({ x: start + quietZone, y: row + quietZone, w: col - start });
+        start = null;
+      }
+    }
+  }
+
+  return { size: modules.size + quietZone * 2, runs };
+}
@@ -0,0 +1,110 @@
+/**
+ * Reservation Receipts (Confirmations)
+ *
+ * PURPOSE:
+ * Every checkout is saved as a receipt under 'booknest-confirmations-{username}',
+ * so /confirmation/:reservationId can show it again after a refresh or
+ * weeks later, and "My Receipts" (/receipts) can list them all.
+ *
+ * RECEIPT SHAPE:
+ * {
+ *   reservationId,             // main ID shown to the patron (loans carry it as confirmationId)
+ *   username,
+ *   userDetails,               // { fullName, email, membershipId, ... } from the checkout form
+ *   books: [{ id, title, author, coverUrl, duration, dueDate, reservationId }],
+ *   pickupDate, totalBooks,
+ *   timestamp,                 // when it was confirmed
+ *   offline,                   // true when the reservations were saved offline
+ * }
+ *
+ * The receipt is what the patron was told at checkout. What happened to
+ * each book since (picked up, returned, cancelled) comes from the loans -
+ * see getReceiptBookStatus.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Pure functions; BookContext stores the receipts
+ * - The QR code is signed again from the receipt each time it is shown
+ *   (services/qr), so nothing secret is stored
+ */
+
+export const CONFIRMATIONS_PREFIX = 'booknest-confirmations-';
+
+// Oldest receipts are dropped beyond this many per patron
+export const MAX_CONFIRMATIONS = 100;
+
+export const RECEIPT_BOOK_STATUSES = {
+  awaiting_pickup: 'Awaiting pickup',
+  on_loan: 'On loan',
+  returned: 'Returned',
+  cancelled: 'Cancelled',
+  not_reserved: 'Not reserved',
+};
+
+/**
+ * Storage key for a user's receipts.
+ */
+export const confirmationsKey = (username) => `${CONFIRMATIONS_PREFIX}${username}`;
+
+/**
+ * Builds a receipt from the checkout data.
+ *
+ * Only the book fields the receipt shows are kept, so a receipt stays
+ * small and doesn't go stale when the catalog entry is edited.
+ *
+ * @param {Object} data - { reservationId, username, userDetails, books, pickupDate, offline }
+ * @returns {Object} Receipt record
+ */
+export function createConfirmation({ reservationId, username, userDetails = {}, books, pickupDate, offline = false }) {
+  return {
+    reservationId,
+    username,
+    userDetails,
+    books: books.map(({ id, title, author, coverUrl, duration, dueDate, reservationId: bookReservationId }) => ({
+      id,
+      title,
+      author,
+      coverUrl,
+      duration,
+      dueDate,
+      reservationId: bookReservationId,
+    })),
+    pickupDate,
+    totalBooks: books.length,
+    timestamp: new Date().toISOString(),
+    offline,
+  };
+}
+
+/**
+ * What goes into the signed pickup QR code for a receipt.
+ *
+ * @param {Object} confirmation - Receipt record
+ * @returns {Object} Data for signQrPayload (services/qr)
+ */
+export function buildQrPayload(confirmation) {
+  return {
+    reservationId: confirmation.reservationId,
+    reservationIds: confirmation.books.map((book) => book.reservationId),
+    username: confirmation.username,
+    name: confirmation.userDetails.fullName,
+    membershipId: confirmation.userDetails.membershipId,
+    pickupDate: confirmation.pickupDate,
+    totalBooks: confirmation.totalBooks,
+    timestamp: confirmation.timestamp,
+  };
+}
+
+/**
+ * Where a book on a receipt stands now.
+ *
+ * @param {Object} book - Book from the receipt
+ * @param {Array} history - The patron's loans
+ * @returns {string} A RECEIPT_BOOK_STATUSES key
+ */
+export function getReceiptBookStatus(book, history) {
+  const loan = history.find((item) => item.reservationId === book.reservationId);
+  if (!loan) return 'not_reserved';
+  if (loan.status === 'returned') return 'returned';
+  if (loan.status === 'cancelled') return 'cancelled';
+  return loan.pickedUp ? 'on_loan' : 'awaiting_pickup';
+}
@@ -0,0 +1,240 @@
+/**
+ * Book Recommendations
+ *
+ * PURPOSE:
+ * Suggests books from what a user has borrowed, wishlisted and rated, and
+ * from what other readers borrowed together. Everything is worked out in
+ * the browser from data the app already has; every suggestion carries the
+ * reasons it was made so the UI can explain it.
+ *
+ * HOW TWO BOOKS ARE COMPARED (similarity):
+ *   co-borrowing  - readers who borrowed both, divided by
+ *                   √(readers of A × readers of B) (cosine similarity),
+ *                   so a book everybody borrows doesn't top every list
+ *   same author   - SIMILARITY_WEIGHTS.author
+ *   same category - SIMILARITY_WEIGHTS.category
+ *
+ * WHAT A USER LIKES (seeds), with how much each one counts:
+ *   borrowed (reserved or returned)  - SEED_WEIGHTS.borrowed
+ *   on the wishlist                  - SEED_WEIGHTS.wishlist
+ *   rated 4-5 stars                  - SEED_WEIGHTS.rated
+ * Books rated 1-2 stars are not used as seeds.
+ *
+ * Books the user has borrowed or wishlisted are never suggested.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Item-to-item collaborative filtering ("readers also borrowed")
+ * - Content-based filtering (author, category) fills in when few people
+ *   have borrowed a book yet
+ * - Explainable: each result has reasons, e.g. "Same author as Dune"
+ */
+
+export const SIMILARITY_WEIGHTS = {
+  coBorrowed: 3,
+  author: 1.5,
+  category: 1,
+};
+
+export const SEED_WEIGHTS = {
+  borrowed: 3,
+  wishlist: 2,
+  rated: 3,
+};
+
+// Ratings at or above this count as "liked"
+const LIKED_RATING = 4;
+
+// Loans that show interest in a book (cancelled reservations don't)
+const isLoan = (item) => item.status === 'borrowed' || item.status === 'returned';
+
+/**
+ * Who borrowed what, from every user's history.
+ *
+ * @param {Array} allHistory - History records tagged with `username`
+ * @returns {Object} { readers: Map(bookId → Set of usernames),
+ *   together: Map('idA:idB' → number of readers who borrowed both) }
+ */
+export function buildBorrowingGraph(allHistory) {
+  const booksByReader = new Map();
+  for (const item of allHistory) {
+    if (!isLoan(item) || !item.username) continue;
+    if (!booksByReader.has(item.username)) booksByReader.set(item.username, new Set());
+    booksByReader.get(item.username).add(item.book.id);
+  }
+
+  const readers = new Map();
+  const together = new Map();
+  for (const [username, bookIds] of booksByReader) {
+    const ids = [...bookIds].sort((a, b) => a - b);
+    ids.forEach((id, i) => {
+      if (!readers.has(id)) readers.set(id, new Set());
+      readers.get(id).add(username);
+      for (const other of ids.slice(i + 1)) {
+        const key = `${id}:${other}`;
+        together.set(key, (together.get(key) ?? 0) + 1);
+      }
+    });
+  }
+
+  return { readers, together };
+}
+
+/**
+ * How similar two books are, and why.
+ *
+ * @param {Object} a - Book
+ * @param {Object} b - Book
+ * @param {Object} graph - From buildBorrowingGraph
+ * @returns {Object} { score, coBorrowers, sameAuthor, sameCategory }
+ */
+export function compareBooks(a, b, graph) {
+  const [low, high] = a.id < b.id ? [a.id, b.id] : [b.id, a.id];
+  const coBorrowers = graph.together.get(`${low}:${high}`) ?? 0;
+  const readersA = graph.readers.get(a.id)?.size ?? 0;
+  const readersB = graph.readers.get(b.id)?.size ?? 0;
+
+  const sameAuthor = a.author === b.author;
+  const sameCategory = a.category === b.category;
+
+  let score = 0;
+  if (coBorrowers > 0) score += SIMILARITY_WEIGHTS.coBorrowed * (coBorrowers / Math.sqrt(readersA * readersB));
+  if (sameAuthor) score += SIMILARITY_WEIGHTS.author;
+  if (sameCategory) score += SIMILARITY_WEIGHTS.category;
+
+  return { score, coBorrowers, sameAuthor, sameCategory };
+}
+
+/**
+ * Short explanations for a similarity, e.g. "2 readers of Dune also borrowed it".
+ */
+function describeSimilarity(similarity, seed) {
+  const reasons = [];
+  if (similarity.coBorrowers > 0) {
+    const readers = similarity.coBorrowers === 1 ? '1 reader' : `${similarity.coBorrowers} readers`;
+    reasons.push(`${readers} of ${seed.title} also borrowed it`);
+  }
+  if (similarity.sameAuthor) reasons.push(`Same author as ${seed.title}`);
+  else if (similarity.sameCategory) reasons.push(`${seed.category}, like ${seed.title}`);
+  return reasons;
+}
+
+/**
+ * Books most like one book.
+ *
+ * @param {Object} book - The book to start from
+ * @param {Array} books - Candidate books
+ * @param {Object} graph - From buildBorrowingGraph
+ * @param {Object} [options] - { exclude: Set of book IDs, limit, coBorrowedOnly }
+ *   coBorrowedOnly: only books other readers actually borrowed with it
+ * @returns {Array} [{ book, score, reasons }] best first
+ */
+export function getSimilarBooks(book, books, graph, { exclude = new Set(), limit = 4, coBorrowedOnly = false } = {}) {
+  return books
+    .filter((candidate) => candidate.id !== book.id && !exclude.has(candidate.id))
+    .map((candidate) => ({ candidate, similarity: compareBooks(book, candidate, graph) }))
+    .filter(({ similarity }) => similarity.score > 0 && (!coBorrowedOnly || similarity.coBorrowers > 0))
+    .sort((a, b) => b.similarity.score - a.similarity.score || b.candidate.rating - a.candidate.rating)
+    .slice(0, limit)
+    .map(({ candidate, similarity }) => ({
+      book: candidate,
+      score: similarity.score,
+      reasons: describeSimilarity(similarity, book),
+    }));
+}
+
+/**
+ * The books a user has shown interest in.
+ *
+ * @param {Object} user - { username, history, wishlist }
+ * @param {Array} books - Current books (reviews are read from here)
+ * @returns {Array} [{ book, weight, source: 'borrowed' | 'wishlist' | 'rated', rating?, date }]
+ *   newest first
+ */
+export function getSeeds({ username, history, wishlist }, books) {
+  const seeds = [];
+  const byId = new Map(books.map((book) => [book.id, book]));
+
+  for (const item of history) {
+    const book = byId.get(item.book.id);
+    if (book && isLoan(item)) {
+      seeds.push({ book, weight: SEED_WEIGHTS.borrowed, source: 'borrowed', date: item.borrowDate });
+    }
+  }
+
+  for (const item of wishlist) {
+    const book = byId.get(item.id);
+    // Wishlist entries have no date: they sort after dated seeds
+    if (book) seeds.push({ book, weight: SEED_WEIGHTS.wishlist, source: 'wishlist', date: null });
+  }
+
+  if (username) {
+    for (const book of books) {
+      const review = (book.reviews ?? []).find((item) => item.username === username);
+      if (review && review.rating >= LIKED_RATING) {
+        seeds.push({ book, weight: SEED_WEIGHTS.rated, source: 'rated', rating: review.rating, date: review.date });
+      }
+    }
+  }
+
+  return seeds.sort((a, b) => new Date(b.date ?? 0) - new Date(a.date ?? 0));
+}
+
+/**
+ * Why a seed matters, e.g. "You borrowed Dune".
+ */
+function describeSeed(seed) {
+  if (seed.source === 'wishlist') return `${seed.book.title} is on your wishlist`;
+  if (seed.source === 'rated') return `You rated ${seed.book.title} ${seed.rating} stars`;
+  return `You borrowed ${seed.book.title}`;
+}
+
+/**
+ * Personal recommendations for a user.
+ *
+ * @param {Object} user - { username, history, wishlist }
+ * @param {Array} books - Current books
+ * @param {Array} allHistory - Every user's history, tagged with `username`
+ * @param {Object} [options] - { limit = 4, becauseLimit = 2 }
+ * @returns {Object} {
+ *   forYou: [{ book, score, reasons }],                 - from all seeds together
+ *   because: [{ seed: book, items: [{ book, score, reasons }] }]  - latest borrowed books
+ * }
+ */
+export function getRecommendations(user, books, allHistory, { limit = 4, becauseLimit = 2 } = {}) {
+  const graph = buildBorrowingGraph(allHistory);
+  const seeds = getSeeds(user, books);
+
+  // Never suggest what the user already borrowed or wants
+  const known = new Set(seeds.filter((seed) => seed.source !== 'rated').map((seed) => seed.book.id));
+
+  // For you: every seed votes for its similar books
+  const votes = new Map();
+  for (const seed of seeds) {
+    for (const item of getSimilarBooks(seed.book, books, graph, { exclude: known, limit: books.length })) {
+      const vote = votes.get(item.book.id) ?? { book: item.book, score: 0, reasons: [] };
+      vote.score += item.score * seed.weight;
+      vote.reasons.push({ weight: item.score * seed.weight, text: `${describeSeed(seed)}: ${item.reasons[0]}` });
+      votes.set(item.book.id, vote);
+    }
+  }
+
+  const forYou = [...votes.values()]
+    .sort((a, b) => b.score - a.score || b.book.rating - a.book.rating)
+    .slice(0, limit)
+    .map((vote) => ({
+      book: vote.book,
+      score: vote.score,
+      reasons: vote.reasons.sort((a, b) => b.weight - a.weight).slice(0, 3).map((reason) => reason.text),
+    }));
+
+  // Because you borrowed X: one rail per recently borrowed book
+  const borrowed = [...new Map(
+    seeds.filter((seed) => seed.source === 'borrowed').map((seed) => [seed.book.id, seed.book])
+  ).values()];
+  const because = borrowed
+    .map((book) => ({ seed: book, items: getSimilarBooks(book, books, graph, { exclude: known, limit }) }))
+    .filter((rail) => rail.items.length > 0)
+    .slice(0, becauseLimit);
+
+  return { forYou, because };
+}
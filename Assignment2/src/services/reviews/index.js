@@ -0,0 +1,197 @@
+/**
+ * Reviews & Ratings
+ *
+ * PURPOSE:
+ * Patron reviews for books, shared by all users under 'booknest-reviews'.
+ * Patrons who have returned a book can rate and review it (one review per
+ * book, editable and deletable), vote reviews helpful and report abusive
+ * ones. Librarians work through reported reviews and hide or restore them.
+ *
+ * REVIEW SHAPE:
+ * {
+ *   id, bookId, username,
+ *   rating: 1-5, comment,
+ *   date, editedDate,
+ *   status: 'published' | 'hidden',
+ *   helpful: [usernames],                        // one vote per user
+ *   reports: [{ username, reason, date }],       // open reports
+ *   moderation: { action, by, note, date } | null // last staff decision
+ * }
+ * Until the first change, the collection is seeded from the reviews in
+ * books.json (like the catalog).
+ *
+ * RATING:
+ * A book's rating is the average of its published reviews (one decimal).
+ * Books without reviews keep the rating from the catalog.
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Pure functions; BookContext saves the results
+ * - Moderation hides instead of deleting, so a decision can be undone
+ */
+
+export const REVIEWS_KEY = 'booknest-reviews';
+
+export const REVIEW_STATUSES = {
+  published: 'Published',
+  hidden: 'Hidden',
+};
+
+export const REVIEW_SORTS = {
+  helpful: 'Most helpful',
+  newest: 'Newest',
+  highest: 'Highest rated',
+  lowest: 'Lowest rated',
+};
+
+export const COMMENT_LIMITS = { min: 10, max: 1000 };
+
+const newReviewId = () =>
+  `REV-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`.toUpperCase();
+
+/**
+ * The starting reviews, taken from the catalog's seed data.
+ *
+ * @param {Array} catalog - Catalog records (with `reviews` from books.json)
+ * @returns {Array} Review records
+ */
+export function seedReviews(catalog) {
+  return catalog.flatMap((book) =>
+    (book.reviews ?? []).map((review, i) => ({
+      id: `SEED-${book.id}-${i + 1}`,
+      bookId: book.id,
+      username: review.username,
+      rating: review.rating,
+      comment: review.comment,
+      date: new Date(review.date).toISOString(),
+      editedDate: null,
+      status: 'published',
+      helpful: [],
+      reports: [],
+      moderation: null,
+    }))
+  );
+}
+
+/**
+ * Checks a rating and comment.
+ *
+ * @param {Object} fields - { rating, comment }
+ * @returns {Object} Errors keyed by field (empty when valid)
+ */
+export function validateReview({ rating, comment }) {
+  const errors = {};
+  if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+    errors.rating = 'Please choose a rating from 1 to 5 stars';
+  }
+  const text = String(comment ?? '').trim();
+  if (text.length < COMMENT_LIMITS.min) {
+    errors.comment = `Reviews need at least ${COMMENT_LIMITS.min} characters`;
+  } else if (text.length > COMMENT_LIMITS.max) {
+    errors.comment = `Reviews can be at most ${COMMENT_LIMITS.max} characters`;
+  }
+  return errors;
+}
+
+/**
+ * Whether a user may review a book: they must have returned it. Someone
+ * who already reviewed it can always edit their review, even after
+ * clearing the loan from their history.
+ *
+ * @param {Array} history - The user's history records
+ * @param {number} bookId - Book
+ * @param {Object} [ownReview] - The user's existing review of the book
+ * @returns {Object} { allowed, reason? }
+ */
+export function canReview(history, bookId, ownReview = null) {
+  if (ownReview) return { allowed: true };
+  const returned = history.some((item) => item.book.id === bookId && item.status === 'returned');
+  return returned
+    ? { allowed: true }
+    : { allowed: false, reason: 'You can review a book after you have borrowed and returned it.' };
+}
+
+/**
+ * Adds the user's review for a book, or updates it if they already wrote one.
+ *
+ * @param {Array} reviews - All reviews
+ * @param {Object} details - { bookId, username, rating, comment }
+ * @returns {Array} New reviews array
+ */
+export function upsertReview(reviews, { bookId, username, rating, comment }) {
+  const now = new Date().toISOString();
+  const existing = reviews.find((review) => review.bookId === bookId && review.username === username);
+
+  if (existing) {
+    return reviews.map((review) => review.id === existing.id
+      ? { ...review, rating, comment: comment.trim(), editedDate: now }
+      : review);
+  }
+
+  return [...reviews, {
+    id: newReviewId(),
+    bookId,
+    username,
+    rating,
+    comment: comment.trim(),
+    date: now,
+    editedDate: null,
+    status: 'published',
+    helpful: [],
+    reports: [],
+    moderation: null,
+  }];
+}
+
+/**
+ * Adds or removes a user's helpful vote.
+ */
+export function toggleHelpfulVote(review, username) {
+  const helpful = review.helpful.includes(username)
+    ? review.helpful.filter((name) => name !== username)
+    : [...review.helpful, username];
+  return { ...review, helpful };
+}
+
+/**
+ * A book's reviews in display order.
+ *
+ * @param {Array} reviews - All reviews
+ * @param {number} bookId - Book
+ * @param {string} [sort='helpful'] - A REVIEW_SORTS key
+ * @returns {Array} Published reviews for the book
+ */
+export function getBookReviews(reviews, bookId, sort = 'helpful') {
+  const byDate = (a, b) => new Date(b.date) - new Date(a.date);
+  const compare = {
+    helpful: (a, b) => b.helpful.length - a.helpful.length || byDate(a, b),
+    newest: byDate,
+    highest: (a, b) => b.rating - a.rating || byDate(a, b),
+    lowest: (a, b) => a.rating - b.rating || byDate(a, b),
+  }[sort] ?? byDate;
+
+  return reviews
+    .filter((review) => review.bookId === bookId && review.status === 'published')
+    .sort(compare);
+}
+
+/**
+ * Average rating and review count per book (published reviews only).
+ *
+ * @param {Array} reviews - All reviews
+ * @returns {Map} bookId → { rating, count }
+ */
+export function getRatingSummary(reviews) {
+  const totals = new Map();
+  for (const review of reviews) {
+    if (review.status !== 'published') continue;
+    const total = totals.get(review.bookId) ?? { sum: 0, count: 0 };
+    total.sum += review.rating;
+    total.count += 1;
+    totals.set(review.bookId, total);
+  }
+
+  return new Map([...totals].map(([bookId, { sum, count }]) => [
+    bookId,
+    { rating: Math.round((sum / count) * 10) / 10, count },
+  ]));
+}
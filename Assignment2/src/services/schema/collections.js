@@ -0,0 +1,242 @@
+/**
+ * Persisted Collection Definitions
+ *
+ * PURPOSE:
+ * Describes every collection BookNest saves (cart, history, wishlist,
+ * future bookings/holds, catalog, notifications, fines ledger, reviews, offline queue, receipts): its current schema version, how to upgrade records
+ * written by older versions, and how to tell whether a record is usable.
+ *
+ * ADDING A FIELD:
+ * 1. Bump `version`
+ * 2. Add a migration under the new version number that fills in the field
+ * 3. Update `validate` if the field is required
+ * Records are upgraded one version at a time (0 → 1 → 2 ...), so old data
+ * from any release keeps loading.
+ *
+ * Version 0 means "written before schema versions existed" (a bare array).
+ */
+
+import { COPY_STATUSES, migrateCopy } from '../catalog/copies';
+import { LEDGER_TYPES } from '../fines';
+import { REVIEW_STATUSES } from '../reviews';
+import { QUEUED_ACTIONS, QUEUE_STATUSES } from '../offline';
+
+/**
+ * Checks that a value is a non-null object (and not an array).
+ */
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Checks that a value is a string that Date can parse.
+ */
+const isDateString = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+/**
+ * Validates a book object as stored inside cart/wishlist/history records.
+ *
+ * @returns {string|null} Reason the book is unusable, or null if valid
+ */
+const validateBook = (book) => {
+  if (!isObject(book)) return 'Book data is missing';
+  if (typeof book.id !== 'number') return 'Book has no numeric id';
+  if (typeof book.title !== 'string') return 'Book has no title';
+  return null;
+};
+
+const collections = {
+  /**
+   * Cart: array of book objects
+   */
+  cart: {
+    version: 1,
+    migrations: {
+      // v1: first versioned release, shape unchanged
+      1: (book) => book,
+    },
+    validate: validateBook,
+  },
+
+  /**
+   * Wishlist: array of book objects
+   */
+  wishlist: {
+    version: 1,
+    migrations: {
+      1: (book) => book,
+    },
+    validate: validateBook,
+  },
+
+  /**
+   * History: array of borrowing records
+   */
+  history: {
+    version: 2,
+    migrations: {
+      // v1: records saved before `extended`/`pickedUp` existed get safe defaults
+      1: (item) => ({
+        status: 'borrowed',
+        ...item,
+        extended: item.extended ?? false,
+        pickedUp: item.pickedUp ?? false,
+        addedDate: item.addedDate ?? item.borrowDate,
+      }),
+      // v2: loans keep a log of their renewals; for older loans only the
+      // latest renewal's date is known (earlier due dates weren't saved)
+      2: (item) => ({
+        ...item,
+        renewals: item.renewals ?? (item.extended && item.extensionDate
+          ? [{ date: item.extensionDate, previousDueDate: null, newDueDate: null, by: item.renewedBy ?? null }]
+          : []),
+      }),
+    },
+    validate: (item) => {
+      if (!isObject(item)) return 'Record is not an object';
+      const bookProblem = validateBook(item.book);
+      if (bookProblem) return bookProblem;
+      if (typeof item.reservationId !== 'string') return 'Record has no reservation ID';
+      if (!isDateString(item.dueDate)) return 'Record has an invalid due date';
+      return null;
+    },
+  },
+
+  /**
+   * Future bookings: array of "book for later" entries (shared by all users)
+   */
+  futureBookings: {
+    version: 2,
+    migrations: {
+      // v1: very early bookings had no bookingId, so they could never be cancelled
+      1: (booking) => ({
+        ...booking,
+        bookingId: booking.bookingId
+          ?? `BOOK-${booking.bookId}-${booking.userId}`.toUpperCase(),
+      }),
+      // v2: bookings became a hold queue; existing ones are waiting in line
+      2: (booking) => ({ status: 'waiting', ...booking }),
+    },
+    validate: (booking) => {
+      if (!isObject(booking)) return 'Booking is not an object';
+      if (typeof booking.bookId !== 'number') return 'Booking has no book ID';
+      if (typeof booking.userId !== 'string') return 'Booking has no user';
+      if (!isDateString(booking.bookingDate)) return 'Booking has an invalid date';
+      return null;
+    },
+  },
+
+  /**
+   * Catalog: array of book records with their copies (edited by librarians)
+   */
+  catalog: {
+    version: 2,
+    migrations: {
+      1: (book) => book,
+      // v2: copies get a status (on_shelf, on_loan, ...), loan link and event log
+      2: (book) => ({ ...book, copies: book.copies.map(migrateCopy) }),
+    },
+    validate: (book) => {
+      const bookProblem = validateBook(book);
+      if (bookProblem) return bookProblem;
+      if (!Array.isArray(book.copies)) return 'Book has no copies list';
+      if (book.copies.some((copy) => typeof copy?.barcode !== 'string')) return 'Copy has no barcode';
+      if (book.copies.some((copy) => !(copy.status in COPY_STATUSES))) return 'Copy has an unknown status';
+      return null;
+    },
+  },
+
+  /**
+   * Notifications: per-user in-app notifications (newest first)
+   */
+  notifications: {
+    version: 1,
+    migrations: {
+      1: (notification) => notification,
+    },
+    validate: (notification) => {
+      if (!isObject(notification)) return 'Notification is not an object';
+      if (typeof notification.id !== 'string') return 'Notification has no ID';
+      if (typeof notification.title !== 'string') return 'Notification has no title';
+      if (!isDateString(notification.date)) return 'Notification has an invalid date';
+      return null;
+    },
+  },
+
+  /**
+   * Fines ledger: payments and waivers recorded by staff (shared by all users)
+   */
+  fineLedger: {
+    version: 1,
+    migrations: {
+      1: (entry) => entry,
+    },
+    validate: (entry) => {
+      if (!isObject(entry)) return 'Ledger entry is not an object';
+      if (typeof entry.username !== 'string') return 'Ledger entry has no user';
+      if (!(entry.type in LEDGER_TYPES)) return 'Ledger entry has an unknown type';
+      if (!Number.isInteger(entry.amount) || entry.amount <= 0) return 'Ledger entry has an invalid amount';
+      if (!isDateString(entry.date)) return 'Ledger entry has an invalid date';
+      return null;
+    },
+  },
+
+  /**
+   * Reviews: shared by all users (see services/reviews)
+   */
+  reviews: {
+    version: 1,
+    migrations: {
+      1: (review) => review,
+    },
+    validate: (review) => {
+      if (!isObject(review)) return 'Review is not an object';
+      if (typeof review.bookId !== 'number') return 'Review has no book';
+      if (typeof review.username !== 'string') return 'Review has no author';
+      if (!Number.isInteger(review.rating) || review.rating < 1 || review.rating > 5) return 'Review has an invalid rating';
+      if (!(review.status in REVIEW_STATUSES)) return 'Review has an unknown status';
+      if (!Array.isArray(review.helpful) || !Array.isArray(review.reports)) return 'Review has no vote or report list';
+      if (!isDateString(review.date)) return 'Review has an invalid date';
+      return null;
+    },
+  },
+
+  /**
+   * Offline queue: per-user actions made offline (see services/offline)
+   */
+  offlineQueue: {
+    version: 1,
+    migrations: {
+      1: (action) => action,
+    },
+    validate: (action) => {
+      if (!isObject(action)) return 'Queued action is not an object';
+      if (typeof action.id !== 'string') return 'Queued action has no ID';
+      if (!(action.type in QUEUED_ACTIONS)) return 'Queued action has an unknown type';
+      if (!(action.status in QUEUE_STATUSES)) return 'Queued action has an unknown status';
+      if (!isObject(action.payload)) return 'Queued action has no payload';
+      if (!isDateString(action.queuedAt)) return 'Queued action has an invalid date';
+      return null;
+    },
+  },
+
+  /**
+   * Confirmations: per-user reservation receipts (see services/receipts)
+   */
+  confirmations: {
+    version: 1,
+    migrations: {
+      1: (confirmation) => confirmation,
+    },
+    validate: (confirmation) => {
+      if (!isObject(confirmation)) return 'Receipt is not an object';
+      if (typeof confirmation.reservationId !== 'string') return 'Receipt has no reservation ID';
+      if (!isObject(confirmation.userDetails)) return 'Receipt has no patron details';
+      if (!Array.isArray(confirmation.books)) return 'Receipt has no book list';
+      if (confirmation.books.some((book) => typeof book?.reservationId !== 'string')) return 'Receipt book has no reservation ID';
+      if (!isDateString(confirmation.pickupDate)) return 'Receipt has an invalid pickup date';
+      if (!isDateString(confirmation.timestamp)) return 'Receipt has an invalid date';
+      return null;
+    },
+  },
+};
+
+export default collections;
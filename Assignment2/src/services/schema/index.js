@@ -0,0 +1,159 @@
+/**
+ * Schema Versioning & Migration Runner
+ *
+ * PURPOSE:
+ * Every persisted collection is saved inside a small envelope:
+ *
+ *   { schemaVersion: 1, data: [ ...records ] }
+ *
+ * On load the runner unwraps the envelope, upgrades each record from its
+ * saved version to the current one, and validates the result. Records that
+ * cannot be migrated or fail validation are QUARANTINED: copied to the
+ * 'booknest-quarantine' key with the reason, and left out of app state.
+ * The rest of the collection still loads, so one bad record no longer means
+ * clearing all storage.
+ *
+ * USAGE (through usePersistentState):
+ *   usePersistentState(key, [], { schema: 'history', onQuarantine })
+ */
+
+import storage from '../storage';
+import collections from './collections';
+
+export const QUARANTINE_KEY = 'booknest-quarantine';
+
+/**
+ * Returns the definition for a collection type, or throws for typos.
+ *
+ * @param {string} type - 'cart' | 'wishlist' | 'history' | 'futureBookings' | 'catalog' | 'notifications' | 'fineLedger' | 'reviews' | 'offlineQueue'
+ */
+function getDefinition(type) {
+  const definition = collections[type];
+  if (!definition) {
+    throw new Error(`Unknown persisted collection: ${type}`);
+  }
+  return definition;
+}
+
+/**
+ * Wraps current-version data in an envelope ready to be saved.
+ *
+ * @param {string} type - Collection type
+ * @param {Array} data - Records in the current shape
+ * @returns {Object} { schemaVersion, data }
+ */
+export function encodeCollection(type, data) {
+  return {
+    schemaVersion: getDefinition(type).version,
+    data,
+  };
+}
+
+/**
+ * Unwraps, migrates and validates a stored collection.
+ *
+ * @param {string} type - Collection type
+ * @param {*} stored - Whatever the storage adapter returned
+ * @returns {Object} Result:
+ *   - data: usable records in the current shape (null if nothing was stored)
+ *   - quarantined: [{ record, reason }] for records that were set aside
+ *   - migrated: true if the stored copy is older than the current version
+ */
+export function decodeCollection(type, stored) {
+  const { version, migrations, validate } = getDefinition(type);
+
+  if (stored === null || stored === undefined) {
+    return { data: null, quarantined: [], migrated: false };
+  }
+
+  // Version 0: bare arrays saved before envelopes existed
+  let fromVersion;
+  let records;
+  if (Array.isArray(stored)) {
+    fromVersion = 0;
+    records = stored;
+  } else if (stored && Array.isArray(stored.data) && Number.isInteger(stored.schemaVersion)) {
+    fromVersion = stored.schemaVersion;
+    records = stored.data;
+  } else {
+    // Not something we can read at all - keep a copy and start empty
+    return {
+      data: [],
+      quarantined: [{ record: stored, reason: 'Collection is not in a readable format' }],
+      migrated: true,
+    };
+  }
+
+  if (fromVersion > version) {
+    console.warn(`${type} was saved by a newer version (v${fromVersion}); loading it as v${version}`);
+  }
+
+  const data = [];
+  const quarantined = [];
+
+  records.forEach((original) => {
+    try {
+      let record = original;
+      for (let v = fromVersion + 1; v <= version; v++) {
+        if (migrations[v]) {
+          record = migrations[v](record);
+        }
+      }
+
+      const problem = validate(record);
+      if (problem) {
+        quarantined.push({ record: original, reason: problem });
+      } else {
+        data.push(record);
+      }
+    } catch (error) {
+      quarantined.push({ record: original, reason: `Migration failed: ${error.message}` });
+    }
+  });
+
+  return {
+    data,
+    quarantined,
+    migrated: fromVersion < version || quarantined.length > 0,
+  };
+}
+
+// Quarantine writes run one after another: each reads the list, appends and
+// saves it, so two collections quarantining during the same load would
+// otherwise overwrite each other's entries
+let quarantineQueue = Promise.resolve();
+
+/**
+ * Appends set-aside records to the quarantine list so they can be
+ * inspected (or restored by hand) later instead of being lost.
+ *
+ * @param {string} key - Storage key the records came from
+ * @param {Array} items - [{ record, reason }] from decodeCollection
+ * @returns {Promise<void>} Resolves once this batch is saved
+ */
+export function quarantineRecords(key, items) {
+  if (items.length === 0) return Promise.resolve();
+
+  const quarantinedAt = new Date().toISOString();
+  const entries = items.map(({ record, reason }) => ({ key, reason, record, quarantinedAt }));
+
+  const write = quarantineQueue.then(async () => {
+    const existing = await storage.get(QUARANTINE_KEY);
+    await storage.set(QUARANTINE_KEY, [...(Array.isArray(existing) ? existing : []), ...entries]);
+    console.warn(`Quarantined ${items.length} record(s) from ${key}:`, entries);
+  });
+
+  // A failed write mustn't block the ones queued after it
+  quarantineQueue = write.catch(() => {});
+  return write;
+}
+
+/**
+ * Returns everything currently in quarantine.
+ *
+ * @returns {Promise<Array>} [{ key, reason, record, quarantinedAt }]
+ */
+export async function getQuarantine() {
+  const entries = await storage.get(QUARANTINE_KEY);
+  return Array.isArray(entries) ? entries : [];
+}
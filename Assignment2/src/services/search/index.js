@@ -0,0 +1,410 @@
+/**
+ * Catalog Search
+ *
+ * PURPOSE:
+ * One search for the whole app. Builds an inverted index over the catalog
+ * and answers queries with ranked, highlighted results; facets narrow the
+ * results down and show how many books each choice would leave.
+ *
+ * INDEX:
+ *   postings: term → Map(bookId → { field: times the term appears })
+ *   terms:    every indexed term (what fuzzy matching searches through)
+ * Fields and their weights are in SEARCH_FIELDS. The ISBN is indexed as one
+ * term without hyphens, so "9780743273565" and "978-0-7432" both find it.
+ *
+ * MATCHING (per query word, best match wins):
+ *   exact   - the word itself                      (full score)
+ *   prefix  - a longer word starting with it       ("gats" → "gatsby")
+ *   fuzzy   - 1 typo for words of 4+ letters, 2 for 8+ ("fitzgerld")
+ * Every query word has to match somewhere (AND), like most catalog searches.
+ *
+ * RANKING:
+ * score = Σ over query words of  match quality × field weight × tf × idf
+ * idf (inverse document frequency) makes rare words count more than words
+ * that appear in every description. A title containing the whole query as
+ * a phrase gets a bonus.
+ *
+ * SORTING:
+ * 'relevance' keeps the ranking above; the other SORT_OPTIONS reorder the
+ * results (./sort.js). Browse keeps query, facets, sort and page in the URL
+ * (./params.js).
+ *
+ * KEY CONCEPTS FOR VIVA:
+ * - Inverted index: look words up instead of scanning every book
+ * - Edit distance (Damerau-Levenshtein) for typo tolerance
+ * - Facet counts: each facet is counted with every OTHER facet applied,
+ *   so the numbers show what clicking that option would give
+ */
+
+import { normalizeIsbn } from '../catalog/isbn';
+
+export { SORT_OPTIONS, DEFAULT_SORT, sortResults } from './sort';
+export { BROWSE_PAGE_SIZE, readBrowseParams, writeBrowseParams } from './params';
+
+export const SEARCH_FIELDS = {
+  title: 5,
+  author: 4,
+  isbn: 4,
+  publisher: 2,
+  description: 1,
+};
+
+const MATCH_QUALITY = { exact: 1, prefix: 0.7, fuzzy: 0.5 };
+
+// Title contains the whole query (two or more words) as typed
+const PHRASE_BONUS = 10;
+
+// Shorter prefixes match too much to be useful
+const MIN_PREFIX_LENGTH = 2;
+
+/**
+ * Lowercase words without accents: "Café Society" → ['cafe', 'society'].
+ */
+export function tokenize(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu) ?? [];
+}
+
+/**
+ * Typos allowed for a word of this length.
+ */
+const allowedTypos = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+/**
+ * Edit distance (insert, delete, replace, swap two neighbours).
+ * Stops early and returns max + 1 once the distance is known to exceed max.
+ */
+export function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Terms indexed for one field of a book.
+ */
+function fieldTerms(book, field) {
+  if (field === 'isbn') {
+    const isbn = normalizeIsbn(book.isbn).toLowerCase();
+    return isbn ? [isbn] : [];
+  }
+  return tokenize(book[field]);
+}
+
+/**
+ * Builds the inverted index.
+ *
+ * @param {Array} books - Catalog books
+ * @returns {Object} { books: Map(id → book), postings, terms, size }
+ */
+export function buildSearchIndex(books) {
+  const postings = new Map();
+
+  for (const book of books) {
+    for (const field of Object.keys(SEARCH_FIELDS)) {
+      for (const term of fieldTerms(book, field)) {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const entry = postings.get(term);
+        const fields = entry.get(book.id) ?? {};
+        fields[field] = (fields[field] ?? 0) + 1;
+        entry.set(book.id, fields);
+      }
+    }
+  }
+
+  return {
+    books: new Map(books.map((book) => [book.id, book])),
+    postings,
+    terms: [...postings.keys()],
+    size: books.length,
+  };
+}
+
+/**
+ * Query words; something that looks like an ISBN stays one word.
+ */
+function queryWords(query) {
+  const text = String(query ?? '').trim();
+  if (/^[\d\s-]+x?$/i.test(text) && /\d{3}/.test(text.replace(/[\s-]/g, ''))) {
+    return [normalizeIsbn(text).toLowerCase()];
+  }
+  return [...new Set(tokenize(text))];
+}
+
+/**
+ * Index terms matching one query word, with their match quality.
+ *
+ * @returns {Array} [{ term, quality }]
+ */
+function expandWord(index, word) {
+  const matches = [];
+  const typos = allowedTypos(word);
+
+  for (const term of index.terms) {
+    if (term === word) {
+      matches.push({ term, quality: MATCH_QUALITY.exact });
+    } else if (word.length >= MIN_PREFIX_LENGTH && term.startsWith(word)) {
+      matches.push({ term, quality: MATCH_QUALITY.prefix });
+    } else if (typos > 0 && editDistance(word, term, typos) <= typos) {
+      matches.push({ term, quality: MATCH_QUALITY.fuzzy });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Searches the index.
+ *
+ * @param {Object} index - From buildSearchIndex
+ * @param {string} query - What the user typed
+ * @returns {Array} [{ book, score, terms: Set of matched index terms }],
+ *   best first; every book (unranked, catalog order) when the query is empty
+ */
+export function searchIndex(index, query) {
+  const words = queryWords(query);
+  if (words.length === 0) {
+    return [...index.books.values()].map((book) => ({ book, score: 0, terms: new Set() }));
+  }
+
+  const hits = new Map(); // bookId → { scores: best score per query word, terms }
+
+  words.forEach((word, position) => {
+    for (const { term, quality } of expandWord(index, word)) {
+      const postings = index.postings.get(term);
+      const idf = Math.log(1 + index.size / postings.size);
+
+      for (const [bookId, fields] of postings) {
+        const weight = Object.entries(fields)
+          .reduce((total, [field, count]) => total + SEARCH_FIELDS[field] * count, 0);
+        const hit = hits.get(bookId) ?? { scores: [], terms: new Set() };
+        hit.scores[position] = Math.max(hit.scores[position] ?? 0, quality * weight * idf);
+        hit.terms.add(term);
+        hits.set(bookId, hit);
+      }
+    }
+  });
+
+  const phrase = words.length > 1 ? tokenize(query).join(' ') : null;
+
+  return [...hits]
+    .filter(([, hit]) => words.every((_, position) => hit.scores[position] > 0))
+    .map(([bookId, hit]) => {
+      const book = index.books.get(bookId);
+      let score = hit.scores.reduce((total, value) => total + value, 0);
+      if (phrase && tokenize(book.title).join(' ').includes(phrase)) score += PHRASE_BONUS;
+      return { book, score, terms: hit.terms };
+    })
+    .sort((a, b) => b.score - a.score || a.book.title.localeCompare(b.book.title));
+}
+
+/**
+ * Splits text into plain and matching parts for highlighting.
+ *
+ * @param {string} text - Field text
+ * @param {Set} terms - Matched index terms (from a search result)
+ * @returns {Array} [{ text, match: boolean }]
+ */
+export function highlight(text, terms) {
+  const value = String(text ?? '');
+  if (!terms || terms.size === 0) return [{ text: value, match: false }];
+
+  // The ISBN is one term without hyphens
+  if (terms.has(normalizeIsbn(value).toLowerCase())) return [{ text: value, match: true }];
+
+  const parts = [];
+  let last = 0;
+  for (const word of value.matchAll(/[\p{L}\p{N}\u0300-\u036f]+/gu)) {
+    if (!terms.has(tokenize(word[0]).join(''))) continue;
+    if (word.index > last) parts.push({ text: value.slice(last, word.index), match: false });
+    parts.push({ text: word[0], match: true });
+    last = word.index + word[0].length;
+  }
+  if (last < value.length) parts.push({ text: value.slice(last), match: false });
+  return parts;
+}
+
+/**
+ * A short piece of long text around the first match, highlighted.
+ *
+ * @param {string} text - e.g. the description
+ * @param {Set} terms - Matched index terms
+ * @param {number} [length=140] - Rough snippet length (characters)
+ * @returns {Array|null} Parts as from highlight(), or null when nothing matched
+ */
+export function snippet(text, terms, length = 140) {
+  const parts = highlight(text, terms);
+  const first = parts.findIndex((part) => part.match);
+  if (first === -1) return null;
+
+  const before = parts.slice(0, first).map((part) => part.text).join('');
+  const start = Math.max(0, before.lastIndexOf(' ', Math.max(0, before.length - length / 3)) + 1);
+
+  const result = [];
+  let used = 0;
+  let offset = 0;
+  for (const part of parts) {
+    const end = offset + part.text.length;
+    if (end > start && used < length) {
+      const piece = part.text.slice(Math.max(0, start - offset), Math.max(0, start - offset) + length - used);
+      result.push({ text: piece, match: part.match });
+      used += piece.length;
+    }
+    offset = end;
+  }
+
+  if (start > 0) result.unshift({ text: '…', match: false });
+  if (start + used < String(text).length) result.push({ text: '…', match: false });
+  return result;
+}
+
+/**
+ * ===== FACETS =====
+ * Each facet lists its options; an option's test() says whether a book
+ * belongs to it. Category and year options come from the books themselves.
+ */
+const isAvailable = (book) => book.status === 'Available' && book.copiesAvailable > 0;
+
+export const FACETS = {
+  availability: {
+    label: 'Availability',
+    options: [
+      { value: 'available', label: 'Available now', test: (book) => isAvailable(book) },
+      { value: 'out', label: 'On loan', test: (book) => !isAvailable(book) },
+    ],
+  },
+  rating: {
+    label: 'Rating',
+    options: [
+      { value: '4.5', label: '4.5 stars & up', test: (book) => book.rating >= 4.5 },
+      { value: '4', label: '4 stars & up', test: (book) => book.rating >= 4 },
+      { value: '3', label: '3 stars & up', test: (book) => book.rating >= 3 },
+    ],
+  },
+  pages: {
+    label: 'Length',
+    options: [
+      { value: 'short', label: 'Under 250 pages', test: (book) => book.pageCount < 250 },
+      { value: 'medium', label: '250 - 400 pages', test: (book) => book.pageCount >= 250 && book.pageCount <= 400 },
+      { value: 'long', label: 'Over 400 pages', test: (book) => book.pageCount > 400 },
+    ],
+  },
+};
+
+// Most publication-year ranges offered
+const YEAR_BUCKETS = 4;
+
+/**
+ * Splits the publication years in `books` into up to YEAR_BUCKETS ranges
+ * holding about the same number of books. Books from one year always
+ * share a range, and each range runs from its first to its last real year.
+ *
+ * @param {Array} books - Catalog books
+ * @returns {Array} Facet options, value 'from-to' (e.g. '1925-1960')
+ */
+export function getYearOptions(books) {
+  const years = books
+    .map((book) => book.publicationYear)
+    .filter(Number.isInteger)
+    .sort((a, b) => a - b);
+
+  const options = [];
+  let start = 0;
+  for (let i = 1; i <= YEAR_BUCKETS && start < years.length; i++) {
+    let end = Math.max(start, Math.ceil((years.length * i) / YEAR_BUCKETS) - 1);
+    while (end + 1 < years.length && years[end + 1] === years[end]) end++;
+
+    const from = years[start];
+    const to = years[end];
+    options.push({
+      value: `${from}-${to}`,
+      label: from === to ? String(from) : `${from} - ${to}`,
+      test: (book) => book.publicationYear >= from && book.publicationYear <= to,
+    });
+    start = end + 1;
+  }
+  return options;
+}
+
+/**
+ * All facets including category and year, whose options come from `books`.
+ */
+export function getFacets(books) {
+  const categories = [...new Set(books.map((book) => book.category))].sort();
+  return {
+    category: {
+      label: 'Category',
+      options: categories.map((category) => ({
+        value: category,
+        label: category,
+        test: (book) => book.category === category,
+      })),
+    },
+    availability: FACETS.availability,
+    year: { label: 'Published', options: getYearOptions(books) },
+    rating: FACETS.rating,
+    pages: FACETS.pages,
+  };
+}
+
+/**
+ * Whether a book passes the selected facets (one option per facet).
+ *
+ * @param {Object} book - Book
+ * @param {Object} facets - From getFacets
+ * @param {Object} selected - { facetId: optionValue } (missing/null = any)
+ * @param {string} [skip] - Facet to ignore (for counting that facet)
+ */
+function passesFacets(book, facets, selected, skip) {
+  return Object.entries(selected).every(([facetId, value]) => {
+    if (!value || facetId === skip || !facets[facetId]) return true;
+    const option = facets[facetId].options.find((item) => item.value === value);
+    return option ? option.test(book) : true;
+  });
+}
+
+/**
+ * Applies the selected facets and counts every option.
+ *
+ * @param {Array} results - From searchIndex
+ * @param {Object} facets - From getFacets
+ * @param {Object} selected - { facetId: optionValue }
+ * @returns {Object} { results: filtered results,
+ *   counts: { facetId: { optionValue: number } } }
+ */
+export function applyFacets(results, facets, selected) {
+  const counts = {};
+  for (const [facetId, facet] of Object.entries(facets)) {
+    const pool = results.filter(({ book }) => passesFacets(book, facets, selected, facetId));
+    counts[facetId] = Object.fromEntries(
+      facet.options.map((option) => [option.value, pool.filter(({ book }) => option.test(book)).length])
+    );
+  }
+
+  return {
+    results: results.filter(({ book }) => passesFacets(book, facets, selected)),
+    counts,
+  };
+}
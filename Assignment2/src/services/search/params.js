@@ -0,0 +1,62 @@
+/**
+ * Browse URL Parameters
+ *
+ * The Browse page keeps its whole state in the query string so a refresh,
+ * a shared link or the back button shows the same results:
+ *
+ *   /browse?q=harry&category=Fantasy&rating=4&sort=rating&page=2
+ *
+ *   q      - search text
+ *   <facet> - one selected option per facet (category, availability, year, rating, pages)
+ *   sort   - a SORT_OPTIONS key (left out when it is the default)
+ *   page   - results page, from 1 (left out on page 1)
+ *
+ * Unknown or malformed values fall back to the defaults rather than failing.
+ */
+
+import { DEFAULT_SORT, SORT_OPTIONS } from './sort';
+
+export const BROWSE_PAGE_SIZE = 12;
+
+/**
+ * Reads the browse state from the URL.
+ *
+ * @param {URLSearchParams} params - Current query string
+ * @param {Array} facetIds - Facets the page knows about
+ * @returns {Object} { query, facets: { facetId: value }, sort, page }
+ */
+export function readBrowseParams(params, facetIds) {
+  const facets = {};
+  for (const facetId of facetIds) {
+    const value = params.get(facetId);
+    if (value) facets[facetId] = value;
+  }
+
+  const sort = params.get('sort');
+  const page = Number.parseInt(params.get('page'), 10);
+
+  return {
+    query: params.get('q') ?? '',
+    facets,
+    sort: Object.hasOwn(SORT_OPTIONS, sort) ? sort : DEFAULT_SORT,
+    page: Number.isInteger(page) && page > 1 ? page : 1,
+  };
+}
+
+/**
+ * Builds the query string for a browse state, leaving out defaults so
+ * links stay short.
+ *
+ * @param {Object} state - { query, facets, sort, page }
+ * @returns {URLSearchParams}
+ */
+export function writeBrowseParams({ query, facets, sort, page }) {
+  const params = new URLSearchParams();
+  if (query) params.set('q', query);
+  for (const [facetId, value] of Object.entries(facets)) {
+    if (value) params.set(facetId, value);
+  }
+  if (sort && sort !== DEFAULT_SORT) params.set('sort', sort);
+  if (page > 1) params.set('page', String(page));
+  return params;
+}
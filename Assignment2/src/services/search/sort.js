@@ -0,0 +1,30 @@
+/**
+ * Sort Orders for Search Results
+ *
+ * 'relevance' keeps the search ranking. 'newest' means newest in the
+ * library: book IDs go up as books are added.
+ */
+
+export const SORT_OPTIONS = {
+  relevance: { label: 'Relevance', compare: null },
+  title: { label: 'Title (A-Z)', compare: (a, b) => a.title.localeCompare(b.title) },
+  author: { label: 'Author (A-Z)', compare: (a, b) => a.author.localeCompare(b.author) },
+  rating: { label: 'Highest rated', compare: (a, b) => b.rating - a.rating },
+  year: { label: 'Publication year', compare: (a, b) => b.publicationYear - a.publicationYear },
+  newest: { label: 'Newest arrivals', compare: (a, b) => b.id - a.id },
+};
+
+export const DEFAULT_SORT = 'relevance';
+
+/**
+ * Orders search results; ties keep their relevance order (sort is stable).
+ *
+ * @param {Array} results - From searchIndex / applyFacets
+ * @param {string} sort - A SORT_OPTIONS key
+ * @returns {Array} New, sorted array
+ */
+export function sortResults(results, sort) {
+  const compare = SORT_OPTIONS[sort]?.compare;
+  if (!compare) return results;
+  return [...results].sort((a, b) => compare(a.book, b.book));
+}
@@ -0,0 +1,59 @@
+/**
+ * Storage Change Emitter
+ *
+ * PURPOSE:
+ * Shared subscription bookkeeping for every storage adapter.
+ * Adapters call emit() after each successful write (and when another tab
+ * reports a change) so that contexts subscribed to a key can react without polling.
+ *
+ * KEY PATTERNS:
+ * - Exact key:  'booknest-user'
+ * - Prefix:     'booknest-history-*' (trailing * matches any suffix)
+ */
+
+/**
+ * Checks whether a changed key matches a subscription pattern.
+ *
+ * @param {string} pattern - Exact key or prefix ending in '*'
+ * @param {string} key - The key that changed
+ * @returns {boolean} true if the listener should be notified
+ */
+export function matchesKey(pattern, key) {
+  if (pattern.endsWith('*')) {
+    return key.startsWith(pattern.slice(0, -1));
+  }
+  return pattern === key;
+}
+
+/**
+ * Creates a tiny pub/sub used by the adapters.
+ *
+ * @returns {Object} { subscribe(pattern, listener), emit(key, value) }
+ */
+export function createEmitter() {
+  const listeners = new Set();
+
+  const subscribe = (pattern, listener) => {
+    const entry = { pattern, listener };
+    listeners.add(entry);
+
+    // Return an unsubscribe function (same shape as useEffect cleanup)
+    return () => {
+      listeners.delete(entry);
+    };
+  };
+
+  const emit = (key, value) => {
+    listeners.forEach(({ pattern, listener }) => {
+      if (matchesKey(pattern, key)) {
+        try {
+          listener(value, key);
+        } catch (error) {
+          console.error(`Storage listener for ${pattern} failed:`, error);
+        }
+      }
+    });
+  };
+
+  return { subscribe, emit };
+}
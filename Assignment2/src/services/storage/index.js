@@ -0,0 +1,60 @@
+/**
+ * Storage Layer - Pluggable Persistence for BookNest
+ *
+ * PURPOSE:
+ * Every context reads and writes through a single storage adapter instead
+ * of calling localStorage directly. Swapping persistence (localStorage,
+ * IndexedDB, in-memory, or a future REST backend) only means choosing a
+ * different adapter here - no page or context has to change.
+ *
+ * ADAPTER INTERFACE (all methods except subscribe return Promises):
+ * - get(key)                  → stored value or null
+ * - set(key, value)           → saves any JSON-serializable value
+ * - remove(key)               → deletes the key
+ * - list(prefix)              → array of keys starting with prefix
+ * - subscribe(pattern, fn)    → calls fn(value, key) after changes; returns unsubscribe
+ *
+ * CROSS-TAB SYNC:
+ * subscribe() also reports changes made in other open tabs (localStorage via
+ * the 'storage' event, IndexedDB via BroadcastChannel). The memory adapter
+ * lives inside one tab, so it has nothing to sync.
+ *
+ * CHOOSING AN ADAPTER:
+ * Set VITE_STORAGE_ADAPTER in .env.local to 'local' (default), 'indexeddb' or 'memory'.
+ * A REST adapter only needs to implement the same five methods.
+ */
+
+import { createLocalStorageAdapter } from './localStorageAdapter';
+import { createIndexedDBAdapter } from './indexedDBAdapter';
+import { createMemoryAdapter } from './memoryAdapter';
+
+export { createLocalStorageAdapter, createIndexedDBAdapter, createMemoryAdapter };
+
+/**
+ * Builds the adapter named in the environment, falling back to localStorage
+ * when the requested backend is not available in this browser.
+ *
+ * @param {string} [type] - 'local' | 'indexeddb' | 'memory'
+ * @returns {Object} Storage adapter
+ */
+export function createStorage(type = import.meta.env.VITE_STORAGE_ADAPTER) {
+  switch (type) {
+    case 'memory':
+      return createMemoryAdapter();
+    case 'indexeddb':
+      if (typeof window !== 'undefined' && window.indexedDB) {
+        return createIndexedDBAdapter();
+      }
+      console.warn('IndexedDB is not available, falling back to localStorage');
+      return createLocalStorageAdapter();
+    default:
+      return createLocalStorageAdapter();
+  }
+}
+
+/**
+ * The app-wide adapter instance shared by all contexts.
+ */
+const storage = createStorage();
+
+export default storage;
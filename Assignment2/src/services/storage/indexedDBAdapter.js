@@ -0,0 +1,112 @@
+/**
+ * IndexedDB Adapter
+ *
+ * PURPOSE:
+ * Stores BookNest data in an IndexedDB object store instead of localStorage.
+ * Useful once collections outgrow localStorage's ~5MB quota.
+ *
+ * LAYOUT:
+ * - Database: 'booknest' (version 1)
+ * - Object store: 'keyval' (out-of-line string keys, any cloneable value)
+ *
+ * The connection is opened lazily on first use and then reused.
+ *
+ * OTHER TABS:
+ * IndexedDB has no change events, so every write is also announced on a
+ * BroadcastChannel named after the database. Other tabs re-emit it to
+ * their own subscribers.
+ */
+
+import { createEmitter } from './emitter';
+
+const STORE_NAME = 'keyval';
+
+/**
+ * Wraps an IDBRequest in a Promise.
+ *
+ * @param {IDBRequest} request - Any IndexedDB request
+ * @returns {Promise<*>} Resolves with request.result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Creates an adapter backed by IndexedDB.
+ *
+ * @param {string} [dbName='booknest'] - Database name
+ * @returns {Object} Storage adapter { name, get, set, remove, list, subscribe }
+ */
+export function createIndexedDBAdapter(dbName = 'booknest') {
+  const { subscribe, emit } = createEmitter();
+  let dbPromise = null;
+
+  // Cross-tab change notifications (not available in very old browsers)
+  const channel = typeof BroadcastChannel !== 'undefined'
+    ? new BroadcastChannel(`${dbName}-changes`)
+    : null;
+  if (channel) {
+    channel.onmessage = ({ data }) => emit(data.key, data.value);
+  }
+
+  /**
+   * Notifies this tab's subscribers and every other open tab.
+   */
+  const announce = (key, value) => {
+    emit(key, value);
+    channel?.postMessage({ key, value });
+  };
+
+  const openDatabase = () => {
+    if (!dbPromise) {
+      const request = window.indexedDB.open(dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME);
+      };
+      dbPromise = promisify(request);
+    }
+    return dbPromise;
+  };
+
+  /**
+   * Runs a single request inside a transaction on the key/value store.
+   */
+  const withStore = async (mode, callback) => {
+    const db = await openDatabase();
+    const transaction = db.transaction(STORE_NAME, mode);
+    return promisify(callback(transaction.objectStore(STORE_NAME)));
+  };
+
+  const get = async (key) => {
+    const value = await withStore('readonly', (store) => store.get(key));
+    return value === undefined ? null : value;
+  };
+
+  const set = async (key, value) => {
+    await withStore('readwrite', (store) => store.put(value, key));
+    announce(key, value);
+  };
+
+  const remove = async (key) => {
+    await withStore('readwrite', (store) => store.delete(key));
+    announce(key, null);
+  };
+
+  const list = async (prefix = '') => {
+    // '\uffff' is the highest code unit, so the range covers every key with this prefix
+    const range = prefix ? IDBKeyRange.bound(prefix, `${prefix}\uffff`) : undefined;
+    return withStore('readonly', (store) => store.getAllKeys(range));
+  };
+
+  return {
+    name: 'indexedDB',
+    get,
+    set,
+    remove,
+    list,
+    subscribe,
+  };
+}
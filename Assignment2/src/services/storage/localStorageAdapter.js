@@ -0,0 +1,86 @@
+/**
+ * localStorage Adapter
+ *
+ * PURPOSE:
+ * Default persistence for BookNest. Wraps the synchronous browser
+ * localStorage API behind the async adapter interface so contexts never
+ * touch localStorage directly.
+ *
+ * VALUES:
+ * Values are stored as JSON strings. Older keys written as raw strings
+ * (e.g. 'booknest-theme' = 'dark') are returned as-is when they are not
+ * valid JSON, so existing browsers keep their data.
+ *
+ * OTHER TABS:
+ * The browser fires a 'storage' event in every other tab that shares this
+ * localStorage. We forward those events to subscribers, so a logout or cart
+ * change in one tab shows up in the others straight away.
+ */
+
+import { createEmitter } from './emitter';
+
+/**
+ * Parses a raw localStorage string.
+ *
+ * @param {string|null} raw - Value from localStorage.getItem
+ * @returns {*} Parsed value, the raw string for legacy values, or null
+ */
+function parseValue(raw) {
+  if (raw === null) return null;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return raw;
+  }
+}
+
+/**
+ * Creates an adapter backed by a Web Storage object.
+ *
+ * @param {Storage} [backend=window.localStorage] - Storage to wrap (sessionStorage also works)
+ * @returns {Object} Storage adapter { name, get, set, remove, list, subscribe }
+ */
+export function createLocalStorageAdapter(backend = window.localStorage) {
+  const { subscribe, emit } = createEmitter();
+
+  const get = async (key) => parseValue(backend.getItem(key));
+
+  const set = async (key, value) => {
+    backend.setItem(key, JSON.stringify(value));
+    emit(key, value);
+  };
+
+  const remove = async (key) => {
+    backend.removeItem(key);
+    emit(key, null);
+  };
+
+  // Changes made by other tabs (the event never fires in the tab that wrote)
+  if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+      // key is null when another tab called clear(); there is nothing to forward
+      if (event.storageArea !== backend || event.key === null) return;
+      emit(event.key, parseValue(event.newValue));
+    });
+  }
+
+  const list = async (prefix = '') => {
+    const keys = [];
+    for (let i = 0; i < backend.length; i++) {
+      const key = backend.key(i);
+      if (key && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  };
+
+  return {
+    name: 'localStorage',
+    get,
+    set,
+    remove,
+    list,
+    subscribe,
+  };
+}
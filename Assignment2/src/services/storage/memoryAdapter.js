@@ -0,0 +1,47 @@
+/**
+ * In-Memory Adapter
+ *
+ * PURPOSE:
+ * Keeps everything in a Map for the lifetime of the page.
+ * Used for tests and demos where nothing should survive a refresh.
+ *
+ * Values are deep-copied on the way in and out (structuredClone) so
+ * callers can never mutate stored state by accident - the same guarantee
+ * the JSON round-trip gives the localStorage adapter.
+ */
+
+import { createEmitter } from './emitter';
+
+/**
+ * Creates an adapter backed by a plain Map.
+ *
+ * @param {Object} [seed={}] - Initial key/value pairs
+ * @returns {Object} Storage adapter { name, get, set, remove, list, subscribe }
+ */
+export function createMemoryAdapter(seed = {}) {
+  const store = new Map(Object.entries(seed));
+  const { subscribe, emit } = createEmitter();
+
+  const get = async (key) => (store.has(key) ? structuredClone(store.get(key)) : null);
+
+  const set = async (key, value) => {
+    store.set(key, structuredClone(value));
+    emit(key, value);
+  };
+
+  const remove = async (key) => {
+    store.delete(key);
+    emit(key, null);
+  };
+
+  const list = async (prefix = '') => [...store.keys()].filter((key) => key.startsWith(prefix));
+
+  return {
+    name: 'memory',
+    get,
+    set,
+    remove,
+    list,
+    subscribe,
+  };
+}
@@ -1,7 +1,31 @@
+import { createHash } from 'node:crypto'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+/**
+ * Writes precache-manifest.json next to the build output: every emitted
+ * file plus a version hash. public/sw.js reads it on install to cache the
+ * app shell, and uses the version to drop caches from older builds.
+ */
+function precacheManifest() {
+  return {
+    name: 'booknest-precache-manifest',
+    apply: 'build',
+    // After Vite's own plugins, so index.html is already in the bundle
+    enforce: 'post',
+    generateBundle(_options, bundle) {
+      const files = Object.keys(bundle).filter((file) => !file.endsWith('.map')).sort()
+      const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+      this.emitFile({
+        type: 'asset',
+        fileName: 'precache-manifest.json',
+        source: JSON.stringify({ version, files }),
+      })
+    },
+  }
+}
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), precacheManifest()],
 })